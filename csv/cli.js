@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import path from 'node:path';
+import { createProvenance } from '../shared/provenance.js';
+import { saveFootballData } from '../wikipedia/generate-output-files.js';
+import { buildCsvFootballData, readMatchCsv, resolveMatchCsvFiles } from './match-tables.js';
+
+const DEFAULT_INPUT = 'data';
+const DEFAULT_OUTPUT = path.join('data-output', 'csv_league_tables_by_season.json');
+
+function parseYear(value, flag) {
+  if (value == null) return undefined;
+  const year = Number.parseInt(value, 10);
+  if (!Number.isFinite(year)) {
+    throw new Error(`${flag} must be a year (got "${value}")`);
+  }
+  return year;
+}
+
+const program = new Command();
+
+program
+  .name('csv-league-tables')
+  .description('Build FootballData league tables from match-level CSV files')
+  .version('1.0.0');
+
+program
+  .command('build')
+  .description('Compute every tier and season found in the match CSVs')
+  .argument('[inputs...]', `CSV files or directories (defaults to ./${DEFAULT_INPUT})`)
+  .option('-s, --start <year>', 'First season (inclusive)')
+  .option('-e, --end <year>', 'Final season (inclusive)')
+  .option('-o, --output <file>', 'FootballData JSON output path', DEFAULT_OUTPUT)
+  .option('--compact', 'Write the output without indentation', false)
+  .action(async (inputs, opts) => {
+    let files;
+    let start;
+    let end;
+    try {
+      start = parseYear(opts.start, '--start');
+      end = parseYear(opts.end, '--end');
+      files = resolveMatchCsvFiles(inputs.length ? inputs : [DEFAULT_INPUT]);
+    } catch (err) {
+      program.error(err.message);
+    }
+    if (!files.length) {
+      program.error('No match CSV files found.');
+    }
+
+    const matches = [];
+    for (const file of files) {
+      const rows = await readMatchCsv(file);
+      console.log(`📄 ${path.relative(process.cwd(), file)}: ${rows.length} matches`);
+      matches.push(...rows);
+    }
+
+    const dataset = buildCsvFootballData(matches, {
+      start,
+      end,
+      metadata: {
+        source: 'csv',
+        provenance: createProvenance({
+          source: 'csv',
+          // Tables built from several files cannot point at one of them.
+          url: files.length === 1 ? path.relative(process.cwd(), files[0]) : null,
+          parser: 'csv/match-tables',
+        }),
+      },
+    });
+
+    const outputPath = path.resolve(opts.output);
+    saveFootballData(outputPath, dataset, { pretty: !opts.compact });
+    console.log(
+      `💾 Saved ${Object.keys(dataset.seasons).length} seasons from ${
+        files.length
+      } file(s) to ${outputPath}`
+    );
+  });
+
+program.parse(process.argv);
@@ -0,0 +1,315 @@
+// @ts-check
+
+import { parse } from 'fast-csv';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { getLeagueRules, goalAverage, sortLeagueTable } from '../shared/league-rules.js';
+import { forEachNextSeasonTier } from '../shared/next-season.js';
+import {
+  buildParallelTierData,
+  buildTierData,
+  createFootballData,
+  setSeasonRecord,
+} from '../wikipedia/generate-output-files.js';
+
+/** @typedef {import('../wikipedia/models/output-file').FootballData} FootballData */
+/** @typedef {import('../wikipedia/models/output-file').LeagueTableEntry} LeagueTableEntry */
+/** @typedef {import('../wikipedia/models/output-file').SeasonData} SeasonData */
+
+/**
+ * One row of `data/england_tier*.csv`.
+ * @typedef {Object} MatchRow
+ * @property {string} Season
+ * @property {string} home
+ * @property {string} visitor
+ * @property {string} hgoal
+ * @property {string} vgoal
+ * @property {string} division - `1`–`4`, or `3N`/`3S` for the regional Third Division.
+ * @property {string} tier
+ * @property {string} result - `H`, `A` or `D`.
+ */
+
+/**
+ * Regional division codes used in the CSVs between 1921 and 1957.
+ * @type {Record<string, { name: string; section: string }>}
+ */
+const REGIONAL_DIVISIONS = {
+  '3N': { name: 'Third Division North', section: 'North' },
+  '3S': { name: 'Third Division South', section: 'South' },
+};
+
+/**
+ * Read every match row from a CSV file.
+ * @param {string} filePath
+ * @returns {Promise<MatchRow[]>}
+ */
+export function readMatchCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    /** @type {MatchRow[]} */
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(parse({ headers: true }))
+      .on('error', reject)
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows));
+  });
+}
+
+/**
+ * Compute a league table from one division's matches, ordered by the season's rules.
+ * @param {MatchRow[]} matches
+ * @param {number} season
+ * @param {{ tier?: number }} [options]
+ * @returns {Array<Partial<LeagueTableEntry>>}
+ */
+export function computeLeagueTable(matches, season, { tier = 1 } = {}) {
+  const rules = getLeagueRules(season, { tier });
+  const { pointsForWin, pointsForDraw } = rules;
+  const usesGoalAverage = rules.tiebreakers.includes('goalAverage');
+  /** @typedef {{ played: number; won: number; drawn: number; lost: number; goalsFor: number; goalsAgainst: number }} Tally */
+  /** @type {Map<string, Tally & { team: string; points: number; home: Tally; away: Tally }>} */
+  const teams = new Map();
+  const emptyRecord = () => ({
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+  });
+
+  /**
+   * Count one result into a team's overall record and its home or away split.
+   * @param {Tally & { points: number }} entry
+   * @param {Tally} split
+   * @param {number} scored
+   * @param {number} conceded
+   */
+  const record = (entry, split, scored, conceded) => {
+    for (const target of [entry, split]) {
+      target.played += 1;
+      target.goalsFor += scored;
+      target.goalsAgainst += conceded;
+      if (scored > conceded) target.won += 1;
+      else if (scored < conceded) target.lost += 1;
+      else target.drawn += 1;
+    }
+    entry.points += scored > conceded ? pointsForWin : scored === conceded ? pointsForDraw : 0;
+  };
+
+  /** @param {string} team */
+  const entryFor = (team) => {
+    if (!teams.has(team)) {
+      teams.set(team, {
+        team,
+        played: 0,
+        won: 0,
+        drawn: 0,
+        lost: 0,
+        goalsFor: 0,
+        goalsAgainst: 0,
+        points: 0,
+        home: emptyRecord(),
+        away: emptyRecord(),
+      });
+    }
+    return /** @type {NonNullable<ReturnType<typeof teams.get>>} */ (teams.get(team));
+  };
+
+  for (const match of matches) {
+    const home = entryFor(match.home.trim());
+    const away = entryFor(match.visitor.trim());
+    const homeGoals = Number.parseInt(match.hgoal, 10);
+    const awayGoals = Number.parseInt(match.vgoal, 10);
+    if (!Number.isFinite(homeGoals) || !Number.isFinite(awayGoals)) {
+      throw new Error(`Unreadable score for ${match.home} v ${match.visitor} in ${match.Season}`);
+    }
+
+    record(home, home.home, homeGoals, awayGoals);
+    record(away, away.away, awayGoals, homeGoals);
+  }
+
+  const rows = Array.from(teams.values()).map((entry) => ({
+    ...entry,
+    goalDifference: entry.goalsFor - entry.goalsAgainst,
+    goalAverage: usesGoalAverage ? goalAverage(entry.goalsFor, entry.goalsAgainst) : null,
+  }));
+
+  return sortLeagueTable(rows, rules);
+}
+
+/**
+ * @typedef {Object} DivisionTable
+ * @property {string} code - CSV division code.
+ * @property {Array<Partial<LeagueTableEntry>>} table
+ */
+
+/**
+ * Mark teams promoted or relegated by where they play the following season. Clubs are matched
+ * on their registry id, then their name, so a club renamed between seasons is still followed.
+ * Only movements between tiers present in the CSVs can be seen, so clubs leaving the League
+ * are not flagged.
+ * @param {Map<number, Map<number, DivisionTable[]>>} seasons
+ */
+function applyNextSeasonMovements(seasons) {
+  const rowsByTier = new Map(
+    Array.from(seasons, ([season, tiers]) => [
+      season,
+      new Map(
+        Array.from(tiers, ([tier, divisions]) => [
+          tier,
+          divisions.flatMap((division) => division.table),
+        ])
+      ),
+    ])
+  );
+
+  forEachNextSeasonTier(rowsByTier, (row, tier, nextTier) => {
+    row.wasPromoted = nextTier != null && nextTier < tier;
+    row.wasRelegated = nextTier != null && nextTier > tier;
+  });
+}
+
+/**
+ * In regional seasons a few matches carry the plain tier code instead of a section. These are
+ * records expunged mid-season (e.g. Wigan Borough, 1931–32), so they are left out of both tables.
+ * @param {number} season
+ * @param {number} tier
+ * @param {Map<string, MatchRow[]>} divisions
+ */
+function dropUnplacedMatches(season, tier, divisions) {
+  const codes = Array.from(divisions.keys());
+  if (!codes.some((code) => REGIONAL_DIVISIONS[code])) return;
+
+  for (const code of codes) {
+    if (REGIONAL_DIVISIONS[code]) continue;
+    const dropped = /** @type {MatchRow[]} */ (divisions.get(code));
+    const teams = new Set(dropped.flatMap((match) => [match.home.trim(), match.visitor.trim()]));
+    console.warn(
+      `⚠️  ${season} tier${tier}: ignoring ${dropped.length} match(es) with division "${code}" ` +
+        `outside the regional sections (${Array.from(teams).join(', ')})`
+    );
+    divisions.delete(code);
+  }
+}
+
+/**
+ * Build FootballData league tables from match rows. Each CSV tier becomes `tierN`; the
+ * Third Division North/South become parallel divisions of `tier3`. Promotion and
+ * relegation come from the tier each club plays in the next season.
+ * @param {MatchRow[]} matches
+ * @param {{ start?: number; end?: number; metadata?: Record<string, unknown> }} [options]
+ * @returns {FootballData}
+ */
+export function buildCsvFootballData(matches, { start, end, metadata = {} } = {}) {
+  /** @type {Map<number, Map<number, Map<string, MatchRow[]>>>} */
+  const grouped = new Map();
+  for (const match of matches) {
+    const season = Number.parseInt(match.Season, 10);
+    const tier = Number.parseInt(match.tier, 10);
+    if (!Number.isFinite(season) || !Number.isFinite(tier)) continue;
+    const code = String(match.division || tier).trim();
+
+    if (!grouped.has(season)) grouped.set(season, new Map());
+    const tiers = /** @type {Map<number, Map<string, MatchRow[]>>} */ (grouped.get(season));
+    if (!tiers.has(tier)) tiers.set(tier, new Map());
+    const divisions = /** @type {Map<string, MatchRow[]>} */ (tiers.get(tier));
+    if (!divisions.has(code)) divisions.set(code, []);
+    /** @type {MatchRow[]} */ (divisions.get(code)).push(match);
+  }
+
+  /** @type {Map<number, Map<number, DivisionTable[]>>} */
+  const seasons = new Map();
+  for (const [season, tiers] of grouped) {
+    /** @type {Map<number, DivisionTable[]>} */
+    const tables = new Map();
+    for (const [tier, divisions] of tiers) {
+      dropUnplacedMatches(season, tier, divisions);
+      tables.set(
+        tier,
+        Array.from(divisions)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([code, divisionMatches]) => ({
+            code,
+            table: computeLeagueTable(divisionMatches, season, { tier }),
+          }))
+      );
+    }
+    seasons.set(season, tables);
+  }
+
+  // Movements need the following season even when it falls outside the requested range.
+  applyNextSeasonMovements(seasons);
+
+  const dataset = createFootballData();
+  for (const [season, tiers] of Array.from(seasons).sort(([a], [b]) => a - b)) {
+    if ((start != null && season < start) || (end != null && season > end)) continue;
+
+    /** @type {SeasonData} */
+    const seasonRecord = {};
+    for (const [tier, divisions] of Array.from(tiers).sort(([a], [b]) => a - b)) {
+      const tierKey = `tier${tier}`;
+      const tierMetadata = { ...metadata, tier: tierKey };
+      const regional = divisions.filter((division) => REGIONAL_DIVISIONS[division.code]);
+
+      if (regional.length) {
+        seasonRecord[tierKey] = buildParallelTierData(
+          season,
+          regional.map((division) => ({
+            division: REGIONAL_DIVISIONS[division.code].name,
+            section: REGIONAL_DIVISIONS[division.code].section,
+            table: division.table,
+            metadata: tierMetadata,
+          })),
+          { metadata: tierMetadata }
+        );
+      } else if (divisions.length === 1) {
+        seasonRecord[tierKey] = buildTierData(season, divisions[0].table, {
+          metadata: tierMetadata,
+        });
+      } else {
+        throw new Error(
+          `Season ${season} ${tierKey} mixes division codes ${divisions
+            .map((division) => division.code)
+            .join(', ')}`
+        );
+      }
+    }
+
+    setSeasonRecord(dataset, season, seasonRecord);
+  }
+
+  return dataset;
+}
+
+/**
+ * Expand CSV paths and directories into a sorted list of files.
+ * @param {string[]} targets
+ * @param {string} [cwd]
+ */
+export function resolveMatchCsvFiles(targets, cwd = process.cwd()) {
+  /** @type {string[]} */
+  const files = [];
+  for (const target of targets) {
+    const resolved = path.resolve(cwd, target);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Match CSV path not found: ${target}`);
+    }
+    if (fs.statSync(resolved).isDirectory()) {
+      fs.readdirSync(resolved)
+        .filter((file) => file.toLowerCase().endsWith('.csv'))
+        .sort()
+        .forEach((file) => files.push(path.join(resolved, file)));
+    } else {
+      files.push(resolved);
+    }
+  }
+  return Array.from(new Set(files));
+}
+
+export default {
+  buildCsvFootballData,
+  computeLeagueTable,
+  readMatchCsv,
+  resolveMatchCsvFiles,
+};
@@ -2,6 +2,16 @@
 import { Command } from 'commander';
 import * as fs from 'node:fs/promises';
 import * as path from 'node:path';
+import {
+  addRequestSchedulerOptions,
+  createRequestSchedulerFromOptions,
+} from '../shared/request-scheduler.js';
+import { createFootballData, setSeasonRecord } from '../wikipedia/generate-output-files.js';
+import {
+  applyNextSeasonMembership,
+  buildEmptyRsssfSeasonRecord,
+  buildRsssfSeasonRecord,
+} from './football-data.js';
 import { decodeRsssfBuffer, fetchRsssfPage, parseRsssfPage } from './parse-page.js';
 
 const DEFAULT_URL_TEMPLATE = 'https://www.rsssf.org/engpaul/FLA/{seasonSlug}.html';
@@ -87,78 +97,6 @@ function ensureAggregateOutputPath(explicitPath) {
   return path.join(baseDir, 'rsssf_promotion_relegations_by_season.json');
 }
 
-function extractSeasonYear(seasonValue, parts) {
-  if (parts?.startYear != null) return parts.startYear;
-  if (typeof seasonValue === 'number') return seasonValue;
-  if (typeof seasonValue === 'string') {
-    const match = seasonValue.match(/\d{4}/);
-    if (match) return Number.parseInt(match[0], 10);
-  }
-  if (Array.isArray(seasonValue)) {
-    for (const entry of seasonValue) {
-      const year = extractSeasonYear(entry);
-      if (year != null) return year;
-    }
-  }
-  return null;
-}
-
-function summariseTierOneCompetition(competition, seasonYear) {
-  if (!competition) return null;
-  const table = competition.rows || [];
-  const relegated = table.filter((row) => row.wasRelegated).map((row) => row.team);
-  const promoted = table.filter((row) => row.wasPromoted).map((row) => row.team);
-
-  return {
-    season: seasonYear,
-    table,
-    relegated,
-    promoted,
-  };
-}
-
-function buildSeasonRecordFromParsed(parsed, parts) {
-  const competitions = Array.isArray(parsed?.competitions) ? parsed.competitions : [];
-  if (!competitions.length) return null;
-
-  const seasonYear = extractSeasonYear(parsed.season, parts);
-  const seasonKey =
-    seasonYear != null ? String(seasonYear) : parts?.seasonSlug || parsed.seasonSlug;
-
-  if (!seasonKey) return null;
-
-  const seasonRecord = {};
-  const tierOne = summariseTierOneCompetition(competitions[0], seasonYear);
-  if (tierOne) {
-    seasonRecord.tier1 = tierOne;
-  }
-
-  competitions.slice(1).forEach((competition, idx) => {
-    const tierKey = `tier${idx + 2}`;
-    seasonRecord[tierKey] = competition.rows || [];
-  });
-
-  return { seasonKey, record: seasonRecord };
-}
-
-function buildEmptySeasonRecord(parts) {
-  const seasonYear = extractSeasonYear(null, parts);
-  const seasonKey = seasonYear != null ? String(seasonYear) : parts?.seasonSlug;
-  if (!seasonKey) return null;
-
-  return {
-    seasonKey,
-    record: {
-      tier1: {
-        season: seasonYear ?? null,
-        table: [],
-        relegated: [],
-        promoted: [],
-      },
-    },
-  };
-}
-
 async function writeJsonToFile(filePath, data, prettySpacing) {
   await fs.mkdir(path.dirname(filePath), { recursive: true });
   await fs.writeFile(filePath, JSON.stringify(data, null, prettySpacing), 'utf8');
@@ -199,6 +137,13 @@ program
   .option('--save-html <file>', 'Optional path to persist the raw HTML payload')
   .action(async (opts) => {
     const { output: outputOption, pretty, saveHtml, start, end, urlTemplate } = opts;
+    let scheduler;
+    try {
+      scheduler = createRequestSchedulerFromOptions(opts);
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
     const urls = Array.isArray(opts.url) ? opts.url : opts.url ? [opts.url] : [];
     const files = Array.isArray(opts.fromFile)
       ? opts.fromFile
@@ -266,7 +211,7 @@ program
       );
     }
 
-    const aggregateResults = isRangeMode ? { seasons: {} } : null;
+    const aggregateResults = isRangeMode ? createFootballData() : null;
     const aggregateOutputPath = aggregateResults ? ensureAggregateOutputPath(outputOption) : null;
     const persistAggregate = async () => {
       if (!aggregateResults || !aggregateOutputPath) return;
@@ -301,7 +246,7 @@ program
           html = await readLocalHtml(source.value);
           sourceLabel = path.resolve(source.value);
         } else {
-          html = await fetchRsssfPage(source.value);
+          html = await fetchRsssfPage(source.value, globalThis.fetch, { scheduler });
           sourceLabel = source.value;
         }
       } catch (err) {
@@ -310,9 +255,9 @@ program
           console.warn(
             `Skipping ${rangeParts.seasonLabel} (${source.value}) due to fetch error: ${err.message}`
           );
-          const emptySeason = buildEmptySeasonRecord(rangeParts);
+          const emptySeason = buildEmptyRsssfSeasonRecord(rangeParts);
           if (emptySeason) {
-            aggregateResults.seasons[emptySeason.seasonKey] = emptySeason.record;
+            setSeasonRecord(aggregateResults, emptySeason.seasonKey, emptySeason.record);
             await persistAggregate();
           }
           results.push({ sourceLabel, outputPath: null, parsed: null, skipped: true });
@@ -384,10 +329,12 @@ program
 
       if (aggregateResults && isRangeSource) {
         const seasonInfo =
-          buildSeasonRecordFromParsed(parsed, source.meta.seasonParts) ||
-          buildEmptySeasonRecord(source.meta.seasonParts);
+          buildRsssfSeasonRecord(parsed, source.meta.seasonParts) ||
+          buildEmptyRsssfSeasonRecord(source.meta.seasonParts);
         if (seasonInfo) {
-          aggregateResults.seasons[seasonInfo.seasonKey] = seasonInfo.record;
+          setSeasonRecord(aggregateResults, seasonInfo.seasonKey, seasonInfo.record);
+          // The new season settles its predecessor's movements, and vice versa.
+          applyNextSeasonMembership(aggregateResults);
           await persistAggregate();
         } else {
           console.warn(`Unable to build aggregate record for ${sourceLabel}.`);
@@ -406,4 +353,6 @@ program
     }
   });
 
+program.commands.forEach((command) => addRequestSchedulerOptions(command));
+
 program.parse(process.argv);
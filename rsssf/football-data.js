@@ -0,0 +1,343 @@
+// @ts-check
+
+import { divisionLevel, getLeagueRules } from '../shared/league-rules.js';
+import { forEachNextSeasonTier } from '../shared/next-season.js';
+import { createProvenance } from '../shared/provenance.js';
+import { reconcileRowOutcomes } from '../shared/row-outcomes.js';
+import {
+  buildParallelTierData,
+  buildTierData,
+  getTierDivisions,
+  isParallelTier,
+} from '../wikipedia/generate-output-files.js';
+import { buildSeasonTitles } from '../wikipedia/season-titles.js';
+
+/** @typedef {import('../wikipedia/models/output-file').FootballData} FootballData */
+/** @typedef {import('../wikipedia/models/output-file').SeasonData} SeasonData */
+/** @typedef {import('../wikipedia/models/output-file').TierData} TierData */
+
+/**
+ * What settled a row's `wasPromoted`/`wasRelegated` flag, kept under `extras.flagEvidence`:
+ * the row's own note, the places the league rules give its division, or the tier the club
+ * played in the next season. `null` when nothing did and the flag is left `false`.
+ * @typedef {'note' | 'rules' | 'next-season' | null} FlagEvidence
+ */
+
+/**
+ * A competition block as returned by `parseCompetitionBlock`.
+ * @typedef {Object} RsssfCompetition
+ * @property {string | null} heading - e.g. "Division One - 1990/91".
+ * @property {string | null} league - The heading without its season, e.g. "Division One".
+ * @property {string | null} season
+ * @property {string | null} seasonSlug
+ * @property {Array<Record<string, any>>} rows
+ */
+
+/**
+ * A page as returned by `parseRsssfPage`.
+ * @typedef {Object} RsssfPage
+ * @property {string | null} source - URL or file the page was read from.
+ * @property {string | null} scrapedAt
+ * @property {string | string[] | null} season
+ * @property {string | null} seasonSlug
+ * @property {RsssfCompetition[]} competitions
+ */
+
+const TIER_KEY_PATTERN = /^tier(\d+)$/;
+
+/**
+ * @param {string | null} league
+ */
+function regionalSection(league) {
+  const match = String(league || '').match(/\b(north|south)\b/i);
+  return match ? match[1][0].toUpperCase() + match[1].slice(1).toLowerCase() : null;
+}
+
+/**
+ * Season start year from the range parts, or the page's season label.
+ * @param {RsssfPage['season']} seasonValue
+ * @param {{ startYear?: number } | null} [parts]
+ * @returns {number | null}
+ */
+export function extractSeasonYear(seasonValue, parts) {
+  if (parts?.startYear != null) return parts.startYear;
+  if (typeof seasonValue === 'number') return seasonValue;
+  if (typeof seasonValue === 'string') {
+    const match = seasonValue.match(/\d{4}/);
+    if (match) return Number.parseInt(match[0], 10);
+  }
+  if (Array.isArray(seasonValue)) {
+    for (const entry of seasonValue) {
+      const year = extractSeasonYear(entry);
+      if (year != null) return year;
+    }
+  }
+  return null;
+}
+
+/**
+ * Give each competition a tier key. Named divisions go to the level `divisionLevel` reads from
+ * their name, as for every other source ("Division One" is tier 2 from 1992–93), and the regional
+ * Third Divisions (1921–58) share `tier3` as parallel divisions. A competition whose name
+ * gives no level takes the next free tier after the one before it, as page order did before.
+ * @param {RsssfCompetition[]} competitions
+ * @param {number | null} season
+ * @returns {Map<string, Array<{ competition: RsssfCompetition; section: string | null }>>}
+ */
+function groupCompetitionsByTier(competitions, season) {
+  /** @type {Map<string, Array<{ competition: RsssfCompetition; section: string | null }>>} */
+  const tiers = new Map();
+  let previous = 0;
+  for (const competition of competitions) {
+    const section = regionalSection(competition.league);
+    let tier = divisionLevel(competition.league, season);
+    const taken = (/** @type {number} */ number) => {
+      const entries = tiers.get(`tier${number}`);
+      return Boolean(entries && !(section && entries.every((entry) => entry.section)));
+    };
+    if (tier == null || taken(tier)) {
+      tier = previous + 1;
+      while (tiers.has(`tier${tier}`)) tier += 1;
+    }
+    previous = tier;
+    const key = `tier${tier}`;
+    tiers.set(key, [...(tiers.get(key) ?? []), { competition, section }]);
+  }
+  return new Map(Array.from(tiers).sort(([a], [b]) => Number(a.slice(4)) - Number(b.slice(4))));
+}
+
+/**
+ * Settle the flags a division's notes left open from the automatic places the rules give it:
+ * the top clubs go up and the bottom clubs go down, less any the notes already moved. Play-off
+ * winners are not placed by the table, so they still need a note or the next season.
+ * @param {Array<Record<string, any>>} rows - Parsed rows with `flagEvidence`; copied, not mutated.
+ * @param {import('../shared/league-rules.js').LeagueRules} rules
+ */
+function applyMovementRules(rows, rules) {
+  const settled = rows.map((row) => ({ ...row, flagEvidence: { ...row.flagEvidence } }));
+  const ranked = settled.filter((row) => Number.isFinite(row.pos)).sort((a, b) => a.pos - b.pos);
+  // A partial table cannot say who finished where.
+  const moving = (rules.promotion?.automatic ?? 0) + (rules.relegation?.automatic ?? 0);
+  if (ranked.length <= moving) return settled;
+
+  /**
+   * @param {'wasPromoted' | 'wasRelegated'} flag
+   * @param {number | undefined} places
+   * @param {Array<Record<string, any>>} order - Rows in the order places are handed out.
+   */
+  const settle = (flag, places, order) => {
+    if (places == null) return;
+    const noted = order.filter((row) => row.flagEvidence[flag] === 'note').length;
+    let remaining = Math.max(0, places - noted);
+    for (const row of order) {
+      if (row.flagEvidence[flag] === 'note') continue;
+      row[flag] = remaining > 0;
+      remaining = Math.max(0, remaining - 1);
+      row.flagEvidence[flag] = 'rules';
+    }
+  };
+
+  settle('wasPromoted', rules.promotion?.automatic, ranked);
+  settle('wasRelegated', rules.relegation?.automatic, [...ranked].reverse());
+  return settled;
+}
+
+/**
+ * Movements between the top two tiers in a record, as `seasonInfo` holds them: the clubs going
+ * up from the second and down from the first. Like the Wikipedia season articles these are the
+ * top two tiers on the page, which from 1992–93 are the First and Second Divisions at tier2 and
+ * tier3.
+ * @param {SeasonData} record
+ * @returns {{ promoted: string[]; relegated: string[] }}
+ */
+function seasonMovements(record) {
+  const [top, next] = Object.keys(record)
+    .map((tierKey) => TIER_KEY_PATTERN.exec(tierKey))
+    .filter((match) => match != null)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map((match) => /** @type {TierData} */ (record[match[0]]));
+  return { promoted: [...(next?.promoted ?? [])], relegated: [...(top?.relegated ?? [])] };
+}
+
+/**
+ * Build a normalised season record from a parsed RSSSF page, through the same
+ * `buildTierData`/`buildParallelTierData` layer as the Wikipedia flows: one tier per level
+ * with `source`, `sourceUrl`, `heading`, `league` and provenance, plus a `seasonInfo` block
+ * holding the movements between the top two tiers and the title summary. Flags the notes leave
+ * open are settled from the league rules for the season.
+ * @param {RsssfPage | null | undefined} parsed
+ * @param {{ startYear?: number; seasonSlug?: string } | null} [parts] - Range parts, when the
+ *   page was fetched for a known season.
+ * @returns {{ seasonKey: string; record: SeasonData } | null}
+ */
+export function buildRsssfSeasonRecord(parsed, parts) {
+  const competitions = Array.isArray(parsed?.competitions) ? parsed.competitions : [];
+  if (!parsed || !competitions.length) return null;
+
+  const seasonYear = extractSeasonYear(parsed.season, parts);
+  const seasonKey =
+    seasonYear != null ? String(seasonYear) : parts?.seasonSlug || parsed.seasonSlug;
+  if (!seasonKey) return null;
+  const season = seasonYear ?? seasonKey;
+
+  const provenance = createProvenance({
+    source: 'rsssf',
+    url: parsed.source,
+    fetchedAt: parsed.scrapedAt,
+    parser: 'rsssf/parse-page',
+  });
+  const seasonSlug = parts?.seasonSlug ?? parsed.seasonSlug ?? null;
+  const sourceMetadata = { source: 'rsssf', sourceUrl: parsed.source ?? null, seasonSlug };
+  /**
+   * @param {RsssfCompetition} competition
+   * @param {string} tierKey
+   */
+  const competitionMetadata = (competition, tierKey) => ({
+    ...sourceMetadata,
+    tier: tierKey,
+    heading: competition.heading,
+    league: competition.league,
+    provenance,
+  });
+
+  /** @type {SeasonData} */
+  const record = {};
+  const tierGroups = groupCompetitionsByTier(competitions, seasonYear);
+  for (const [tierKey, entries] of tierGroups) {
+    const rules =
+      seasonYear != null ? getLeagueRules(seasonYear, { tier: Number(tierKey.slice(4)) }) : null;
+    /** @param {RsssfCompetition} competition */
+    const tableRows = (competition) =>
+      rules ? applyMovementRules(competition.rows || [], rules) : competition.rows || [];
+
+    if (entries.length === 1 && !entries[0].section) {
+      const [{ competition }] = entries;
+      record[tierKey] = buildTierData(season, tableRows(competition), {
+        metadata: competitionMetadata(competition, tierKey),
+      });
+      continue;
+    }
+    record[tierKey] = buildParallelTierData(
+      season,
+      entries.map(({ competition, section }) => ({
+        division: competition.league || competition.heading || tierKey,
+        section,
+        table: tableRows(competition),
+        metadata: competitionMetadata(competition, tierKey),
+      })),
+      { metadata: { ...sourceMetadata, tier: tierKey, provenance } }
+    );
+  }
+
+  const seasonInfo = buildTierData(season, [], {
+    ...seasonMovements(record),
+    metadata: {
+      ...sourceMetadata,
+      tableCount: competitions.length,
+      tierCount: tierGroups.size,
+      provenance,
+    },
+  });
+  seasonInfo.titles = seasonYear != null ? buildSeasonTitles(record, seasonYear) : [];
+
+  return { seasonKey, record: { seasonInfo, ...record } };
+}
+
+/**
+ * Placeholder record for a season whose page could not be fetched, so reruns can see the gap.
+ * @param {{ startYear?: number; seasonSlug?: string } | null} [parts]
+ * @returns {{ seasonKey: string; record: SeasonData } | null}
+ */
+export function buildEmptyRsssfSeasonRecord(parts) {
+  const seasonYear = extractSeasonYear(null, parts);
+  const seasonKey = seasonYear != null ? String(seasonYear) : parts?.seasonSlug;
+  if (!seasonKey) return null;
+
+  return {
+    seasonKey,
+    record: {
+      tier1: buildTierData(seasonYear ?? seasonKey, [], {
+        metadata: { source: 'rsssf', seasonSlug: parts?.seasonSlug ?? null, tier: 'tier1' },
+      }),
+    },
+  };
+}
+
+/**
+ * A season's table rows by pyramid level.
+ * @param {SeasonData} record
+ */
+function rowsByTier(record) {
+  /** @type {Map<number, Array<Record<string, any>>>} */
+  const tiers = new Map();
+  for (const [tierKey, tierValue] of Object.entries(record)) {
+    const match = TIER_KEY_PATTERN.exec(tierKey);
+    if (!match) continue;
+    const rows = getTierDivisions(tierValue).flatMap((division) =>
+      division.table.filter((row) => row?.team)
+    );
+    tiers.set(Number(match[1]), rows);
+  }
+  return tiers;
+}
+
+/**
+ * Recompute promoted/relegated lists from the row flags, including `seasonInfo`'s.
+ * @param {SeasonData} record
+ */
+function refreshMovementLists(record) {
+  /** @param {Array<Record<string, any>>} table @param {string} flag */
+  const teams = (table, flag) => table.filter((row) => row[flag]).map((row) => row.team);
+
+  for (const [tierKey, tierValue] of Object.entries(record)) {
+    if (!TIER_KEY_PATTERN.test(tierKey) || !tierValue || Array.isArray(tierValue)) continue;
+    const tier = /** @type {TierData} */ (tierValue);
+    const divisions = isParallelTier(tier) ? /** @type {TierData[]} */ (tier.divisions) : [tier];
+    for (const division of divisions) {
+      division.promoted = teams(division.table, 'wasPromoted');
+      division.relegated = teams(division.table, 'wasRelegated');
+    }
+    if (isParallelTier(tier)) {
+      tier.promoted = divisions.flatMap((division) => division.promoted);
+      tier.relegated = divisions.flatMap((division) => division.relegated);
+    }
+  }
+
+  if (record.seasonInfo) Object.assign(record.seasonInfo, seasonMovements(record));
+}
+
+/**
+ * Settle each season's flags from the tier its clubs played in the next season with tables,
+ * bridging the wartime gaps: a club found a tier higher was promoted, a tier lower relegated,
+ * and at the same level neither. This outranks notes and rules. Clubs missing from the next
+ * season (e.g. not re-elected) keep their flags. Mutates and returns `dataset`.
+ * @param {FootballData} dataset
+ */
+export function applyNextSeasonMembership(dataset) {
+  const seasons = new Map(
+    Object.keys(dataset.seasons)
+      .map((key) => Number.parseInt(key, 10))
+      .filter((season) => Number.isFinite(season))
+      .map((season) => [season, rowsByTier(dataset.seasons[season])])
+  );
+
+  const compared = forEachNextSeasonTier(seasons, (row, tier, nextTier) => {
+    if (nextTier == null) return;
+    row.wasPromoted = nextTier < tier;
+    row.wasRelegated = nextTier > tier;
+    row.outcomes = reconcileRowOutcomes(row.outcomes ?? [], row);
+    row.extras = {
+      ...row.extras,
+      flagEvidence: { wasPromoted: 'next-season', wasRelegated: 'next-season' },
+    };
+  });
+  compared.forEach((season) => refreshMovementLists(dataset.seasons[season]));
+  return dataset;
+}
+
+export default {
+  applyNextSeasonMembership,
+  buildEmptyRsssfSeasonRecord,
+  buildRsssfSeasonRecord,
+  extractSeasonYear,
+};
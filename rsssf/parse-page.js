@@ -1,4 +1,8 @@
 import * as cheerio from 'cheerio';
+import { resolveClubId } from '../shared/club-registry.js';
+import { applyPointsAdjustments } from '../shared/points-adjustments.js';
+import { getDefaultScheduler } from '../shared/request-scheduler.js';
+import { parseRowOutcomes } from '../shared/row-outcomes.js';
 import { toTitleCase } from '../utils.js';
 
 const DEFAULT_ENCODING = 'windows-1252';
@@ -20,8 +24,8 @@ const STAT_COLUMN_TITLES = [
 const STAT_COLUMN_COUNT = STAT_COLUMN_TITLES.length;
 const MIN_STAT_COLUMN_COUNT = STAT_COLUMN_COUNT - 1;
 const NUMERIC_TOKEN = /^-?\d+$/;
-const NOTE_RE_PROMOTED = /promot/i;
-const NOTE_RE_RELEGATED = /relegat|demoted to the|dropped to the|relegated to the|sent down to/i;
+// RSSSF phrasings the shared outcome parser does not read as relegation.
+const NOTE_RE_SENT_DOWN = /dropped to the|sent down to/i;
 const NOTE_RE_REELECTED = /re-?elected/;
 const NOTE_RE_REPRIEVED = /reprie(?:v|e)d from re-?election/;
 const NOTE_RE_EXPANSION = /expansion|new club|admitted|joined league|first time in the league/i;
@@ -37,10 +41,14 @@ export function decodeRsssfBuffer(buffer, encoding = DEFAULT_ENCODING) {
   return decoder.decode(buffer);
 }
 
-export async function fetchRsssfPage(url, fetchImpl = globalThis.fetch) {
+export async function fetchRsssfPage(
+  url,
+  fetchImpl = globalThis.fetch,
+  { scheduler = getDefaultScheduler() } = {}
+) {
   if (!url) throw new Error('Missing RSSSF URL');
 
-  const response = await fetchImpl(url);
+  const response = await scheduler.fetch(url, undefined, fetchImpl);
   if (!response.ok) {
     throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
   }
@@ -225,7 +233,19 @@ function parseStats(tokens) {
   };
 }
 
-function parseTableRow(line, estPositions, isFirstDivision) {
+// Home/away record in the shape table rows use (`won`/`drawn`/`lost` rather than `wins`...).
+function toSplitRecord(record) {
+  return {
+    played: record.wins + record.draws + record.losses,
+    won: record.wins,
+    drawn: record.draws,
+    lost: record.losses,
+    goalsFor: record.goalsFor,
+    goalsAgainst: record.goalsAgainst,
+  };
+}
+
+function parseTableRow(line) {
   const trimmed = line.trim();
   if (!trimmed) return null;
 
@@ -253,12 +273,10 @@ function parseTableRow(line, estPositions, isFirstDivision) {
   const markers = trailingTokens.filter(Boolean);
   const isHighlighted = team === team.toUpperCase() && team.length > 1;
 
-  const isPromotionRelegationCanidate = team === `${team}`.toUpperCase();
-  const isTopHalfLeague = (pos) => pos <= Math.floor(estPositions / 2);
-
   return {
     pos: position,
     team,
+    clubId: null,
     played: stats.played,
     won: stats.overall.wins,
     drawn: stats.overall.draws,
@@ -268,9 +286,14 @@ function parseTableRow(line, estPositions, isFirstDivision) {
     goalDifference: stats.goalDifference,
     goalAverage: stats.goalAverage,
     points: stats.points,
+    pointsDeducted: null,
+    pointsAwarded: null,
+    pointsAdjustments: [],
+    home: toSplitRecord(stats.home),
+    away: toSplitRecord(stats.away),
     notes: null,
-    wasRelegated: isPromotionRelegationCanidate && !isTopHalfLeague(position),
-    wasPromoted: !isFirstDivision && isPromotionRelegationCanidate && isTopHalfLeague(position),
+    wasRelegated: false,
+    wasPromoted: false,
     isExpansionTeam: false,
     wasReElected: false,
     wasReprieved: false,
@@ -285,7 +308,8 @@ function parseTableRow(line, estPositions, isFirstDivision) {
   };
 }
 
-export function parseCompetitionBlock(text, isFirstDivision) {
+export function parseCompetitionBlock(text, isFirstDivision, options = {}) {
+  const { registry } = options;
   const lines = text.replace(/\r\n?/g, '\n').split('\n');
   const firstContentIndex = lines.findIndex((line) => line.trim().length);
   if (firstContentIndex === -1) return null;
@@ -313,7 +337,7 @@ export function parseCompetitionBlock(text, isFirstDivision) {
 
     if (!isTableDataLine(trimmed)) break;
 
-    const row = parseTableRow(line, lines.length, isFirstDivision);
+    const row = parseTableRow(line);
     if (row) {
       rows.push(row);
       continue;
@@ -331,29 +355,47 @@ export function parseCompetitionBlock(text, isFirstDivision) {
     noteLookup.set(key, existing);
   }
 
+  const headingInfo = splitHeading(headingLine);
+  const seasonYear = Number.parseInt((headingInfo.season || '').match(/\d{4}/)?.[0] ?? '', 10);
+
   const processedRows = rows.map((row) => {
     const noteSymbols = row.meta?.markers || [];
     const attachedNotes = noteSymbols.flatMap((symbol) => noteLookup.get(symbol) || []);
     const noteText = attachedNotes.length ? attachedNotes.join(' ') : null;
     const loweredNotes = (noteText || '').toLowerCase();
-    const wasPromoted = NOTE_RE_PROMOTED.test(loweredNotes);
-    const wasRelegated = NOTE_RE_RELEGATED.test(loweredNotes);
+    const outcomes = parseRowOutcomes(noteText);
+    // A top-flight club cannot go up, whatever its note says.
+    const wasPromoted =
+      !isFirstDivision && outcomes.some((outcome) => outcome.type === 'promotion');
+    const wasRelegated =
+      outcomes.some((outcome) => outcome.type === 'relegation') ||
+      NOTE_RE_SENT_DOWN.test(loweredNotes);
     const wasReElected = NOTE_RE_REELECTED.test(loweredNotes);
     const wasReprieved = NOTE_RE_REPRIEVED.test(loweredNotes);
     const isExpansionTeam = NOTE_RE_EXPANSION.test(loweredNotes);
 
     row.notes = noteText;
-    row.wasPromoted = row.wasPromoted ?? wasPromoted;
-    row.wasRelegated = row.wasRelegated ?? wasRelegated;
+    applyPointsAdjustments(row, attachedNotes);
+    row.wasPromoted = wasPromoted;
+    row.wasRelegated = wasRelegated;
+    // Only the notes are read here; the league rules and next season's tables can settle the
+    // flags later (see rsssf/football-data.js).
+    row.flagEvidence = {
+      wasPromoted: wasPromoted ? 'note' : null,
+      wasRelegated: wasRelegated ? 'note' : null,
+    };
     row.wasReElected = wasReElected;
     row.wasReprieved = wasReprieved;
     row.isExpansionTeam = isExpansionTeam;
     row.team = toTitleCase(row.team);
+    row.clubId = resolveClubId(row.team, {
+      season: Number.isNaN(seasonYear) ? null : seasonYear,
+      registry,
+    });
 
     return row;
   });
 
-  const headingInfo = splitHeading(headingLine);
   return {
     heading: headingInfo.heading,
     league: headingInfo.league,
@@ -365,13 +407,13 @@ export function parseCompetitionBlock(text, isFirstDivision) {
 }
 
 export function parseRsssfPage(html, options = {}) {
-  const { source = null } = options;
+  const { source = null, registry } = options;
   const $ = cheerio.load(html);
   const competitions = [];
 
   $('pre').each((_, el) => {
     const text = $(el).text();
-    const competition = parseCompetitionBlock(text, competitions.length === 0);
+    const competition = parseCompetitionBlock(text, competitions.length === 0, { registry });
     if (competition) {
       competitions.push(competition);
     }
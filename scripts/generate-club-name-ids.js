@@ -2,28 +2,55 @@ import * as fs from 'node:fs';
 import * as path from 'node:path';
 import { parse } from 'fast-csv';
 import { fileURLToPath } from 'node:url';
+import { createClubRegistry, nextClubId, sortClubRecords } from '../shared/club-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const inputFile = path.join(__dirname, 'data', 'england.csv');
-const outputFile = path.join(__dirname, 'club_names.json');
-
-const clubSet = new Set();
-
-fs.createReadStream(inputFile)
-  .pipe(parse({ headers: true }))
-  .on('error', (err) => console.error(err))
-  .on('data', (row) => {
-    if (row.home) clubSet.add(row.home.trim());
-    if (row.visitor) clubSet.add(row.visitor.trim());
-  })
-  .on('end', () => {
-    const clubs = Array.from(clubSet).sort();
-    const clubMap = clubs.map((name, index) => ({
-      id: `club_${index + 1}`,
-      name,
-    }));
-    fs.writeFileSync(outputFile, JSON.stringify(clubMap, null, 2));
-    console.log(`Extracted ${clubs.length} unique clubs to ${outputFile}`);
+const rootDir = path.join(__dirname, '..');
+const dataDir = path.join(rootDir, 'data');
+const outputFile = path.join(rootDir, 'club_names.json');
+
+// Existing entries keep their ids, aliases and name history; only names the registry
+// cannot resolve are appended with fresh ids.
+const existing = fs.existsSync(outputFile) ? JSON.parse(fs.readFileSync(outputFile, 'utf8')) : [];
+const registry = createClubRegistry(existing);
+
+const inputFiles = fs
+  .readdirSync(dataDir)
+  .filter((file) => /^england_tier\d+\.csv$/.test(file))
+  .map((file) => path.join(dataDir, file));
+
+/** @type {Map<string, string>} name -> first season seen */
+const unresolved = new Map();
+
+function readCsv(file) {
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(file)
+      .pipe(parse({ headers: true }))
+      .on('error', reject)
+      .on('data', (row) => {
+        for (const name of [row.home, row.visitor]) {
+          const club = name?.trim();
+          if (!club || unresolved.has(club)) continue;
+          if (!registry.resolveId(club, { season: row.Season })) {
+            unresolved.set(club, row.Season);
+          }
+        }
+      })
+      .on('end', resolve);
   });
+}
+
+for (const file of inputFiles) {
+  await readCsv(file);
+}
+
+const added = [];
+for (const name of Array.from(unresolved.keys()).sort()) {
+  added.push({ id: nextClubId([...existing, ...added]), name, aliases: [], nameHistory: [] });
+}
+
+const clubMap = sortClubRecords([...existing, ...added]);
+fs.writeFileSync(outputFile, `${JSON.stringify(clubMap, null, 2)}\n`);
+console.log(`Registry holds ${clubMap.length} clubs (${added.length} added) in ${outputFile}`);
@@ -1,66 +1,60 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { getDefaultClubRegistry } from '../shared/club-registry.js';
+import { getTierDivisions, loadFootballData } from '../wikipedia/generate-output-files.js';
 
-const tier1Path = path.join(process.cwd(), 'data-output', 'tier1_league_tables.json');
-const tier2Path = path.join(process.cwd(), 'data-output', 'tier2_league_tables.json');
+// Produced by `node csv/cli.js build`
+const inputPath = path.join(process.cwd(), 'data-output', 'csv_league_tables_by_season.json');
 const outputPath = path.join(process.cwd(), 'data-output', 'tier1_promotion_relegation_stats.json');
 
-const tier1Data = JSON.parse(fs.readFileSync(tier1Path, 'utf-8'));
-const tier2Data = JSON.parse(fs.readFileSync(tier2Path, 'utf-8'));
-
-/**
- * Returns number of promoted/relegated teams for a given top-flight season
- */
-function getPromotionRelegationCounts(seasonYear) {
-  const year = parseInt(seasonYear.split('-')[0], 10);
-
-  if (year <= 1891) return { relegated: 0, promoted: 0 }; // election era
-  if (year <= 1897) return { relegated: 0, promoted: 0 }; // test matches
-  if (year <= 1980) return { relegated: 2, promoted: 2 };
-  if (year <= 1991) return { relegated: 3, promoted: 3 }; // includes playoffs
-  if (year === 1995) return { relegated: 4, promoted: 2 }; // special reduction
-  return { relegated: 3, promoted: 3 }; // modern Premier League
+if (!fs.existsSync(inputPath)) {
+  console.error(`Missing ${inputPath}; run \`node csv/cli.js build\` first.`);
+  process.exit(1);
 }
 
+const dataset = loadFootballData(inputPath);
+
 /**
- * Calculate promotion/relegation stats using league table positions from both tiers
+ * Count top-flight relegations and promotions into the top flight per club, using the
+ * movements recorded on the tier1/tier2 tables. Rows are counted by `clubId`, so a club's moves
+ * under its old names land on its registry name; rows without an id are counted by name.
  */
-function calculatePromotionsRelegations(t1Data, t2Data) {
-  const seasons = Object.keys(t1Data).sort(
-    (a, b) => parseInt(a.split('-')[0]) - parseInt(b.split('-')[0])
-  );
-  const stats = {}; // { team: { promoted: x, relegated: y } }
+function calculatePromotionsRelegations(data) {
+  const seasons = Object.keys(data.seasons).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  const registry = getDefaultClubRegistry();
+  const byClub = new Map(); // clubId or team -> { team, clubId, promoted, relegated }
+
+  const bump = (row, key) => {
+    const clubKey = row.clubId ?? row.team;
+    const entry = byClub.get(clubKey) ?? {
+      team: (row.clubId && registry.get(row.clubId)?.name) || row.team,
+      clubId: row.clubId ?? null,
+      promoted: 0,
+      relegated: 0,
+    };
+    entry[key] += 1;
+    byClub.set(clubKey, entry);
+  };
 
   for (const season of seasons) {
-    const t1Table = t1Data[season]?.leagueTable || [];
-    const t2Table = t2Data[season]?.leagueTable || [];
-
-    const { relegated, promoted } = getPromotionRelegationCounts(season);
+    const { tier1, tier2 } = data.seasons[season];
 
-    if (relegated > 0 && t1Table.length >= relegated) {
-      // Relegated teams = bottom N in Tier 1
-      const relegatedTeams = t1Table.slice(-relegated).map((t) => t.team);
-      for (const team of relegatedTeams) {
-        stats[team] = stats[team] || { promoted: 0, relegated: 0 };
-        stats[team].relegated += 1;
-      }
+    for (const division of getTierDivisions(tier1)) {
+      division.table.filter((row) => row.wasRelegated).forEach((row) => bump(row, 'relegated'));
     }
-
-    if (promoted > 0 && t2Table.length >= promoted) {
-      // Promoted teams = top N in Tier 2
-      const promotedTeams = t2Table.slice(0, promoted).map((t) => t.team);
-      for (const team of promotedTeams) {
-        stats[team] = stats[team] || { promoted: 0, relegated: 0 };
-        stats[team].promoted += 1;
-      }
+    for (const division of getTierDivisions(tier2)) {
+      division.table.filter((row) => row.wasPromoted).forEach((row) => bump(row, 'promoted'));
     }
   }
 
-  return stats;
+  // { team: { clubId, promoted, relegated } }
+  return Object.fromEntries(
+    Array.from(byClub.values()).map(({ team, ...counts }) => [team, counts])
+  );
 }
 
 // Run calculation
-const result = calculatePromotionsRelegations(tier1Data, tier2Data);
+const result = calculatePromotionsRelegations(dataset);
 
 // Write JSON output
 fs.writeFileSync(outputPath, JSON.stringify(result, null, 2));
@@ -3,7 +3,15 @@
 import { Command } from 'commander';
 import * as fs from 'node:fs';
 import path from 'node:path';
-import { loadFootballData } from '../wikipedia/generate-output-files.js';
+import { normaliseClubName } from '../shared/club-registry.js';
+import { compareByRules, expectedPoints, getLeagueRules } from '../shared/league-rules.js';
+import {
+  getTierDivisions,
+  isParallelTier,
+  loadFootballData,
+} from '../wikipedia/generate-output-files.js';
+import { reconcileInfobox } from '../wikipedia/parse-wiki-infobox.js';
+import { checkSeasonTitles } from '../wikipedia/season-titles.js';
 
 const program = new Command();
 
@@ -89,9 +97,21 @@ function analyzeFile(filePath) {
   for (const [seasonKey, seasonValue] of seasonEntries) {
     const tierEntries = Object.entries(seasonValue).filter(([key]) => /^tier/i.test(key));
     /** @type {Array<TierAnalysis>} */
-    const tierAnalyses = tierEntries.map(([tierKey, tierValue]) =>
-      analyzeTier(seasonKey, tierKey, tierValue)
-    );
+    const tierAnalyses = tierEntries.flatMap(([tierKey, tierValue]) => {
+      if (!isParallelTier(tierValue)) {
+        return [analyzeTier(seasonKey, tierKey, tierValue)];
+      }
+      return [
+        analyzeParallelTier(seasonKey, tierKey, tierValue),
+        ...getTierDivisions(tierValue).map((division) =>
+          analyzeTier(
+            seasonKey,
+            `${tierKey} ${division.section || division.division || '?'}`,
+            division
+          )
+        ),
+      ];
+    });
 
     const seasonHasContent = tierAnalyses.some((entry) => entry.hasContent);
     if (!tierEntries.length || !seasonHasContent) {
@@ -107,6 +127,28 @@ function analyzeFile(filePath) {
     for (const tierAnalysis of tierAnalyses) {
       issues.push(...tierAnalysis.issues);
     }
+
+    const titles = seasonValue.seasonInfo?.titles;
+    const seasonNumber = parseSeasonNumber(seasonKey);
+    if (Array.isArray(titles) && seasonNumber != null) {
+      for (const { tier, message } of checkSeasonTitles(titles, seasonValue, seasonNumber)) {
+        issues.push(createIssue({ type: 'title-summary', season: seasonKey, tier, message }));
+      }
+    }
+
+    const infobox = seasonValue.seasonInfo?.infobox;
+    if (infobox) {
+      for (const { message } of reconcileInfobox(infobox, seasonValue)) {
+        issues.push(
+          createIssue({
+            type: 'infobox-disagreement',
+            season: seasonKey,
+            tier: 'seasonInfo',
+            message,
+          })
+        );
+      }
+    }
   }
 
   issues.sort((a, b) => {
@@ -222,6 +264,12 @@ function analyzeTier(seasonKey, tierKey, tierValue) {
     );
   }
 
+  const tierNumber = parseTierNumber(tierKey);
+  if (tierMeta.normalisedSeasonKey != null && tierNumber != null) {
+    const rules = getLeagueRules(tierMeta.normalisedSeasonKey, { tier: tierNumber });
+    tierIssues.push(...checkAgainstRules(seasonKey, tierKey, tierMeta, rules));
+  }
+
   if (tierMeta.hasExplicitPromotedList) {
     const flaggedPromoted = tierMeta.table.filter((row) => row.wasPromoted).map((row) => row.team);
     const missingPromoted = flaggedPromoted.filter(
@@ -292,6 +340,170 @@ function analyzeTier(seasonKey, tierKey, tierValue) {
   };
 }
 
+/**
+ * Checks driven by the season's league rules: points totals, table order and how many clubs
+ * can have moved up or down.
+ * @param {string} seasonKey
+ * @param {string} tierKey
+ * @param {ReturnType<typeof extractTierMeta>} tierMeta
+ * @param {import('../shared/league-rules.js').LeagueRules} rules
+ * @returns {Issue[]}
+ */
+function checkAgainstRules(seasonKey, tierKey, tierMeta, rules) {
+  const tierIssues = [];
+
+  const pointsMismatch = tierMeta.table
+    .filter((row) => Number.isFinite(row.points))
+    .filter((row) => {
+      const expected = expectedPoints(row, rules);
+      return expected != null && expected !== row.points;
+    })
+    .map((row) => `${row.team} (${row.points}, expected ${expectedPoints(row, rules)})`);
+
+  if (pointsMismatch.length) {
+    tierIssues.push(
+      createIssue({
+        type: 'points-mismatch',
+        season: seasonKey,
+        tier: tierKey,
+        message: `Points do not match ${rules.pointsForWin} for a win/${
+          rules.pointsForDraw
+        } for a draw, less recorded deductions, for: ${pointsMismatch.join(', ')}`,
+      })
+    );
+  }
+
+  const ranked = tierMeta.table
+    .filter((row) => Number.isFinite(row.pos))
+    .sort((a, b) => a.pos - b.pos);
+  const outOfOrder = ranked
+    .slice(1)
+    .filter((row, index) => compareByRules(ranked[index], row, rules) > 0)
+    .map((row) => row.team);
+
+  if (outOfOrder.length) {
+    tierIssues.push(
+      createIssue({
+        type: 'table-order',
+        season: seasonKey,
+        tier: tierKey,
+        message: `Ranked below a team with worse points/${rules.tiebreakers.join(
+          '/'
+        )}: ${outOfOrder.join(', ')}`,
+      })
+    );
+  }
+
+  const testMatchPlaces = rules.testMatches?.clubs ?? 0;
+  const movements = [
+    { type: 'promotion-places', places: rules.promotion, moved: tierMeta.promoted },
+    // Clubs voted out in re-election years are not counted against the relegation places.
+    {
+      type: 'relegation-places',
+      places: rules.reElection ? null : rules.relegation,
+      moved: tierMeta.relegated,
+    },
+  ];
+  for (const { type, places, moved } of movements) {
+    if (!places) continue;
+    const limit = places.automatic + places.playoff + testMatchPlaces;
+    if (moved.length > limit) {
+      tierIssues.push(
+        createIssue({
+          type,
+          season: seasonKey,
+          tier: tierKey,
+          message: `${moved.length} clubs listed but the rules allow at most ${limit}: ${moved.join(
+            ', '
+          )}`,
+        })
+      );
+    }
+  }
+
+  const playoffWinner = tierMeta.playoffs?.winner;
+  if (
+    playoffWinner &&
+    tierMeta.hasExplicitPromotedList &&
+    rules.promotion?.playoff &&
+    !tierMeta.promoted.some((team) => normaliseClubName(team) === normaliseClubName(playoffWinner))
+  ) {
+    tierIssues.push(
+      createIssue({
+        type: 'playoff-winner',
+        season: seasonKey,
+        tier: tierKey,
+        message: `Play-off final winner ${playoffWinner} is missing from the promoted list`,
+      })
+    );
+  }
+
+  return tierIssues;
+}
+
+/**
+ * Checks that span the parallel divisions of a split tier; each division's own table is
+ * checked separately by `analyzeTier`.
+ * @param {string} seasonKey
+ * @param {string} tierKey
+ * @param {import('../wikipedia/models/output-file').TierData} tierValue
+ * @returns {TierAnalysis}
+ */
+function analyzeParallelTier(seasonKey, tierKey, tierValue) {
+  const divisions = getTierDivisions(tierValue);
+  const tierIssues = [];
+
+  const sectionLabels = divisions.map((division) => division.section || division.division);
+  const duplicateSections = findDuplicates(sectionLabels, normalizeName);
+  if (duplicateSections.length) {
+    tierIssues.push(
+      createIssue({
+        type: 'duplicate-divisions',
+        season: seasonKey,
+        tier: tierKey,
+        message: `Division listed more than once: ${duplicateSections.join(', ')}`,
+      })
+    );
+  }
+
+  const teamsAcrossDivisions = findDuplicates(
+    divisions.flatMap((division) => division.table.map((row) => row.team)),
+    normalizeName
+  );
+  if (teamsAcrossDivisions.length) {
+    tierIssues.push(
+      createIssue({
+        type: 'duplicate-teams',
+        season: seasonKey,
+        tier: tierKey,
+        message: `Teams appear in more than one division: ${teamsAcrossDivisions.join(', ')}`,
+      })
+    );
+  }
+
+  for (const field of /** @type {const} */ (['promoted', 'relegated'])) {
+    const listed = Array.isArray(tierValue[field]) ? tierValue[field] : [];
+    const missing = divisions
+      .flatMap((division) => division[field] || [])
+      .filter((team) => !listed.some((entry) => namesMatch(entry, team)));
+    if (missing.length) {
+      tierIssues.push(
+        createIssue({
+          type: `${field}-mismatch`,
+          season: seasonKey,
+          tier: tierKey,
+          message: `Tier ${field} list missing division entries: ${missing.join(', ')}`,
+        })
+      );
+    }
+  }
+
+  return {
+    hasContent: divisions.some((division) => division.table.length > 0),
+    issues: tierIssues,
+  };
+}
+
 /**
  * @param {import('../wikipedia/models/output-file').TierData | import('../wikipedia/models/output-file').LeagueTableEntry[]} tierValue
  * @param {string} seasonKey
@@ -318,6 +530,7 @@ function extractTierMeta(tierValue, seasonKey) {
     hasExplicitPromotedList,
     hasExplicitRelegatedList,
     hasContent: Boolean(table.length || promoted.length || relegated.length),
+    playoffs: !Array.isArray(tierValue) ? tierValue.playoffs ?? null : null,
     seasonNumber:
       !Array.isArray(tierValue) && typeof tierValue.season === 'number' ? tierValue.season : null,
     normalisedSeasonKey: normSeason,
@@ -389,6 +602,14 @@ function parseSeasonNumber(seasonKey) {
   return Number.isFinite(numeric) ? numeric : null;
 }
 
+/**
+ * @param {string} tierKey - e.g. `tier3` or `tier3 North`.
+ */
+function parseTierNumber(tierKey) {
+  const match = /^tier(\d+)/i.exec(tierKey);
+  return match ? Number.parseInt(match[1], 10) : null;
+}
+
 /**
  * @param {string} a
  * @param {string} b
@@ -3,6 +3,8 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
 import { fileURLToPath } from 'node:url';
+import { expectedPoints, getLeagueRules } from '../shared/league-rules.js';
+import { getTierDivisions, isParallelTier } from '../wikipedia/generate-output-files.js';
 
 const DEFAULT_DATA_PATH = path.resolve(
   process.cwd(),
@@ -53,8 +55,27 @@ export function verifyOverviewDataset(dataset) {
       seasonWarnings.push('No tier entries discovered for season');
     }
 
+    // Regional sections (e.g. National League North/South) are parallel tables in one tier.
+    const tableEntries = tierEntries.flatMap(([tierKey, tierValue]) => {
+      if (!isParallelTier(tierValue)) {
+        return [{ tierKey, tierValue, label: describeTierKey(tierKey) }];
+      }
+      if (Array.isArray(tierValue.table) && tierValue.table.length) {
+        seasonWarnings.push(
+          `${describeTierKey(tierKey)}: split tier also has its own table of ${
+            tierValue.table.length
+          } rows`
+        );
+      }
+      return getTierDivisions(tierValue).map((division) => ({
+        tierKey,
+        tierValue: division,
+        label: `${describeTierKey(tierKey)} ${division.section || division.division || '?'}`,
+      }));
+    });
+
     const declaredTableCount = seasonInfo?.tableCount ?? null;
-    const actualTableCount = tierEntries.length;
+    const actualTableCount = tableEntries.length;
 
     if (declaredTableCount != null && declaredTableCount !== actualTableCount) {
       seasonWarnings.push(
@@ -62,8 +83,15 @@ export function verifyOverviewDataset(dataset) {
       );
     }
 
+    const declaredTierCount = seasonInfo?.tierCount ?? null;
+    if (declaredTierCount != null && declaredTierCount !== tierEntries.length) {
+      seasonWarnings.push(
+        `Tier count mismatch: seasonInfo.tierCount=${declaredTierCount}, actual=${tierEntries.length}`
+      );
+    }
+
     const tierNumbers = tierEntries.map(([key]) => Number(key.slice(4)));
-    const expectedSequence = Array.from({ length: actualTableCount }, (_, i) => i + 1);
+    const expectedSequence = Array.from({ length: tierEntries.length }, (_, i) => i + 1);
     const hasSequentialTiers =
       tierNumbers.length === expectedSequence.length &&
       tierNumbers.every((value, index) => value === expectedSequence[index]);
@@ -74,9 +102,12 @@ export function verifyOverviewDataset(dataset) {
       );
     }
 
-    tierEntries.forEach(([tierKey, tierValue], index) => {
+    tableEntries.forEach(({ tierKey, tierValue, label }, index) => {
+      const rules = getLeagueRules(Number.parseInt(seasonKey, 10), {
+        tier: Number(tierKey.slice(4)),
+      });
       const tierTitle = tierValue?.title || '(untitled league)';
-      const tierLabel = `${describeTierKey(tierKey)} (${tierTitle})`;
+      const tierLabel = `${label} (${tierTitle})`;
       const tableRows = Array.isArray(tierValue?.table) ? tierValue.table : null;
       const seasonMeta = tierValue?.seasonMetadata || {};
 
@@ -98,7 +129,7 @@ export function verifyOverviewDataset(dataset) {
 
       if (seasonMeta.tableCount != null && seasonMeta.tableCount !== actualTableCount) {
         seasonWarnings.push(
-          `${tierLabel}: seasonMetadata.tableCount=${seasonMeta.tableCount} but season has ${actualTableCount} tiers`
+          `${tierLabel}: seasonMetadata.tableCount=${seasonMeta.tableCount} but season has ${actualTableCount} tables`
         );
       }
 
@@ -133,6 +164,14 @@ export function verifyOverviewDataset(dataset) {
           }
         }
 
+        const expected = expectedPoints(row ?? {}, rules);
+        if (Number.isFinite(row?.points) && expected != null && expected !== row.points) {
+          const adjusted = row.pointsDeducted || row.pointsAwarded ? ' after adjustments' : '';
+          seasonWarnings.push(
+            `${rowLabel}: ${teamName} has ${row.points} points, expected ${expected}${adjusted}`
+          );
+        }
+
         if (normalizedTeam) {
           if (seenTeams.has(normalizedTeam)) {
             const firstRow = seenTeams.get(normalizedTeam);
@@ -0,0 +1,287 @@
+// @ts-check
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_CLUB_REGISTRY_PATH = path.join(__dirname, '..', 'club_names.json');
+
+// Suffixes/prefixes that sources add or drop freely ("Harrogate Town A.F.C.", "Everton F.C.").
+const CLUB_SUFFIX_TOKENS = new Set(['fc', 'afc']);
+
+/**
+ * @typedef {Object} ClubNameSpan
+ * @property {string} name
+ * @property {number | null} from - First season (start year) the name was used, inclusive.
+ * @property {number | null} to - Last season (start year) the name was used, inclusive.
+ */
+
+/**
+ * @typedef {Object} ClubRecord
+ * @property {string} id - Stable registry id, e.g. `club_14`.
+ * @property {string} name - Canonical name, as spelled in the match CSVs.
+ * @property {string[]} aliases - Spellings used by other sources in any season.
+ * @property {ClubNameSpan[]} nameHistory - Names the club played under, with season ranges.
+ */
+
+/**
+ * @typedef {Object} ClubRegistry
+ * @property {ClubRecord[]} clubs
+ * @property {(id: string) => ClubRecord | null} get
+ * @property {(name: string | null | undefined, options?: { season?: number | string | null }) => ClubRecord | null} resolve
+ * @property {(name: string | null | undefined, options?: { season?: number | string | null }) => string | null} resolveId
+ * @property {(id: string, season: number | string) => string | null} nameForSeason
+ */
+
+/**
+ * Lookup key for a club name: case, accents, punctuation, footnote markers and `&`/`and`
+ * differences are ignored, so "Brighton & Hove Albion" and "BRIGHTON AND HOVE ALBION[a]"
+ * share a key.
+ * @param {string | null | undefined} name
+ * @param {{ dropSuffixes?: boolean }} [options] - Also drop "F.C."/"A.F.C." tokens.
+ */
+export function normaliseClubName(name, { dropSuffixes = false } = {}) {
+  if (name == null) return '';
+  const tokens = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  const kept = dropSuffixes ? tokens.filter((token) => !CLUB_SUFFIX_TOKENS.has(token)) : tokens;
+  return kept.join(' ');
+}
+
+/**
+ * Whether two spellings name the same club, ignoring what `normaliseClubName` ignores and
+ * "F.C."/"A.F.C." tokens. For names read from one page, where the registry is not needed.
+ * @param {string | null | undefined} a
+ * @param {string | null | undefined} b
+ */
+export function sameClub(a, b) {
+  return (
+    normaliseClubName(a, { dropSuffixes: true }) === normaliseClubName(b, { dropSuffixes: true })
+  );
+}
+
+/**
+ * @param {unknown} value
+ */
+function toSeasonYear(value) {
+  if (value == null || value === '') return null;
+  const parsed = Number.parseInt(String(value), 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * @param {unknown} raw
+ * @param {number} index
+ * @returns {ClubRecord}
+ */
+function normaliseClubRecord(raw, index) {
+  const record = /** @type {Record<string, unknown>} */ (raw && typeof raw === 'object' ? raw : {});
+  const id = typeof record.id === 'string' ? record.id.trim() : '';
+  const name = typeof record.name === 'string' ? record.name.trim() : '';
+  if (!id || !name) {
+    throw new TypeError(`Club registry entry ${index} needs an id and a name`);
+  }
+
+  const aliases = Array.isArray(record.aliases)
+    ? record.aliases.filter((alias) => typeof alias === 'string' && alias.trim())
+    : [];
+  const nameHistory = Array.isArray(record.nameHistory)
+    ? record.nameHistory
+        .filter((span) => span && typeof span.name === 'string' && span.name.trim())
+        .map((span) => ({
+          name: span.name.trim(),
+          from: toSeasonYear(span.from),
+          to: toSeasonYear(span.to),
+        }))
+    : [];
+
+  return { id, name, aliases, nameHistory };
+}
+
+/**
+ * Build a registry over canonical club records. Names resolve to a club id; when the same
+ * name has belonged to different clubs (e.g. "Accrington" in 1888 and in 2006) the season
+ * decides, and a name-history span covering the season beats an undated name or alias.
+ * @param {unknown[]} entries
+ * @returns {ClubRegistry}
+ */
+export function createClubRegistry(entries) {
+  const clubs = (Array.isArray(entries) ? entries : []).map(normaliseClubRecord);
+
+  /** @type {Map<string, ClubRecord>} */
+  const byId = new Map();
+  /** @type {Map<string, Array<{ club: ClubRecord; from: number | null; to: number | null }>>} */
+  const strictIndex = new Map();
+  /** @type {Map<string, Array<{ club: ClubRecord; from: number | null; to: number | null }>>} */
+  const looseIndex = new Map();
+
+  /**
+   * @param {ClubRecord} club
+   * @param {string} name
+   * @param {number | null} from
+   * @param {number | null} to
+   */
+  const addName = (club, name, from, to) => {
+    const keys = [
+      { index: strictIndex, key: normaliseClubName(name) },
+      { index: looseIndex, key: normaliseClubName(name, { dropSuffixes: true }) },
+    ];
+    for (const { index, key } of keys) {
+      if (!key) continue;
+      const candidates = index.get(key) || [];
+      candidates.push({ club, from, to });
+      index.set(key, candidates);
+    }
+  };
+
+  for (const club of clubs) {
+    if (byId.has(club.id)) {
+      throw new Error(`Duplicate club id in registry: ${club.id}`);
+    }
+    byId.set(club.id, club);
+    addName(club, club.name, null, null);
+    club.aliases.forEach((alias) => addName(club, alias, null, null));
+    club.nameHistory.forEach((span) => addName(club, span.name, span.from, span.to));
+  }
+
+  /**
+   * @param {Array<{ club: ClubRecord; from: number | null; to: number | null }>} candidates
+   * @param {number | null} season
+   */
+  const pick = (candidates, season) => {
+    const isDated = (/** @type {{ from: number | null; to: number | null }} */ c) =>
+      c.from != null || c.to != null;
+    let pool = candidates;
+    if (season != null) {
+      pool = pool.filter(
+        (c) => (c.from == null || c.from <= season) && (c.to == null || season <= c.to)
+      );
+      const dated = pool.filter(isDated);
+      if (dated.length) pool = dated;
+    } else {
+      const undated = pool.filter((c) => !isDated(c));
+      if (undated.length) pool = undated;
+    }
+    const ids = new Set(pool.map((c) => c.club.id));
+    return ids.size === 1 ? pool[0].club : null;
+  };
+
+  /** @type {ClubRegistry['resolve']} */
+  const resolve = (name, { season = null } = {}) => {
+    const seasonYear = toSeasonYear(season);
+    const strict = strictIndex.get(normaliseClubName(name));
+    if (strict) return pick(strict, seasonYear);
+    const loose = looseIndex.get(normaliseClubName(name, { dropSuffixes: true }));
+    return loose ? pick(loose, seasonYear) : null;
+  };
+
+  return {
+    clubs,
+    get: (id) => byId.get(id) || null,
+    resolve,
+    resolveId: (name, options) => resolve(name, options)?.id ?? null,
+    nameForSeason(id, season) {
+      const club = byId.get(id);
+      if (!club) return null;
+      const seasonYear = toSeasonYear(season);
+      const span = club.nameHistory.find(
+        (entry) =>
+          seasonYear != null &&
+          (entry.from == null || entry.from <= seasonYear) &&
+          (entry.to == null || seasonYear <= entry.to)
+      );
+      return span ? span.name : club.name;
+    },
+  };
+}
+
+/**
+ * Next unused `club_N` id for a list of registry entries.
+ * @param {Array<{ id: string }>} clubs
+ */
+export function nextClubId(clubs) {
+  const highest = clubs.reduce((max, club) => {
+    const number = Number.parseInt(String(club.id).replace(/^club_/, ''), 10);
+    return Number.isFinite(number) ? Math.max(max, number) : max;
+  }, 0);
+  return `club_${highest + 1}`;
+}
+
+/**
+ * Registry file order: by canonical name, byte-wise, so regenerated files diff cleanly.
+ * @template {{ name: string }} T
+ * @param {T[]} clubs
+ * @returns {T[]}
+ */
+export function sortClubRecords(clubs) {
+  return [...clubs].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/**
+ * @param {string} [filePath]
+ * @returns {ClubRegistry}
+ */
+export function loadClubRegistry(filePath = DEFAULT_CLUB_REGISTRY_PATH) {
+  return createClubRegistry(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/** @type {ClubRegistry | null} */
+let defaultRegistry = null;
+
+/**
+ * Registry loaded from `club_names.json`, shared by every parser in the process.
+ */
+export function getDefaultClubRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = loadClubRegistry();
+  }
+  return defaultRegistry;
+}
+
+/**
+ * Resolve a club name as it appeared in a given season to its registry id.
+ * @param {string | null | undefined} name
+ * @param {{ season?: number | string | null; registry?: ClubRegistry }} [options]
+ */
+export function resolveClubId(name, { season = null, registry = getDefaultClubRegistry() } = {}) {
+  return registry.resolveId(name, { season });
+}
+
+/**
+ * Keys a table row is matched on across seasons: its registry id (resolved for `season` when
+ * the row has none), then its normalised name. The name catches clubs whose id is dated, e.g.
+ * "Birmingham" only resolves before it became Birmingham City.
+ * @param {{ team?: string | null; clubId?: string | null }} row
+ * @param {{ season?: number | string | null; registry?: ClubRegistry }} [options]
+ * @returns {string[]}
+ */
+export function clubMatchKeys(row, { season = null, registry } = {}) {
+  const clubId =
+    row.clubId ?? (season != null ? resolveClubId(row.team, { season, registry }) : null);
+  const name = `name:${normaliseClubName(row.team, { dropSuffixes: true })}`;
+  return clubId ? [clubId, name] : [name];
+}
+
+export default {
+  DEFAULT_CLUB_REGISTRY_PATH,
+  clubMatchKeys,
+  createClubRegistry,
+  getDefaultClubRegistry,
+  loadClubRegistry,
+  nextClubId,
+  normaliseClubName,
+  resolveClubId,
+  sameClub,
+  sortClubRecords,
+};
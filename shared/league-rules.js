@@ -0,0 +1,393 @@
+// @ts-check
+
+/**
+ * Era-aware rules for English league football, keyed by season and competition. Table
+ * computation, sorting and verification read points, tiebreakers and movement places from
+ * here instead of hard-coding season boundaries.
+ */
+
+/**
+ * @typedef {'football-league' | 'premier-league' | 'non-league'} Competition
+ * @typedef {'goalAverage' | 'goalDifference' | 'goalsFor'} Tiebreaker
+ */
+
+/**
+ * @typedef {Object} MovementPlaces
+ * @property {number} automatic - Clubs moving directly on league position.
+ * @property {number} playoff - Clubs moving through play-offs.
+ */
+
+/**
+ * @typedef {Object} PlayoffFormat
+ * @property {number} clubs - Clubs from this division entering the promotion play-offs.
+ * @property {boolean} withHigherDivision - The higher division's club above the automatic
+ *   relegation places joins the play-offs (1986–87 and 1987–88).
+ * @property {'two-legged' | 'single'} final
+ */
+
+/**
+ * @typedef {Object} TestMatchFormat
+ * @property {number} clubs - Clubs from each of the two divisions contesting the test matches.
+ */
+
+/**
+ * @typedef {Object} LeagueRules
+ * @property {number} season - Start year of the season.
+ * @property {number} tier - Level of the pyramid, 1 being the top flight.
+ * @property {Competition} competition
+ * @property {number} pointsForWin
+ * @property {number} pointsForDraw
+ * @property {Tiebreaker[]} tiebreakers - Applied in order to clubs level on points.
+ * @property {MovementPlaces | null} promotion - Places out of the division upwards; `null`
+ *   when unknown for the competition.
+ * @property {MovementPlaces | null} relegation - Places out of the division downwards.
+ * @property {PlayoffFormat | null} playoffs
+ * @property {TestMatchFormat | null} testMatches
+ * @property {boolean} reElection - Bottom clubs applied for re-election instead of dropping.
+ */
+
+/**
+ * @typedef {Object} MovementEra
+ * @property {number} from - First season, inclusive.
+ * @property {number | null} to - Last season, inclusive; `null` while current.
+ * @property {[number, number]} promotion - `[automatic, playoff]`.
+ * @property {[number, number]} relegation - `[automatic, playoff]`.
+ * @property {number} [testMatches] - Clubs per division in the test matches.
+ * @property {boolean} [reElection]
+ */
+
+// Three points for a win from 1981–82.
+const THREE_POINTS_FROM = 1981;
+const PREMIER_LEAGUE_FROM = 1992;
+
+/**
+ * Football League tiebreakers. Goal difference replaced goal average from 1976–77; between
+ * 1992–93 and 1998–99 the League (unlike the Premier League) put goals scored first.
+ * @type {Array<{ from: number; to: number | null; tiebreakers: Tiebreaker[] }>}
+ */
+const FOOTBALL_LEAGUE_TIEBREAKERS = [
+  { from: 1888, to: 1975, tiebreakers: ['goalAverage'] },
+  { from: 1976, to: 1991, tiebreakers: ['goalDifference', 'goalsFor'] },
+  { from: 1992, to: 1998, tiebreakers: ['goalsFor', 'goalDifference'] },
+  { from: 1999, to: null, tiebreakers: ['goalDifference', 'goalsFor'] },
+];
+
+/**
+ * Football League movement places per tier. Regional sections (Third Division North/South)
+ * are counted per division. One-off seasons cover league expansion (1990–91) and the Premier
+ * League's reduction to 20 clubs (1994–95).
+ * @type {Record<number, MovementEra[]>}
+ */
+const MOVEMENT_ERAS = {
+  1: [
+    { from: 1888, to: 1891, promotion: [0, 0], relegation: [0, 0], reElection: true },
+    { from: 1892, to: 1892, promotion: [0, 0], relegation: [0, 0], testMatches: 3 },
+    { from: 1893, to: 1897, promotion: [0, 0], relegation: [0, 0], testMatches: 2 },
+    { from: 1898, to: 1972, promotion: [0, 0], relegation: [2, 0] },
+    { from: 1973, to: 1985, promotion: [0, 0], relegation: [3, 0] },
+    { from: 1986, to: 1987, promotion: [0, 0], relegation: [3, 1] },
+    { from: 1988, to: 1989, promotion: [0, 0], relegation: [3, 0] },
+    { from: 1990, to: 1990, promotion: [0, 0], relegation: [2, 0] },
+    { from: 1991, to: 1993, promotion: [0, 0], relegation: [3, 0] },
+    { from: 1994, to: 1994, promotion: [0, 0], relegation: [4, 0] },
+    { from: 1995, to: null, promotion: [0, 0], relegation: [3, 0] },
+  ],
+  2: [
+    {
+      from: 1892,
+      to: 1892,
+      promotion: [0, 0],
+      relegation: [0, 0],
+      testMatches: 3,
+      reElection: true,
+    },
+    {
+      from: 1893,
+      to: 1897,
+      promotion: [0, 0],
+      relegation: [0, 0],
+      testMatches: 2,
+      reElection: true,
+    },
+    { from: 1898, to: 1919, promotion: [2, 0], relegation: [0, 0], reElection: true },
+    { from: 1920, to: 1920, promotion: [2, 0], relegation: [1, 0] },
+    { from: 1921, to: 1972, promotion: [2, 0], relegation: [2, 0] },
+    { from: 1973, to: 1985, promotion: [3, 0], relegation: [3, 0] },
+    { from: 1986, to: 1987, promotion: [2, 1], relegation: [2, 1] },
+    { from: 1988, to: 1989, promotion: [2, 1], relegation: [3, 0] },
+    { from: 1990, to: 1990, promotion: [3, 1], relegation: [2, 0] },
+    { from: 1991, to: 1993, promotion: [2, 1], relegation: [3, 0] },
+    { from: 1994, to: 1994, promotion: [1, 1], relegation: [4, 0] },
+    { from: 1995, to: null, promotion: [2, 1], relegation: [3, 0] },
+  ],
+  3: [
+    { from: 1920, to: 1957, promotion: [1, 0], relegation: [0, 0], reElection: true },
+    { from: 1958, to: 1972, promotion: [2, 0], relegation: [4, 0] },
+    { from: 1973, to: 1985, promotion: [3, 0], relegation: [4, 0] },
+    { from: 1986, to: 1987, promotion: [2, 1], relegation: [3, 1] },
+    { from: 1988, to: 1989, promotion: [2, 1], relegation: [4, 0] },
+    { from: 1990, to: 1990, promotion: [3, 1], relegation: [3, 0] },
+    { from: 1991, to: 1993, promotion: [2, 1], relegation: [4, 0] },
+    { from: 1994, to: 1994, promotion: [1, 1], relegation: [5, 0] },
+    { from: 1995, to: null, promotion: [2, 1], relegation: [4, 0] },
+  ],
+  4: [
+    { from: 1958, to: 1985, promotion: [4, 0], relegation: [0, 0], reElection: true },
+    { from: 1986, to: 1989, promotion: [3, 1], relegation: [1, 0] },
+    { from: 1990, to: 1990, promotion: [4, 1], relegation: [0, 0] },
+    { from: 1991, to: 2001, promotion: [3, 1], relegation: [1, 0] },
+    { from: 2002, to: null, promotion: [3, 1], relegation: [2, 0] },
+  ],
+};
+
+/**
+ * Promotion play-off formats; the number of places comes from `MOVEMENT_ERAS`.
+ * @type {Array<{ from: number; to: number | null; format: PlayoffFormat }>}
+ */
+const PLAYOFF_ERAS = [
+  { from: 1986, to: 1987, format: { clubs: 3, withHigherDivision: true, final: 'two-legged' } },
+  { from: 1988, to: 1988, format: { clubs: 4, withHigherDivision: false, final: 'two-legged' } },
+  { from: 1989, to: null, format: { clubs: 4, withHigherDivision: false, final: 'single' } },
+];
+
+/**
+ * @template {{ from: number; to: number | null }} T
+ * @param {T[]} eras
+ * @param {number} season
+ * @returns {T | null}
+ */
+function findEra(eras, season) {
+  return eras.find((era) => season >= era.from && (era.to == null || season <= era.to)) ?? null;
+}
+
+/**
+ * @param {[number, number]} places
+ * @returns {MovementPlaces}
+ */
+function toPlaces([automatic, playoff]) {
+  return { automatic, playoff };
+}
+
+/**
+ * The competition a tier belonged to in a season: the top flight became the Premier League in
+ * 1992–93, tiers 1–4 are otherwise the Football League and anything lower is non-league.
+ * @param {number} season
+ * @param {number} tier
+ * @returns {Competition}
+ */
+export function competitionFor(season, tier) {
+  if (tier >= 5) return 'non-league';
+  if (tier === 1 && season >= PREMIER_LEAGUE_FROM) return 'premier-league';
+  return 'football-league';
+}
+
+/** @type {Array<[RegExp, number]>} */
+const DIVISION_ORDINALS = [
+  [/\b(?:first|one|1)\b/i, 1],
+  [/\b(?:second|two|2)\b/i, 2],
+  [/\b(?:third|three|3)\b/i, 3],
+  [/\b(?:fourth|four|4)\b/i, 4],
+];
+
+// Non-league competitions whose names borrow League wording ("Conference Premier").
+const NON_LEAGUE_NAME = /\b(?:conference|national league|northern|southern|isthmian|alliance)\b/i;
+
+/**
+ * Level of the pyramid a division was played at, read from its name: the Premier League is
+ * level 1 and, from 1992–93, "First Division"/"Division One" is level 2. `null` when the name
+ * does not say (e.g. "League table") or is not a Premier League or Football League division.
+ * @param {string | null | undefined} name
+ * @param {number | null} season - Start year of the season.
+ * @returns {number | null}
+ */
+export function divisionLevel(name, season) {
+  const text = String(name || '');
+  if (NON_LEAGUE_NAME.test(text)) return null;
+  if (/\bpremier\s*(?:league|ship)\b|^\s*premiership\b/i.test(text)) return 1;
+  if (/\bchampionship\b/i.test(text)) return 2;
+  if (/\bleague\s+one\b/i.test(text)) return 3;
+  if (/\bleague\s+two\b/i.test(text)) return 4;
+
+  const ordinal = DIVISION_ORDINALS.find(([pattern]) => pattern.test(text));
+  if (ordinal && /\bdivision\b/i.test(text)) {
+    return season != null && season >= PREMIER_LEAGUE_FROM ? ordinal[1] + 1 : ordinal[1];
+  }
+  // Before the Second Division (1892–93) the Football League was a single division.
+  if (/^\s*(?:the\s+)?football\s+league\s*$/i.test(text)) return 1;
+  return null;
+}
+
+/**
+ * Rules in force for one division in a season.
+ * @param {number} season - Start year of the season.
+ * @param {{ tier?: number; competition?: Competition }} [options] - `competition` defaults to
+ *   the one implied by `tier`.
+ * @returns {LeagueRules}
+ */
+export function getLeagueRules(season, { tier = 1, competition } = {}) {
+  const resolvedCompetition = competition ?? competitionFor(season, tier);
+  const modern = resolvedCompetition !== 'football-league';
+  const movement =
+    resolvedCompetition === 'non-league' ? null : findEra(MOVEMENT_ERAS[tier] ?? [], season);
+  const promotion = movement ? toPlaces(movement.promotion) : null;
+  const relegation = movement ? toPlaces(movement.relegation) : null;
+
+  return {
+    season,
+    tier,
+    competition: resolvedCompetition,
+    // Non-league tables are only scraped from 1991–92, by when three points were universal.
+    pointsForWin: modern || season >= THREE_POINTS_FROM ? 3 : 2,
+    pointsForDraw: 1,
+    tiebreakers: modern
+      ? ['goalDifference', 'goalsFor']
+      : [...(findEra(FOOTBALL_LEAGUE_TIEBREAKERS, season)?.tiebreakers ?? ['goalAverage'])],
+    promotion,
+    relegation,
+    playoffs: promotion?.playoff ? findEra(PLAYOFF_ERAS, season)?.format ?? null : null,
+    testMatches: movement?.testMatches ? { clubs: movement.testMatches } : null,
+    reElection: Boolean(movement?.reElection),
+  };
+}
+
+/**
+ * Goals for divided by goals against, to three decimals; `null` when nothing was conceded.
+ * @param {number} goalsFor
+ * @param {number} goalsAgainst
+ */
+export function goalAverage(goalsFor, goalsAgainst) {
+  if (goalsAgainst === 0) return null;
+  return Math.round((goalsFor / goalsAgainst) * 1000) / 1000;
+}
+
+/**
+ * Points a record earns under the rules, before any deduction; `null` if it is incomplete.
+ * @param {{ won?: number | null; drawn?: number | null }} row
+ * @param {LeagueRules} rules
+ */
+export function pointsForRecord(row, rules) {
+  if (!Number.isFinite(row.won) || !Number.isFinite(row.drawn)) return null;
+  return (
+    /** @type {number} */ (row.won) * rules.pointsForWin +
+    /** @type {number} */ (row.drawn) * rules.pointsForDraw
+  );
+}
+
+/**
+ * Points a record should show once its recorded deductions and awards are applied; `null` if
+ * the record is incomplete.
+ * @param {{ won?: number | null; drawn?: number | null; pointsDeducted?: number | null; pointsAwarded?: number | null }} row
+ * @param {LeagueRules} rules
+ */
+export function expectedPoints(row, rules) {
+  const earned = pointsForRecord(row, rules);
+  if (earned == null) return null;
+  return earned - (row.pointsDeducted ?? 0) + (row.pointsAwarded ?? 0);
+}
+
+/**
+ * @typedef {Object} RankableRow
+ * @property {string | null} [team]
+ * @property {number | null} [points]
+ * @property {number | null} [goalsFor]
+ * @property {number | null} [goalsAgainst]
+ * @property {number | null} [goalDifference]
+ * @property {number | null} [goalAverage]
+ */
+
+/**
+ * @param {RankableRow} row
+ * @param {Tiebreaker} tiebreaker
+ */
+function tiebreakValue(row, tiebreaker) {
+  const goalsFor = row.goalsFor ?? null;
+  const goalsAgainst = row.goalsAgainst ?? null;
+  switch (tiebreaker) {
+    case 'goalAverage':
+      if (row.goalAverage != null) return row.goalAverage;
+      if (goalsFor == null || goalsAgainst == null) return null;
+      // A side that conceded nothing has an unbounded average.
+      return goalAverage(goalsFor, goalsAgainst) ?? Infinity;
+    case 'goalDifference':
+      if (row.goalDifference != null) return row.goalDifference;
+      return goalsFor == null || goalsAgainst == null ? null : goalsFor - goalsAgainst;
+    case 'goalsFor':
+      return goalsFor;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare two rows by points then the rules' tiebreakers, best first. Missing values never
+ * decide a comparison, and rows still level compare equal.
+ * @param {RankableRow} a
+ * @param {RankableRow} b
+ * @param {LeagueRules} rules
+ */
+export function compareByRules(a, b, rules) {
+  const pointsA = a.points ?? null;
+  const pointsB = b.points ?? null;
+  if (pointsA != null && pointsB != null && pointsA !== pointsB) return pointsB - pointsA;
+
+  for (const tiebreaker of rules.tiebreakers) {
+    const valueA = tiebreakValue(a, tiebreaker);
+    const valueB = tiebreakValue(b, tiebreaker);
+    if (valueA == null || valueB == null || valueA === valueB) continue;
+    return valueB > valueA ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * @typedef {'points' | Tiebreaker | 'playoff'} TitleDecider
+ */
+
+/**
+ * What separated the top two rows of a table: points, the first of the rules' tiebreakers
+ * they differ on, or `'playoff'` when they were level on all of them. `null` when a value
+ * needed to tell is missing.
+ * @param {RankableRow} first
+ * @param {RankableRow} second
+ * @param {LeagueRules} rules
+ * @returns {TitleDecider | null}
+ */
+export function decideTitle(first, second, rules) {
+  const pointsA = first.points ?? null;
+  const pointsB = second.points ?? null;
+  if (pointsA == null || pointsB == null) return null;
+  if (pointsA !== pointsB) return 'points';
+
+  for (const tiebreaker of rules.tiebreakers) {
+    const valueA = tiebreakValue(first, tiebreaker);
+    const valueB = tiebreakValue(second, tiebreaker);
+    if (valueA == null || valueB == null) return null;
+    if (valueA !== valueB) return tiebreaker;
+  }
+  return 'playoff';
+}
+
+/**
+ * Order table rows by the rules, falling back to team name, and number them from 1.
+ * @template {RankableRow} T
+ * @param {T[]} rows
+ * @param {LeagueRules} rules
+ * @returns {Array<T & { pos: number }>}
+ */
+export function sortLeagueTable(rows, rules) {
+  return [...rows]
+    .sort((a, b) => compareByRules(a, b, rules) || String(a.team ?? '').localeCompare(b.team ?? ''))
+    .map((row, index) => Object.assign({ pos: index + 1 }, row, { pos: index + 1 }));
+}
+
+export default {
+  compareByRules,
+  competitionFor,
+  decideTitle,
+  divisionLevel,
+  expectedPoints,
+  getLeagueRules,
+  goalAverage,
+  pointsForRecord,
+  sortLeagueTable,
+};
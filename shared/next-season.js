@@ -0,0 +1,52 @@
+// @ts-check
+
+import { clubMatchKeys } from './club-registry.js';
+
+/** @typedef {{ team?: string | null; clubId?: string | null }} ClubRow */
+
+// Seasons without league football (the wars) are bridged when looking ahead for movements.
+export const MAX_SEASON_GAP = 8;
+
+/**
+ * Follow each club into the next season with tables and report the tier it played there,
+ * matching on its registry id, then its name, so a club renamed between seasons is still
+ * followed. `nextTier` is `undefined` for clubs missing from that season. Seasons without rows
+ * are skipped, as are those more than `MAX_SEASON_GAP` years before the next.
+ * @template {ClubRow} Row
+ * @param {Map<number, Map<number, Row[]>>} seasons - Rows by season, then pyramid level.
+ * @param {(row: Row, tier: number, nextTier: number | undefined) => void} visit
+ * @returns {number[]} The seasons that were compared with a following one.
+ */
+export function forEachNextSeasonTier(seasons, visit) {
+  const seasonYears = Array.from(seasons.keys())
+    .filter((season) => Array.from(seasons.get(season)?.values() ?? []).some((rows) => rows.length))
+    .sort((a, b) => a - b);
+
+  return seasonYears.filter((season, index) => {
+    const nextSeason = seasonYears[index + 1];
+    if (nextSeason == null || nextSeason - season > MAX_SEASON_GAP) return false;
+
+    /** @type {Map<string, number>} */
+    const nextTierByClub = new Map();
+    for (const [tier, rows] of /** @type {Map<number, Row[]>} */ (seasons.get(nextSeason))) {
+      for (const row of rows) {
+        clubMatchKeys(row, { season: nextSeason }).forEach((key) => nextTierByClub.set(key, tier));
+      }
+    }
+
+    for (const [tier, rows] of /** @type {Map<number, Row[]>} */ (seasons.get(season))) {
+      for (const row of rows) {
+        const key = clubMatchKeys(row, { season }).find((candidate) =>
+          nextTierByClub.has(candidate)
+        );
+        visit(row, tier, key ? nextTierByClub.get(key) : undefined);
+      }
+    }
+    return true;
+  });
+}
+
+export default {
+  MAX_SEASON_GAP,
+  forEachNextSeasonTier,
+};
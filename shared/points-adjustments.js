@@ -0,0 +1,191 @@
+// @ts-check
+
+/**
+ * @typedef {'administration' | 'ineligible-player' | 'financial-rules' | 'fixture-not-fulfilled' | 'misconduct' | 'other'} PointsAdjustmentReason
+ */
+
+/**
+ * @typedef {Object} PointsAdjustment
+ * @property {'deduction' | 'award'} type
+ * @property {number} points - Size of the adjustment, always positive.
+ * @property {PointsAdjustmentReason} reason
+ * @property {string} text - The sentence the adjustment was read from.
+ */
+
+const NUMBER_WORDS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+};
+
+const AMOUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const POINTS = '(?:points?|pts?\\.?)';
+
+// "deducted 10 points", "10 points deducted", "had 3 pts. deducted", "−10 points", "awarded 2 points"
+const ADJUSTMENT_PATTERNS = [
+  { type: 'deduction', re: new RegExp(`\\bdeducted\\s+(?:of\\s+)?${AMOUNT}\\s*${POINTS}`, 'gi') },
+  {
+    type: 'deduction',
+    re: new RegExp(`\\b${AMOUNT}\\s*${POINTS}\\s+(?:were\\s+|was\\s+)?deducted`, 'gi'),
+  },
+  {
+    type: 'deduction',
+    re: new RegExp(`\\b${AMOUNT}[\\s-]*${POINTS}\\s+(?:penalty|deduction)`, 'gi'),
+  },
+  { type: 'deduction', re: new RegExp(`(?:^|[\\s(])[−–-]\\s?(\\d+)\\s*${POINTS}`, 'gi') },
+  { type: 'award', re: new RegExp(`\\bawarded\\s+${AMOUNT}\\s*(?:extra\\s+)?${POINTS}`, 'gi') },
+  {
+    type: 'award',
+    re: new RegExp(`\\b${AMOUNT}\\s*(?:extra\\s+)?${POINTS}\\s+(?:were\\s+|was\\s+)?awarded`, 'gi'),
+  },
+];
+
+/** @type {Array<[RegExp, PointsAdjustmentReason]>} */
+const REASON_PATTERNS = [
+  [/administration|insolven/i, 'administration'],
+  [/ineligible|unregistered|registration irregularit/i, 'ineligible-player'],
+  [/financial|fair play|profit and sustainability|salary|irregularit/i, 'financial-rules'],
+  [/fulfil|failed to (?:play|turn up|appear)|postpone|fixture/i, 'fixture-not-fulfilled'],
+  [/misconduct|disciplinary|brawl|breach|bribe|match[- ]fixing/i, 'misconduct'],
+];
+
+/**
+ * @param {string} token
+ */
+function toAmount(token) {
+  const lowered = /** @type {keyof typeof NUMBER_WORDS} */ (token.toLowerCase());
+  if (NUMBER_WORDS[lowered]) return NUMBER_WORDS[lowered];
+  const parsed = Number.parseInt(lowered, 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * @param {string} sentence
+ * @returns {PointsAdjustmentReason}
+ */
+function classifyReason(sentence) {
+  const match = REASON_PATTERNS.find(([pattern]) => pattern.test(sentence));
+  return match ? match[1] : 'other';
+}
+
+/**
+ * Every adjustment one text mentions, repeats included.
+ * @param {string} text
+ * @returns {PointsAdjustment[]}
+ */
+function readAdjustments(text) {
+  /** @type {PointsAdjustment[]} */
+  const adjustments = [];
+  const sentences = String(text)
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.;])\s+(?=[A-Z(])/);
+
+  for (const sentence of sentences) {
+    const reason = classifyReason(sentence);
+    /** @type {Set<number>} */
+    const claimed = new Set();
+    for (const { type, re } of ADJUSTMENT_PATTERNS) {
+      re.lastIndex = 0;
+      let match;
+      while ((match = re.exec(sentence))) {
+        // One amount can satisfy several patterns ("10 points were deducted").
+        const start = match.index + match[0].indexOf(match[1]);
+        if (claimed.has(start)) continue;
+        claimed.add(start);
+
+        const points = toAmount(match[1]);
+        if (!points) continue;
+        adjustments.push({
+          type: /** @type {PointsAdjustment['type']} */ (type),
+          points,
+          reason,
+          text: sentence.trim(),
+        });
+      }
+    }
+  }
+  return adjustments;
+}
+
+/**
+ * Read points deductions and awards out of notes or footnote text, e.g. "Deducted 10 points
+ * for entering administration". Every adjustment within one text counts, so two equal
+ * deductions in one note add up. Across the texts (a notes column and a footnote describing
+ * the same penalty) an adjustment with the same type, amount and reason is only counted as
+ * often as the text mentioning it most.
+ * @param {Array<string | null | undefined> | string | null | undefined} texts
+ * @returns {PointsAdjustment[]}
+ */
+export function parsePointsAdjustments(texts) {
+  const list = Array.isArray(texts) ? texts : [texts];
+  /** @type {PointsAdjustment[]} */
+  const adjustments = [];
+  /** @type {Map<string, number>} */
+  const counted = new Map();
+
+  for (const text of list) {
+    if (!text) continue;
+    /** @type {Map<string, number>} */
+    const seen = new Map();
+    for (const adjustment of readAdjustments(text)) {
+      const key = `${adjustment.type}:${adjustment.points}:${adjustment.reason}`;
+      const occurrence = (seen.get(key) ?? 0) + 1;
+      seen.set(key, occurrence);
+      if (occurrence <= (counted.get(key) ?? 0)) continue;
+      counted.set(key, occurrence);
+      adjustments.push(adjustment);
+    }
+  }
+
+  return adjustments;
+}
+
+/**
+ * Total points deducted and awarded by a set of adjustments; `null` when there were none of
+ * that type.
+ * @param {PointsAdjustment[]} adjustments
+ */
+export function summarisePointsAdjustments(adjustments) {
+  /** @param {'deduction' | 'award'} type */
+  const total = (type) => {
+    const matching = adjustments.filter((adjustment) => adjustment.type === type);
+    return matching.length
+      ? matching.reduce((sum, adjustment) => sum + adjustment.points, 0)
+      : null;
+  };
+  return { pointsDeducted: total('deduction'), pointsAwarded: total('award') };
+}
+
+/**
+ * Parse adjustments from the given texts and set `pointsDeducted`, `pointsAwarded` and
+ * `pointsAdjustments` on a table row.
+ * @template {Record<string, unknown>} T
+ * @param {T} row
+ * @param {Array<string | null | undefined>} texts
+ * @returns {T}
+ */
+export function applyPointsAdjustments(row, texts) {
+  const adjustments = parsePointsAdjustments(texts);
+  Object.assign(row, summarisePointsAdjustments(adjustments), {
+    pointsAdjustments: adjustments,
+  });
+  return row;
+}
+
+export default {
+  applyPointsAdjustments,
+  parsePointsAdjustments,
+  summarisePointsAdjustments,
+};
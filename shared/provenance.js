@@ -0,0 +1,113 @@
+// @ts-check
+
+import * as fs from 'node:fs';
+
+/** @typedef {import('../wikipedia/models/output-file').Provenance} Provenance */
+
+const PACKAGE_JSON = new URL('../package.json', import.meta.url);
+
+/**
+ * Version stamped on data produced by this checkout's parsers.
+ * @type {string | null}
+ */
+export const PARSER_VERSION = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(PACKAGE_JSON, 'utf8')).version ?? null;
+  } catch {
+    return null;
+  }
+})();
+
+/**
+ * @param {unknown} value
+ */
+function toText(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  return text.length ? text : null;
+}
+
+/**
+ * Describe where a tier, row or field came from. `parserVersion` defaults to this package's
+ * version. `fetchedAt` is left out when `revisionId` pins the page, so rebuilding from the
+ * same lockfile writes the same bytes.
+ * @param {{
+ *   source: string;
+ *   url?: string | null;
+ *   revisionId?: number | null;
+ *   fetchedAt?: string | null;
+ *   parser?: string | null;
+ *   parserVersion?: string | null;
+ *   file?: string | null;
+ * }} input
+ * @returns {Provenance}
+ */
+export function createProvenance(input) {
+  const pinned = input.revisionId != null;
+  return /** @type {Provenance} */ (
+    normaliseProvenance({
+      parserVersion: PARSER_VERSION,
+      ...input,
+      ...(pinned ? { fetchedAt: null } : {}),
+    })
+  );
+}
+
+/**
+ * Keep a provenance record read from a file or a parser; `null` when it names no source.
+ * `file` is only kept when set, since it is added when output files are combined.
+ * @param {unknown} value
+ * @returns {Provenance | null}
+ */
+export function normaliseProvenance(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  const record = /** @type {Record<string, unknown>} */ (value);
+  const source = toText(record.source);
+  if (!source) return null;
+
+  const revisionId = Number(record.revisionId);
+  const file = toText(record.file);
+  return {
+    source,
+    url: toText(record.url),
+    revisionId: record.revisionId != null && Number.isFinite(revisionId) ? revisionId : null,
+    fetchedAt: toText(record.fetchedAt),
+    parser: toText(record.parser),
+    parserVersion: toText(record.parserVersion),
+    ...(file ? { file } : {}),
+  };
+}
+
+/**
+ * Keep the well-formed entries of a per-field provenance map; `null` when none are left.
+ * @param {unknown} value
+ * @returns {Record<string, Provenance> | null}
+ */
+export function normaliseFieldProvenance(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+  /** @type {Record<string, Provenance>} */
+  const fields = {};
+  for (const [field, entry] of Object.entries(value)) {
+    const provenance = normaliseProvenance(entry);
+    if (provenance) fields[field] = provenance;
+  }
+  return Object.keys(fields).length ? fields : null;
+}
+
+/**
+ * A tier's provenance: its `provenance` block, or one pieced together from the `source`,
+ * `sourceUrl` and `revisionId` fields older outputs carry.
+ * @param {Record<string, unknown> | null | undefined} tierValue
+ * @returns {Provenance | null}
+ */
+export function tierProvenance(tierValue) {
+  if (!tierValue || typeof tierValue !== 'object' || Array.isArray(tierValue)) return null;
+  const explicit = normaliseProvenance(tierValue.provenance);
+  if (explicit) return explicit;
+
+  const url = toText(tierValue.sourceUrl);
+  const source =
+    toText(tierValue.source) ?? (url && /wikipedia\.org/.test(url) ? 'wikipedia' : null);
+  if (!source) return null;
+  return normaliseProvenance({ source, url, revisionId: tierValue.revisionId });
+}
@@ -0,0 +1,367 @@
+// @ts-check
+
+import { wait } from '../utils.js';
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MIN_INTERVAL_MS = 1000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60_000;
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+]);
+
+/**
+ * @typedef {Object} HostBudget
+ * @property {number} [minIntervalMs] - Minimum gap between two requests to the host.
+ * @property {number} [maxRequests] - Hard cap on requests (including retries) to the host.
+ */
+
+/**
+ * @typedef {Object} RequestSchedulerOptions
+ * @property {number} [concurrency] - Requests allowed in flight at once, across all hosts.
+ * @property {number} [minIntervalMs] - Default gap between requests to the same host.
+ * @property {number | null} [maxRequestsPerHost] - Default per-host request budget.
+ * @property {Record<string, HostBudget>} [hostBudgets] - Per-host overrides, keyed by hostname.
+ * @property {number} [maxRetries] - Retries after a 429/5xx response or a network error.
+ * @property {number} [baseDelayMs] - First backoff delay; doubled on each retry.
+ * @property {number} [maxDelayMs] - Upper bound for backoff and Retry-After waits.
+ * @property {typeof globalThis.fetch} [fetchImpl]
+ * @property {(ms: number) => Promise<unknown>} [sleep]
+ * @property {() => number} [now]
+ */
+
+/**
+ * @typedef {Object} RequestScheduler
+ * @property {number} concurrency
+ * @property {(url: string, init?: RequestInit, fetchImpl?: typeof globalThis.fetch) => Promise<Response>} fetch
+ * @property {<T>(url: string, task: () => Promise<T>) => Promise<T>} run
+ * @property {() => Record<string, number>} stats - Requests sent so far, keyed by host.
+ */
+
+/**
+ * @param {number} status
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * @param {unknown} err
+ */
+function isRetryableError(err) {
+  if (!err || typeof err !== 'object') return false;
+  const error = /** @type {{ name?: string; message?: string; code?: string; cause?: any }} */ (
+    err
+  );
+  const code = error.code || error.cause?.code;
+  if (code && RETRYABLE_ERROR_CODES.has(code)) return true;
+  // undici reports dropped connections as `TypeError: fetch failed`
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or an HTTP date) into milliseconds.
+ * @param {string | null | undefined} value
+ * @param {number} [nowMs]
+ * @returns {number | null}
+ */
+export function parseRetryAfter(value, nowMs = Date.now()) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - nowMs);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Response}
+ */
+function isResponseLike(value) {
+  const candidate = /** @type {{ status?: unknown; headers?: { get?: unknown } }} */ (value);
+  return (
+    Boolean(candidate) &&
+    typeof candidate.status === 'number' &&
+    typeof candidate.headers?.get === 'function'
+  );
+}
+
+/**
+ * @param {string} url
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return String(url);
+  }
+}
+
+/**
+ * A polite request scheduler shared by the Wikipedia and RSSSF scrapers.
+ * Requests to the same host are spaced by `minIntervalMs`, at most `concurrency`
+ * requests run at once, and 429/5xx responses or dropped connections are retried with
+ * exponential backoff. A `Retry-After` header replaces the computed backoff and also
+ * holds back every other request to that host. Once a host's budget is spent further
+ * requests fail immediately instead of hammering it.
+ * @param {RequestSchedulerOptions} [options]
+ * @returns {RequestScheduler}
+ */
+export function createRequestScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  minIntervalMs = DEFAULT_MIN_INTERVAL_MS,
+  maxRequestsPerHost = null,
+  hostBudgets = {},
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  fetchImpl = globalThis.fetch,
+  sleep = wait,
+  now = Date.now,
+} = {}) {
+  const slots = Math.max(1, Math.floor(concurrency) || 1);
+  let active = 0;
+  /** @type {Array<() => void>} */
+  const queue = [];
+  /** @type {Map<string, number>} */
+  const nextAllowedAt = new Map();
+  /** @type {Map<string, number>} */
+  const requestCounts = new Map();
+
+  const acquireSlot = () => {
+    if (active < slots) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => queue.push(() => resolve(undefined)));
+  };
+
+  const releaseSlot = () => {
+    const next = queue.shift();
+    if (next) {
+      next();
+    } else {
+      active -= 1;
+    }
+  };
+
+  /** @param {string} host */
+  const budgetFor = (host) => ({
+    minIntervalMs: hostBudgets[host]?.minIntervalMs ?? minIntervalMs,
+    maxRequests: hostBudgets[host]?.maxRequests ?? maxRequestsPerHost,
+  });
+
+  /**
+   * Reserve the host's next send time before sleeping so concurrent callers queue up
+   * behind each other instead of all waking at once.
+   * @param {string} host
+   */
+  const waitForHost = async (host) => {
+    const budget = budgetFor(host);
+    const sent = requestCounts.get(host) || 0;
+    if (budget.maxRequests != null && sent >= budget.maxRequests) {
+      throw new Error(`Request budget for ${host} exhausted (${budget.maxRequests} requests)`);
+    }
+    requestCounts.set(host, sent + 1);
+
+    const current = now();
+    const sendAt = Math.max(current, nextAllowedAt.get(host) ?? 0);
+    nextAllowedAt.set(host, sendAt + budget.minIntervalMs);
+    if (sendAt > current) {
+      await sleep(sendAt - current);
+    }
+  };
+
+  /**
+   * @param {string} host
+   * @param {number} delayMs
+   */
+  const holdHost = (host, delayMs) => {
+    const until = now() + delayMs;
+    if (until > (nextAllowedAt.get(host) ?? 0)) {
+      nextAllowedAt.set(host, until);
+    }
+  };
+
+  /** @param {number} attempt */
+  const backoffDelay = (attempt) => Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+
+  /**
+   * @template T
+   * @param {string} url
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  const run = async (url, task) => {
+    const host = hostOf(url);
+
+    for (let attempt = 0; ; attempt += 1) {
+      await acquireSlot();
+      /** @type {T | undefined} */
+      let result;
+      /** @type {unknown} */
+      let error = null;
+      try {
+        await waitForHost(host);
+        result = await task();
+      } catch (err) {
+        error = err;
+      } finally {
+        releaseSlot();
+      }
+
+      const response = error == null && isResponseLike(result) ? result : undefined;
+      const retryable = response ? isRetryableStatus(response.status) : isRetryableError(error);
+      if (error == null && !retryable) {
+        return /** @type {T} */ (result);
+      }
+      if (!retryable || attempt >= maxRetries) {
+        if (error != null) throw error;
+        return /** @type {T} */ (result);
+      }
+
+      const retryAfter = response
+        ? parseRetryAfter(response.headers.get('retry-after'), now())
+        : null;
+      const delayMs = Math.min(maxDelayMs, retryAfter ?? backoffDelay(attempt));
+      const reason = response
+        ? `HTTP ${response.status}`
+        : /** @type {Error} */ (error).message || 'network error';
+      console.warn(
+        `   ⏳ ${reason} from ${host}; retry ${attempt + 1}/${maxRetries} in ${Math.round(
+          delayMs / 1000
+        )}s`
+      );
+      if (retryAfter != null) {
+        holdHost(host, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  };
+
+  return {
+    concurrency: slots,
+    run,
+    fetch(url, init, fetchOverride = fetchImpl) {
+      return run(url, () => fetchOverride(url, init));
+    },
+    stats() {
+      return Object.fromEntries(requestCounts);
+    },
+  };
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} flag
+ * @param {number} min
+ */
+function parseCountFlag(value, flag, min) {
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed < min) {
+    throw new Error(`${flag} must be an integer >= ${min} (got "${value}")`);
+  }
+  return parsed;
+}
+
+/**
+ * Register the scheduler flags shared by the Wikipedia and RSSSF CLIs.
+ * @param {import('commander').Command} command
+ */
+export function addRequestSchedulerOptions(command) {
+  return command
+    .option('--concurrency <n>', 'Requests allowed in flight at once', String(DEFAULT_CONCURRENCY))
+    .option(
+      '--request-interval <ms>',
+      'Minimum gap between requests to the same host',
+      String(DEFAULT_MIN_INTERVAL_MS)
+    )
+    .option(
+      '--max-retries <n>',
+      'Retries after a 429/5xx response or network error',
+      String(DEFAULT_MAX_RETRIES)
+    )
+    .option('--host-budget <n>', 'Maximum requests sent to any one host during the run');
+}
+
+/**
+ * Build a scheduler from the flags registered by `addRequestSchedulerOptions`.
+ * @param {{ concurrency?: string; requestInterval?: string; maxRetries?: string; hostBudget?: string }} opts
+ */
+export function createRequestSchedulerFromOptions(opts) {
+  return createRequestScheduler({
+    concurrency: parseCountFlag(opts.concurrency ?? DEFAULT_CONCURRENCY, '--concurrency', 1),
+    minIntervalMs: parseCountFlag(
+      opts.requestInterval ?? DEFAULT_MIN_INTERVAL_MS,
+      '--request-interval',
+      0
+    ),
+    maxRetries: parseCountFlag(opts.maxRetries ?? DEFAULT_MAX_RETRIES, '--max-retries', 0),
+    maxRequestsPerHost:
+      opts.hostBudget != null ? parseCountFlag(opts.hostBudget, '--host-budget', 1) : null,
+  });
+}
+
+/** @type {RequestScheduler | null} */
+let defaultScheduler = null;
+
+/**
+ * Scheduler used when callers do not supply their own, so every scraper in the process
+ * shares one set of per-host budgets.
+ */
+export function getDefaultScheduler() {
+  if (!defaultScheduler) {
+    defaultScheduler = createRequestScheduler();
+  }
+  return defaultScheduler;
+}
+
+/**
+ * Run `fetchItem` over `items` keeping up to `lookahead` calls in flight, yielding results
+ * in input order. With a lookahead of 1 this is a plain sequential loop.
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T) => Promise<R>} fetchItem
+ * @param {number} [lookahead]
+ * @returns {AsyncGenerator<[T, R]>}
+ */
+export async function* prefetchInOrder(items, fetchItem, lookahead = 1) {
+  const windowSize = Math.max(1, Math.floor(lookahead) || 1);
+  /** @type {Array<Promise<R>>} */
+  const pending = [];
+  let started = 0;
+
+  const fill = () => {
+    while (started < items.length && pending.length < windowSize) {
+      const promise = fetchItem(items[started]);
+      // surfaced when the caller reaches this item
+      promise.catch(() => {});
+      pending.push(promise);
+      started += 1;
+    }
+  };
+
+  for (let index = 0; index < items.length; index += 1) {
+    fill();
+    const result = await /** @type {Promise<R>} */ (pending.shift());
+    yield [items[index], result];
+  }
+}
+
+export default {
+  addRequestSchedulerOptions,
+  createRequestScheduler,
+  createRequestSchedulerFromOptions,
+  getDefaultScheduler,
+  isRetryableStatus,
+  parseRetryAfter,
+  prefetchInOrder,
+};
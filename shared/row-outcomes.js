@@ -0,0 +1,257 @@
+// @ts-check
+
+/**
+ * @typedef {'title' | 'promotion' | 'relegation' | 'playoff' | 'european' | 're-election' | 'expelled' | 'resigned'} RowOutcomeType
+ */
+
+/**
+ * @typedef {Object} RowOutcome
+ * @property {RowOutcomeType} type
+ * @property {string | null} competition - League, cup or play-off named by the note, when it
+ *   names one (e.g. "Champions League", "Second Division").
+ * @property {string | null} stage - Round of a European competition ("group stage"), how a
+ *   play-off or re-election went ("winner", "not re-elected").
+ */
+
+const OUTCOME_TYPES = new Set([
+  'title',
+  'promotion',
+  'relegation',
+  'playoff',
+  'european',
+  're-election',
+  'expelled',
+  'resigned',
+]);
+
+/** @type {Array<[RegExp, string]>} */
+const EUROPEAN_COMPETITIONS = [
+  [/\b(?:uefa\s+)?champions\s+league\b/i, 'Champions League'],
+  [/\beuropean\s+(?:champion\s+clubs'?\s+)?cup\b/i, 'European Cup'],
+  [/\b(?:uefa\s+)?europa\s+conference\s+league\b|\bconference\s+league\b/i, 'Conference League'],
+  [/\b(?:uefa\s+)?europa\s+league\b/i, 'Europa League'],
+  [/\buefa\s+cup\b/i, 'UEFA Cup'],
+  [/\bcup\s+winners'?\s+cup\b/i, "Cup Winners' Cup"],
+  [/\b(?:inter-cities\s+)?fairs\s+cup\b/i, 'Inter-Cities Fairs Cup'],
+  [/\bintertoto\s+cup\b/i, 'Intertoto Cup'],
+];
+
+const EUROPEAN_STAGE =
+  /\b((?:first|second|third|fourth|preliminary|play-?off)\s+(?:qualifying\s+)?round|qualifying\s+round|group\s+stage|league\s+(?:phase|stage)|knockout\s+(?:round\s+)?play-?offs?|round\s+of\s+\d+)\b/i;
+
+// "Champions" or "League champions", but not the Champions League or Champions Cup.
+const TITLE =
+  /(?:^|[\s,(])(?:league\s+)?champions\b(?!\s*(?:league|cup|clubs))|\bwon the (?:league|title|championship)\b/i;
+const PLAYOFF = /\bplay-?offs?\b/i;
+/** A note saying the club won its play-off, as opposed to only qualifying for one. */
+export const PLAYOFF_WON =
+  /play-?off (?:winners?|final winners?)|won the .*play-?off|promoted (?:via|through|after)/i;
+
+/**
+ * @param {string} clause
+ * @param {RegExp} pattern - Must capture the division name in group 1.
+ */
+function namedDivision(clause, pattern) {
+  const match = clause.match(pattern);
+  return match ? match[1].trim() : null;
+}
+
+const DIVISION_NAME = "((?:the\\s+)?[A-Z][\\w'’-]*(?:\\s+(?:[A-Z][\\w'’-]*|of|and))*)";
+const PROMOTED_TO = new RegExp(`[Pp]romot(?:ed|ion)\\s+(?:back\\s+)?to\\s+${DIVISION_NAME}`);
+const RELEGATED_TO = new RegExp(
+  `(?:[Rr]elegat(?:ed|ion)|[Dd]emoted)\\s+(?:back\\s+)?to\\s+${DIVISION_NAME}`
+);
+
+/**
+ * @param {string | null} name
+ */
+function stripArticle(name) {
+  return name ? name.replace(/^the\s+/i, '') : null;
+}
+
+/**
+ * Split a note into clauses so each outcome is read from its own words: "Champions;
+ * qualification for the European Cup first round" holds a title and a European place.
+ * @param {string} text
+ */
+function splitClauses(text) {
+  return text
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\s+/g, ' ')
+    .split(/\s*(?:[;.]|,(?=\s)|\band\b(?=\s+(?:qualif|relegat|promot|champions|re-?elect)))\s*/i)
+    .map((clause) => clause.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {string} clause
+ * @returns {RowOutcome | null}
+ */
+function readEuropean(clause) {
+  const entry = EUROPEAN_COMPETITIONS.find(([pattern]) => pattern.test(clause));
+  if (!entry) return null;
+  const stage = clause.match(EUROPEAN_STAGE);
+  return {
+    type: 'european',
+    competition: entry[1],
+    stage: stage ? stage[1].toLowerCase().replace(/playoff/g, 'play-off') : null,
+  };
+}
+
+/**
+ * @param {string} clause
+ * @returns {RowOutcome | null}
+ */
+function readReElection(clause) {
+  if (!/re-?elect/i.test(clause)) return null;
+  let stage = null;
+  if (/not re-?elected|failed re-?election|unsuccessful re-?election/i.test(clause)) {
+    stage = 'not re-elected';
+  } else if (/repriev|repriv/i.test(clause)) {
+    stage = 'reprieved';
+  } else if (/re-?elected/i.test(clause)) {
+    stage = 're-elected';
+  }
+  return { type: 're-election', competition: null, stage };
+}
+
+/**
+ * Read structured outcomes from a row's notes or a legend descriptor, e.g. "Qualification for
+ * the Champions League group stage" or "Relegated to the Second Division". Qualifying for the
+ * promotion play-offs is a `playoff` outcome; only winning them adds `promotion`.
+ * @param {string | null | undefined} text
+ * @returns {RowOutcome[]}
+ */
+export function parseRowOutcomes(text) {
+  /** @type {RowOutcome[]} */
+  const outcomes = [];
+  for (const clause of splitClauses(String(text || ''))) {
+    const lowered = clause.toLowerCase();
+    const european = readEuropean(clause);
+    if (european) outcomes.push(european);
+    if (TITLE.test(clause)) outcomes.push({ type: 'title', competition: null, stage: null });
+
+    // A European "play-off round" is a stage, not the promotion play-offs.
+    const playoff = PLAYOFF.test(clause) && !european;
+    const playoffWon = playoff && PLAYOFF_WON.test(clause);
+    if (playoff) {
+      const name = clause.match(/\b((?:(?!the\b)[\w-]+\s+)?play-?offs?)\b/i);
+      outcomes.push({
+        type: 'playoff',
+        competition: name ? name[1].toLowerCase().replace(/playoff/g, 'play-off') : null,
+        stage: playoffWon ? 'winner' : null,
+      });
+    }
+    if ((!playoff || playoffWon) && /promot/.test(lowered)) {
+      outcomes.push({
+        type: 'promotion',
+        competition: stripArticle(namedDivision(clause, PROMOTED_TO)),
+        stage: null,
+      });
+    }
+    if (/relegat|demoted/.test(lowered) && !/re-?elect/.test(lowered)) {
+      outcomes.push({
+        type: 'relegation',
+        competition: stripArticle(namedDivision(clause, RELEGATED_TO)),
+        stage: null,
+      });
+    }
+
+    const reElection = readReElection(clause);
+    if (reElection) outcomes.push(reElection);
+    if (/\bexpelled\b/.test(lowered)) {
+      outcomes.push({ type: 'expelled', competition: null, stage: null });
+    }
+    if (/\bresigned\b|\bwithdrew\b|\bleft the league\b/.test(lowered)) {
+      outcomes.push({ type: 'resigned', competition: null, stage: null });
+    }
+  }
+  return mergeRowOutcomes([], outcomes);
+}
+
+/**
+ * Add outcomes to a list, one per type. A later outcome fills in the competition or stage an
+ * earlier one of the same type left blank, so a legend's "Promoted" and a note's "Promoted to
+ * the First Division" collapse into one entry.
+ * @param {RowOutcome[]} existing
+ * @param {RowOutcome[]} additions
+ * @returns {RowOutcome[]}
+ */
+export function mergeRowOutcomes(existing, additions) {
+  /** @type {Map<string, RowOutcome>} */
+  const merged = new Map();
+  for (const outcome of [...existing, ...additions]) {
+    const current = merged.get(outcome.type);
+    merged.set(
+      outcome.type,
+      current
+        ? {
+            type: current.type,
+            competition: current.competition ?? outcome.competition,
+            stage: current.stage ?? outcome.stage,
+          }
+        : { ...outcome }
+    );
+  }
+  return Array.from(merged.values());
+}
+
+/**
+ * Keep the well-formed entries of an `outcomes` value read from a file or a parser.
+ * @param {unknown} value
+ * @returns {RowOutcome[]}
+ */
+export function normaliseRowOutcomes(value) {
+  if (!Array.isArray(value)) return [];
+  /** @type {RowOutcome[]} */
+  const outcomes = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object' || !OUTCOME_TYPES.has(entry.type)) continue;
+    outcomes.push({
+      type: entry.type,
+      competition: typeof entry.competition === 'string' ? entry.competition : null,
+      stage: typeof entry.stage === 'string' ? entry.stage : null,
+    });
+  }
+  return mergeRowOutcomes([], outcomes);
+}
+
+/**
+ * Add outcomes to a row's `outcomes` list in place.
+ * @param {{ outcomes?: RowOutcome[] | null }} row
+ * @param {RowOutcome[]} additions
+ */
+export function addRowOutcomes(row, additions) {
+  row.outcomes = mergeRowOutcomes(row.outcomes || [], additions);
+}
+
+/**
+ * Line outcomes up with a row's resolved flags: promotion and relegation entries follow
+ * `wasPromoted`/`wasRelegated` (a top-flight row never goes up, a play-off loser stays), and
+ * a re-elected or reprieved row always lists its re-election.
+ * @param {RowOutcome[]} outcomes
+ * @param {{ wasPromoted?: unknown; wasRelegated?: unknown; wasReElected?: unknown; wasReprieved?: unknown }} flags
+ * @returns {RowOutcome[]}
+ */
+export function reconcileRowOutcomes(outcomes, flags) {
+  const kept = outcomes.filter(
+    (outcome) =>
+      (outcome.type !== 'promotion' || flags.wasPromoted === true) &&
+      (outcome.type !== 'relegation' || flags.wasRelegated === true)
+  );
+  /** @type {RowOutcome[]} */
+  const implied = [];
+  if (flags.wasPromoted === true)
+    implied.push({ type: 'promotion', competition: null, stage: null });
+  if (flags.wasRelegated === true) {
+    implied.push({ type: 'relegation', competition: null, stage: null });
+  }
+  if (flags.wasReElected === true || flags.wasReprieved === true) {
+    implied.push({
+      type: 're-election',
+      competition: null,
+      stage: flags.wasReprieved === true ? 'reprieved' : 're-elected',
+    });
+  }
+  return mergeRowOutcomes(kept, implied);
+}
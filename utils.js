@@ -1,3 +1,7 @@
+export function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 export const toTitleCase = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
 };
@@ -0,0 +1,144 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createClubRegistry } from '../../shared/club-registry.js';
+import {
+  clubNameSimilarity,
+  collectCsvNames,
+  collectFootballDataNames,
+  editDistance,
+  mergeClubSuggestions,
+  suggestClubMatches,
+} from '../club-name-suggestions.js';
+
+const registryEntries = [
+  { id: 'club_2', name: 'AFC Wimbledon', aliases: [], nameHistory: [] },
+  { id: 'club_59', name: 'Glossop North End', aliases: [], nameHistory: [] },
+  { id: 'club_95', name: 'Notts County', aliases: [], nameHistory: [] },
+  { id: 'club_145', name: 'Wimbledon', aliases: [], nameHistory: [] },
+];
+
+describe('clubNameSimilarity', () => {
+  test('scores abbreviations, extra words and typos', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(clubNameSimilarity('Notts Co', 'Notts County')).toBeGreaterThanOrEqual(0.9);
+    expect(clubNameSimilarity('Glossop', 'Glossop North End')).toBe(0.75);
+    expect(clubNameSimilarity('Wimbledon F.C.', 'AFC Wimbledon')).toBe(1);
+    expect(clubNameSimilarity('Everton', 'Notts County')).toBeLessThan(0.5);
+  });
+});
+
+describe('suggestClubMatches', () => {
+  const tmpDirs = [];
+
+  afterEach(() => {
+    while (tmpDirs.length) {
+      fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+    }
+  });
+
+  test('clusters unresolved names from FootballData and CSV files', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'club-suggestions-test-'));
+    tmpDirs.push(tmpDir);
+    const jsonFile = path.join(tmpDir, 'rsssf.json');
+    const csvFile = path.join(tmpDir, 'england_tier1.csv');
+    fs.writeFileSync(
+      jsonFile,
+      JSON.stringify({
+        seasons: {
+          1900: {
+            tier1: {
+              season: 1900,
+              table: [
+                { pos: 1, team: 'Notts Co' },
+                { pos: 2, team: 'Notts Co.' },
+                { pos: 3, team: 'Notts County' },
+                { pos: 4, team: 'Glossop' },
+              ],
+            },
+          },
+        },
+      })
+    );
+    fs.writeFileSync(
+      csvFile,
+      [
+        'Date,Season,home,visitor,FT,hgoal,vgoal,division,tier,totgoal,goaldif,result',
+        '1990-08-25,1990,Wimbledon,Brand New Town,1-0,1,0,1,1,1,1,H',
+      ].join('\n')
+    );
+
+    const occurrences = collectFootballDataNames(jsonFile);
+    await collectCsvNames(csvFile, occurrences);
+    const suggestions = suggestClubMatches(
+      occurrences.values(),
+      createClubRegistry(registryEntries)
+    );
+
+    expect(suggestions).toHaveLength(3);
+    expect(suggestions.find((s) => s.name === 'Notts Co')).toMatchObject({
+      variants: ['Notts Co', 'Notts Co.'],
+      seasons: [1900],
+      occurrences: 2,
+      action: 'alias',
+      clubId: 'club_95',
+    });
+    expect(suggestions.find((s) => s.name === 'Glossop')).toMatchObject({
+      action: 'review',
+      clubId: null,
+      candidates: [expect.objectContaining({ id: 'club_59', score: 0.75 })],
+    });
+    expect(suggestions.find((s) => s.name === 'Brand New Town')).toMatchObject({
+      action: 'new',
+      sources: [path.relative(process.cwd(), csvFile)],
+    });
+  });
+
+  test('leaves names that match two clubs equally for review', () => {
+    const registry = createClubRegistry(registryEntries);
+    const [suggestion] = suggestClubMatches(
+      [{ name: 'Wimbledon F.C.', count: 1, seasons: new Set(), sources: new Set(['x']) }],
+      registry
+    );
+
+    expect(suggestion.action).toBe('review');
+    expect(suggestion.candidates.map((c) => c.id)).toEqual(['club_2', 'club_145']);
+  });
+});
+
+describe('mergeClubSuggestions', () => {
+  test('applies aliases, name history and new clubs', () => {
+    const { clubs, applied, skipped } = mergeClubSuggestions(registryEntries, [
+      { name: 'Notts Co', variants: ['Notts Co', 'Notts Co.'], action: 'alias', clubId: 'club_95' },
+      {
+        name: 'Glossop',
+        variants: ['Glossop'],
+        seasons: [1899, 1914],
+        action: 'history',
+        clubId: 'club_59',
+      },
+      { name: 'Brand New Town', variants: ['Brand New Town'], action: 'new', clubId: null },
+      { name: 'Wimbledon F.C.', variants: ['Wimbledon F.C.'], action: 'review', clubId: null },
+    ]);
+
+    expect(applied).toHaveLength(3);
+    expect(skipped).toHaveLength(1);
+    expect(clubs.find((club) => club.id === 'club_95').aliases).toEqual(['Notts Co', 'Notts Co.']);
+    expect(clubs.find((club) => club.id === 'club_59').nameHistory).toEqual([
+      { name: 'Glossop', from: 1899, to: 1914 },
+    ]);
+    expect(clubs.find((club) => club.name === 'Brand New Town').id).toBe('club_146');
+
+    const registry = createClubRegistry(clubs);
+    expect(registry.resolveId('Glossop', { season: 1905 })).toBe('club_59');
+    expect(registry.resolveId('Notts Co.')).toBe('club_95');
+  });
+
+  test('rejects suggestions pointing at unknown clubs', () => {
+    expect(() =>
+      mergeClubSuggestions(registryEntries, [
+        { name: 'X', variants: ['X'], action: 'alias', clubId: 'club_999' },
+      ])
+    ).toThrow(/unknown club id/);
+  });
+});
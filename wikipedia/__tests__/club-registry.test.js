@@ -0,0 +1,119 @@
+import { parseCompetitionBlock } from '../../rsssf/parse-page.js';
+import {
+  createClubRegistry,
+  getDefaultClubRegistry,
+  normaliseClubName,
+  sameClub,
+} from '../../shared/club-registry.js';
+import { buildTierData, createFootballData } from '../generate-output-files.js';
+
+const registry = createClubRegistry([
+  {
+    id: 'club_14',
+    name: 'Birmingham City',
+    aliases: [],
+    nameHistory: [
+      { name: 'Small Heath', from: 1892, to: 1904 },
+      { name: 'Birmingham', from: 1905, to: 1944 },
+      { name: 'Birmingham City', from: 1945, to: null },
+    ],
+  },
+  { id: 'club_4', name: 'Accrington', aliases: [], nameHistory: [] },
+  {
+    id: 'club_5',
+    name: 'Accrington F.C.',
+    aliases: [],
+    nameHistory: [{ name: 'Accrington', from: 1888, to: 1892 }],
+  },
+  { id: 'club_2', name: 'AFC Wimbledon', aliases: [], nameHistory: [] },
+  { id: 'club_145', name: 'Wimbledon', aliases: [], nameHistory: [] },
+  { id: 'club_22', name: 'Brighton & Hove Albion', aliases: ['Brighton'], nameHistory: [] },
+]);
+
+describe('normaliseClubName', () => {
+  test('ignores case, punctuation, footnotes and ampersands', () => {
+    expect(normaliseClubName('BRIGHTON AND HOVE ALBION[a]')).toBe('brighton and hove albion');
+    expect(normaliseClubName('Brighton & Hove Albion')).toBe('brighton and hove albion');
+    expect(normaliseClubName('Harrogate Town A.F.C.', { dropSuffixes: true })).toBe(
+      'harrogate town'
+    );
+  });
+
+  test('sameClub compares names without their F.C. suffixes', () => {
+    expect(sameClub('Barrow A.F.C.', 'BARROW')).toBe(true);
+    expect(sameClub('Brighton & Hove Albion F.C.', 'Brighton and Hove Albion')).toBe(true);
+    expect(sameClub('Barrow', 'Burnley')).toBe(false);
+  });
+});
+
+describe('createClubRegistry', () => {
+  test('follows a club through its name history', () => {
+    expect(registry.resolveId('Small Heath', { season: 1895 })).toBe('club_14');
+    expect(registry.resolveId('Birmingham', { season: 1930 })).toBe('club_14');
+    expect(registry.resolveId('Birmingham City F.C.', { season: 2010 })).toBe('club_14');
+    expect(registry.nameForSeason('club_14', 1900)).toBe('Small Heath');
+  });
+
+  test('uses the season to tell apart clubs that shared a name', () => {
+    expect(registry.resolveId('Accrington', { season: 1888 })).toBe('club_5');
+    expect(registry.resolveId('Accrington', { season: 2010 })).toBe('club_4');
+    expect(registry.resolveId('Wimbledon', { season: 1990 })).toBe('club_145');
+    expect(registry.resolveId('AFC Wimbledon')).toBe('club_2');
+    expect(registry.resolveId('Unknown Rovers')).toBeNull();
+  });
+
+  test('rejects duplicate ids', () => {
+    expect(() =>
+      createClubRegistry([
+        { id: 'club_1', name: 'A' },
+        { id: 'club_1', name: 'B' },
+      ])
+    ).toThrow(/Duplicate club id/);
+  });
+
+  test('the bundled registry links historic names to their current clubs', () => {
+    const bundled = getDefaultClubRegistry();
+    expect(bundled.resolveId('Woolwich Arsenal', { season: 1900 })).toBe(
+      bundled.resolveId('Arsenal', { season: 2000 })
+    );
+    expect(bundled.resolveId('Newton Heath', { season: 1895 })).toBe(
+      bundled.resolveId('Manchester United', { season: 1995 })
+    );
+    // Aldershot folded in 1992; Aldershot Town is a different club the CSVs also call "Aldershot".
+    expect(bundled.resolveId('Aldershot', { season: 1980 })).toBe('club_7');
+    expect(bundled.resolveId('Aldershot', { season: 2010 })).toBe('club_147');
+    expect(bundled.resolveId('Aldershot Town', { season: 2010 })).toBe('club_147');
+  });
+});
+
+describe('clubId on table rows', () => {
+  test('buildTierData and createFootballData stamp rows with the season-appropriate id', () => {
+    const tier = buildTierData(1900, [{ pos: 1, team: 'Small Heath' }]);
+    expect(tier.table[0].clubId).toBe(getDefaultClubRegistry().resolveId('Birmingham City'));
+
+    const dataset = createFootballData({
+      seasons: { 1950: { tier1: [{ pos: 1, team: 'Mystery Town', clubId: 'club_999' }] } },
+    });
+    expect(dataset.seasons['1950'].tier1[0].clubId).toBe('club_999');
+  });
+
+  test('ids saved before a registry change are resolved again on load', () => {
+    const dataset = createFootballData({
+      seasons: { 2010: { tier5: [{ pos: 1, team: 'Aldershot Town', clubId: 'club_7' }] } },
+    });
+    expect(dataset.seasons['2010'].tier5[0].clubId).toBe('club_147');
+  });
+
+  test('RSSSF rows are resolved through the registry', () => {
+    const block = [
+      'Second Division - 1900/01',
+      '',
+      '                       P  W  D  L  F  A  W  D  L  F  A  Pts',
+      ' 1 BRIGHTON           34 10  5  2 30 10  5  5  7 20 20  40',
+    ].join('\n');
+
+    const competition = parseCompetitionBlock(block, false, { registry });
+
+    expect(competition.rows[0]).toMatchObject({ team: 'Brighton', clubId: 'club_22' });
+  });
+});
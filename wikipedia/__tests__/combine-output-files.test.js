@@ -1,6 +1,8 @@
 import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
+import { buildRsssfSeasonRecord } from '../../rsssf/football-data.js';
+import { parseRsssfPage } from '../../rsssf/parse-page.js';
 import { combineFootballDataFiles } from '../combine-output-files.js';
 
 describe('combine-output-files CLI', () => {
@@ -42,6 +44,7 @@ describe('combine-output-files CLI', () => {
                     goalDifference: 999, // intentionally incorrect to ensure normalisation
                     goalAverage: null,
                     points: 3,
+                    home: { played: 1, won: 1, drawn: 0, lost: 0, goalsFor: 4, goalsAgainst: 1 },
                     notes: 'Test notes',
                     wasRelegated: false,
                     wasPromoted: true,
@@ -126,10 +129,244 @@ describe('combine-output-files CLI', () => {
     const mergedRow = tier1Table[0];
     expect(mergedRow.team).toBe('Team Rich Data');
     expect(mergedRow.goalDifference).toBe(mergedRow.goalsFor - mergedRow.goalsAgainst);
+    expect(mergedRow.home).toEqual({
+      played: 1,
+      won: 1,
+      drawn: 0,
+      lost: 0,
+      goalsFor: 4,
+      goalsAgainst: 1,
+    });
+    expect(mergedRow).not.toHaveProperty('away');
 
     expect(combined.seasons['1915']).toBeUndefined();
   });
 
+  test('records the input file and source of every tier it combines', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'combine-output-test-'));
+    tmpDirs.push(tmpDir);
+
+    const row = { pos: 1, team: 'Ipswich Town', played: 42, won: 24, drawn: 8, lost: 10 };
+    const overviewProvenance = {
+      source: 'wikipedia-overview',
+      url: 'https://en.wikipedia.org/wiki/1961–62_in_English_football',
+      revisionId: 1234,
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+      parser: 'wikipedia/parse-ext-season-overview-pages',
+      parserVersion: '0.5.0',
+    };
+    fs.writeFileSync(
+      path.join(tmpDir, 'overview.json'),
+      JSON.stringify({
+        seasons: {
+          1961: {
+            tier1: { season: 1961, table: [row], provenance: overviewProvenance },
+            tier2: [{ ...row, pos: 1, team: 'Liverpool' }],
+          },
+        },
+      })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'promo.json'),
+      JSON.stringify({
+        seasons: {
+          1961: {
+            tier3: {
+              season: 1961,
+              table: [{ ...row, team: 'Portsmouth' }],
+              sourceUrl: 'https://en.wikipedia.org/wiki/1961-62_Football_League',
+              revisionId: 99,
+            },
+          },
+        },
+      })
+    );
+
+    const { dataset } = combineFootballDataFiles({
+      inputs: ['overview.json', 'promo.json'],
+      output: 'all-seasons.json',
+      cwd: tmpDir,
+    });
+    const season = dataset.seasons['1961'];
+
+    expect(season.tier1.provenance).toEqual({ ...overviewProvenance, file: 'overview.json' });
+    expect(season.tier2[0].provenance).toEqual({
+      source: 'unknown',
+      url: null,
+      revisionId: null,
+      fetchedAt: null,
+      parser: null,
+      parserVersion: null,
+      file: 'overview.json',
+    });
+    expect(season.tier3.provenance).toMatchObject({
+      source: 'wikipedia',
+      url: 'https://en.wikipedia.org/wiki/1961-62_Football_League',
+      revisionId: 99,
+      file: 'promo.json',
+    });
+  });
+
+  test('applies the merge strategies and reports each decision', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'combine-output-test-'));
+    tmpDirs.push(tmpDir);
+
+    const row = { pos: 1, team: 'Preston North End', played: 22, won: 18, drawn: 4, lost: 0 };
+    fs.writeFileSync(
+      path.join(tmpDir, 'wiki.json'),
+      JSON.stringify({
+        seasons: {
+          1888: {
+            tier1: {
+              season: 1888,
+              table: [{ ...row, goalAverage: null }],
+              provenance: { source: 'wikipedia-season' },
+            },
+          },
+        },
+      })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'rsssf.json'),
+      JSON.stringify({
+        seasons: {
+          1888: {
+            tier1: {
+              season: 1888,
+              table: [{ ...row, goalAverage: 4.13, notes: 'Champions' }],
+              provenance: { source: 'rsssf' },
+            },
+          },
+        },
+      })
+    );
+
+    const { dataset, decisions } = combineFootballDataFiles({
+      inputs: ['rsssf.json', 'wiki.json'],
+      output: 'all-seasons.json',
+      cwd: tmpDir,
+      merge: {
+        strategies: ['source-priority'],
+        sourcePriority: [{ to: 1991, sources: ['wikipedia-season', 'rsssf'] }],
+        fillFields: ['goalAverage'],
+      },
+    });
+    const kept = dataset.seasons['1888'].tier1;
+
+    expect(kept.provenance.source).toBe('wikipedia-season');
+    expect(kept.table[0].goalAverage).toBe(4.13);
+    expect(kept.table[0].notes).toBeNull();
+    expect(kept.table[0].fieldProvenance.goalAverage).toMatchObject({
+      source: 'rsssf',
+      file: 'rsssf.json',
+    });
+    expect(decisions).toEqual([
+      {
+        season: '1888',
+        tier: 'tier1',
+        kind: 'tier',
+        strategy: 'source-priority',
+        kept: 'wikipedia-season (wiki.json)',
+        dropped: 'rsssf (rsssf.json)',
+        team: null,
+        field: null,
+        reason: 'wikipedia-season (wiki.json) ranks higher for …–1991',
+      },
+      {
+        season: '1888',
+        tier: 'tier1',
+        kind: 'field',
+        strategy: 'fill-fields',
+        kept: 'rsssf (rsssf.json)',
+        dropped: null,
+        team: 'Preston North End',
+        field: 'goalAverage',
+        reason: 'goalAverage missing from the kept tier',
+      },
+    ]);
+  });
+
+  test('lines up RSSSF and Wikipedia tiers by level from 1992 before merging', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'combine-output-test-'));
+    tmpDirs.push(tmpDir);
+
+    const header = '                       P  W  D  L  F  A  W  D  L  F  A  Pts';
+    const block = (heading, lines) => `<pre>${[heading, '', header, ...lines].join('\n')}</pre>`;
+    const page = [
+      block('Division One - 1993/94', [
+        ' 1 Millwall           46 14  5  4 40 20 13  4  6 38 22  90',
+        ' 2 Watford            46 13  6  4 39 21 12  5  6 35 25  86',
+      ]),
+      block('Division Two - 1993/94', [
+        ' 1 Reading            46 14  5  4 40 20 13  4  6 38 22  90',
+        ' 2 Brentford          46 13  6  4 39 21 12  5  6 35 25  86',
+      ]),
+    ].join('\n');
+    const { record } = buildRsssfSeasonRecord(parseRsssfPage(page, { source: 'rsssf-1993.html' }), {
+      startYear: 1993,
+    });
+    fs.writeFileSync(
+      path.join(tmpDir, 'rsssf.json'),
+      JSON.stringify({ seasons: { 1993: record } })
+    );
+
+    // Older Football League exports keyed the First Division as tier1 after 1992 as well.
+    const row = (pos, team, won, drawn, lost, points) => ({
+      pos,
+      team,
+      played: 46,
+      won,
+      drawn,
+      lost,
+      goalsFor: 78,
+      goalsAgainst: 42,
+      points,
+    });
+    const wikiTier = (table) => ({
+      season: 1993,
+      seasonSlug: '1993-94_Football_League',
+      table,
+      provenance: { source: 'wikipedia-season' },
+    });
+    fs.writeFileSync(
+      path.join(tmpDir, 'wiki.json'),
+      JSON.stringify({
+        seasons: {
+          1993: {
+            tier1: wikiTier([row(1, 'Millwall', 27, 9, 9, 90), row(2, 'Watford', 25, 11, 10, 86)]),
+            tier2: wikiTier([row(1, 'Reading', 27, 9, 9, 90), row(2, 'Brentford', 25, 11, 10, 86)]),
+          },
+        },
+      })
+    );
+
+    const { dataset, decisions } = combineFootballDataFiles({
+      inputs: ['wiki.json', 'rsssf.json'],
+      output: 'all-seasons.json',
+      cwd: tmpDir,
+      merge: { strategies: ['stat-checks'] },
+    });
+    const season = dataset.seasons['1993'];
+
+    expect(Object.keys(season).filter((key) => key.startsWith('tier'))).toEqual(['tier2', 'tier3']);
+    expect(season.tier2).toMatchObject({ league: 'Division One' });
+    expect(season.tier3).toMatchObject({ league: 'Division Two' });
+    expect(decisions.filter((decision) => decision.kind === 'tier')).toEqual([
+      expect.objectContaining({
+        tier: 'tier2',
+        strategy: 'stat-checks',
+        kept: 'rsssf (rsssf.json)',
+        reason: '100% of rows pass the stat checks against 50%',
+      }),
+      expect.objectContaining({
+        tier: 'tier3',
+        strategy: 'stat-checks',
+        kept: 'rsssf (rsssf.json)',
+        reason: '100% of rows pass the stat checks against 50%',
+      }),
+    ]);
+  });
+
   test('combineFootballDataFiles reports missing season ranges and non-numeric keys', () => {
     const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'combine-output-test-'));
     tmpDirs.push(tmpDir);
@@ -0,0 +1,187 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { compareSources, formatComparison, loadComparisonSource } from '../compare-sources.js';
+
+const row = (pos, team, overrides = {}) => ({
+  pos,
+  team,
+  played: 2,
+  won: 1,
+  drawn: 1,
+  lost: 0,
+  goalsFor: 3,
+  goalsAgainst: 1,
+  points: 3,
+  ...overrides,
+});
+
+const source = (label, seasons) => ({ label, data: { seasons } });
+
+describe('compare-sources', () => {
+  const tmpDirs = [];
+
+  afterEach(() => {
+    while (tmpDirs.length) {
+      fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+    }
+  });
+
+  test('reports value mismatches, missing clubs and agreement with the majority', () => {
+    const wiki = source('wiki', {
+      1990: {
+        tier1: { table: [row(1, 'Liverpool'), row(2, 'Aston Villa'), row(3, 'Spurs')] },
+      },
+    });
+    const rsssf = source('rsssf', {
+      1990: { tier1: { table: [row(1, 'Liverpool', { points: 4 }), row(2, 'Aston Villa')] } },
+    });
+    const csv = source('csv', {
+      1990: {
+        tier1: { table: [row(1, 'Liverpool'), row(2, 'Aston Villa'), row(3, 'Spurs')] },
+        tier2: { table: [row(1, 'Leeds United')] },
+      },
+    });
+
+    const report = compareSources([wiki, rsssf, csv]);
+
+    expect(report.tables).toHaveLength(1);
+    const [table] = report.tables;
+    expect(table).toMatchObject({ season: '1990', tier: 'tier1', division: null });
+    expect(table.mismatches).toEqual([
+      {
+        team: 'Liverpool',
+        clubId: null,
+        field: 'points',
+        values: { wiki: 3, rsssf: 4, csv: 3 },
+      },
+    ]);
+    expect(table.missing).toEqual([
+      { team: 'Spurs', clubId: null, pos: 3, presentIn: ['wiki', 'csv'], missingFrom: ['rsssf'] },
+    ]);
+    expect(report.eras['1990s']).toEqual({
+      wiki: { compared: 21, agreed: 21, missing: 0 },
+      rsssf: { compared: 14, agreed: 13, missing: 1 },
+      csv: { compared: 21, agreed: 21, missing: 0 },
+    });
+
+    const lines = formatComparison(report);
+    expect(lines).toContain('  Liverpool points: wiki 3 / rsssf 4 / csv 3');
+    expect(lines).toContain('  Spurs: missing from rsssf');
+    expect(lines[lines.length - 1]).toBe(
+      '  1990s: wiki 100.0% (0 missing), csv 100.0% (0 missing), rsssf 92.9% (1 missing)'
+    );
+  });
+
+  test('pairs clubs the registry cannot match by their position', () => {
+    const report = compareSources([
+      source('a', { 1900: { tier2: [row(1, 'Small Heath'), row(2, 'Woolwich Arsenal')] } }),
+      source('b', { 1900: { tier2: [row(1, 'Small Heath'), row(2, 'Royal Arsenal FC')] } }),
+    ]);
+
+    const [table] = report.tables;
+    expect(table.missing).toEqual([]);
+    expect(table.mismatches).toEqual([
+      {
+        team: 'Woolwich Arsenal',
+        clubId: null,
+        field: 'team',
+        values: { a: 'Woolwich Arsenal', b: 'Royal Arsenal FC' },
+      },
+    ]);
+  });
+
+  test('reports tables with almost no clubs in common as different competitions', () => {
+    const premierLeague = [
+      row(1, 'Manchester United'),
+      row(2, 'Blackburn Rovers'),
+      row(3, 'Newcastle United'),
+    ];
+    const firstDivision = [
+      row(1, 'Crystal Palace'),
+      row(2, 'Nottingham Forest'),
+      row(3, 'Millwall'),
+    ];
+
+    const report = compareSources([
+      source('overview', { 1993: { tier1: { table: premierLeague } } }),
+      source('rsssf', { 1993: { tier1: { table: premierLeague } } }),
+      source('promo', { 1993: { tier1: { table: firstDivision } } }),
+    ]);
+
+    const [table] = report.tables;
+    expect(table).toMatchObject({
+      sources: ['overview', 'rsssf'],
+      differentCompetitions: ['promo'],
+      mismatches: [],
+      missing: [],
+    });
+    expect(formatComparison(report)).toContain(
+      '1993 tier1: different competitions in promo (few clubs in common), not compared'
+    );
+
+    const pair = compareSources([
+      source('overview', { 1993: { tier1: { table: premierLeague } } }),
+      source('promo', { 1993: { tier1: { table: firstDivision } } }),
+    ]);
+    expect(pair.tables[0]).toMatchObject({
+      differentCompetitions: ['overview', 'promo'],
+      missing: [],
+    });
+  });
+
+  test('loads a directory of season files as one source and lines up split tiers by division', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-sources-test-'));
+    tmpDirs.push(tmpDir);
+    fs.mkdirSync(path.join(tmpDir, 'rsssf'));
+
+    const split = (north, south) => ({
+      table: [],
+      divisions: [
+        { division: 'Third Division North', section: 'North', table: north },
+        { division: 'Third Division South', section: 'South', table: south },
+      ],
+    });
+    fs.writeFileSync(
+      path.join(tmpDir, 'rsssf', '1930.json'),
+      JSON.stringify({
+        seasons: { 1930: { tier3: split([row(1, 'Chesterfield')], [row(1, 'Notts County')]) } },
+      })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'rsssf', '1931.json'),
+      JSON.stringify({ seasons: { 1931: { tier1: { table: [row(1, 'Everton')] } } } })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, 'wiki.json'),
+      JSON.stringify({
+        seasons: {
+          1930: {
+            tier3: split([row(1, 'Chesterfield', { goalsFor: 4 })], [row(1, 'Notts County')]),
+          },
+          1931: { tier1: { table: [row(1, 'Everton')] } },
+        },
+      })
+    );
+
+    const sources = ['rsssf', 'wiki.json'].map((target) =>
+      loadComparisonSource(target, { cwd: tmpDir })
+    );
+    expect(Object.keys(sources[0].data.seasons)).toEqual(['1930', '1931']);
+
+    const report = compareSources(sources, { start: 1930, end: 1930 });
+    expect(report.tables.map((table) => table.division)).toEqual([
+      'Third Division North',
+      'Third Division South',
+    ]);
+    expect(report.tables[0].mismatches).toEqual([
+      expect.objectContaining({
+        team: 'Chesterfield',
+        field: 'goalsFor',
+        values: { rsssf: 3, 'wiki.json': 4 },
+      }),
+    ]);
+    expect(report.tables[0].mismatches[0].clubId).toEqual(expect.any(String));
+    expect(() => loadComparisonSource('missing.json', { cwd: tmpDir })).toThrow(/Input not found/);
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { buildCsvFootballData, computeLeagueTable } from '../../csv/match-tables.js';
+
+const HEADER = ['Season', 'home', 'visitor', 'hgoal', 'vgoal', 'division', 'tier'];
+
+function matches(lines) {
+  return lines.map((line) => Object.fromEntries(line.split(',').map((v, i) => [HEADER[i], v])));
+}
+
+describe('computeLeagueTable', () => {
+  test('uses two points for a win and goal average before 1981', () => {
+    const table = computeLeagueTable(
+      matches([
+        '1900,Alpha,Beta,2,0,1,1',
+        '1900,Beta,Gamma,4,2,1,1',
+        '1900,Gamma,Alpha,1,1,1,1',
+        '1900,Gamma,Beta,3,1,1,1',
+      ]),
+      1900
+    );
+
+    expect(table.map((row) => [row.pos, row.team, row.points, row.goalAverage])).toEqual([
+      [1, 'Alpha', 3, 3],
+      [2, 'Gamma', 3, 1],
+      [3, 'Beta', 2, 0.714],
+    ]);
+    expect(table[0]).toMatchObject({ played: 2, won: 1, drawn: 1, lost: 0, goalsFor: 3 });
+    expect(table[0].home).toEqual({
+      played: 1,
+      won: 1,
+      drawn: 0,
+      lost: 0,
+      goalsFor: 2,
+      goalsAgainst: 0,
+    });
+    expect(table[0].away).toMatchObject({ played: 1, drawn: 1, goalsFor: 1, goalsAgainst: 1 });
+  });
+
+  test('uses three points for a win and goal difference from 1981', () => {
+    const table = computeLeagueTable(
+      matches(['1990,Alpha,Beta,1,0,1,1', '1990,Beta,Alpha,5,3,1,1']),
+      1990
+    );
+
+    expect(table.map((row) => [row.team, row.points, row.goalDifference, row.goalAverage])).toEqual(
+      [
+        ['Beta', 3, 1, null],
+        ['Alpha', 3, -1, null],
+      ]
+    );
+  });
+});
+
+describe('buildCsvFootballData', () => {
+  test('builds every tier, regional sections and next-season movements', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const dataset = buildCsvFootballData(
+      matches([
+        '1930,Alpha,Beta,2,0,1,1',
+        '1930,Gamma,Delta,3,0,2,2',
+        '1930,North A,North B,1,0,3N,3',
+        '1930,South A,South B,0,2,3S,3',
+        '1930,Expunged,North A,1,1,3,3',
+        '1931,Alpha,Gamma,1,1,1,1',
+        '1931,Beta,Delta,0,0,2,2',
+      ]),
+      { end: 1930, metadata: { source: 'csv' } }
+    );
+
+    expect(Object.keys(dataset.seasons)).toEqual(['1930']);
+    const season = dataset.seasons['1930'];
+    expect(season.tier1).toMatchObject({ source: 'csv', promoted: [], relegated: ['Beta'] });
+    expect(season.tier2).toMatchObject({ promoted: ['Gamma'], relegated: [] });
+    expect(season.tier3.table).toEqual([]);
+    expect(
+      season.tier3.divisions.map((division) => [
+        division.division,
+        division.section,
+        division.table.map((row) => row.team),
+      ])
+    ).toEqual([
+      ['Third Division North', 'North', ['North A', 'North B']],
+      ['Third Division South', 'South', ['South B', 'South A']],
+    ]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Expunged'));
+    warnSpy.mockRestore();
+  });
+
+  test('follows a club renamed between seasons through the registry', () => {
+    const dataset = buildCsvFootballData(
+      matches([
+        '1904,Everton,Bury,1,0,1,1',
+        '1904,Small Heath,Burslem Port Vale,2,1,2,2',
+        '1905,Birmingham,Everton,1,1,1,1',
+        '1905,Bury,Burslem Port Vale,0,0,2,2',
+      ]),
+      { end: 1904 }
+    );
+
+    expect(dataset.seasons['1904'].tier2).toMatchObject({ promoted: ['Small Heath'] });
+    expect(dataset.seasons['1904'].tier1).toMatchObject({ relegated: ['Bury'] });
+  });
+});
@@ -2,11 +2,15 @@ import fs from 'node:fs';
 import os from 'node:os';
 import path from 'node:path';
 import {
+  buildParallelTierData,
+  getTierDivisions,
   normaliseLeagueTableEntry,
   createFootballData,
   updateFootballDataFile,
   loadFootballData,
   setSeasonRecord,
+  buildTierData,
+  mergeFootballData,
 } from '../generate-output-files.js';
 
 describe('normaliseLeagueTableEntry', () => {
@@ -31,6 +35,33 @@ describe('normaliseLeagueTableEntry', () => {
     expect(entry.wasRelegated).toBe(false);
     expect(entry.goalDifference).toBe(38);
   });
+
+  test('keeps home/away records, including RSSSF meta records', () => {
+    const base = { pos: 1, team: 'Sample FC', played: 4, won: 2, drawn: 1, lost: 1 };
+    const entry = normaliseLeagueTableEntry({
+      ...base,
+      home: { won: 2, drawn: 0, lost: 0, goalsFor: 5, goalsAgainst: 1 },
+      meta: { awayRecord: { wins: 0, draws: 1, losses: 1, goalsFor: 2, goalsAgainst: 4 } },
+    });
+
+    expect(entry.home).toEqual({
+      played: 2,
+      won: 2,
+      drawn: 0,
+      lost: 0,
+      goalsFor: 5,
+      goalsAgainst: 1,
+    });
+    expect(entry.away).toEqual({
+      played: 2,
+      won: 0,
+      drawn: 1,
+      lost: 1,
+      goalsFor: 2,
+      goalsAgainst: 4,
+    });
+    expect(normaliseLeagueTableEntry({ ...base, home: { won: 2 } })).not.toHaveProperty('home');
+  });
 });
 
 describe('createFootballData', () => {
@@ -101,6 +132,35 @@ describe('createFootballData', () => {
     expect(Array.isArray(tier2)).toBe(true);
     expect(tier2[0].wasPromoted).toBe(true);
   });
+
+  test('keys tiers by pyramid level, including older Football League exports', () => {
+    const slug = '1993-94_Football_League';
+    const legacy = {
+      seasons: {
+        1993: {
+          seasonInfo: { season: 1993, seasonSlug: slug, promoted: [], relegated: [] },
+          tier1: { season: 1993, seasonSlug: slug, tier: 'tier1', table: [{ pos: 1, team: 'A' }] },
+          tier2: { season: 1993, seasonSlug: slug, tier: 'tier2', table: [{ pos: 1, team: 'B' }] },
+        },
+        1994: {
+          tier1: { season: 1994, title: 'FA Premier League', table: [{ pos: 1, team: 'C' }] },
+          tier2: { season: 1994, title: 'First Division', table: [{ pos: 1, team: 'D' }] },
+        },
+      },
+    };
+
+    const dataset = createFootballData(legacy);
+    expect(Object.keys(dataset.seasons['1993'])).toEqual(['seasonInfo', 'tier2', 'tier3']);
+    expect(dataset.seasons['1993'].tier2).toMatchObject({
+      tier: 'tier2',
+      division: 'First Division',
+    });
+    expect(dataset.seasons['1993'].tier3).toMatchObject({ division: 'Second Division' });
+    expect(Object.keys(dataset.seasons['1994'])).toEqual(['tier1', 'tier2']);
+
+    // Reloading the aligned data keeps it where it is.
+    expect(createFootballData(JSON.parse(JSON.stringify(dataset)))).toEqual(dataset);
+  });
 });
 
 describe('updateFootballDataFile', () => {
@@ -256,4 +316,95 @@ describe('setSeasonRecord', () => {
     expect(dataset.seasons['1955'].seasonInfo.seasonSlug).toBe('1955–56_in_English_football');
     expect(dataset.seasons['1955'].tier1.title).toBe('Premier League');
   });
+
+  test('keeps tier, row and field provenance', () => {
+    const provenance = {
+      source: 'wikipedia-season',
+      url: 'https://en.wikipedia.org/wiki/1962-63_Football_League',
+      revisionId: 42,
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+      parser: 'wikipedia/parse-season-pages',
+      parserVersion: '0.5.0',
+    };
+    const rsssf = {
+      ...provenance,
+      source: 'rsssf',
+      url: 'https://www.rsssf.org/',
+      revisionId: null,
+    };
+    const tier = buildTierData(
+      1962,
+      [{ pos: 1, team: 'Stoke City', provenance, fieldProvenance: { points: rsssf, bogus: {} } }],
+      { metadata: { provenance: { ...provenance, revisionId: '42' } } }
+    );
+
+    const dataset = createFootballData();
+    setSeasonRecord(dataset, '1962', { tier2: tier });
+    const { tier2 } = dataset.seasons['1962'];
+    expect(tier2.provenance).toEqual(provenance);
+    expect(tier2.table[0].provenance).toEqual(provenance);
+    expect(tier2.table[0].fieldProvenance).toEqual({ points: rsssf });
+  });
+
+  test('keeps allow-listed row extras through setSeasonRecord and merges', () => {
+    const row = {
+      pos: 1,
+      team: 'Example FC',
+      attendance: 41000,
+      meta: { rawLine: ' 1.Example FC  42 26 10  6  90-40  88', markers: [], skip: undefined },
+    };
+    const rsssfTier = buildTierData(1955, [row], { metadata: { source: 'rsssf' } });
+    const wikiTier = buildTierData(1955, [row]);
+
+    expect(rsssfTier.table[0].extras).toEqual({
+      meta: { rawLine: ' 1.Example FC  42 26 10  6  90-40  88', markers: [] },
+    });
+    expect(rsssfTier.table[0]).not.toHaveProperty('attendance');
+    expect(wikiTier.table[0]).not.toHaveProperty('extras');
+
+    const dataset = createFootballData();
+    setSeasonRecord(dataset, '1955', { tier1: rsssfTier });
+    const merged = mergeFootballData(createFootballData(), dataset);
+    expect(merged.seasons['1955'].tier1.table[0].extras).toEqual(rsssfTier.table[0].extras);
+  });
+});
+
+describe('parallel divisions', () => {
+  test('keeps regional sections in one tier and unions their outcome lists', () => {
+    const tier3 = buildParallelTierData(1930, [
+      {
+        division: 'Third Division North',
+        section: 'North',
+        table: [{ pos: 1, team: 'Port Vale', notes: 'Promoted to the Second Division' }],
+      },
+      {
+        division: 'Third Division South',
+        section: 'South',
+        table: [{ pos: 1, team: 'Notts County', notes: 'Promoted to the Second Division' }],
+      },
+    ]);
+
+    expect(tier3.table).toEqual([]);
+    expect(tier3.promoted).toEqual(['Port Vale', 'Notts County']);
+    expect(tier3.divisions[1]).toMatchObject({
+      division: 'Third Division South',
+      section: 'South',
+    });
+
+    const reloaded = createFootballData(
+      JSON.parse(JSON.stringify({ seasons: { 1930: { tier3 } } }))
+    );
+    const divisions = getTierDivisions(reloaded.seasons['1930'].tier3);
+    expect(divisions.map((division) => division.table[0].team)).toEqual([
+      'Port Vale',
+      'Notts County',
+    ]);
+    expect(divisions[0].table[0].wasPromoted).toBe(true);
+  });
+
+  test('treats single-table tiers and bare row arrays as one division', () => {
+    expect(getTierDivisions([{ team: 'A' }])).toEqual([{ table: [{ team: 'A' }] }]);
+    expect(getTierDivisions({ season: 1900, table: [], title: 'League' })).toHaveLength(1);
+    expect(getTierDivisions(null)).toEqual([]);
+  });
 });
@@ -0,0 +1,105 @@
+import {
+  compareByRules,
+  competitionFor,
+  decideTitle,
+  divisionLevel,
+  getLeagueRules,
+  pointsForRecord,
+  sortLeagueTable,
+} from '../../shared/league-rules.js';
+
+describe('getLeagueRules', () => {
+  test('switches points and tiebreakers at the season boundaries', () => {
+    expect(getLeagueRules(1975, { tier: 2 })).toMatchObject({
+      competition: 'football-league',
+      pointsForWin: 2,
+      tiebreakers: ['goalAverage'],
+    });
+    expect(getLeagueRules(1976, { tier: 2 })).toMatchObject({
+      pointsForWin: 2,
+      tiebreakers: ['goalDifference', 'goalsFor'],
+    });
+    expect(getLeagueRules(1981, { tier: 2 }).pointsForWin).toBe(3);
+  });
+
+  test('distinguishes the Premier League from the Football League after 1992', () => {
+    expect(competitionFor(1992, 1)).toBe('premier-league');
+    expect(competitionFor(1991, 1)).toBe('football-league');
+    expect(competitionFor(1995, 5)).toBe('non-league');
+    expect(getLeagueRules(1995, { tier: 1 }).tiebreakers).toEqual(['goalDifference', 'goalsFor']);
+    expect(getLeagueRules(1995, { tier: 2 }).tiebreakers).toEqual(['goalsFor', 'goalDifference']);
+    expect(getLeagueRules(1999, { tier: 2 }).tiebreakers).toEqual(['goalDifference', 'goalsFor']);
+  });
+
+  test('reads the pyramid level from a division name', () => {
+    expect(divisionLevel('First Division', 1991)).toBe(1);
+    expect(divisionLevel('League Division One', 1993)).toBe(2);
+    expect(divisionLevel('FA Premiership', 1993)).toBe(1);
+    expect(divisionLevel('Football League Championship', 2010)).toBe(2);
+    expect(divisionLevel('Third Division North', 1930)).toBe(3);
+    expect(divisionLevel('Football League', 1888)).toBe(1);
+    expect(divisionLevel('Conference Premier', 2014)).toBeNull();
+    expect(divisionLevel('League table', 2012)).toBeNull();
+  });
+
+  test('describes test matches, play-offs and re-election', () => {
+    expect(getLeagueRules(1889, { tier: 1 })).toMatchObject({
+      reElection: true,
+      relegation: { automatic: 0, playoff: 0 },
+    });
+    expect(getLeagueRules(1895, { tier: 2 })).toMatchObject({
+      testMatches: { clubs: 2 },
+      playoffs: null,
+    });
+    expect(getLeagueRules(1973, { tier: 1 }).relegation).toEqual({ automatic: 3, playoff: 0 });
+    expect(getLeagueRules(1986, { tier: 2 })).toMatchObject({
+      promotion: { automatic: 2, playoff: 1 },
+      playoffs: { clubs: 3, withHigherDivision: true, final: 'two-legged' },
+    });
+    expect(getLeagueRules(2005, { tier: 4 })).toMatchObject({
+      promotion: { automatic: 3, playoff: 1 },
+      relegation: { automatic: 2, playoff: 0 },
+      playoffs: { clubs: 4, withHigherDivision: false, final: 'single' },
+      reElection: false,
+    });
+    expect(getLeagueRules(2005, { tier: 6 })).toMatchObject({ promotion: null, playoffs: null });
+  });
+});
+
+describe('table helpers', () => {
+  test('computes points under the season rules', () => {
+    expect(pointsForRecord({ won: 10, drawn: 5 }, getLeagueRules(1950))).toBe(25);
+    expect(pointsForRecord({ won: 10, drawn: 5 }, getLeagueRules(1990))).toBe(35);
+    expect(pointsForRecord({ won: null, drawn: 5 }, getLeagueRules(1990))).toBeNull();
+  });
+
+  test('orders rows by points then the tiebreakers', () => {
+    const rows = [
+      { team: 'Alpha', points: 50, goalsFor: 60, goalsAgainst: 40 },
+      { team: 'Beta', points: 50, goalsFor: 70, goalsAgainst: 55 },
+      { team: 'Gamma', points: 52, goalsFor: 40, goalsAgainst: 45 },
+    ];
+
+    expect(sortLeagueTable(rows, getLeagueRules(1960)).map((row) => [row.pos, row.team])).toEqual([
+      [1, 'Gamma'],
+      [2, 'Alpha'],
+      [3, 'Beta'],
+    ]);
+    expect(sortLeagueTable(rows, getLeagueRules(1995, { tier: 2 })).map((row) => row.team)).toEqual(
+      ['Gamma', 'Beta', 'Alpha']
+    );
+    expect(compareByRules({ points: 10 }, { points: 10 }, getLeagueRules(1960))).toBe(0);
+  });
+
+  test('names what separated the top two', () => {
+    const rules = getLeagueRules(1923);
+    const huddersfield = { points: 57, goalsFor: 60, goalsAgainst: 33 };
+
+    expect(decideTitle({ points: 60 }, { points: 57 }, rules)).toBe('points');
+    expect(decideTitle(huddersfield, { points: 57, goalsFor: 61, goalsAgainst: 34 }, rules)).toBe(
+      'goalAverage'
+    );
+    expect(decideTitle(huddersfield, { ...huddersfield }, rules)).toBe('playoff');
+    expect(decideTitle(huddersfield, { points: 57 }, rules)).toBeNull();
+  });
+});
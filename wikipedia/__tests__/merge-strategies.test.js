@@ -0,0 +1,102 @@
+import {
+  chooseTier,
+  fillMissingFields,
+  MERGE_STRATEGIES,
+  resolveMergeOptions,
+} from '../merge-strategies.js';
+
+const row = (team, overrides = {}) => ({
+  pos: 1,
+  team,
+  played: 2,
+  won: 1,
+  drawn: 1,
+  lost: 0,
+  goalsFor: 3,
+  goalsAgainst: 1,
+  goalDifference: 2,
+  goalAverage: null,
+  points: 4,
+  notes: null,
+  ...overrides,
+});
+
+const tier = (source, table) => ({ table, provenance: { source, file: `${source}.json` } });
+
+describe('merge-strategies', () => {
+  test('resolveMergeOptions always ends with first-loaded and rejects unknown names', () => {
+    expect(resolveMergeOptions().strategies).toEqual(['first-loaded']);
+    expect(resolveMergeOptions({ strategies: ['most-complete'] }).strategies).toEqual([
+      'most-complete',
+      'first-loaded',
+    ]);
+    expect(() => resolveMergeOptions({ strategies: ['loudest'] })).toThrow(
+      /Unknown merge strategy: loudest/
+    );
+    expect(() => resolveMergeOptions({ strategies: ['source-priority'] })).toThrow(
+      /needs a sourcePriority list/
+    );
+    expect(Object.keys(MERGE_STRATEGIES)).toContain('stat-checks');
+  });
+
+  test('source-priority follows the era the season falls in', () => {
+    const options = resolveMergeOptions({
+      strategies: ['source-priority'],
+      sourcePriority: [
+        { to: 1991, sources: ['rsssf', 'wikipedia-season'] },
+        { from: 1992, sources: ['wikipedia-season', 'rsssf'] },
+      ],
+    });
+    const existing = tier('wikipedia-season', [row('Arsenal')]);
+    const incoming = tier('rsssf', [row('Arsenal')]);
+
+    expect(chooseTier({ season: '1950', tier: 'tier1', existing, incoming, options })).toEqual({
+      keep: 'incoming',
+      reason: 'rsssf (rsssf.json) ranks higher for …–1991',
+      strategy: 'source-priority',
+    });
+    expect(
+      chooseTier({ season: '2000', tier: 'tier1', existing, incoming, options })
+    ).toMatchObject({ keep: 'existing', strategy: 'source-priority' });
+  });
+
+  test('most-complete and stat-checks fall through when they cannot separate the tiers', () => {
+    const options = resolveMergeOptions({ strategies: ['most-complete', 'stat-checks'] });
+    const clean = tier('csv', [row('Arsenal'), row('Everton', { pos: 2 })]);
+    const broken = tier('rsssf', [row('Arsenal'), row('Everton', { pos: 2, played: 5 })]);
+    const shorter = tier('rsssf', [row('Arsenal')]);
+
+    expect(
+      chooseTier({ season: '2000', tier: 'tier1', existing: shorter, incoming: clean, options })
+    ).toMatchObject({ keep: 'incoming', strategy: 'most-complete', reason: '2 rows against 1' });
+    expect(
+      chooseTier({ season: '2000', tier: 'tier1', existing: broken, incoming: clean, options })
+    ).toMatchObject({
+      keep: 'incoming',
+      strategy: 'stat-checks',
+      reason: '100% of rows pass the stat checks against 50%',
+    });
+    expect(
+      chooseTier({ season: '2000', tier: 'tier1', existing: clean, incoming: clean, options })
+    ).toMatchObject({ keep: 'existing', strategy: 'first-loaded' });
+  });
+
+  test('fillMissingFields copies blank fields from the same club and records where they came from', () => {
+    const kept = tier('wikipedia-season', [row('Arsenal F.C.'), row('Everton', { notes: 'x' })]);
+    const other = tier('rsssf', [
+      row('Arsenal', { goalAverage: 3, notes: 'Champions' }),
+      row('Everton', { notes: 'y' }),
+    ]);
+
+    expect(fillMissingFields(kept, other, ['goalAverage', 'notes'])).toEqual([
+      { team: 'Arsenal F.C.', field: 'goalAverage' },
+      { team: 'Arsenal F.C.', field: 'notes' },
+    ]);
+    expect(kept.table[0]).toMatchObject({ goalAverage: 3, notes: 'Champions' });
+    expect(kept.table[0].fieldProvenance.notes).toMatchObject({
+      source: 'rsssf',
+      file: 'rsssf.json',
+    });
+    expect(kept.table[1].notes).toBe('x');
+  });
+});
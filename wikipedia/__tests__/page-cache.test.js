@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPageCache, hashHtml } from '../page-cache.js';
+import { fetchPageForSlug } from '../page-fetcher.js';
+
+describe('createPageCache', () => {
+  const tmpDirs = [];
+
+  const makeCacheDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-test-'));
+    tmpDirs.push(dir);
+    return dir;
+  };
+
+  afterEach(() => {
+    while (tmpDirs.length) {
+      fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+    }
+  });
+
+  test('stores HTML by content hash and indexes slug metadata', () => {
+    const cacheDir = makeCacheDir();
+    const cache = createPageCache({ cacheDir });
+
+    cache.write({
+      slug: '1900–01_Football_League',
+      html: '<p>1900</p>',
+      revisionId: 42,
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+    });
+    cache.write({ slug: 'Duplicate_Page', html: '<p>1900</p>' });
+
+    const hash = hashHtml('<p>1900</p>');
+    const objectFiles = fs.readdirSync(path.join(cacheDir, 'objects', hash.slice(0, 2)));
+    expect(objectFiles).toEqual([`${hash}.html`]);
+
+    const reopened = createPageCache({ cacheDir });
+    expect(reopened.slugs()).toEqual(['1900–01_Football_League', 'Duplicate_Page']);
+    expect(reopened.read('1900–01_Football_League')).toMatchObject({
+      html: '<p>1900</p>',
+      hash,
+      revisionId: 42,
+      fetchedAt: '2024-01-01T00:00:00.000Z',
+    });
+    expect(reopened.read('Missing_Page')).toBeNull();
+  });
+
+  test('rejects offline mode combined with refresh', () => {
+    expect(() =>
+      createPageCache({ cacheDir: makeCacheDir(), offline: true, refresh: true })
+    ).toThrow(/cannot be combined/);
+  });
+
+  test('fetchPageForSlug serves cached pages in offline mode', async () => {
+    const cacheDir = makeCacheDir();
+    createPageCache({ cacheDir }).write({
+      slug: 'Cached_Page',
+      html: '<p>cached</p>',
+      revisionId: 7,
+    });
+    const page = await fetchPageForSlug('Cached_Page', {
+      cache: createPageCache({ cacheDir, offline: true }),
+    });
+
+    expect(page).toMatchObject({ html: '<p>cached</p>', revisionId: 7, fromCache: true });
+  });
+
+  test('fetchPageForSlug fails in offline mode when the page is not cached', async () => {
+    const cache = createPageCache({ cacheDir: makeCacheDir(), offline: true });
+    await expect(fetchPageForSlug('Unknown_Page', { cache })).rejects.toThrow(/offline mode/);
+  });
+});
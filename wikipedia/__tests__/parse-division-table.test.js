@@ -123,8 +123,83 @@ describe('parseDivisionTable', () => {
     });
   });
 
+  test("reads points deductions from footnotes and the row's own notes", () => {
+    const html = `
+      <div><span id="Second_Division"></span></div>
+      <div class="wikitable">
+        <table>
+          <tr><th>Pos</th><th>Club</th><th>Pld</th><th>W</th><th>D</th><th>L</th><th>Pts</th><th>Notes</th></tr>
+          <tr>
+            <td>22</td>
+            <th scope="row"><a>Leeds United</a></th>
+            <td>46</td><td>13</td><td>7</td><td>26</td>
+            <td>36<sup class="reference"><a href="#cite_note-leeds-1">[a]</a></sup></td>
+            <td rowspan="2">Relegated to League One</td>
+          </tr>
+          <tr>
+            <td>23</td>
+            <th scope="row"><a>Southend United</a></th>
+            <td>46</td><td>10</td><td>12</td><td>24</td><td>42</td>
+          </tr>
+        </table>
+      </div>
+      <ol class="references">
+        <li id="cite_note-leeds-1"><span class="mw-cite-backlink">^</span>
+          <span class="reference-text">Leeds United were deducted 10 points for entering administration.</span>
+        </li>
+      </ol>
+    `;
+
+    const rows = parseDivisionTable(html, 'second');
+
+    expect(rows[0]).toMatchObject({
+      team: 'Leeds United',
+      points: 36,
+      pointsDeducted: 10,
+      pointsAwarded: null,
+      pointsAdjustments: [{ type: 'deduction', points: 10, reason: 'administration' }],
+      wasRelegated: true,
+    });
+    expect(rows[1]).toMatchObject({ team: 'Southend United', pointsDeducted: null });
+  });
+
   test('returns empty array when no league table header can be found', () => {
     const html = '<div><p>No table here</p></div>';
     expect(parseDivisionTable(html, 'second')).toEqual([]);
   });
+
+  test('separates Third Division North/South sections and reads re-election notes', () => {
+    const section = (id, title, rows) => `
+      <div><span class="mw-headline" id="${id}">${title}</span></div>
+      <div class="wikitable">
+        <table>
+          <tr><th>Pos</th><th>Club</th><th>Pld</th><th>Pts</th><th>Notes</th></tr>
+          ${rows}
+        </table>
+      </div>`;
+    const html = `<div>
+      ${section(
+        'Third_Division_North',
+        'Third Division North',
+        `<tr><td>1</td><th scope="row"><a>Grimsby Town</a></th><td>42</td><td>61</td><td>Promoted to the Second Division</td></tr>
+         <tr><td>22</td><th scope="row"><a>Barrow</a></th><td>42</td><td>22</td><td>Re-elected</td></tr>`
+      )}
+      ${section(
+        'Third_Division_South',
+        'Third Division South',
+        `<tr><td>1</td><th scope="row"><a>Reading</a></th><td>42</td><td>57</td><td>Promoted to the Second Division</td></tr>
+         <tr><td>22</td><th scope="row"><a>Aberdare Athletic</a></th><td>42</td><td>23</td><td>Not re-elected</td></tr>`
+      )}
+    </div>`;
+
+    const north = parseDivisionTable(html, 'thirdNorth');
+    const south = parseDivisionTable(html, 'thirdSouth');
+
+    expect(north.map((row) => row.team)).toEqual(['Grimsby Town', 'Barrow']);
+    expect(north[0].wasPromoted).toBe(true);
+    expect(north[1].wasReElected).toBe(true);
+    expect(south[1]).toMatchObject({ team: 'Aberdare Athletic', wasReElected: false });
+    // A plain "Third Division" lookup must not borrow a regional section or a generic table
+    expect(parseDivisionTable(html, 'third')).toEqual([]);
+  });
 });
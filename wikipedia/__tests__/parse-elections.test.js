@@ -0,0 +1,92 @@
+import { buildElectionsBlock, parseElections } from '../parse-elections.js';
+
+const electionPage = `
+  <h2>Second Division</h2>
+  <table><tr><th>Pos</th><th>Club</th><th>Votes</th></tr></table>
+  <h2>Election to the League</h2>
+  <table class="wikitable">
+    <tr><th>Club</th><th>League</th><th>Votes</th></tr>
+    <tr><td><b>Tottenham Hotspur</b></td><td>Southern League</td><td><b>20</b></td></tr>
+    <tr><td><b>Burslem Port Vale</b></td><td>Football League Second Division</td><td><b>18</b></td></tr>
+    <tr><td>Chesterfield Town</td><td>Football League Second Division</td><td>14</td></tr>
+    <tr><td>Lincoln City</td><td>Midland League</td><td>10</td></tr>
+  </table>
+  <h3>Second ballot</h3>
+  <table class="wikitable">
+    <caption>Second ballot</caption>
+    <tr><th>Club</th><th>Votes</th><th>Result</th></tr>
+    <tr><td>Lincoln City</td><td>19</td><td>Elected</td></tr>
+    <tr><td>Chesterfield Town</td><td>17</td><td>Not re-elected</td></tr>
+  </table>
+  <h2>See also</h2>
+  <table><tr><th>Club</th><th>Votes</th></tr><tr><td>Other FC</td><td>1</td></tr></table>
+`;
+
+describe('parseElections', () => {
+  test('reads candidates, votes and outcomes from each ballot', () => {
+    const ballots = parseElections(electionPage, { leagueClubs: ['Chesterfield Town'] });
+
+    expect(ballots.map((ballot) => ballot.title)).toEqual([
+      'Election to the League',
+      'Second ballot',
+    ]);
+    expect(ballots[0].candidates).toEqual([
+      {
+        club: 'Tottenham Hotspur',
+        league: 'Southern League',
+        votes: 20,
+        isMember: false,
+        outcome: 'elected',
+      },
+      {
+        club: 'Burslem Port Vale',
+        league: 'Football League Second Division',
+        votes: 18,
+        isMember: true,
+        outcome: 're-elected',
+      },
+      {
+        club: 'Chesterfield Town',
+        league: 'Football League Second Division',
+        votes: 14,
+        isMember: true,
+        outcome: 'not-re-elected',
+      },
+      {
+        club: 'Lincoln City',
+        league: 'Midland League',
+        votes: 10,
+        isMember: false,
+        outcome: 'not-elected',
+      },
+    ]);
+    expect(ballots[1].candidates[1]).toMatchObject({ isMember: true, outcome: 'not-re-elected' });
+  });
+});
+
+describe('buildElectionsBlock', () => {
+  test('keeps the last outcome per club and carries the infobox lists', () => {
+    const ballots = parseElections(electionPage, { leagueClubs: ['Chesterfield Town'] });
+    const block = buildElectionsBlock(ballots, {
+      newClubs: ['Tottenham Hotspur', 'Lincoln City'],
+      folded: [],
+      resigned: ['New Brighton Tower'],
+    });
+
+    expect(block).toMatchObject({
+      elected: ['Tottenham Hotspur', 'Lincoln City'],
+      reElected: ['Burslem Port Vale'],
+      notReElected: ['Chesterfield Town'],
+      newClubs: ['Tottenham Hotspur', 'Lincoln City'],
+      resigned: ['New Brighton Tower'],
+    });
+  });
+
+  test('falls back to the infobox when there are no ballots', () => {
+    expect(buildElectionsBlock([], { newClubs: ['Leeds City'] })).toMatchObject({
+      ballots: [],
+      elected: ['Leeds City'],
+    });
+    expect(buildElectionsBlock([], {})).toBeNull();
+  });
+});
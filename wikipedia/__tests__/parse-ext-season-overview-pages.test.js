@@ -33,7 +33,9 @@ if (typeof globalThis.DOMException === 'undefined') {
 }
 
 const overviewModule = await import('../parse-ext-season-overview-pages.js');
-const { parseOverviewLeagueTables, buildSeasonOverview } = overviewModule;
+const { parseOverviewLeagueTables, buildSeasonOverview, buildSeasonOverviewSeasonRecord } =
+  overviewModule;
+const { verifyOverviewDataset } = await import('../../scripts/verify-overview-data.js');
 
 function buildTableHtml(teamName, points = 30) {
   return `
@@ -137,6 +139,39 @@ describe('parseOverviewLeagueTables', () => {
   });
 });
 
+describe('buildSeasonOverviewSeasonRecord', () => {
+  test('numbers regional sections as parallel divisions of one tier', () => {
+    const table = (title, team) => ({
+      title,
+      id: title.replace(/ /g, '_'),
+      rows: [{ pos: 1, team }],
+    });
+    const tables = [
+      table('Premier League', 'Manchester City'),
+      table('National League', 'Chesterfield'),
+      table('National League North', 'Tamworth'),
+      table('National League South', 'Yeovil Town'),
+    ];
+
+    const record = buildSeasonOverviewSeasonRecord({
+      seasonKey: '2023',
+      seasonYear: 2023,
+      seasonSlug: '2023–24_in_English_football',
+      tables,
+    });
+
+    expect(Object.keys(record)).toEqual(['seasonInfo', 'tier1', 'tier2', 'tier3']);
+    expect(record.seasonInfo).toMatchObject({ tableCount: 4, tierCount: 3 });
+    expect(record.tier3.title).toBe('National League (North/South)');
+    expect(record.tier3.divisions.map((division) => division.section)).toEqual(['North', 'South']);
+    expect(record.tier3.divisions[1].seasonMetadata.tableIndex).toBe(3);
+
+    const report = verifyOverviewDataset({ seasons: { 2023: record } });
+    expect(report.totalErrors).toBe(0);
+    expect(report.totalWarnings).toBe(0);
+  });
+});
+
 describe('buildSeasonOverview', () => {
   const tmpDirs = [];
 
@@ -0,0 +1,124 @@
+import { assignPlayoffs, parsePlayoffs } from '../parse-playoffs.js';
+import { wasPromoted } from '../utils.js';
+
+const footballBox = (home, score, away, extra = '') => `
+  <div class="footballbox">
+    <div class="fhome"><a>${home}</a></div>
+    <div class="fscore">${score}</div>
+    <div class="faway"><a>${away}</a></div>
+    ${extra}
+  </div>
+`;
+
+const matchSummaryPage = `
+  <h2>Second Division</h2>
+  <h3>Play-offs</h3>
+  <h4>Semi-finals</h4>
+  ${footballBox('Blackburn Rovers', '0–0', 'Crystal Palace')}
+  ${footballBox('Crystal Palace', '3–1', 'Blackburn Rovers')}
+  ${footballBox('Swindon Town', '1–1', 'Brighton &amp; Hove Albion')}
+  ${footballBox(
+    'Brighton &amp; Hove Albion',
+    '2–2 (a.e.t.)',
+    'Swindon Town',
+    '<div>Penalties 4–5</div>'
+  )}
+  <h4>Final</h4>
+  ${footballBox('Crystal Palace', '1–0', 'Swindon Town')}
+`;
+
+const bracketPage = `
+  <h3>Third Division play-offs</h3>
+  <table>
+    <tr><th colspan="3">Semi-finals</th><th colspan="2">Final</th></tr>
+    <tr><td>Walsall</td><td>1</td><td>3</td><td rowspan="2">Walsall</td><td rowspan="2">2</td></tr>
+    <tr><td>Fulham</td><td>2</td><td>0</td></tr>
+    <tr><td>Port Vale</td><td>1</td><td>0 (4)</td><td rowspan="2"><b>Port Vale</b></td><td rowspan="2">3</td></tr>
+    <tr><td>Bristol Rovers</td><td>1</td><td>0 (3)</td></tr>
+  </table>
+`;
+
+describe('parsePlayoffs', () => {
+  test('groups match summaries into two-legged ties and a final', () => {
+    const [block] = parsePlayoffs(matchSummaryPage);
+
+    expect(block.title).toBe('Second Division play-offs');
+    expect(block.ties).toHaveLength(3);
+    expect(block.ties[0]).toMatchObject({
+      round: 'semi-final',
+      teams: ['Blackburn Rovers', 'Crystal Palace'],
+      legs: [
+        [0, 0],
+        [1, 3],
+      ],
+      aggregate: [1, 3],
+      winner: 'Crystal Palace',
+    });
+    expect(block.ties[1]).toMatchObject({
+      aggregate: [3, 3],
+      penalties: [5, 4],
+      extraTime: true,
+      winner: 'Swindon Town',
+    });
+    expect(block.ties[2]).toMatchObject({ round: 'final', legs: [[1, 0]], aggregate: null });
+    expect(block.winner).toBe('Crystal Palace');
+    expect(block.participants).toHaveLength(4);
+  });
+
+  test('reads bracket tables with aggregates and penalties', () => {
+    const [block] = parsePlayoffs(bracketPage);
+
+    expect(block.title).toBe('Third Division play-offs');
+    expect(block.ties.map((tie) => [tie.round, tie.winner])).toEqual([
+      ['semi-final', 'Walsall'],
+      ['semi-final', 'Port Vale'],
+      ['final', 'Port Vale'],
+    ]);
+    expect(block.ties[0]).toMatchObject({
+      legs: [
+        [1, 2],
+        [3, 0],
+      ],
+      aggregate: [4, 2],
+    });
+    expect(block.ties[1]).toMatchObject({ aggregate: [1, 1], penalties: [4, 3] });
+    expect(block.winner).toBe('Port Vale');
+  });
+
+  test('ignores match summaries outside play-off sections', () => {
+    expect(parsePlayoffs(`<h3>FA Cup final</h3>${footballBox('A', '1–0', 'B')}`)).toEqual([]);
+  });
+});
+
+describe('assignPlayoffs', () => {
+  test('promotes only the final winner of the table holding the participants', () => {
+    const [block] = parsePlayoffs(matchSummaryPage);
+    const row = (team, flag = true) => ({ team, wasPromoted: flag });
+    const first = { rows: [row('Newcastle United', false)], suppressPromotion: true };
+    const second = {
+      rows: [
+        row('Blackburn Rovers'),
+        row('Crystal Palace'),
+        row('Swindon Town'),
+        row('Brighton and Hove Albion'),
+        row('Leeds United'),
+      ],
+    };
+
+    expect(assignPlayoffs([first, second], [block])).toEqual([null, block]);
+    expect(second.rows.map((entry) => entry.wasPromoted)).toEqual([
+      false,
+      true,
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  test('does not treat play-off qualification as promotion', () => {
+    expect(wasPromoted('Qualification for the promotion play-offs')).toBe(false);
+    expect(wasPromoted('Promoted via the play-offs')).toBe(true);
+    expect(wasPromoted('Play-off winners')).toBe(true);
+    expect(wasPromoted('Promoted to the First Division')).toBe(true);
+  });
+});
@@ -4,9 +4,15 @@ import os from 'node:os';
 import path from 'node:path';
 import { ReadableStream, TransformStream, WritableStream } from 'node:stream/web';
 import * as parseSeasonPagesModule from '../parse-season-pages.js';
+import { createRequestScheduler } from '../../shared/request-scheduler.js';
 
-const { buildPromotionRelegation, constructTier1SeasonResults, fetchSeasonTeams, saveResults } =
-  parseSeasonPagesModule;
+const {
+  buildPromotionRelegation,
+  constructLowerTierResults,
+  constructTier1SeasonResults,
+  fetchSeasonTeams,
+  saveResults,
+} = parseSeasonPagesModule;
 
 if (typeof globalThis.ReadableStream === 'undefined') {
   globalThis.ReadableStream = ReadableStream;
@@ -72,6 +78,56 @@ describe('constructTier1SeasonResults', () => {
   });
 });
 
+describe('constructLowerTierResults', () => {
+  test('keeps Third Division North/South as sections of tier3', () => {
+    const { tier3, tier4 } = constructLowerTierResults(
+      {
+        thirdNorth: [
+          { team: 'Grimsby Town', pos: 1, wasPromoted: true },
+          { team: 'Barrow', pos: 22, wasReElected: true },
+        ],
+        thirdSouth: [
+          { team: 'Reading', pos: 1, wasPromoted: true },
+          { team: 'Merthyr Town', pos: 22, wasReElected: true },
+        ],
+      },
+      1925,
+      '1925-26_Football_League'
+    );
+
+    expect(tier4).toBeUndefined();
+    expect(tier3).toMatchObject({
+      tier: 'tier3',
+      table: [],
+      promoted: ['Grimsby Town', 'Reading'],
+      reElected: ['Barrow', 'Merthyr Town'],
+    });
+    expect(tier3.divisions.map((division) => [division.division, division.section])).toEqual([
+      ['Third Division North', 'North'],
+      ['Third Division South', 'South'],
+    ]);
+    expect(tier3.divisions[1].table[0]).toMatchObject({ team: 'Reading', wasPromoted: true });
+  });
+
+  test('numbers the national Third and Fourth Divisions as tier3 and tier4', () => {
+    const { tier3, tier4 } = constructLowerTierResults(
+      {
+        third: [{ team: 'Plymouth Argyle', pos: 1, wasPromoted: true }],
+        fourth: [
+          { team: 'Port Vale', pos: 1, wasPromoted: true },
+          { team: 'Gateshead', pos: 22, wasReElected: false },
+        ],
+      },
+      1958,
+      '1958-59_Football_League'
+    );
+
+    expect(tier3).toMatchObject({ division: 'Third Division', promoted: ['Plymouth Argyle'] });
+    expect(tier3.divisions).toBeUndefined();
+    expect(tier4).toMatchObject({ tier: 'tier4', division: 'Fourth Division', reElected: [] });
+  });
+});
+
 describe('saveResults', () => {
   test('writes JSON output to the target file', () => {
     const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'footy-data-kit-'));
@@ -165,7 +221,9 @@ describe('fetchSeasonTeams', () => {
     jest.spyOn(wikipedia, 'page').mockRejectedValue(new Error('not found'));
     jest.useFakeTimers();
 
-    const resultPromise = fetchSeasonTeams('bad-season');
+    const resultPromise = fetchSeasonTeams('bad-season', {
+      scheduler: createRequestScheduler({ maxRetries: 0, minIntervalMs: 0 }),
+    });
     await Promise.resolve();
     await jest.runOnlyPendingTimersAsync();
     const result = await resultPromise;
@@ -248,4 +306,65 @@ describe('buildPromotionRelegation', () => {
       fs.rmSync(tmpDir, { recursive: true, force: true });
     }
   });
+
+  test('summarises Football League titles from 1992 at the level they were won', async () => {
+    const html = `
+      <div>
+        <div><span id="First_Division"></span></div>
+        <div class="wikitable">
+          <table>
+            <tr><th>Pos</th><th>Club</th><th>Pld</th><th>Pts</th><th>Notes</th></tr>
+            <tr><td>1</td><th scope="row"><a>Crystal Palace</a></th><td>46</td><td>90</td><td>Promoted</td></tr>
+            <tr><td>2</td><th scope="row"><a>Nottingham Forest</a></th><td>46</td><td>83</td><td>Promoted</td></tr>
+          </table>
+        </div>
+        <div><span id="Second_Division"></span></div>
+        <div class="wikitable">
+          <table>
+            <tr><th>Pos</th><th>Club</th><th>Pld</th><th>Pts</th><th>Notes</th></tr>
+            <tr><td>1</td><th scope="row"><a>Reading</a></th><td>46</td><td>89</td><td>Promoted</td></tr>
+            <tr><td>2</td><th scope="row"><a>Port Vale</a></th><td>46</td><td>88</td><td>Promoted</td></tr>
+          </table>
+        </div>
+      </div>
+    `;
+    jest.spyOn(wikipedia, 'page').mockImplementation(async () => ({
+      html: jest.fn().mockResolvedValue(html),
+    }));
+    jest.useFakeTimers();
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'footy-data-kit-'));
+    try {
+      const resultPromise = buildPromotionRelegation(1993, 1993, path.join(tmpDir, 'output.json'));
+      await jest.runAllTimersAsync();
+      const season = (await resultPromise).seasons['1993'];
+
+      expect(season.tier1).toBeUndefined();
+      expect(season.tier2.division).toBe('First Division');
+      expect(season.seasonInfo.titles).toEqual([
+        {
+          tier: 'tier2',
+          level: 2,
+          competition: 'football-league',
+          division: null,
+          champions: 'Crystal Palace',
+          runnersUp: 'Nottingham Forest',
+          decidedBy: 'points',
+        },
+        {
+          tier: 'tier3',
+          level: 3,
+          competition: 'football-league',
+          division: null,
+          champions: 'Reading',
+          runnersUp: 'Port Vale',
+          decidedBy: 'points',
+        },
+      ]);
+    } finally {
+      jest.restoreAllMocks();
+      jest.useRealTimers();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
 });
@@ -0,0 +1,96 @@
+import {
+  applyTestMatchOutcomes,
+  parseTestMatches,
+  resolveTestMatches,
+} from '../parse-test-matches.js';
+
+const knockoutPage = `
+  <h2>Second Division</h2>
+  <table><tr><th>Pos</th><th>Club</th><th>Pts</th></tr></table>
+  <h2>Test matches</h2>
+  <table class="wikitable">
+    <tr><th>Home team</th><th>Score</th><th>Away team</th><th>Venue</th></tr>
+    <tr><td>Newton Heath</td><td>1–1</td><td>Small Heath</td><td>Stoke</td></tr>
+    <tr><td>Newton Heath</td><td>5–2</td><td>Small Heath</td><td>Bramall Lane</td></tr>
+    <tr><td>Sheffield United</td><td>1–0</td><td>Accrington</td><td>Trent Bridge</td></tr>
+    <tr><td>Darwen</td><td>3–2</td><td>Notts County</td><td>Hyde Road</td></tr>
+  </table>
+  <h2>See also</h2>
+  <table><tr><td>Arsenal</td><td>2–0</td><td>Chelsea</td></tr></table>
+`;
+
+const miniLeaguePage = `
+  <h3>Test matches</h3>
+  <table class="wikitable">
+    <tr><th>Pos</th><th>Team</th><th>Pld</th><th>W</th><th>D</th><th>L</th><th>GF</th><th>GA</th><th>Pts</th></tr>
+    <tr><td>1</td><td>Stoke</td><td>4</td><td>2</td><td>1</td><td>1</td><td>4</td><td>2</td><td>5</td></tr>
+    <tr><td>2</td><td>Burnley</td><td>4</td><td>2</td><td>1</td><td>1</td><td>5</td><td>3</td><td>5</td></tr>
+    <tr><td>3</td><td>Newcastle United</td><td>4</td><td>2</td><td>0</td><td>2</td><td>9</td><td>6</td><td>4</td></tr>
+    <tr><td>4</td><td>Blackburn Rovers</td><td>4</td><td>1</td><td>0</td><td>3</td><td>5</td><td>12</td><td>2</td></tr>
+  </table>
+`;
+
+describe('parseTestMatches', () => {
+  test('reads one-off ties and decides drawn ones on the replay', () => {
+    const parsed = parseTestMatches(knockoutPage);
+
+    expect(parsed).toMatchObject({ format: 'knockout', table: [] });
+    expect(parsed.matches).toHaveLength(4);
+    expect(parsed.matches[1]).toEqual({
+      home: 'Newton Heath',
+      away: 'Small Heath',
+      homeGoals: 5,
+      awayGoals: 2,
+      venue: 'Bramall Lane',
+    });
+
+    const resolved = resolveTestMatches(
+      parsed,
+      ['Newton Heath', 'Accrington', 'Notts County'],
+      ['Small Heath', 'Sheffield United', 'Darwen']
+    );
+    expect(resolved.promoted).toEqual(['Sheffield United', 'Darwen']);
+    expect(resolved.relegated).toEqual(['Accrington', 'Notts County']);
+  });
+
+  test('promotes the top half of the mini-league', () => {
+    const resolved = resolveTestMatches(
+      parseTestMatches(miniLeaguePage),
+      ['Stoke', 'Blackburn Rovers'],
+      ['Burnley', 'Newcastle United']
+    );
+
+    expect(resolved.format).toBe('mini-league');
+    expect(resolved.table[0]).toMatchObject({ pos: 1, team: 'Stoke', points: 5, goalsFor: 4 });
+    expect(resolved.promoted).toEqual(['Burnley']);
+    expect(resolved.relegated).toEqual(['Blackburn Rovers']);
+  });
+
+  test('returns null when the page has no test match section', () => {
+    expect(parseTestMatches('<h2>First Division</h2><table></table>')).toBeNull();
+  });
+});
+
+describe('applyTestMatchOutcomes', () => {
+  test('overrides the table flags of the clubs that played', () => {
+    const block = resolveTestMatches(
+      parseTestMatches(knockoutPage),
+      ['Newton Heath', 'Accrington', 'Notts County'],
+      ['Small Heath', 'Sheffield United', 'Darwen']
+    );
+    const first = [
+      { team: 'Sunderland', wasRelegated: false },
+      { team: 'Newton Heath', wasRelegated: true },
+      { team: 'Notts County', wasRelegated: false },
+    ];
+    const second = [
+      { team: 'Small Heath', wasPromoted: true },
+      { team: 'Darwen', wasPromoted: false },
+    ];
+
+    applyTestMatchOutcomes(block, first, second);
+
+    expect(first.map((row) => row.wasRelegated)).toEqual([false, false, true]);
+    expect(second.map((row) => row.wasPromoted)).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,54 @@
+import { assignTopScorers, parseTopScorers } from '../parse-top-scorers.js';
+
+const seasonPage = `
+  <h2>First Division</h2>
+  <table><tr><th>Pos</th><th>Club</th><th>Pts</th></tr></table>
+  <h3>Top scorers</h3>
+  <table class="wikitable">
+    <tr><th>Rank</th><th>Player</th><th>Club</th><th>Goals</th></tr>
+    <tr><td>1</td><td>Dixie Dean</td><td>Everton</td><td>60</td></tr>
+    <tr><td rowspan="2">2</td><td>George Camsell</td><td>Middlesbrough</td><td>33</td></tr>
+    <tr><td>Jimmy Trotter</td><td>Sheffield Wednesday</td><td>33</td></tr>
+    <tr><td>4</td><td>David Jack</td><td>Bolton Wanderers</td><td>24</td></tr>
+  </table>
+  <h2>Second Division</h2>
+  <h3>Leading goalscorers</h3>
+  <table class="wikitable">
+    <tr><th>Player</th><th>Club</th><th>Goals</th></tr>
+    <tr><td>Jimmy Cookson</td><td>West Bromwich Albion</td><td>38</td></tr>
+    <tr><td>Harry Bedford</td><td>Derby County</td><td>27</td></tr>
+  </table>
+  <h2>Attendances</h2>
+  <table><tr><th>Player</th><th>Goals</th></tr><tr><td>Not a scorer</td><td>1</td></tr></table>
+`;
+
+describe('parseTopScorers', () => {
+  test('reads one block per scorers table with shared ranks', () => {
+    const blocks = parseTopScorers(seasonPage);
+
+    expect(blocks.map((block) => block.title)).toEqual([
+      'First Division top scorers',
+      'Second Division leading goalscorers',
+    ]);
+    expect(blocks[0].scorers).toEqual([
+      { rank: 1, player: 'Dixie Dean', club: 'Everton', goals: 60 },
+      { rank: 2, player: 'George Camsell', club: 'Middlesbrough', goals: 33 },
+      { rank: 2, player: 'Jimmy Trotter', club: 'Sheffield Wednesday', goals: 33 },
+      { rank: 4, player: 'David Jack', club: 'Bolton Wanderers', goals: 24 },
+    ]);
+    expect(blocks[1].scorers.map((scorer) => scorer.rank)).toEqual([1, 2]);
+  });
+});
+
+describe('assignTopScorers', () => {
+  test('attaches each block to the table sharing its clubs', () => {
+    const blocks = parseTopScorers(seasonPage);
+    const first = {
+      rows: [{ team: 'Everton' }, { team: 'Middlesbrough' }, { team: 'Bolton Wanderers' }],
+    };
+    const second = { rows: [{ team: 'West Bromwich Albion' }, { team: 'Derby County' }] };
+    const third = { rows: [{ team: 'Bradford City' }] };
+
+    expect(assignTopScorers([third, second, first], blocks)).toEqual([null, blocks[1], blocks[0]]);
+  });
+});
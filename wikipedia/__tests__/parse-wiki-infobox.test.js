@@ -1,6 +1,6 @@
 import { ReadableStream, TransformStream, WritableStream } from 'node:stream/web';
 import { Blob } from 'node:buffer';
-import parseInfobox from '../parse-wiki-infobox.js';
+import parseInfobox, { reconcileInfobox } from '../parse-wiki-infobox.js';
 
 if (typeof globalThis.ReadableStream === 'undefined') {
   globalThis.ReadableStream = ReadableStream;
@@ -58,3 +58,38 @@ describe('parseInfobox', () => {
     expect(result).toEqual({ season: '', relegated: [], newClubs: [], folded: [], resigned: [] });
   });
 });
+
+describe('reconcileInfobox', () => {
+  const seasonRecord = {
+    seasonInfo: {
+      elections: { ballots: [{ title: 'Election', candidates: [] }], elected: ['Leeds City'] },
+    },
+    tier1: { table: [{ team: 'Bury', wasRelegated: true }], relegated: ['Bury'] },
+    tier2: {
+      table: [
+        { team: 'Burton United', wasRelegated: true },
+        { team: 'Doncaster Rovers', wasRelegated: false },
+      ],
+      relegated: ['Burton United'],
+    },
+  };
+
+  test('returns nothing when the infobox agrees with the tables and ballots', () => {
+    expect(
+      reconcileInfobox({ relegated: ['Burton United'], newClubs: ['Leeds City'] }, seasonRecord)
+    ).toEqual([]);
+  });
+
+  test('flags outcomes only one side reports', () => {
+    const disagreements = reconcileInfobox(
+      { relegated: ['Doncaster Rovers'], newClubs: ['Fulham'] },
+      seasonRecord
+    );
+
+    expect(disagreements.map(({ field, source, teams }) => ({ field, source, teams }))).toEqual([
+      { field: 'relegated', source: 'infobox', teams: ['Doncaster Rovers'] },
+      { field: 'relegated', source: 'tables', teams: ['Burton United'] },
+      { field: 'newClubs', source: 'elections', teams: ['Fulham', 'Leeds City'] },
+    ]);
+  });
+});
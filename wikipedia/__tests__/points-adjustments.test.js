@@ -0,0 +1,103 @@
+import { parseCompetitionBlock } from '../../rsssf/parse-page.js';
+import { normaliseLeagueTableEntry } from '../generate-output-files.js';
+import {
+  parsePointsAdjustments,
+  summarisePointsAdjustments,
+} from '../../shared/points-adjustments.js';
+
+describe('parsePointsAdjustments', () => {
+  test('reads deductions and awards with their reasons', () => {
+    const adjustments = parsePointsAdjustments([
+      'Relegated to League Two. Deducted 10 points for entering administration.',
+      'Three points were deducted for fielding an ineligible player',
+      'Awarded 2 points after Darwen failed to fulfil the fixture',
+    ]);
+
+    expect(adjustments).toEqual([
+      {
+        type: 'deduction',
+        points: 10,
+        reason: 'administration',
+        text: 'Deducted 10 points for entering administration.',
+      },
+      {
+        type: 'deduction',
+        points: 3,
+        reason: 'ineligible-player',
+        text: 'Three points were deducted for fielding an ineligible player',
+      },
+      {
+        type: 'award',
+        points: 2,
+        reason: 'fixture-not-fulfilled',
+        text: 'Awarded 2 points after Darwen failed to fulfil the fixture',
+      },
+    ]);
+    expect(summarisePointsAdjustments(adjustments)).toEqual({
+      pointsDeducted: 13,
+      pointsAwarded: 2,
+    });
+  });
+
+  test('counts a penalty described in both notes and a footnote once', () => {
+    expect(
+      parsePointsAdjustments([
+        'Luton Town were deducted 30 points for financial irregularities',
+        '−30 points (financial irregularities)',
+      ])
+    ).toHaveLength(1);
+    expect(parsePointsAdjustments('Promoted to the First Division')).toEqual([]);
+  });
+
+  test('adds up equal penalties within one note', () => {
+    const twice =
+      'Deducted 3 points for fielding an ineligible player; deducted 3 points for fielding an ineligible player';
+
+    expect(summarisePointsAdjustments(parsePointsAdjustments(twice)).pointsDeducted).toBe(6);
+    // A footnote repeating one of them adds nothing.
+    expect(
+      parsePointsAdjustments([twice, 'Deducted 3 points for fielding an ineligible player'])
+    ).toHaveLength(2);
+  });
+});
+
+describe('points adjustments on table rows', () => {
+  test('normalisation keeps parsed totals and derives them from notes otherwise', () => {
+    const parsed = normaliseLeagueTableEntry(
+      { pos: 1, team: 'Leeds United', points: 36, pointsDeducted: 10, pointsAdjustments: [] },
+      { season: 2006 }
+    );
+    expect(parsed).toMatchObject({ pointsDeducted: 10, pointsAwarded: null });
+    expect(parsed).not.toHaveProperty('pointsAdjustments');
+
+    const legacy = normaliseLeagueTableEntry(
+      { pos: 1, team: 'Sunderland', points: 23, notes: '2 points deducted' },
+      { season: 1890 }
+    );
+    expect(legacy).toMatchObject({
+      pointsDeducted: 2,
+      pointsAdjustments: [{ type: 'deduction', points: 2, reason: 'other' }],
+    });
+  });
+
+  test('RSSSF notes attached to a row set its deductions', () => {
+    const block = [
+      'Division One - 1990/91',
+      '',
+      '                       P  W  D  L  F  A  W  D  L  F  A  Pts',
+      ' 1 ARSENAL            38 15  4  0 51 10  9 9  1 23  8  83 +',
+      ' 2 Liverpool          38 14  3  2 42 13  9 4  6 35 27  76',
+      '+ 2 pts deducted for misconduct',
+    ].join('\n');
+
+    const competition = parseCompetitionBlock(block, true);
+
+    expect(competition.rows[0]).toMatchObject({
+      team: 'Arsenal',
+      points: 83,
+      pointsDeducted: 2,
+      pointsAdjustments: [{ type: 'deduction', points: 2, reason: 'misconduct' }],
+    });
+    expect(competition.rows[1]).toMatchObject({ pointsDeducted: null, pointsAdjustments: [] });
+  });
+});
@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import {
+  createRequestScheduler,
+  createRequestSchedulerFromOptions,
+  parseRetryAfter,
+  prefetchInOrder,
+} from '../../shared/request-scheduler.js';
+import { fetchRsssfPage } from '../../rsssf/parse-page.js';
+
+function makeClock() {
+  let current = 0;
+  const sleeps = [];
+  return {
+    sleeps,
+    now: () => current,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      current += ms;
+    },
+  };
+}
+
+function response(status, headers = {}) {
+  return new Response(status === 200 ? 'ok' : 'busy', { status, headers });
+}
+
+describe('createRequestScheduler', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('retries 5xx responses with exponential backoff', async () => {
+    const clock = makeClock();
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(502))
+      .mockResolvedValueOnce(response(200));
+    const scheduler = createRequestScheduler({ ...clock, fetchImpl, minIntervalMs: 0 });
+
+    const res = await scheduler.fetch('https://en.wikipedia.org/wiki/Page');
+
+    expect(res.status).toBe(200);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(clock.sleeps).toEqual([1000, 2000]);
+  });
+
+  test('honours Retry-After on 429 and holds back the host', async () => {
+    const clock = makeClock();
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(response(429, { 'retry-after': '7' }))
+      .mockResolvedValue(response(200));
+    const scheduler = createRequestScheduler({ ...clock, fetchImpl, minIntervalMs: 500 });
+
+    await scheduler.fetch('https://www.rsssf.org/a.html');
+    await scheduler.fetch('https://www.rsssf.org/b.html');
+
+    expect(clock.sleeps).toEqual([7000, 500]);
+    expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:05 GMT', 2000)).toBe(3000);
+  });
+
+  test('returns the last response once retries run out', async () => {
+    const clock = makeClock();
+    const fetchImpl = jest.fn().mockResolvedValue(response(500));
+    const scheduler = createRequestScheduler({ ...clock, fetchImpl, maxRetries: 2 });
+
+    const res = await scheduler.fetch('https://en.wikipedia.org/wiki/Page');
+
+    expect(res.status).toBe(500);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries dropped connections but not other errors', async () => {
+    const clock = makeClock();
+    const scheduler = createRequestScheduler({ ...clock, minIntervalMs: 0 });
+    const flaky = jest
+      .fn()
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+      .mockResolvedValue('page');
+    const broken = jest.fn().mockRejectedValue(new Error('not found'));
+
+    await expect(scheduler.run('https://en.wikipedia.org', flaky)).resolves.toBe('page');
+    await expect(scheduler.run('https://en.wikipedia.org', broken)).rejects.toThrow('not found');
+    expect(broken).toHaveBeenCalledTimes(1);
+  });
+
+  test('spaces requests per host and enforces the host budget', async () => {
+    const clock = makeClock();
+    const fetchImpl = jest.fn().mockResolvedValue(response(200));
+    const scheduler = createRequestScheduler({
+      ...clock,
+      fetchImpl,
+      minIntervalMs: 1000,
+      hostBudgets: { 'www.rsssf.org': { maxRequests: 1 } },
+    });
+
+    await scheduler.fetch('https://en.wikipedia.org/wiki/A');
+    await scheduler.fetch('https://www.rsssf.org/a.html');
+    await scheduler.fetch('https://en.wikipedia.org/wiki/B');
+
+    expect(clock.sleeps).toEqual([1000]);
+    await expect(scheduler.fetch('https://www.rsssf.org/b.html')).rejects.toThrow(
+      /budget for www.rsssf.org exhausted/
+    );
+    expect(scheduler.stats()).toEqual({ 'en.wikipedia.org': 2, 'www.rsssf.org': 1 });
+  });
+
+  test('caps the number of requests in flight', async () => {
+    const scheduler = createRequestScheduler({ concurrency: 2, minIntervalMs: 0 });
+    let inFlight = 0;
+    let peak = 0;
+    const task = async () => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight -= 1;
+    };
+
+    await Promise.all(
+      ['a', 'b', 'c', 'd', 'e'].map((host) => scheduler.run(`https://${host}.example`, task))
+    );
+
+    expect(peak).toBe(2);
+  });
+
+  test('validates CLI flags', () => {
+    expect(createRequestSchedulerFromOptions({ concurrency: '3' }).concurrency).toBe(3);
+    expect(() => createRequestSchedulerFromOptions({ concurrency: '0' })).toThrow(/--concurrency/);
+    expect(() => createRequestSchedulerFromOptions({ hostBudget: 'lots' })).toThrow(
+      /--host-budget/
+    );
+  });
+});
+
+describe('prefetchInOrder', () => {
+  test('yields results in input order while keeping a window in flight', async () => {
+    const started = [];
+    const fetchItem = async (item) => {
+      started.push(item);
+      await new Promise((resolve) => setTimeout(resolve, item === 1 ? 5 : 0));
+      return item * 10;
+    };
+
+    const seen = [];
+    for await (const [item, result] of prefetchInOrder([1, 2, 3], fetchItem, 2)) {
+      seen.push([item, result, [...started]]);
+    }
+
+    expect(seen).toEqual([
+      [1, 10, [1, 2]],
+      [2, 20, [1, 2, 3]],
+      [3, 30, [1, 2, 3]],
+    ]);
+  });
+});
+
+describe('fetchRsssfPage', () => {
+  test('retries transient failures through the scheduler', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const clock = makeClock();
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(
+        new Response('<pre>table</pre>', {
+          status: 200,
+          headers: { 'content-type': 'text/html; charset=utf-8' },
+        })
+      );
+    const scheduler = createRequestScheduler({ ...clock, minIntervalMs: 0 });
+
+    const html = await fetchRsssfPage('https://www.rsssf.org/engpaul/FLA/1920-21.html', fetchImpl, {
+      scheduler,
+    });
+
+    expect(html).toBe('<pre>table</pre>');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    warnSpy.mockRestore();
+  });
+});
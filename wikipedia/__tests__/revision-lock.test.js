@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPageCache } from '../page-cache.js';
+import { createRevisionLock } from '../revision-lock.js';
+import { buildPromotionRelegation, constructTier1SeasonResults } from '../parse-season-pages.js';
+import { buildSeasonOverviewSeasonRecord } from '../parse-ext-season-overview-pages.js';
+import { fetchPageForSlug } from '../page-fetcher.js';
+
+describe('createRevisionLock', () => {
+  const tmpDirs = [];
+
+  const makeTmpDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revision-lock-test-'));
+    tmpDirs.push(dir);
+    return dir;
+  };
+
+  afterEach(() => {
+    while (tmpDirs.length) {
+      fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+    }
+  });
+
+  test('persists pins sorted by slug so lockfiles diff cleanly', () => {
+    const lockPath = path.join(makeTmpDir(), 'wiki.lock.json');
+    const lock = createRevisionLock({ filePath: lockPath });
+
+    lock.set('1901–02_Football_League', 200);
+    lock.set('1900–01_Football_League', 100);
+
+    const written = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    expect(Object.keys(written.pages)).toEqual([
+      '1900–01_Football_League',
+      '1901–02_Football_League',
+    ]);
+    expect(createRevisionLock({ filePath: lockPath }).get('1900–01_Football_League')).toBe(100);
+  });
+
+  test('frozen locks refuse new pins and require an existing file', () => {
+    const lockPath = path.join(makeTmpDir(), 'wiki.lock.json');
+    expect(() => createRevisionLock({ filePath: lockPath, frozen: true })).toThrow(/not found/);
+
+    createRevisionLock({ filePath: lockPath }).set('Pinned_Page', 5);
+    const frozen = createRevisionLock({ filePath: lockPath, frozen: true });
+    expect(frozen.get('Pinned_Page')).toBe(5);
+    expect(() => frozen.set('Other_Page', 6)).toThrow(/frozen/);
+  });
+
+  test('fetchPageForSlug records the cached revision for unpinned slugs', async () => {
+    const dir = makeTmpDir();
+    const cacheDir = path.join(dir, 'cache');
+    createPageCache({ cacheDir }).write({ slug: 'Season_Page', html: '<p>1</p>', revisionId: 11 });
+    const lock = createRevisionLock({ filePath: path.join(dir, 'wiki.lock.json') });
+
+    const page = await fetchPageForSlug('Season_Page', {
+      cache: createPageCache({ cacheDir, offline: true }),
+      lock,
+    });
+
+    expect(page.revisionId).toBe(11);
+    expect(lock.get('Season_Page')).toBe(11);
+  });
+
+  test('fetchPageForSlug ignores cached copies of a different revision than the pin', async () => {
+    const dir = makeTmpDir();
+    const cacheDir = path.join(dir, 'cache');
+    createPageCache({ cacheDir }).write({ slug: 'Season_Page', html: '<p>1</p>', revisionId: 11 });
+    const lock = createRevisionLock({ filePath: path.join(dir, 'wiki.lock.json') });
+    lock.set('Season_Page', 10);
+
+    await expect(
+      fetchPageForSlug('Season_Page', { cache: createPageCache({ cacheDir, offline: true }), lock })
+    ).rejects.toThrow(/at revision 10/);
+  });
+
+  test('fetchPageForSlug rejects unpinned slugs when the lock is frozen', async () => {
+    const lockPath = path.join(makeTmpDir(), 'wiki.lock.json');
+    createRevisionLock({ filePath: lockPath }).set('Pinned_Page', 5);
+    const lock = createRevisionLock({ filePath: lockPath, frozen: true });
+
+    await expect(fetchPageForSlug('Unpinned_Page', { lock })).rejects.toThrow(/not pinned/);
+  });
+});
+
+describe('revision metadata in season records', () => {
+  test('promotion tiers and seasonInfo carry the revision id next to the slug', () => {
+    const { tier1, tier2 } = constructTier1SeasonResults(
+      [{ team: 'Club A', pos: 1 }],
+      [{ team: 'Club B', pos: 1 }],
+      1900,
+      '1900–01_Football_League',
+      { revisionId: 123 }
+    );
+
+    expect(tier1).toMatchObject({ seasonSlug: '1900–01_Football_League', revisionId: 123 });
+    expect(tier2.revisionId).toBe(123);
+  });
+
+  test('overview tiers record the revision in seasonMetadata', () => {
+    const record = buildSeasonOverviewSeasonRecord({
+      seasonKey: '1900',
+      seasonYear: 1900,
+      seasonSlug: '1900–01_in_English_football',
+      tables: [{ title: 'First Division', id: 'First_Division', rows: [], revisionId: 456 }],
+    });
+
+    expect(record.seasonInfo.revisionId).toBe(456);
+    expect(record.tier1.seasonMetadata.revisionId).toBe(456);
+  });
+});
+
+describe('builds from a lockfile', () => {
+  test('rebuilding a season at the pinned revision writes the same bytes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'revision-lock-test-'));
+    const slug = '1900-01_Football_League';
+    const html = `
+      <div>
+        <div><span id="First_Division"></span></div>
+        <div class="wikitable">
+          <table>
+            <tr><th>Pos</th><th>Club</th><th>Pld</th><th>Pts</th><th>Notes</th></tr>
+            <tr><td>1</td><th scope="row"><a>Liverpool</a></th><td>34</td><td>45</td><td></td></tr>
+          </table>
+        </div>
+      </div>
+    `;
+    const transport = {
+      name: 'stub',
+      remote: false,
+      fetchPage: async (_slug, { revisionId }) => ({ html, revisionId, via: 'stub' }),
+    };
+    createRevisionLock({ filePath: path.join(dir, 'wiki.lock.json') }).set(slug, 321);
+
+    const build = async (outputFile, now) => {
+      jest.setSystemTime(new Date(now));
+      const lock = createRevisionLock({ filePath: path.join(dir, 'wiki.lock.json'), frozen: true });
+      const resultPromise = buildPromotionRelegation(1900, 1900, outputFile, {
+        fetchOptions: { lock, transport },
+      });
+      await jest.runAllTimersAsync();
+      await resultPromise;
+      return fs.readFileSync(outputFile, 'utf8');
+    };
+
+    jest.useFakeTimers();
+    try {
+      const first = await build(path.join(dir, 'first.json'), '2024-01-01T00:00:00.000Z');
+      const second = await build(path.join(dir, 'second.json'), '2025-06-01T12:00:00.000Z');
+
+      expect(JSON.parse(first).seasons['1900'].tier1.table).toHaveLength(1);
+      expect(second).toBe(first);
+      expect(JSON.parse(first).seasons['1900'].tier1.provenance).toMatchObject({
+        revisionId: 321,
+        fetchedAt: null,
+      });
+    } finally {
+      jest.useRealTimers();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,81 @@
+import { parseDivisionTable } from '../parse-division-table.js';
+import { normaliseLeagueTableEntry } from '../generate-output-files.js';
+import { parseRowOutcomes } from '../../shared/row-outcomes.js';
+
+describe('parseRowOutcomes', () => {
+  test('reads European places, titles and league movements from notes', () => {
+    expect(
+      parseRowOutcomes('Champions; qualification for the Champions League group stage[a]')
+    ).toEqual([
+      { type: 'title', competition: null, stage: null },
+      { type: 'european', competition: 'Champions League', stage: 'group stage' },
+    ]);
+    expect(parseRowOutcomes("Qualification for the Cup Winners' Cup first round")).toEqual([
+      { type: 'european', competition: "Cup Winners' Cup", stage: 'first round' },
+    ]);
+    expect(parseRowOutcomes('Qualification for the Europa League play-off round')).toEqual([
+      { type: 'european', competition: 'Europa League', stage: 'play-off round' },
+    ]);
+    expect(parseRowOutcomes('Relegated to the Second Division')).toEqual([
+      { type: 'relegation', competition: 'Second Division', stage: null },
+    ]);
+  });
+
+  test('separates play-off places, re-election and departures', () => {
+    expect(parseRowOutcomes('Qualification for the promotion play-offs')).toEqual([
+      { type: 'playoff', competition: 'promotion play-offs', stage: null },
+    ]);
+    expect(parseRowOutcomes('Promoted via the play-offs')).toEqual([
+      { type: 'playoff', competition: 'play-offs', stage: 'winner' },
+      { type: 'promotion', competition: null, stage: null },
+    ]);
+    expect(parseRowOutcomes('Failed re-election')).toEqual([
+      { type: 're-election', competition: null, stage: 'not re-elected' },
+    ]);
+    expect(parseRowOutcomes('Expelled from the League')).toEqual([
+      { type: 'expelled', competition: null, stage: null },
+    ]);
+    expect(parseRowOutcomes('Resigned from the League')).toEqual([
+      { type: 'resigned', competition: null, stage: null },
+    ]);
+    expect(parseRowOutcomes(null)).toEqual([]);
+  });
+});
+
+describe('row outcomes', () => {
+  test('combine legend codes with notes and follow the promotion flags', () => {
+    const html = `
+      <div id="Second_Division"></div>
+      <table class="wikitable">
+        <tr><th>Pos</th><th>Team</th><th>Pld</th><th>Pts</th><th>Qualification or relegation</th></tr>
+        <tr><td>1</td><th scope="row"><a>Leeds United</a> (C, P)</th><td>46</td><td>93</td><td>Promotion to the Premier League</td></tr>
+        <tr><td>3</td><th scope="row"><a>Brentford</a></th><td>46</td><td>81</td><td>Qualification for the promotion play-offs</td></tr>
+      </table>
+      <div class="sports-table-notes">(C) Champions; (P) Promoted</div>
+    `;
+    const [leeds, brentford] = parseDivisionTable(html, 'second');
+
+    expect(leeds.outcomes).toEqual([
+      { type: 'promotion', competition: 'Premier League', stage: null },
+      { type: 'title', competition: null, stage: null },
+    ]);
+    expect(brentford.wasPromoted).toBe(false);
+    expect(brentford.outcomes).toEqual([
+      { type: 'playoff', competition: 'promotion play-offs', stage: null },
+    ]);
+  });
+
+  test('derive outcomes for rows saved without them', () => {
+    const entry = normaliseLeagueTableEntry({
+      pos: 22,
+      team: 'Sample FC',
+      notes: 'Re-elected',
+      wasRelegated: true,
+    });
+
+    expect(entry.outcomes).toEqual([
+      { type: 're-election', competition: null, stage: 're-elected' },
+      { type: 'relegation', competition: null, stage: null },
+    ]);
+  });
+});
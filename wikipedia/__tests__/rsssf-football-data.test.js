@@ -0,0 +1,246 @@
+import {
+  applyNextSeasonMembership,
+  buildEmptyRsssfSeasonRecord,
+  buildRsssfSeasonRecord,
+} from '../../rsssf/football-data.js';
+import { parseRsssfPage } from '../../rsssf/parse-page.js';
+import { divisionLevel } from '../../shared/league-rules.js';
+import { createFootballData } from '../generate-output-files.js';
+
+const HEADER = '                       P  W  D  L  F  A  W  D  L  F  A  Pts';
+
+const block = (heading, lines) => `<pre>${[heading, '', HEADER, ...lines].join('\n')}</pre>`;
+
+const PAGE = [
+  block('First Division - 1930/31', [
+    ' 1 ARSENAL            42 14  5  2 67 27 14  5  2 60 32  66',
+    ' 2 Sunderland         42 17  3  1 86 34  8  6  7 42 44  59',
+  ]),
+  block('Second Division - 1930/31', [
+    ' 1 EVERTON            42 18  1  2 76 31 10  4  7 45 35  61',
+    ' 2 West Bromwich Albion 42 14  3  4 40 16  8  7  6 43 33  54',
+  ]),
+  block('Third Division North - 1930/31', [
+    ' 1 Chesterfield       42 19  1  1 66 22  7  5  9 36 35  58',
+  ]),
+  block('Third Division South - 1930/31', [
+    ' 1 Notts County       42 16  4  1 58 13  8  7  6 39 33  59',
+  ]),
+].join('\n');
+
+describe('RSSSF FootballData', () => {
+  test('builds normalised tiers, a split Third Division and seasonInfo from a page', () => {
+    const parsed = parseRsssfPage(PAGE, {
+      source: 'https://www.rsssf.org/engpaul/FLA/1930-31.html',
+    });
+    const { seasonKey, record } = buildRsssfSeasonRecord(parsed, {
+      startYear: 1930,
+      seasonSlug: '1930-31',
+    });
+
+    expect(seasonKey).toBe('1930');
+    expect(Object.keys(record)).toEqual(['seasonInfo', 'tier1', 'tier2', 'tier3']);
+    expect(record.tier1).toMatchObject({
+      season: 1930,
+      source: 'rsssf',
+      sourceUrl: 'https://www.rsssf.org/engpaul/FLA/1930-31.html',
+      seasonSlug: '1930-31',
+      tier: 'tier1',
+      heading: 'First Division - 1930/31',
+      league: 'First Division',
+      provenance: { source: 'rsssf', parser: 'rsssf/parse-page' },
+    });
+    expect(record.tier1.table[0]).not.toHaveProperty('meta');
+    expect(record.tier1.table[0].extras.meta.rawLine).toContain('ARSENAL');
+    expect(record.tier1.table[0]).toMatchObject({ team: 'Arsenal', outcomes: expect.any(Array) });
+
+    expect(record.tier3.table).toEqual([]);
+    expect(record.tier3.divisions.map(({ division, section }) => ({ division, section }))).toEqual([
+      { division: 'Third Division North', section: 'North' },
+      { division: 'Third Division South', section: 'South' },
+    ]);
+
+    expect(record.seasonInfo).toMatchObject({
+      source: 'rsssf',
+      tableCount: 4,
+      tierCount: 3,
+      promoted: record.tier2.promoted,
+      relegated: record.tier1.relegated,
+    });
+    expect(record.seasonInfo.titles[0]).toMatchObject({
+      tier: 'tier1',
+      champions: 'Arsenal',
+      runnersUp: 'Sunderland',
+    });
+
+    // Already normalised: loading it again changes nothing.
+    const reloaded = createFootballData({ seasons: { [seasonKey]: record } });
+    expect(reloaded.seasons['1930']).toEqual(JSON.parse(JSON.stringify(record)));
+  });
+
+  test('settles movements from the notes first, then the places the league rules give', () => {
+    const parsed = parseRsssfPage(
+      // The first table on a page is taken as the top flight, whose clubs cannot go up.
+      [
+        block('First Division - 1930/31', [
+          ' 1 Arsenal            42 14  5  2 67 27 14  5  2 60 32  66',
+        ]),
+        block('Second Division - 1930/31', [
+          ' 1 Everton            42 18  1  2 76 31 10  4  7 45 35  61 +',
+          ' 2 Southampton        42 14  3  4 40 16  8  7  6 43 33  54',
+          ' 3 TOTTENHAM          42 15  5  1 64 20  7  2 12 24 35  51',
+          ' 4 Millwall           42 15  2  4 56 25  6  3 12 28 42  47',
+          ' 5 Reading            42 11  2  8 52 32  1  8 12 20 56  34',
+          ' 6 Bury               42  7  6  8 32 31  1  3 17 15 56  25 *',
+          '+ Promoted to the First Division',
+          '* Relegated to the Third Division South',
+        ]),
+      ].join('\n'),
+      { source: 'https://www.rsssf.org/engpaul/FLA/1930-31.html' }
+    );
+    const { record } = buildRsssfSeasonRecord(parsed, { startYear: 1930, seasonSlug: '1930-31' });
+    const flags = record.tier2.table.map(({ team, wasPromoted, wasRelegated, extras }) => [
+      team,
+      wasPromoted,
+      wasRelegated,
+      extras.flagEvidence,
+    ]);
+
+    expect(flags).toEqual([
+      ['Everton', true, false, { wasPromoted: 'note', wasRelegated: 'rules' }],
+      ['Southampton', true, false, { wasPromoted: 'rules', wasRelegated: 'rules' }],
+      // Capitals only mark the club on the page; they no longer imply a movement.
+      ['Tottenham', false, false, { wasPromoted: 'rules', wasRelegated: 'rules' }],
+      ['Millwall', false, false, { wasPromoted: 'rules', wasRelegated: 'rules' }],
+      ['Reading', false, true, { wasPromoted: 'rules', wasRelegated: 'rules' }],
+      ['Bury', false, true, { wasPromoted: 'rules', wasRelegated: 'note' }],
+    ]);
+    expect(record.tier2.promoted).toEqual(['Everton', 'Southampton']);
+    expect(record.tier2.relegated).toEqual(['Reading', 'Bury']);
+    expect(record.tier2.table[0].outcomes).toEqual([
+      expect.objectContaining({ type: 'promotion', competition: 'First Division' }),
+    ]);
+  });
+
+  test("next season's tables settle movements and outrank notes and rules", () => {
+    const row = (pos, team, flags = {}) => ({
+      pos,
+      team,
+      wasPromoted: false,
+      wasRelegated: false,
+      flagEvidence: { wasPromoted: null, wasRelegated: null },
+      ...flags,
+    });
+    const dataset = createFootballData({
+      seasons: {
+        1938: {
+          seasonInfo: { season: 1938, promoted: [], relegated: [] },
+          tier1: {
+            source: 'rsssf',
+            table: [
+              row(1, 'Everton'),
+              row(2, 'Leicester City', {
+                wasRelegated: true,
+                flagEvidence: { wasPromoted: null, wasRelegated: 'rules' },
+              }),
+              row(3, 'Birmingham'),
+            ],
+          },
+          tier2: {
+            source: 'rsssf',
+            table: [row(1, 'Blackburn Rovers'), row(2, 'Sheffield United')],
+          },
+        },
+        // Wartime seasons without tables are bridged.
+        1946: {
+          tier1: {
+            table: [row(1, 'Everton'), row(2, 'Blackburn Rovers'), row(3, 'Leicester City')],
+          },
+          tier2: { table: [row(1, 'Birmingham')] },
+        },
+      },
+    });
+
+    applyNextSeasonMembership(dataset);
+
+    const season = dataset.seasons['1938'];
+    expect(season.tier1.table.map(({ wasRelegated }) => wasRelegated)).toEqual([
+      false,
+      false,
+      true,
+    ]);
+    expect(season.tier1.table[1].extras.flagEvidence).toEqual({
+      wasPromoted: 'next-season',
+      wasRelegated: 'next-season',
+    });
+    expect(season.tier1.relegated).toEqual(['Birmingham']);
+    expect(season.tier2.promoted).toEqual(['Blackburn Rovers']);
+    expect(season.tier2.table[0].outcomes).toEqual([
+      expect.objectContaining({ type: 'promotion' }),
+    ]);
+    expect(season.seasonInfo).toMatchObject({
+      promoted: ['Blackburn Rovers'],
+      relegated: ['Birmingham'],
+    });
+    // Missing from the next season: left as it was.
+    expect(season.tier2.table[1]).toMatchObject({ wasPromoted: false, wasRelegated: false });
+    expect(season.tier2.table[1].extras.flagEvidence.wasPromoted).toBeNull();
+  });
+
+  test('seasonInfo follows the top two tiers present after the Premier League split', () => {
+    const row = (pos, team) => ({ pos, team, wasPromoted: false, wasRelegated: false });
+    const dataset = createFootballData({
+      seasons: {
+        1993: {
+          seasonInfo: { season: 1993, promoted: [], relegated: [] },
+          tier2: {
+            source: 'rsssf',
+            league: 'Division One',
+            table: [row(1, 'A1'), row(2, 'A22'), row(3, 'A23'), row(4, 'A24')],
+          },
+          tier3: {
+            source: 'rsssf',
+            league: 'Division Two',
+            table: [row(1, 'B1'), row(2, 'B2'), row(3, 'B3')],
+          },
+        },
+        1994: {
+          tier2: { table: [row(1, 'A1'), row(2, 'B1'), row(3, 'B2')] },
+          tier3: { table: [row(1, 'A22'), row(2, 'A23'), row(3, 'A24'), row(4, 'B3')] },
+        },
+      },
+    });
+
+    applyNextSeasonMembership(dataset);
+
+    expect(dataset.seasons['1993'].seasonInfo).toMatchObject({
+      promoted: ['B1', 'B2'],
+      relegated: ['A22', 'A23', 'A24'],
+    });
+  });
+
+  test('reads the tier from RSSSF division headings, allowing for the Premier League', () => {
+    expect(divisionLevel('Football League', 1888)).toBe(1);
+    expect(divisionLevel('Division One', 1990)).toBe(1);
+    expect(divisionLevel('Division One', 1995)).toBe(2);
+    expect(divisionLevel('Third Division (South)', 1950)).toBe(3);
+    expect(divisionLevel('League One', 2010)).toBe(3);
+    expect(divisionLevel('Football Alliance', 1890)).toBeNull();
+  });
+
+  test('builds an empty tier 1 for seasons that could not be fetched', () => {
+    expect(buildEmptyRsssfSeasonRecord({ startYear: 1940, seasonSlug: '1940-41' })).toEqual({
+      seasonKey: '1940',
+      record: {
+        tier1: expect.objectContaining({
+          season: 1940,
+          table: [],
+          promoted: [],
+          relegated: [],
+          source: 'rsssf',
+        }),
+      },
+    });
+    expect(buildRsssfSeasonRecord({ competitions: [] }, { startYear: 1940 })).toBeNull();
+  });
+});
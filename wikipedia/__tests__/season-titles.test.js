@@ -0,0 +1,77 @@
+import { buildParallelTierData, buildTierData } from '../generate-output-files.js';
+import { buildSeasonTitles, checkSeasonTitles } from '../season-titles.js';
+
+const row = (pos, team, points, goalsFor, goalsAgainst) => ({
+  pos,
+  team,
+  played: 42,
+  points,
+  goalsFor,
+  goalsAgainst,
+});
+
+const season1923 = {
+  seasonInfo: buildTierData(1923, []),
+  tier1: buildTierData(1923, [
+    row(1, 'Huddersfield Town', 57, 60, 33),
+    row(2, 'Cardiff City', 57, 61, 34),
+    row(3, 'Sunderland', 53, 71, 54),
+  ]),
+  tier3: buildParallelTierData(1923, [
+    {
+      division: 'Third Division North',
+      section: 'North',
+      table: [row(1, 'Wolverhampton Wanderers', 63, 76, 27), row(2, 'Rochdale', 62, 60, 26)],
+    },
+    {
+      division: 'Third Division South',
+      section: 'South',
+      table: [row(2, 'Plymouth Argyle', 55, 70, 34), row(3, 'Millwall', 54, 64, 38)],
+    },
+  ]),
+};
+
+describe('buildSeasonTitles', () => {
+  test('summarises each tier and division with what decided the title', () => {
+    expect(buildSeasonTitles(season1923, 1923)).toEqual([
+      {
+        tier: 'tier1',
+        level: 1,
+        competition: 'football-league',
+        division: null,
+        champions: 'Huddersfield Town',
+        runnersUp: 'Cardiff City',
+        decidedBy: 'goalAverage',
+      },
+      {
+        tier: 'tier3',
+        level: 3,
+        competition: 'football-league',
+        division: 'Third Division North',
+        champions: 'Wolverhampton Wanderers',
+        runnersUp: 'Rochdale',
+        decidedBy: 'points',
+      },
+    ]);
+  });
+});
+
+describe('checkSeasonTitles', () => {
+  test('reports summaries that disagree with the tables or the rules', () => {
+    const titles = buildSeasonTitles(season1923, 1923);
+    expect(checkSeasonTitles(titles, season1923, 1923)).toEqual([]);
+
+    const swapped = {
+      ...season1923,
+      tier1: buildTierData(1923, [
+        row(1, 'Cardiff City', 57, 61, 34),
+        row(2, 'Huddersfield Town', 57, 60, 33),
+      ]),
+    };
+    expect(checkSeasonTitles(titles, swapped, 1923).map((entry) => entry.message)).toEqual([
+      'tier1 champions listed as Huddersfield Town but Cardiff City top the table',
+      'tier1 runners-up listed as Cardiff City but Huddersfield Town finished second',
+      'Cardiff City top tier1 but Huddersfield Town rank higher on points/goalAverage',
+    ]);
+  });
+});
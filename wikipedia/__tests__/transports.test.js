@@ -0,0 +1,201 @@
+import { jest } from '@jest/globals';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPageCache } from '../page-cache.js';
+import { fetchPageForSlug } from '../page-fetcher.js';
+import { fetchSeasonTeams } from '../parse-season-pages.js';
+import { createRequestScheduler } from '../../shared/request-scheduler.js';
+import {
+  createActionApiTransport,
+  createFileTransport,
+  createRestTransport,
+  createTransport,
+} from '../transports.js';
+
+const immediateScheduler = () => createRequestScheduler({ minIntervalMs: 0, maxRetries: 0 });
+
+function jsonResponse(body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'content-type': 'application/json', ...headers },
+  });
+}
+
+describe('createActionApiTransport', () => {
+  test('requests action=parse, resolves redirects and reports the revision', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(
+      jsonResponse({
+        parse: {
+          title: '1900–01 Football League',
+          revid: 321,
+          text: '<div class="mw-parser-output"></div>',
+          redirects: [{ from: '1900-01 Football League', to: '1900–01 Football League' }],
+        },
+      })
+    );
+    const transport = createActionApiTransport({ fetchImpl, scheduler: immediateScheduler() });
+
+    const page = await transport.fetchPage('1900-01_Football_League');
+
+    const requestUrl = new URL(fetchImpl.mock.calls[0][0]);
+    expect(requestUrl.searchParams.get('action')).toBe('parse');
+    expect(requestUrl.searchParams.get('page')).toBe('1900-01_Football_League');
+    expect(requestUrl.searchParams.get('redirects')).toBe('1');
+    expect(requestUrl.searchParams.get('maxlag')).toBe('5');
+    expect(page).toMatchObject({
+      revisionId: 321,
+      title: '1900–01_Football_League',
+      via: 'parse+redirect',
+    });
+  });
+
+  test('fetches pinned revisions by oldid', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValue(jsonResponse({ parse: { title: 'Page', revid: 99, text: '<p></p>' } }));
+    const transport = createActionApiTransport({ fetchImpl, scheduler: immediateScheduler() });
+
+    await transport.fetchPage('Page', { revisionId: 99 });
+
+    const requestUrl = new URL(fetchImpl.mock.calls[0][0]);
+    expect(requestUrl.searchParams.get('oldid')).toBe('99');
+    expect(requestUrl.searchParams.has('page')).toBe(false);
+  });
+
+  test('waits for Retry-After when the API reports maxlag', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockResolvedValueOnce(
+        jsonResponse({ error: { code: 'maxlag', info: 'Waiting for db' } }, { 'retry-after': '2' })
+      )
+      .mockResolvedValueOnce(jsonResponse({ parse: { title: 'Page', revid: 1, text: '<p></p>' } }));
+    const sleep = jest.fn().mockResolvedValue(undefined);
+    const transport = createActionApiTransport({
+      fetchImpl,
+      sleep,
+      scheduler: immediateScheduler(),
+    });
+
+    const page = await transport.fetchPage('Page');
+
+    expect(sleep).toHaveBeenCalledWith(2000);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(page.revisionId).toBe(1);
+  });
+
+  test('gives up after the configured number of maxlag retries', async () => {
+    const fetchImpl = jest
+      .fn()
+      .mockImplementation(async () => jsonResponse({ error: { code: 'maxlag', info: 'lagged' } }));
+    const transport = createActionApiTransport({
+      fetchImpl,
+      scheduler: immediateScheduler(),
+      maxRetries: 1,
+      sleep: async () => undefined,
+    });
+
+    await expect(transport.fetchPage('Page')).rejects.toThrow(/Replication lag/);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('createRestTransport', () => {
+  test('reads the revision from the ETag header', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue(
+      new Response('<html></html>', {
+        status: 200,
+        headers: { etag: 'W/"12345/0b3f3c20-aaaa-11ee-bbbb-000000000000"' },
+      })
+    );
+    const transport = createRestTransport({ fetchImpl, scheduler: immediateScheduler() });
+
+    const page = await transport.fetchPage('Some_Page', { revisionId: 12345 });
+
+    expect(fetchImpl.mock.calls[0][0]).toBe(
+      'https://en.wikipedia.org/api/rest_v1/page/html/Some_Page/12345'
+    );
+    expect(page).toMatchObject({ revisionId: 12345, via: 'page/html' });
+  });
+});
+
+describe('createFileTransport', () => {
+  const tmpDirs = [];
+
+  afterEach(() => {
+    while (tmpDirs.length) {
+      fs.rmSync(tmpDirs.pop(), { recursive: true, force: true });
+    }
+  });
+
+  test('serves saved HTML files as a stand-in for Wikipedia', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-transport-test-'));
+    tmpDirs.push(dir);
+    fs.writeFileSync(
+      path.join(dir, '1897-98_Football_League.html'),
+      `<div>
+        <div><span id="First_Division"></span></div>
+        <div class="wikitable"><table>
+          <tr><th>Pos</th><th>Club</th><th>Pld</th><th>Pts</th><th>Notes</th></tr>
+          <tr><td>1</td><th scope="row"><a>Sheffield United</a></th><td>30</td><td>42</td><td></td></tr>
+        </table></div>
+      </div>`
+    );
+
+    const transport = createTransport('file', { htmlDir: dir });
+    const result = await fetchSeasonTeams('1897-98_Football_League', { transport });
+
+    expect(result.first[0]).toMatchObject({ team: 'Sheffield United', points: 42 });
+    await expect(transport.fetchPage('Missing_Page')).rejects.toThrow(/No HTML file/);
+  });
+
+  test('rejects unknown transport names', () => {
+    expect(() => createTransport('carrier-pigeon')).toThrow(/Unknown transport/);
+    expect(() => createFileTransport({})).toThrow(/directory/);
+  });
+});
+
+describe('fetchPageForSlug with a stand-in transport', () => {
+  test('refreshes cached copies from the transport when requested', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-fetcher-test-'));
+    try {
+      createPageCache({ cacheDir }).write({
+        slug: 'Stale_Page',
+        html: '<p>old</p>',
+        revisionId: 1,
+      });
+      const transport = {
+        name: 'stub',
+        remote: false,
+        fetchPage: jest.fn().mockResolvedValue({
+          html: '<p>new</p>',
+          revisionId: 2,
+          title: 'Stale_Page',
+          via: 'memory',
+        }),
+      };
+
+      const page = await fetchPageForSlug('Stale_Page', {
+        cache: createPageCache({ cacheDir, refresh: true }),
+        transport,
+      });
+
+      expect(page).toMatchObject({ html: '<p>new</p>', revisionId: 2, via: 'stub/memory' });
+      expect(createPageCache({ cacheDir }).read('Stale_Page')).toMatchObject({ revisionId: 2 });
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects transports that serve a different revision than the pin', async () => {
+    const transport = {
+      name: 'stub',
+      remote: false,
+      fetchPage: async () => ({ html: '<p></p>', revisionId: 8, title: 'Page', via: 'memory' }),
+    };
+
+    await expect(fetchPageForSlug('Page', { transport, revisionId: 7 })).rejects.toThrow(
+      /Requested revision 7/
+    );
+  });
+});
@@ -1,7 +1,16 @@
 #!/usr/bin/env node
 import { Command } from 'commander';
+import * as fs from 'node:fs';
 import * as path from 'node:path';
+import {
+  addRequestSchedulerOptions,
+  createRequestSchedulerFromOptions,
+} from '../shared/request-scheduler.js';
+import { compareSources, formatComparison, loadComparisonSource } from './compare-sources.js';
 import { loadFootballData } from './generate-output-files.js';
+import { createPageCache } from './page-cache.js';
+import { createRevisionLock } from './revision-lock.js';
+import { createTransport, TRANSPORT_NAMES } from './transports.js';
 import {
   buildSeasonOverview,
   buildSeasonOverviewForSlug,
@@ -16,6 +25,75 @@ program
   .description('CLI tool to generate Football League promotion/relegation data from Wikipedia')
   .version('1.0.0');
 
+const DEFAULT_CACHE_DIR = './.cache/wikipedia';
+
+function addPageFetchOptions(command) {
+  return addRequestSchedulerOptions(command)
+    .option('--cache-dir <path>', 'Store fetched pages in an on-disk cache at this directory')
+    .option('--offline', 'Only read pages from the cache, never from the network', false)
+    .option('--refresh-cache', 'Re-download every page and overwrite cached copies', false)
+    .option('--lockfile <path>', 'Pin pages to the revisions in this lockfile, recording new pins')
+    .option('--frozen-lockfile', 'Fail pages that are not already pinned in the lockfile', false)
+    .option(
+      '--transport <name>',
+      `How pages are fetched (${TRANSPORT_NAMES.join(', ')})`,
+      'wikipedia'
+    )
+    .option('--html-dir <path>', 'Directory of <slug>.html files read by the file transport');
+}
+
+function resolveFetchOptions(opts) {
+  const offline = Boolean(opts.offline);
+  const refresh = Boolean(opts.refreshCache);
+  if (offline && refresh) {
+    program.error('--offline and --refresh-cache cannot be used together');
+  }
+
+  if (opts.frozenLockfile && !opts.lockfile) {
+    program.error('--frozen-lockfile requires --lockfile <path>');
+  }
+
+  if (opts.transport === 'file' && !opts.htmlDir) {
+    program.error('--transport file requires --html-dir <path>');
+  }
+
+  const fetchOptions = {};
+  try {
+    fetchOptions.scheduler = createRequestSchedulerFromOptions(opts);
+    fetchOptions.transport = createTransport(opts.transport, {
+      htmlDir: opts.htmlDir,
+      scheduler: fetchOptions.scheduler,
+    });
+  } catch (err) {
+    program.error(err.message);
+  }
+
+  const cacheDir = opts.cacheDir || (offline || refresh ? DEFAULT_CACHE_DIR : null);
+  if (cacheDir) {
+    fetchOptions.cache = createPageCache({ cacheDir: path.resolve(cacheDir), offline, refresh });
+    console.log(
+      `🗄️  Using page cache at ${fetchOptions.cache.cacheDir}${offline ? ' (offline)' : ''}${
+        refresh ? ' (refreshing)' : ''
+      }`
+    );
+  }
+
+  if (opts.lockfile) {
+    try {
+      fetchOptions.lock = createRevisionLock({
+        filePath: opts.lockfile,
+        frozen: Boolean(opts.frozenLockfile),
+      });
+    } catch (err) {
+      program.error(err.message);
+    }
+    const pinnedCount = Object.keys(fetchOptions.lock.entries()).length;
+    console.log(`📌 Using revision lockfile ${fetchOptions.lock.filePath} (${pinnedCount} pinned)`);
+  }
+
+  return fetchOptions;
+}
+
 async function buildSeasonData(opts) {
   const startYear = parseInt(opts.start, 10);
   const endYear = parseInt(opts.end, 10);
@@ -33,6 +111,7 @@ async function buildSeasonData(opts) {
     updateOnly: Boolean(opts.updateOnly),
     forceUpdate: Boolean(opts.forceUpdate),
     ignoreWarYears: Boolean(opts.ignoreWarYears),
+    fetchOptions: resolveFetchOptions(opts),
   });
   console.log(`\n📂 Final output written to ${outputFile}`);
 }
@@ -74,6 +153,7 @@ program
       updateOnly: Boolean(opts.updateOnly),
       forceUpdate: Boolean(opts.forceUpdate),
       ignoreWarYears: Boolean(opts.ignoreWarYears),
+      fetchOptions: resolveFetchOptions(opts),
     });
     console.log(`\n📂 Final overview output written to ${outputFile}`);
   });
@@ -98,6 +178,7 @@ program
     const updateOnly = Boolean(opts.updateOnly);
     const forceUpdate = Boolean(opts.forceUpdate);
     const ignoreWarYears = Boolean(opts.ignoreWarYears);
+    const fetchOptions = resolveFetchOptions(opts);
 
     console.log(`🏁 Combined fetch from ${startYear} to ${endYear}...`);
 
@@ -110,6 +191,7 @@ program
       updateOnly,
       forceUpdate,
       ignoreWarYears,
+      fetchOptions,
     });
 
     if (forceUpdate) {
@@ -117,6 +199,7 @@ program
         updateOnly: false,
         forceUpdate: true,
         ignoreWarYears,
+        fetchOptions,
       });
     } else {
       const promoData = loadFootballData(promoOutput);
@@ -135,7 +218,7 @@ program
         console.log(`\n🔄 Running overview fallback for seasons: ${missingSeasons.join(', ')}`);
         for (const year of missingSeasons) {
           const slug = buildSeasonOverviewSlug(year);
-          await buildSeasonOverviewForSlug(slug, overviewOutput);
+          await buildSeasonOverviewForSlug(slug, overviewOutput, { fetchOptions });
         }
       } else {
         console.log('\n✅ No overview fallback required; promotion data exists for all seasons.');
@@ -146,4 +229,43 @@ program
     console.log(`📂 Overview tables: ${overviewOutput}`);
   });
 
+program.commands.forEach((command) => addPageFetchOptions(command));
+
+program
+  .command('compare')
+  .description('Compare league tables across FootballData files and report where sources disagree')
+  .argument('<inputs...>', 'FootballData JSON files, or directories of them, one source each')
+  .option('-s, --start <year>', 'First season to compare')
+  .option('-e, --end <year>', 'Last season to compare')
+  .option('--json <path>', 'Write the full comparison as JSON')
+  .option('--summary-only', 'Only print the agreement summary per era', false)
+  .action((inputs, opts) => {
+    if (inputs.length < 2) {
+      program.error('compare needs at least two sources');
+    }
+
+    let report;
+    try {
+      report = compareSources(
+        inputs.map((input) => loadComparisonSource(input)),
+        {
+          start: opts.start ? parseInt(opts.start, 10) : null,
+          end: opts.end ? parseInt(opts.end, 10) : null,
+        }
+      );
+    } catch (err) {
+      program.error(err.message);
+    }
+
+    formatComparison(report, { summaryOnly: Boolean(opts.summaryOnly) }).forEach((line) =>
+      console.log(line)
+    );
+    if (opts.json) {
+      const jsonPath = path.resolve(opts.json);
+      fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+      fs.writeFileSync(jsonPath, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`\n📂 Comparison written to ${jsonPath}`);
+    }
+  });
+
 program.parse(process.argv);
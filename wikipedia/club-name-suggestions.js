@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+// @ts-check
+import { Command } from 'commander';
+import { parse } from 'fast-csv';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  DEFAULT_CLUB_REGISTRY_PATH,
+  createClubRegistry,
+  nextClubId,
+  normaliseClubName,
+  sortClubRecords,
+} from '../shared/club-registry.js';
+import { getTierDivisions, loadFootballData } from './generate-output-files.js';
+
+/** @typedef {import('../shared/club-registry.js').ClubRecord} ClubRecord */
+/** @typedef {import('../shared/club-registry.js').ClubRegistry} ClubRegistry */
+
+const DEFAULT_ACCEPT_SCORE = 0.85;
+const DEFAULT_MIN_SCORE = 0.6;
+// Review files are working copies, kept out of git (see .gitignore).
+const DEFAULT_SUGGESTIONS_PATH = 'data-output/club_name_suggestions.json';
+const CLUSTER_SCORE = 0.9;
+const MAX_CANDIDATES = 3;
+// Scores for names whose tokens only match as abbreviations ("Notts Co" / "Notts County")
+// or where one name adds words to the other ("Glossop" / "Glossop North End").
+const PREFIX_MATCH_SCORE = 0.9;
+const TOKEN_SUBSET_SCORE = 0.75;
+const ABBREVIATIONS = {
+  utd: 'united',
+  wed: 'wednesday',
+  co: 'county',
+  ath: 'athletic',
+  alb: 'albion',
+  rov: 'rovers',
+  wand: 'wanderers',
+  wdrs: 'wanderers',
+  pk: 'park',
+  ave: 'avenue',
+};
+
+/**
+ * @typedef {Object} NameOccurrence
+ * @property {string} name
+ * @property {number} count
+ * @property {Set<number>} seasons
+ * @property {Set<string>} sources
+ */
+
+/**
+ * @typedef {Object} ClubNameSuggestion
+ * @property {string} name - Most frequent spelling in the cluster.
+ * @property {string[]} variants - Every unresolved spelling in the cluster.
+ * @property {number[]} seasons
+ * @property {string[]} sources
+ * @property {number} occurrences
+ * @property {Array<{ id: string; name: string; matchedName: string; score: number }>} candidates
+ * @property {'alias' | 'history' | 'new' | 'review' | 'skip'} action - What `merge` does
+ *   with the suggestion; edit this (and `clubId`) while reviewing.
+ * @property {string | null} clubId - Target club for `alias`/`history`.
+ */
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * @param {string} name
+ */
+function matchingTokens(name) {
+  return normaliseClubName(name, { dropSuffixes: true })
+    .split(' ')
+    .filter(Boolean)
+    .map((token) => ABBREVIATIONS[/** @type {keyof typeof ABBREVIATIONS} */ (token)] || token);
+}
+
+/**
+ * Similarity between two club names in [0, 1]: 1 when the normalised names agree, otherwise
+ * the edit-distance ratio, raised when one name abbreviates every word of the other or
+ * when all of one name's words appear in the other.
+ * @param {string} a
+ * @param {string} b
+ */
+export function clubNameSimilarity(a, b) {
+  const tokensA = matchingTokens(a);
+  const tokensB = matchingTokens(b);
+  const keyA = tokensA.join(' ');
+  const keyB = tokensB.join(' ');
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const ratio = 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length);
+  const [shorter, longer] =
+    tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const abbreviates =
+    shorter.length === longer.length &&
+    shorter.every((token, index) => longer[index].startsWith(token));
+
+  const contained = shorter.every((token) => longer.includes(token));
+
+  return Math.max(ratio, abbreviates ? PREFIX_MATCH_SCORE : 0, contained ? TOKEN_SUBSET_SCORE : 0);
+}
+
+/**
+ * @param {Map<string, NameOccurrence>} occurrences
+ * @param {string | null | undefined} name
+ * @param {number | null} season
+ * @param {string} source
+ */
+function recordName(occurrences, name, season, source) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return;
+  const entry = occurrences.get(trimmed) || {
+    name: trimmed,
+    count: 0,
+    seasons: new Set(),
+    sources: new Set(),
+  };
+  entry.count += 1;
+  if (season != null) entry.seasons.add(season);
+  entry.sources.add(source);
+  occurrences.set(trimmed, entry);
+}
+
+/**
+ * Team names from every table (and parallel division) in a FootballData file.
+ * @param {string} filePath
+ * @param {Map<string, NameOccurrence>} [occurrences]
+ */
+export function collectFootballDataNames(filePath, occurrences = new Map()) {
+  const dataset = loadFootballData(filePath);
+  const source = path.relative(process.cwd(), filePath) || filePath;
+
+  for (const [seasonKey, seasonRecord] of Object.entries(dataset.seasons)) {
+    const season = Number.parseInt(seasonKey, 10);
+    for (const tierValue of Object.values(seasonRecord)) {
+      for (const division of getTierDivisions(tierValue)) {
+        for (const row of division.table) {
+          recordName(occurrences, row.team, Number.isFinite(season) ? season : null, source);
+        }
+      }
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Home and visitor names from a match CSV (`data/england_tier*.csv` layout).
+ * @param {string} filePath
+ * @param {Map<string, NameOccurrence>} [occurrences]
+ * @returns {Promise<Map<string, NameOccurrence>>}
+ */
+export function collectCsvNames(filePath, occurrences = new Map()) {
+  const source = path.relative(process.cwd(), filePath) || filePath;
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(parse({ headers: true }))
+      .on('error', reject)
+      .on('data', (row) => {
+        const season = Number.parseInt(row.Season, 10);
+        const seasonValue = Number.isFinite(season) ? season : null;
+        recordName(occurrences, row.home, seasonValue, source);
+        recordName(occurrences, row.visitor, seasonValue, source);
+      })
+      .on('end', () => resolve(occurrences));
+  });
+}
+
+/**
+ * Occurrences whose name does not resolve in any season it was seen in.
+ * @param {Iterable<NameOccurrence>} occurrences
+ * @param {ClubRegistry} registry
+ */
+function findUnresolved(occurrences, registry) {
+  return Array.from(occurrences).filter((occurrence) => {
+    const seasons = occurrence.seasons.size ? Array.from(occurrence.seasons) : [null];
+    return seasons.some((season) => !registry.resolveId(occurrence.name, { season }));
+  });
+}
+
+/**
+ * @param {ClubRegistry} registry
+ * @param {string} name
+ * @param {number} minScore
+ */
+function rankCandidates(registry, name, minScore) {
+  /** @type {Map<string, { id: string; name: string; matchedName: string; score: number }>} */
+  const best = new Map();
+
+  for (const club of registry.clubs) {
+    const knownNames = [club.name, ...club.aliases, ...club.nameHistory.map((span) => span.name)];
+    for (const knownName of knownNames) {
+      const score = Math.round(clubNameSimilarity(name, knownName) * 1000) / 1000;
+      if (score < minScore) continue;
+      const current = best.get(club.id);
+      if (!current || score > current.score) {
+        best.set(club.id, { id: club.id, name: club.name, matchedName: knownName, score });
+      }
+    }
+  }
+
+  return Array.from(best.values())
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * Cluster unresolved team names and rank registry clubs they are likely to belong to.
+ * A cluster whose best candidate clears `acceptScore` (and is not tied with another club)
+ * is proposed as an alias; one with no candidate at all is proposed as a new club;
+ * anything else is left for review.
+ * @param {Iterable<NameOccurrence>} occurrences
+ * @param {ClubRegistry} registry
+ * @param {{ acceptScore?: number; minScore?: number }} [options]
+ * @returns {ClubNameSuggestion[]}
+ */
+export function suggestClubMatches(
+  occurrences,
+  registry,
+  { acceptScore = DEFAULT_ACCEPT_SCORE, minScore = DEFAULT_MIN_SCORE } = {}
+) {
+  const unresolved = findUnresolved(occurrences, registry).sort(
+    (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+  );
+
+  /** @type {NameOccurrence[][]} */
+  const clusters = [];
+  for (const occurrence of unresolved) {
+    const cluster = clusters.find(
+      (members) => clubNameSimilarity(members[0].name, occurrence.name) >= CLUSTER_SCORE
+    );
+    if (cluster) {
+      cluster.push(occurrence);
+    } else {
+      clusters.push([occurrence]);
+    }
+  }
+
+  return clusters.map((members) => {
+    const [lead] = members;
+    const candidates = rankCandidates(registry, lead.name, minScore);
+    const [top, runnerUp] = candidates;
+    const confident =
+      top && top.score >= acceptScore && !(runnerUp && runnerUp.score === top.score);
+
+    /** @type {ClubNameSuggestion['action']} */
+    let action = 'review';
+    if (confident) action = 'alias';
+    else if (!candidates.length) action = 'new';
+
+    return {
+      name: lead.name,
+      variants: members.map((member) => member.name),
+      seasons: Array.from(new Set(members.flatMap((member) => Array.from(member.seasons)))).sort(
+        (a, b) => a - b
+      ),
+      sources: Array.from(new Set(members.flatMap((member) => Array.from(member.sources)))).sort(),
+      occurrences: members.reduce((sum, member) => sum + member.count, 0),
+      candidates,
+      action,
+      clubId: confident ? top.id : null,
+    };
+  });
+}
+
+/**
+ * Apply reviewed suggestions to registry entries. `alias` adds every variant as an alias of
+ * `clubId`, `history` adds them as name-history spans over the seasons they were seen in,
+ * and `new` registers the cluster as a new club. `review` and `skip` are left alone.
+ * @param {unknown[]} entries - Registry entries as stored in `club_names.json`.
+ * @param {ClubNameSuggestion[]} suggestions
+ */
+export function mergeClubSuggestions(entries, suggestions) {
+  const clubs = createClubRegistry(entries).clubs.map((club) => ({
+    ...club,
+    aliases: [...club.aliases],
+    nameHistory: [...club.nameHistory],
+  }));
+  const applied = [];
+  const skipped = [];
+
+  for (const suggestion of suggestions) {
+    const variants = Array.from(new Set([suggestion.name, ...(suggestion.variants || [])]));
+    const seasons = suggestion.seasons || [];
+
+    if (suggestion.action === 'new') {
+      clubs.push({
+        id: nextClubId(clubs),
+        name: suggestion.name,
+        aliases: variants.filter((variant) => variant !== suggestion.name),
+        nameHistory: [],
+      });
+      applied.push(suggestion);
+      continue;
+    }
+
+    if (suggestion.action !== 'alias' && suggestion.action !== 'history') {
+      skipped.push(suggestion);
+      continue;
+    }
+
+    const club = clubs.find((entry) => entry.id === suggestion.clubId);
+    if (!club) {
+      throw new Error(
+        `Suggestion for "${suggestion.name}" points at unknown club id: ${suggestion.clubId}`
+      );
+    }
+
+    for (const variant of variants) {
+      if (suggestion.action === 'alias') {
+        if (variant !== club.name && !club.aliases.includes(variant)) club.aliases.push(variant);
+      } else {
+        club.nameHistory.push({
+          name: variant,
+          from: seasons.length ? seasons[0] : null,
+          to: seasons.length ? seasons[seasons.length - 1] : null,
+        });
+      }
+    }
+    applied.push(suggestion);
+  }
+
+  // Fails on duplicate ids or malformed entries before anything is written.
+  createClubRegistry(clubs);
+  return { clubs: sortClubRecords(clubs), applied, skipped };
+}
+
+/**
+ * @param {string} target
+ * @param {string} extension
+ */
+function expandFiles(target, extension) {
+  const resolved = path.resolve(process.cwd(), target);
+  if (!fs.existsSync(resolved)) {
+    console.warn(`Skipping missing path: ${target}`);
+    return [];
+  }
+  if (!fs.statSync(resolved).isDirectory()) return [resolved];
+  return fs
+    .readdirSync(resolved)
+    .filter((file) => file.toLowerCase().endsWith(extension))
+    .sort()
+    .map((file) => path.join(resolved, file));
+}
+
+export function runCli(argv = process.argv) {
+  const program = new Command();
+
+  program
+    .name('club-name-suggestions')
+    .description('Find team names the club registry cannot resolve and merge reviewed fixes.');
+
+  program
+    .command('suggest')
+    .description('Scan FootballData JSON and match CSVs and write a suggestions file')
+    .argument('[inputs...]', 'FootballData JSON files or directories', [])
+    .option('--csv <path>', 'Match CSV file or directory (repeatable)', collect, [])
+    .option('--registry <file>', 'Club registry to match against', DEFAULT_CLUB_REGISTRY_PATH)
+    .option('-o, --output <file>', 'Where to write suggestions', DEFAULT_SUGGESTIONS_PATH)
+    .option(
+      '--accept-score <n>',
+      'Similarity needed to propose an alias',
+      String(DEFAULT_ACCEPT_SCORE)
+    )
+    .option('--min-score <n>', 'Similarity needed to list a candidate', String(DEFAULT_MIN_SCORE))
+    .action(async (inputs, opts) => {
+      const csvTargets = opts.csv.length || inputs.length ? opts.csv : ['data'];
+      const jsonFiles = inputs.flatMap((target) => expandFiles(target, '.json'));
+      const csvFiles = csvTargets.flatMap((target) => expandFiles(target, '.csv'));
+      if (!jsonFiles.length && !csvFiles.length) {
+        program.error('No FootballData JSON or match CSV files found to scan.');
+      }
+
+      const registryPath = path.resolve(opts.registry);
+      const registry = createClubRegistry(JSON.parse(fs.readFileSync(registryPath, 'utf8')));
+      /** @type {Map<string, NameOccurrence>} */
+      const occurrences = new Map();
+      for (const file of jsonFiles) collectFootballDataNames(file, occurrences);
+      for (const file of csvFiles) await collectCsvNames(file, occurrences);
+
+      const suggestions = suggestClubMatches(occurrences.values(), registry, {
+        acceptScore: Number.parseFloat(opts.acceptScore),
+        minScore: Number.parseFloat(opts.minScore),
+      });
+
+      const outputPath = path.resolve(opts.output);
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(
+        outputPath,
+        `${JSON.stringify(
+          {
+            generatedAt: new Date().toISOString(),
+            registry: path.relative(process.cwd(), registryPath) || registryPath,
+            scanned: [...jsonFiles, ...csvFiles].map((file) => path.relative(process.cwd(), file)),
+            suggestions,
+          },
+          null,
+          2
+        )}\n`
+      );
+
+      console.log(
+        `Scanned ${occurrences.size} distinct names from ${
+          jsonFiles.length + csvFiles.length
+        } file(s); ${suggestions.length} unresolved cluster(s) → ${outputPath}`
+      );
+      for (const suggestion of suggestions) {
+        const [top] = suggestion.candidates;
+        const hint = top ? `${top.name} (${top.id}, ${top.score})` : 'no candidate';
+        console.log(`  [${suggestion.action}] ${suggestion.variants.join(' / ')} → ${hint}`);
+      }
+    });
+
+  program
+    .command('merge')
+    .description('Apply a reviewed suggestions file to the club registry')
+    .argument('<suggestions>', 'Suggestions file written by `suggest`')
+    .option('--registry <file>', 'Club registry to update', DEFAULT_CLUB_REGISTRY_PATH)
+    .option('--dry-run', 'Report changes without writing the registry', false)
+    .action((suggestionsFile, opts) => {
+      const registryPath = path.resolve(opts.registry);
+      const payload = JSON.parse(fs.readFileSync(path.resolve(suggestionsFile), 'utf8'));
+      const suggestions = Array.isArray(payload) ? payload : payload.suggestions || [];
+
+      let result;
+      try {
+        result = mergeClubSuggestions(
+          JSON.parse(fs.readFileSync(registryPath, 'utf8')),
+          suggestions
+        );
+      } catch (error) {
+        program.error(error instanceof Error ? error.message : String(error));
+        return;
+      }
+
+      for (const suggestion of result.applied) {
+        const target = suggestion.action === 'new' ? 'new club' : suggestion.clubId;
+        console.log(`  ${suggestion.action}: ${suggestion.variants.join(' / ')} → ${target}`);
+      }
+      if (result.skipped.length) {
+        console.log(`  Left ${result.skipped.length} suggestion(s) marked review/skip untouched.`);
+      }
+
+      if (opts.dryRun) {
+        console.log('Dry run: registry not written.');
+        return;
+      }
+      fs.writeFileSync(registryPath, `${JSON.stringify(result.clubs, null, 2)}\n`);
+      console.log(`Applied ${result.applied.length} suggestion(s) to ${registryPath}`);
+    });
+
+  return program.parseAsync(argv);
+}
+
+/**
+ * @param {string} value
+ * @param {string[]} previous
+ */
+function collect(value, previous) {
+  return previous.concat(value);
+}
+
+const isDirectExecution = process.argv[1]
+  ? path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+  : false;
+
+if (isDirectExecution) {
+  runCli(process.argv);
+}
+
+export default {
+  clubNameSimilarity,
+  collectCsvNames,
+  collectFootballDataNames,
+  editDistance,
+  mergeClubSuggestions,
+  runCli,
+  suggestClubMatches,
+};
@@ -3,7 +3,22 @@ import { Command } from 'commander';
 import * as fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { createFootballData, loadFootballData, saveFootballData } from './generate-output-files.js';
+import { normaliseProvenance, tierProvenance } from '../shared/provenance.js';
+import {
+  createFootballData,
+  getTierDivisions,
+  isParallelTier,
+  loadFootballData,
+  saveFootballData,
+} from './generate-output-files.js';
+import {
+  chooseTier,
+  DEFAULT_FILL_FIELDS,
+  describeSource,
+  fillMissingFields,
+  MERGE_STRATEGIES,
+  resolveMergeOptions,
+} from './merge-strategies.js';
 
 const TIER_KEY_PATTERN = /^tier/i;
 const WAR_YEAR_SPANS = [
@@ -40,6 +55,10 @@ function blockHasData(block) {
     return true;
   }
 
+  if (isParallelTier(block)) {
+    return block.divisions.some((division) => blockHasData(division));
+  }
+
   const metadata = block.seasonMetadata;
   return Boolean(metadata && typeof metadata === 'object' && Object.keys(metadata).length);
 }
@@ -53,7 +72,12 @@ function tierHasData(tierValue) {
   return blockHasData(tierValue);
 }
 
-function mergeTier(existingTier, incomingTier, includeEmpty) {
+/**
+ * Pick between a tier already combined and one being merged in. Tiers without data lose to
+ * tiers with data; when both have data the merge strategies decide, and the kept tier's
+ * missing fields can be filled from the other. Every choice is appended to `decisions`.
+ */
+function mergeTier(existingTier, incomingTier, { includeEmpty, merge, decisions, season, tier }) {
   if (!existingTier) {
     return incomingTier;
   }
@@ -62,22 +86,60 @@ function mergeTier(existingTier, incomingTier, includeEmpty) {
     return includeEmpty ? incomingTier : existingTier;
   }
 
+  const record = (kind, strategy, kept, dropped, reason, extra = {}) =>
+    decisions.push({
+      season,
+      tier,
+      kind,
+      strategy,
+      kept: describeSource(kept),
+      dropped: dropped ? describeSource(dropped) : null,
+      team: null,
+      field: null,
+      reason,
+      ...extra,
+    });
+
   const existingHasData = tierHasData(existingTier);
   const incomingHasData = tierHasData(incomingTier);
 
   if (!existingHasData && incomingHasData) {
+    record('tier', 'has-data', incomingTier, existingTier, 'only the incoming tier has data');
     return incomingTier;
   }
 
   if (!incomingHasData) {
-    return includeEmpty ? incomingTier : existingTier;
+    if (includeEmpty) {
+      record('tier', 'include-empty', incomingTier, existingTier, 'empty tiers are kept');
+      return incomingTier;
+    }
+    if (existingHasData) {
+      record('tier', 'has-data', existingTier, incomingTier, 'the incoming tier has no data');
+    }
+    return existingTier;
   }
 
-  // Prefer whichever tier was loaded first when both contain data.
-  return existingTier;
+  const choice = chooseTier({
+    season,
+    tier,
+    existing: existingTier,
+    incoming: incomingTier,
+    options: merge,
+  });
+  const [kept, dropped] =
+    choice.keep === 'incoming' ? [incomingTier, existingTier] : [existingTier, incomingTier];
+  record('tier', choice.strategy, kept, dropped, choice.reason);
+
+  for (const { team, field } of fillMissingFields(kept, dropped, merge.fillFields)) {
+    record('field', 'fill-fields', dropped, null, `${field} missing from the kept tier`, {
+      team,
+      field,
+    });
+  }
+  return kept;
 }
 
-function mergeSeasonRecords(currentRecord, incomingRecord, includeEmpty) {
+function mergeSeasonRecords(currentRecord, incomingRecord, context) {
   if (!currentRecord || typeof currentRecord !== 'object') {
     return incomingRecord;
   }
@@ -89,7 +151,7 @@ function mergeSeasonRecords(currentRecord, incomingRecord, includeEmpty) {
 
   for (const [key, incomingValue] of Object.entries(incomingRecord)) {
     if (TIER_KEY_PATTERN.test(key)) {
-      merged[key] = mergeTier(merged[key], incomingValue, includeEmpty);
+      merged[key] = mergeTier(merged[key], incomingValue, { ...context, tier: key });
       continue;
     }
 
@@ -106,12 +168,11 @@ function normaliseGoalDifferences(dataset) {
   for (const seasonRecord of Object.values(dataset.seasons)) {
     if (!seasonRecord || typeof seasonRecord !== 'object') continue;
 
-    for (const tierValue of Object.values(seasonRecord)) {
-      const table = Array.isArray(tierValue)
-        ? tierValue
-        : tierValue && typeof tierValue === 'object'
-        ? tierValue.table
-        : null;
+    const tables = Object.values(seasonRecord).flatMap((tierValue) =>
+      getTierDivisions(tierValue).map((division) => division.table)
+    );
+
+    for (const table of tables) {
       if (!Array.isArray(table)) continue;
 
       for (const row of table) {
@@ -130,16 +191,52 @@ function normaliseGoalDifferences(dataset) {
   }
 }
 
+/**
+ * Record which input file each tier (or, for bare row arrays, each row) was combined from,
+ * keeping any `file` an earlier combination already recorded.
+ * @param {Record<string, unknown>} seasonRecord
+ * @param {string} file
+ */
+function stampInputFile(seasonRecord, file) {
+  const withFile = (provenance) => ({
+    ...(provenance ?? { source: 'unknown' }),
+    file: provenance?.file ?? file,
+  });
+
+  for (const [key, tierValue] of Object.entries(seasonRecord)) {
+    if (!TIER_KEY_PATTERN.test(key) && key !== 'seasonInfo') continue;
+    if (Array.isArray(tierValue)) {
+      for (const row of tierValue) {
+        if (row && typeof row === 'object') {
+          row.provenance = withFile(normaliseProvenance(row.provenance));
+        }
+      }
+      continue;
+    }
+    if (!tierValue || typeof tierValue !== 'object') continue;
+    tierValue.provenance = withFile(tierProvenance(tierValue));
+    if (isParallelTier(tierValue)) {
+      for (const division of tierValue.divisions) {
+        division.provenance = withFile(tierProvenance(division) ?? tierValue.provenance);
+      }
+    }
+  }
+}
+
 export function combineFootballDataFiles({
   inputs,
   output,
   includeEmpty = false,
   compact = false,
   cwd = process.cwd(),
+  merge = {},
 } = {}) {
   if (!inputs || !inputs.length) {
     throw new Error('At least one input file must be provided.');
   }
+  const mergeOptions = resolveMergeOptions(merge);
+  /** @type {import('./merge-strategies.js').MergeDecision[]} */
+  const decisions = [];
 
   const resolvedOutput = path.resolve(cwd, output);
   const pretty = compact ? false : 2;
@@ -157,17 +254,19 @@ export function combineFootballDataFiles({
       const incoming = loadFootballData(resolvedInput);
       totalInputSeasons += Object.keys(incoming.seasons).length;
       for (const [seasonKey, seasonValue] of Object.entries(incoming.seasons)) {
+        stampInputFile(seasonValue, path.relative(cwd, resolvedInput) || input);
         const existingRecord = combinedDataset.seasons[seasonKey];
         if (!existingRecord) {
           combinedDataset.seasons[seasonKey] = seasonValue;
           continue;
         }
 
-        combinedDataset.seasons[seasonKey] = mergeSeasonRecords(
-          existingRecord,
-          seasonValue,
-          includeEmpty
-        );
+        combinedDataset.seasons[seasonKey] = mergeSeasonRecords(existingRecord, seasonValue, {
+          includeEmpty,
+          merge: mergeOptions,
+          decisions,
+          season: seasonKey,
+        });
       }
     } catch (error) {
       throw new Error(`Failed to load ${input}: ${/** @type {Error} */ (error).message}`);
@@ -205,6 +304,7 @@ export function combineFootballDataFiles({
   return {
     dataset: finalDataset,
     outputPath: resolvedOutput,
+    decisions,
     stats: {
       mergedSeasonCount: filteredSeasonEntries.length,
       inputCount: inputs.length,
@@ -217,6 +317,32 @@ export function combineFootballDataFiles({
   };
 }
 
+/**
+ * Merge options from `--merge-config`, overridden by the individual flags.
+ * @param {{ strategy?: string; sourcePriority?: string; fillFields?: string | boolean; mergeConfig?: string }} opts
+ */
+function readMergeOptions(opts) {
+  const config = opts.mergeConfig
+    ? JSON.parse(fs.readFileSync(path.resolve(opts.mergeConfig), 'utf8'))
+    : {};
+  const list = (value) =>
+    String(value)
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+
+  return {
+    ...config,
+    ...(opts.strategy ? { strategies: list(opts.strategy) } : {}),
+    ...(opts.sourcePriority ? { sourcePriority: [{ sources: list(opts.sourcePriority) }] } : {}),
+    ...(opts.fillFields
+      ? {
+          fillFields: opts.fillFields === true ? DEFAULT_FILL_FIELDS : list(opts.fillFields),
+        }
+      : {}),
+  };
+}
+
 export function runCli(argv = process.argv) {
   const program = new Command();
 
@@ -226,12 +352,31 @@ export function runCli(argv = process.argv) {
     .argument('<inputs...>', 'Paths to FootballData JSON files to merge')
     .requiredOption('-o, --output <file>', 'Path to write the merged FootballData JSON file')
     .option('--include-empty', 'Keep seasons that have no table/promoted/relegated entries', false)
-    .option('--compact', 'Write the output without indentation', false);
+    .option('--compact', 'Write the output without indentation', false)
+    .option(
+      '--strategy <names>',
+      `Comma-separated merge strategies tried in order when two inputs both have a tier (${Object.keys(
+        MERGE_STRATEGIES
+      ).join(', ')})`
+    )
+    .option(
+      '--source-priority <sources>',
+      'Comma-separated provenance sources or input files, most trusted first (all seasons)'
+    )
+    .option(
+      '--fill-fields [fields]',
+      `Fill missing row fields from the other input (default: ${DEFAULT_FILL_FIELDS.join(', ')})`
+    )
+    .option(
+      '--merge-config <file>',
+      'JSON file with strategies, per-era sourcePriority and fillFields; flags override it'
+    )
+    .option('--report <file>', 'Write every merge decision to this JSON file');
 
   program.parse(argv);
 
   const inputFiles = program.args;
-  const { output, includeEmpty, compact } = program.opts();
+  const { output, includeEmpty, compact, report } = program.opts();
 
   if (!inputFiles.length) {
     program.error('At least one input file must be provided.');
@@ -244,8 +389,26 @@ export function runCli(argv = process.argv) {
       includeEmpty,
       compact,
       cwd: process.cwd(),
+      merge: readMergeOptions(program.opts()),
     });
 
+    if (report) {
+      const reportPath = path.resolve(report);
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(reportPath, JSON.stringify(result.decisions, null, 2));
+    }
+    const byStrategy = result.decisions.reduce((counts, decision) => {
+      counts[decision.strategy] = (counts[decision.strategy] ?? 0) + 1;
+      return counts;
+    }, {});
+    if (result.decisions.length) {
+      console.log(
+        `Merge decisions: ${Object.entries(byStrategy)
+          .map(([strategy, count]) => `${strategy} ${count}`)
+          .join(', ')}${report ? ` (details in ${report})` : ''}`
+      );
+    }
+
     const { stats, outputPath } = result;
     const {
       mergedSeasonCount,
@@ -0,0 +1,401 @@
+// @ts-check
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+import { normaliseClubName } from '../shared/club-registry.js';
+import { getTierDivisions, loadFootballData } from './generate-output-files.js';
+
+/** @typedef {import('./models/output-file').FootballData} FootballData */
+
+/**
+ * @typedef {Object} ComparisonSource
+ * @property {string} label - How the source is named in the report (its path).
+ * @property {FootballData} data
+ */
+
+/**
+ * @typedef {Object} ValueMismatch
+ * @property {string} team
+ * @property {string | null} clubId
+ * @property {string} field
+ * @property {Record<string, unknown>} values - Value per source label.
+ */
+
+/**
+ * @typedef {Object} ClubPresence
+ * @property {string} team
+ * @property {string | null} clubId
+ * @property {number | null} pos
+ * @property {string[]} presentIn
+ * @property {string[]} missingFrom
+ */
+
+/**
+ * @typedef {Object} SourceAgreement
+ * @property {number} compared - Values compared against the other sources.
+ * @property {number} agreed - Values matching the consensus (the value most sources hold).
+ * @property {number} missing - Clubs other sources list that this one lacks.
+ */
+
+/**
+ * @typedef {Object} TableComparison
+ * @property {string} season
+ * @property {string} tier
+ * @property {string | null} division - Regional division of a split tier, otherwise `null`.
+ * @property {string[]} sources - Sources holding this table.
+ * @property {string[]} differentCompetitions - Sources whose table shares almost no clubs with
+ *   the others, so it is not the same competition; they are left out of the comparison.
+ * @property {ValueMismatch[]} mismatches
+ * @property {ClubPresence[]} missing
+ * @property {Record<string, SourceAgreement>} agreement
+ */
+
+/**
+ * @typedef {Object} ComparisonReport
+ * @property {string[]} sources
+ * @property {TableComparison[]} tables - Tables held by at least two sources.
+ * @property {Record<string, Record<string, SourceAgreement>>} eras - Agreement per decade
+ *   (e.g. "1980s") and source.
+ */
+
+/** Row fields compared between sources. */
+export const COMPARED_FIELDS = [
+  'pos',
+  'won',
+  'drawn',
+  'lost',
+  'goalsFor',
+  'goalsAgainst',
+  'points',
+];
+
+const TIER_KEY_PATTERN = /^tier(\d+)$/i;
+
+// Share of a source's clubs that must appear in another source's table for the two to be
+// treated as the same competition.
+const MIN_SHARED_CLUBS = 0.25;
+
+/**
+ * Load one source: a FootballData file, or a directory whose JSON files (e.g. one RSSSF
+ * season per file) together make up the source.
+ * @param {string} target
+ * @param {{ cwd?: string }} [options]
+ * @returns {ComparisonSource}
+ */
+export function loadComparisonSource(target, { cwd = process.cwd() } = {}) {
+  const resolved = path.resolve(cwd, target);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Input not found: ${resolved}`);
+  }
+  const files = fs.statSync(resolved).isDirectory()
+    ? fs
+        .readdirSync(resolved)
+        .filter((file) => file.toLowerCase().endsWith('.json'))
+        .sort()
+        .map((file) => path.join(resolved, file))
+    : [resolved];
+
+  /** @type {FootballData['seasons']} */
+  const seasons = {};
+  for (const file of files) {
+    for (const [seasonKey, record] of Object.entries(loadFootballData(file).seasons)) {
+      seasons[seasonKey] = { ...seasons[seasonKey], ...record };
+    }
+  }
+  return { label: path.relative(cwd, resolved) || target, data: { seasons } };
+}
+
+/**
+ * @param {string} tierKey
+ */
+function tierNumber(tierKey) {
+  const match = TIER_KEY_PATTERN.exec(tierKey);
+  return match ? Number(match[1]) : Infinity;
+}
+
+/**
+ * @param {Record<string, any>} row
+ */
+function clubKey(row) {
+  return row.clubId ?? `name:${normaliseClubName(row.team, { dropSuffixes: true })}`;
+}
+
+/**
+ * Sources whose table has too few clubs in common with the others' to be the same competition,
+ * e.g. a Premier League table filed under the tier another source uses for the First Division.
+ * When no two sources share enough clubs, every source is listed.
+ * @param {Map<string, Array<Record<string, any>>>} tablesBySource
+ * @returns {string[]}
+ */
+function unrelatedSources(tablesBySource) {
+  const keysBySource = new Map(
+    Array.from(tablesBySource).map(([label, table]) => [
+      label,
+      new Set(table.filter((row) => row?.team).map(clubKey)),
+    ])
+  );
+  return Array.from(keysBySource)
+    .filter(([label, keys]) => {
+      const shared = Array.from(keys).filter((key) =>
+        Array.from(keysBySource).some(([other, otherKeys]) => other !== label && otherKeys.has(key))
+      );
+      return keys.size > 0 && shared.length / keys.size < MIN_SHARED_CLUBS;
+    })
+    .map(([label]) => label);
+}
+
+/**
+ * The value most sources hold; `undefined` when two or more values are equally common.
+ * @param {unknown[]} values
+ */
+function consensus(values) {
+  /** @type {Map<unknown, number>} */
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) ?? 0) + 1));
+  const ranked = Array.from(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 1 && ranked[0][1] === ranked[1][1] ? undefined : ranked[0][0];
+}
+
+/**
+ * Line up one table across sources. Rows are matched by club registry id (or normalised name
+ * when a row has none). A club the registry cannot resolve is then paired with an unmatched
+ * club at the same position, reporting the differing names as a `team` mismatch instead of a
+ * missing and an extra club.
+ * @param {{ season: string; tier: string; division: string | null }} where
+ * @param {Map<string, Array<Record<string, any>>>} tablesBySource
+ * @returns {TableComparison}
+ */
+function compareTable(where, tablesBySource) {
+  const labels = Array.from(tablesBySource.keys());
+
+  /** @type {Map<string, { rows: Map<string, Record<string, any>>; byPosition: boolean }>} */
+  const clubs = new Map();
+  for (const [label, table] of tablesBySource) {
+    for (const row of table) {
+      if (!row?.team) continue;
+      const key = clubKey(row);
+      const entry = clubs.get(key) ?? { rows: new Map(), byPosition: false };
+      if (!entry.rows.has(label)) entry.rows.set(label, row);
+      clubs.set(key, entry);
+    }
+  }
+
+  const entries = Array.from(clubs.values());
+  // Two registry clubs are different clubs, so only pair when one side is unresolved.
+  const resolved = (/** @type {{ rows: Map<string, Record<string, any>> }} */ entry) =>
+    Array.from(entry.rows.values()).every((row) => row.clubId);
+  const partial = entries.filter((entry) => entry.rows.size < labels.length);
+  for (const entry of partial) {
+    if (!entry.rows.size) continue;
+    const [first] = entry.rows.values();
+    const partner = partial.find(
+      (other) =>
+        other !== entry &&
+        other.rows.size &&
+        !(resolved(entry) && resolved(other)) &&
+        Array.from(other.rows.keys()).every((label) => !entry.rows.has(label)) &&
+        Array.from(other.rows.values()).every((row) => row.pos != null && row.pos === first.pos)
+    );
+    if (!partner) continue;
+    partner.rows.forEach((row, label) => entry.rows.set(label, row));
+    partner.rows.clear();
+    entry.byPosition = true;
+  }
+
+  /** @type {TableComparison} */
+  const comparison = {
+    ...where,
+    sources: labels,
+    differentCompetitions: [],
+    mismatches: [],
+    missing: [],
+    agreement: Object.fromEntries(
+      labels.map((label) => [label, { compared: 0, agreed: 0, missing: 0 }])
+    ),
+  };
+
+  for (const { rows, byPosition } of entries) {
+    if (!rows.size) continue;
+    const [first] = rows.values();
+    const team = first.team;
+    const clubId = first.clubId ?? null;
+
+    if (rows.size < labels.length) {
+      const missingFrom = labels.filter((label) => !rows.has(label));
+      missingFrom.forEach((label) => (comparison.agreement[label].missing += 1));
+      comparison.missing.push({
+        team,
+        clubId,
+        pos: first.pos ?? null,
+        presentIn: Array.from(rows.keys()),
+        missingFrom,
+      });
+    }
+    if (rows.size < 2) continue;
+
+    const fields = byPosition ? ['team', ...COMPARED_FIELDS] : COMPARED_FIELDS;
+    for (const field of fields) {
+      const values = Object.fromEntries(
+        Array.from(rows).map(([label, row]) => [label, row[field] ?? null])
+      );
+      const expected = consensus(Object.values(values));
+      for (const [label, value] of Object.entries(values)) {
+        comparison.agreement[label].compared += 1;
+        if (value === expected) comparison.agreement[label].agreed += 1;
+      }
+      if (new Set(Object.values(values)).size > 1) {
+        comparison.mismatches.push({ team, clubId, field, values });
+      }
+    }
+  }
+  return comparison;
+}
+
+/**
+ * @param {TableComparison[]} tables
+ * @returns {ComparisonReport['eras']}
+ */
+function summariseEras(tables) {
+  /** @type {ComparisonReport['eras']} */
+  const eras = {};
+  for (const table of tables) {
+    const year = Number.parseInt(table.season, 10);
+    const era = Number.isFinite(year) ? `${Math.floor(year / 10) * 10}s` : table.season;
+    eras[era] = eras[era] ?? {};
+    for (const [label, agreement] of Object.entries(table.agreement)) {
+      const total = eras[era][label] ?? { compared: 0, agreed: 0, missing: 0 };
+      total.compared += agreement.compared;
+      total.agreed += agreement.agreed;
+      total.missing += agreement.missing;
+      eras[era][label] = total;
+    }
+  }
+  return eras;
+}
+
+/**
+ * Compare the league tables of several sources season by season and tier by tier. Only tables
+ * held by two or more sources are compared; split tiers are lined up by section, then
+ * division name. A table sharing almost no clubs with the other sources' is reported as a
+ * different competition instead of as a list of missing clubs.
+ * @param {ComparisonSource[]} sources
+ * @param {{ start?: number | null; end?: number | null }} [options] - Season range, inclusive.
+ * @returns {ComparisonReport}
+ */
+export function compareSources(sources, { start = null, end = null } = {}) {
+  const seasonKeys = Array.from(
+    new Set(sources.flatMap((source) => Object.keys(source.data.seasons)))
+  )
+    .filter((key) => {
+      const year = Number.parseInt(key, 10);
+      if (!Number.isFinite(year)) return start == null && end == null;
+      return (start == null || year >= start) && (end == null || year <= end);
+    })
+    .sort((a, b) => Number.parseInt(a, 10) - Number.parseInt(b, 10));
+
+  /** @type {TableComparison[]} */
+  const tables = [];
+  for (const season of seasonKeys) {
+    const records = sources.map((source) => source.data.seasons[season] ?? {});
+    const tierKeys = Array.from(
+      new Set(
+        records.flatMap((record) => Object.keys(record).filter((key) => TIER_KEY_PATTERN.test(key)))
+      )
+    ).sort((a, b) => tierNumber(a) - tierNumber(b));
+
+    for (const tier of tierKeys) {
+      // Sections ("North") are keyed first since sources spell division names differently.
+      /** @type {Map<string | null, { division: string | null; tablesBySource: Map<string, Array<Record<string, any>>> }>} */
+      const byDivision = new Map();
+      sources.forEach((source, index) => {
+        const divisions = getTierDivisions(records[index][tier]);
+        for (const division of divisions) {
+          if (!Array.isArray(division.table) || !division.table.length) continue;
+          const split = divisions.length > 1;
+          const key = split ? division.section ?? division.division ?? null : null;
+          const entry = byDivision.get(key) ?? {
+            division: split ? division.division ?? division.section ?? null : null,
+            tablesBySource: new Map(),
+          };
+          entry.tablesBySource.set(source.label, division.table);
+          byDivision.set(key, entry);
+        }
+      });
+
+      for (const { division, tablesBySource } of byDivision.values()) {
+        if (tablesBySource.size < 2) continue;
+        const unrelated = unrelatedSources(tablesBySource);
+        unrelated.forEach((label) => tablesBySource.delete(label));
+        tables.push({
+          ...compareTable({ season, tier, division }, tablesBySource),
+          differentCompetitions: unrelated,
+        });
+      }
+    }
+  }
+
+  return { sources: sources.map((source) => source.label), tables, eras: summariseEras(tables) };
+}
+
+/**
+ * @param {SourceAgreement} agreement
+ */
+function agreementRate(agreement) {
+  return agreement.compared ? agreement.agreed / agreement.compared : 0;
+}
+
+/**
+ * Console lines for a report: every table with a disagreement, then agreement per era with the
+ * most consistent source first.
+ * @param {ComparisonReport} report
+ * @param {{ summaryOnly?: boolean }} [options]
+ * @returns {string[]}
+ */
+export function formatComparison(report, { summaryOnly = false } = {}) {
+  const lines = [];
+  const differing = report.tables.filter(
+    (table) => table.mismatches.length || table.missing.length || table.differentCompetitions.length
+  );
+
+  if (!summaryOnly) {
+    for (const table of differing) {
+      const where = `${table.season} ${table.tier}${table.division ? ` ${table.division}` : ''}`;
+      if (table.differentCompetitions.length) {
+        lines.push(
+          `${where}: different competitions in ${table.differentCompetitions.join(
+            ', '
+          )} (few clubs in common), not compared`
+        );
+        if (!table.mismatches.length && !table.missing.length) continue;
+      }
+      lines.push(
+        `${where}: ${table.mismatches.length} mismatch(es), ${table.missing.length} club(s) not in every source`
+      );
+      for (const mismatch of table.mismatches) {
+        const values = Object.entries(mismatch.values)
+          .map(([label, value]) => `${label} ${value ?? '–'}`)
+          .join(' / ');
+        lines.push(`  ${mismatch.team} ${mismatch.field}: ${values}`);
+      }
+      for (const club of table.missing) {
+        lines.push(`  ${club.team}: missing from ${club.missingFrom.join(', ')}`);
+      }
+    }
+  }
+
+  lines.push(
+    `Compared ${report.tables.length} table(s) across ${report.sources.length} source(s); ${differing.length} disagree.`
+  );
+  for (const [era, bySource] of Object.entries(report.eras)) {
+    const ranked = Object.entries(bySource)
+      .sort((a, b) => agreementRate(b[1]) - agreementRate(a[1]))
+      .map(
+        ([label, agreement]) =>
+          `${label} ${(agreementRate(agreement) * 100).toFixed(1)}% (${agreement.missing} missing)`
+      );
+    lines.push(`  ${era}: ${ranked.join(', ')}`);
+  }
+  return lines;
+}
+
+export default compareSources;
@@ -2,6 +2,18 @@
 
 import * as fs from 'node:fs';
 import * as path from 'node:path';
+import { getDefaultClubRegistry } from '../shared/club-registry.js';
+import { divisionLevel } from '../shared/league-rules.js';
+import {
+  parsePointsAdjustments,
+  summarisePointsAdjustments,
+} from '../shared/points-adjustments.js';
+import { normaliseFieldProvenance, normaliseProvenance } from '../shared/provenance.js';
+import {
+  normaliseRowOutcomes,
+  parseRowOutcomes,
+  reconcileRowOutcomes,
+} from '../shared/row-outcomes.js';
 import { isExpansionTeam, wasPromoted, wasRelegated } from './utils.js';
 
 /** @typedef {import('./models/output-file').LeagueTableEntry} LeagueTableEntry */
@@ -20,7 +32,18 @@ const NUMBER_FIELDS = [
   'goalsAgainst',
   'points',
 ];
-const OPTIONAL_NUMBER_FIELDS = ['goalDifference', 'goalAverage'];
+const OPTIONAL_NUMBER_FIELDS = ['goalDifference', 'goalAverage', 'pointsDeducted', 'pointsAwarded'];
+const ADJUSTMENT_TYPES = new Set(['deduction', 'award']);
+
+/**
+ * Row fields outside the canonical LeagueTableEntry that rows from each source may keep,
+ * keyed by the tier's `source`. They are moved under the row's `extras`; anything else a
+ * parser adds is dropped. Rows that already carry `extras` keep them whatever the source.
+ * @type {Readonly<Record<string, readonly string[]>>}
+ */
+export const ROW_EXTRA_FIELDS = Object.freeze({
+  rsssf: ['meta', 'flagEvidence'],
+});
 const BOOLEAN_FIELDS = [
   'wasRelegated',
   'wasPromoted',
@@ -70,6 +93,100 @@ function toBoolean(value) {
   return Boolean(value);
 }
 
+/**
+ * Keep well-formed points adjustments from a row.
+ * @param {unknown} value
+ * @returns {import('./models/output-file').PointsAdjustment[]}
+ */
+function normalisePointsAdjustments(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({
+      type: entry.type,
+      points: Number(entry.points),
+      reason: toStringValue(entry.reason) ?? 'other',
+      text: toStringValue(entry.text) ?? '',
+    }))
+    .filter((entry) => ADJUSTMENT_TYPES.has(entry.type) && entry.points > 0);
+}
+
+/**
+ * Copy a value as plain JSON, dropping functions, `undefined` and non-finite numbers.
+ * @param {unknown} value
+ * @returns {import('./models/output-file').RowExtraValue | undefined}
+ */
+function toExtraValue(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (Array.isArray(value)) {
+    return value.map((entry) => toExtraValue(entry)).filter((entry) => entry !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    /** @type {Record<string, import('./models/output-file').RowExtraValue>} */
+    const copy = {};
+    for (const [key, entry] of Object.entries(value)) {
+      const converted = toExtraValue(entry);
+      if (converted !== undefined) copy[key] = converted;
+    }
+    return copy;
+  }
+  return undefined;
+}
+
+/**
+ * Collect a row's extras: its existing `extras` plus the fields its source is allowed to keep.
+ * @param {Record<string, unknown>} record
+ * @param {string | null | undefined} source
+ */
+function collectRowExtras(record, source) {
+  /** @type {Record<string, import('./models/output-file').RowExtraValue>} */
+  const extras = {};
+  const existing = toExtraValue(record.extras);
+  if (existing && typeof existing === 'object' && !Array.isArray(existing)) {
+    Object.assign(extras, existing);
+  }
+  for (const field of (source && ROW_EXTRA_FIELDS[source]) || []) {
+    const value = toExtraValue(record[field]);
+    if (value !== undefined) extras[field] = value;
+  }
+  return extras;
+}
+
+/**
+ * Keep a home or away record when every count is a number. RSSSF's `meta.homeRecord` spells
+ * the results `wins`/`draws`/`losses`; both spellings are accepted.
+ * @param {unknown} value
+ * @returns {import('./models/output-file').SplitRecord | null}
+ */
+function normaliseSplitRecord(value) {
+  if (!value || typeof value !== 'object') return null;
+  const source = /** @type {Record<string, unknown>} */ (value);
+  const pick = (...keys) => {
+    const key = keys.find((candidate) => source[candidate] != null && source[candidate] !== '');
+    const parsed = key ? Number(source[key]) : NaN;
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+
+  const won = pick('won', 'wins');
+  const drawn = pick('drawn', 'draws');
+  const lost = pick('lost', 'losses');
+  const goalsFor = pick('goalsFor');
+  const goalsAgainst = pick('goalsAgainst');
+  if ([won, drawn, lost, goalsFor, goalsAgainst].some((count) => count == null)) return null;
+
+  return /** @type {import('./models/output-file').SplitRecord} */ ({
+    played:
+      pick('played') ??
+      /** @type {number} */ (won) + /** @type {number} */ (drawn) + /** @type {number} */ (lost),
+    won,
+    drawn,
+    lost,
+    goalsFor,
+    goalsAgainst,
+  });
+}
+
 /**
  * Ensure we have a string array with no duplicates.
  * @param {unknown} value
@@ -118,11 +235,17 @@ function sanitizeRows(rows) {
 }
 
 /**
- * Normalise a single league table entry.
+ * Normalise a single league table entry. The team name is resolved against the club
+ * registry for the given season; an explicit `clubId` on the row is kept as-is.
  * @param {Partial<LeagueTableEntry> & Record<string, unknown>} raw
+ * @param {{
+ *   season?: number | string | null;
+ *   registry?: import('../shared/club-registry.js').ClubRegistry;
+ *   source?: string | null;
+ * }} [options] - `source` picks the extra fields the row may keep (see `ROW_EXTRA_FIELDS`).
  * @returns {LeagueTableEntry}
  */
-export function normaliseLeagueTableEntry(raw) {
+export function normaliseLeagueTableEntry(raw, options = {}) {
   if (!raw || typeof raw !== 'object') {
     throw new TypeError('Expected an object to normalise LeagueTableEntry');
   }
@@ -152,6 +275,31 @@ export function normaliseLeagueTableEntry(raw) {
   record.team = teamName;
   record.notes = notes;
 
+  // Resolved again on every load so ids written before a registry fix are corrected; a stored
+  // id is only kept for names the registry cannot place.
+  const registry = options.registry ?? getDefaultClubRegistry();
+  record.clubId =
+    registry.resolveId(teamName, { season: options.season }) ?? toStringValue(record.clubId);
+
+  // Rows from older exports carry deductions only in their notes.
+  const hasAdjustmentFields =
+    record.pointsDeducted != null ||
+    record.pointsAwarded != null ||
+    Array.isArray(record.pointsAdjustments);
+  const pointsAdjustments = hasAdjustmentFields
+    ? normalisePointsAdjustments(record.pointsAdjustments)
+    : parsePointsAdjustments(notes);
+  const adjustmentTotals = summarisePointsAdjustments(pointsAdjustments);
+  record.pointsDeducted = record.pointsDeducted ?? adjustmentTotals.pointsDeducted;
+  record.pointsAwarded = record.pointsAwarded ?? adjustmentTotals.pointsAwarded;
+
+  const meta = /** @type {Record<string, unknown> | undefined} */ (record.meta);
+  const home = normaliseSplitRecord(record.home ?? meta?.homeRecord);
+  const away = normaliseSplitRecord(record.away ?? meta?.awayRecord);
+  const extras = collectRowExtras(record, options.source);
+  const provenance = normaliseProvenance(record.provenance);
+  const fieldProvenance = normaliseFieldProvenance(record.fieldProvenance);
+
   const derivedRelegated = wasRelegated(notes);
   const derivedPromoted = wasPromoted(notes);
   const derivedExpansion = isExpansionTeam(notes);
@@ -189,9 +337,18 @@ export function normaliseLeagueTableEntry(raw) {
     record[key] = toBoolean(record[key]);
   }
 
+  // Rows from older exports and from sources without outcomes get them from their notes.
+  const outcomes = reconcileRowOutcomes(
+    Array.isArray(record.outcomes)
+      ? normaliseRowOutcomes(record.outcomes)
+      : parseRowOutcomes(notes),
+    record
+  );
+
   return /** @type {LeagueTableEntry} */ ({
     pos: record.pos,
     team: record.team,
+    clubId: record.clubId,
     played: record.played,
     won: record.won,
     drawn: record.drawn,
@@ -201,12 +358,21 @@ export function normaliseLeagueTableEntry(raw) {
     goalDifference: record.goalDifference,
     goalAverage: record.goalAverage,
     points: record.points,
+    pointsDeducted: record.pointsDeducted,
+    pointsAwarded: record.pointsAwarded,
+    ...(pointsAdjustments.length ? { pointsAdjustments } : {}),
+    ...(home ? { home } : {}),
+    ...(away ? { away } : {}),
+    ...(Object.keys(extras).length ? { extras } : {}),
     notes: record.notes,
+    outcomes,
     wasRelegated: record.wasRelegated,
     wasPromoted: record.wasPromoted,
     isExpansionTeam: record.isExpansionTeam,
     wasReElected: record.wasReElected,
     wasReprieved: record.wasReprieved,
+    ...(provenance ? { provenance } : {}),
+    ...(fieldProvenance ? { fieldProvenance } : {}),
   });
 }
 
@@ -223,13 +389,33 @@ function isTierData(tierValue) {
   );
 }
 
+/**
+ * Union of an outcome list across parallel divisions, in division order.
+ * @param {TierData[]} divisions
+ * @param {'promoted' | 'relegated'} field
+ */
+function unionDivisionOutcomes(divisions, field) {
+  return Array.from(new Set(divisions.flatMap((division) => division[field] || [])));
+}
+
 /**
  * @param {Record<string, unknown>} tierValue
  * @param {string} seasonKey
+ * @param {string | null} [inheritedSource] - Source of the enclosing tier, for divisions.
  */
-function normaliseTierData(tierValue, seasonKey) {
+function normaliseTierData(tierValue, seasonKey, inheritedSource = null) {
+  const source = toStringValue(tierValue.source) ?? inheritedSource;
   const table = sanitizeRows(tierValue.table);
-  const normalisedTable = table.map((row) => normaliseLeagueTableEntry(row));
+  const normalisedTable = table.map((row) =>
+    normaliseLeagueTableEntry(row, { season: tierValue.season ?? seasonKey, source })
+  );
+  const divisions = Array.isArray(tierValue.divisions)
+    ? tierValue.divisions
+        .filter((division) => division && typeof division === 'object')
+        .map((division) =>
+          normaliseTierData(/** @type {Record<string, unknown>} */ (division), seasonKey, source)
+        )
+    : null;
 
   const parsedSeason = Number.parseInt(String(tierValue.season ?? seasonKey), 10);
   const fallbackSeason = Number.parseInt(seasonKey, 10);
@@ -244,14 +430,161 @@ function normaliseTierData(tierValue, seasonKey) {
   delete extra.season;
   delete extra.relegated;
   delete extra.promoted;
+  delete extra.divisions;
+  delete extra.provenance;
+  const provenance = normaliseProvenance(tierValue.provenance);
 
-  return /** @type {TierData} */ ({
+  /** @type {TierData} */
+  const tierData = /** @type {TierData} */ ({
     ...extra,
     season,
     table: normalisedTable,
     relegated: normaliseOutcomeList(tierValue.relegated, normalisedTable, 'wasRelegated'),
     promoted: normaliseOutcomeList(tierValue.promoted, normalisedTable, 'wasPromoted'),
+    ...(provenance ? { provenance } : {}),
   });
+
+  if (divisions && divisions.length) {
+    if (!tierData.promoted.length) tierData.promoted = unionDivisionOutcomes(divisions, 'promoted');
+    if (!tierData.relegated.length) {
+      tierData.relegated = unionDivisionOutcomes(divisions, 'relegated');
+    }
+    tierData.divisions = divisions;
+  }
+
+  return tierData;
+}
+
+/**
+ * The separate league tables that make up a tier: the parallel regional divisions of a
+ * split tier (e.g. Third Division North/South), otherwise the tier itself. Bare row arrays
+ * are wrapped so callers can always read `.table`.
+ * @param {TierData | LeagueTableEntry[] | null | undefined} tierValue
+ * @returns {Array<Partial<TierData> & { table: LeagueTableEntry[] }>}
+ */
+export function getTierDivisions(tierValue) {
+  if (!tierValue || typeof tierValue !== 'object') return [];
+  if (Array.isArray(tierValue)) return [{ table: tierValue }];
+  if (Array.isArray(tierValue.divisions) && tierValue.divisions.length) {
+    return tierValue.divisions;
+  }
+  return [{ ...tierValue, table: Array.isArray(tierValue.table) ? tierValue.table : [] }];
+}
+
+/**
+ * @param {unknown} tierValue
+ */
+export function isParallelTier(tierValue) {
+  return Boolean(
+    tierValue &&
+      typeof tierValue === 'object' &&
+      !Array.isArray(tierValue) &&
+      Array.isArray(/** @type {TierData} */ (tierValue).divisions) &&
+      /** @type {TierData[]} */ (/** @type {TierData} */ (tierValue).divisions).length
+  );
+}
+
+const TIER_KEY_PATTERN = /^tier(\d+)$/i;
+
+// Football League season articles ("1993-94_Football_League") leave out the Premier League,
+// so from 1992–93 older exports keyed the League's First Division as tier1.
+const FOOTBALL_LEAGUE_ARTICLE = /_Football_League$/;
+const FIRST_PREMIER_LEAGUE_SEASON = 1992;
+const DIVISION_ORDINAL_NAMES = ['First', 'Second', 'Third', 'Fourth'];
+
+/**
+ * Level a tier's division name, `league` or `title` gives (see `divisionLevel`); parallel
+ * tiers are read from their divisions. `null` when no name says.
+ * @param {TierData} tierValue
+ * @param {number | null} season
+ */
+function namedLevel(tierValue, season) {
+  const named = /** @type {Array<Record<string, unknown>>} */ ([
+    tierValue,
+    ...(tierValue.divisions ?? []),
+  ]);
+  for (const entry of named) {
+    for (const name of [entry.division, entry.league, entry.title]) {
+      const level = typeof name === 'string' ? divisionLevel(name, season) : null;
+      if (level != null) return level;
+    }
+  }
+  return null;
+}
+
+/**
+ * Level of the pyramid a tier was played at: the level its name gives, otherwise the number
+ * in its `tierN` key. `null` for keys that are not tiers (e.g. `seasonInfo`).
+ * @param {string} tierKey
+ * @param {TierData | LeagueTableEntry[] | null | undefined} tierValue
+ * @param {number | string | null} [season] - Defaults to the tier's own `season`.
+ * @returns {number | null}
+ */
+export function tierLevel(tierKey, tierValue, season = null) {
+  const match = TIER_KEY_PATTERN.exec(tierKey);
+  if (!match) return null;
+  if (!tierValue || typeof tierValue !== 'object' || Array.isArray(tierValue)) {
+    return Number(match[1]);
+  }
+  const seasonYear = Number.parseInt(String(season ?? tierValue.season), 10);
+  return namedLevel(tierValue, Number.isFinite(seasonYear) ? seasonYear : null) ?? Number(match[1]);
+}
+
+/**
+ * Re-key a season's tiers by pyramid level, so every source agrees on what `tier1` means.
+ * Unnamed tables from Football League articles since 1992–93 are named after the division
+ * their key counted from, which also keeps the re-keying stable when the file is reloaded.
+ * Title summaries in `seasonInfo.titles` follow their tiers.
+ * The season is left alone if two tiers would land on the same level.
+ * @param {SeasonData} record
+ * @param {string} seasonKey
+ * @returns {SeasonData}
+ */
+function alignTierKeys(record, seasonKey) {
+  const seasonYear = Number.parseInt(seasonKey, 10);
+  /** @type {Map<string, number>} */
+  const levels = new Map();
+  for (const [tierKey, tierValue] of Object.entries(record)) {
+    const match = TIER_KEY_PATTERN.exec(tierKey);
+    if (!match) continue;
+    const ordinal = DIVISION_ORDINAL_NAMES[Number(match[1]) - 1];
+    if (
+      ordinal &&
+      !Array.isArray(tierValue) &&
+      seasonYear >= FIRST_PREMIER_LEAGUE_SEASON &&
+      FOOTBALL_LEAGUE_ARTICLE.test(String(tierValue.seasonSlug ?? '')) &&
+      namedLevel(tierValue, seasonYear) == null
+    ) {
+      tierValue.division = `${ordinal} Division`;
+    }
+    levels.set(tierKey, /** @type {number} */ (tierLevel(tierKey, tierValue, seasonYear)));
+  }
+
+  const targets = new Set(Array.from(levels.values()));
+  const moved = Array.from(levels).some(([tierKey, level]) => tierKey !== `tier${level}`);
+  if (!moved || targets.size !== levels.size) return record;
+
+  /** @type {SeasonData} */
+  const aligned = {};
+  for (const [key, value] of Object.entries(record)) {
+    const level = levels.get(key);
+    if (level == null) {
+      aligned[key] = value;
+      continue;
+    }
+    const tierKey = `tier${level}`;
+    if (!Array.isArray(value)) {
+      for (const entry of [value, ...(value.divisions ?? [])]) {
+        if (typeof entry.tier === 'string') entry.tier = tierKey;
+      }
+    }
+    aligned[tierKey] = value;
+  }
+  for (const title of aligned.seasonInfo?.titles ?? []) {
+    const level = levels.get(title.tier);
+    if (level != null) title.tier = `tier${level}`;
+  }
+  return aligned;
 }
 
 /**
@@ -268,7 +601,9 @@ function normaliseSeasonRecord(seasonValue, seasonKey) {
   for (const [tierKey, tierValue] of Object.entries(entries)) {
     if (Array.isArray(tierValue)) {
       const sanitized = sanitizeRows(tierValue);
-      result[tierKey] = sanitized.map((row) => normaliseLeagueTableEntry(row));
+      result[tierKey] = sanitized.map((row) =>
+        normaliseLeagueTableEntry(row, { season: seasonKey })
+      );
     } else if (isTierData(tierValue)) {
       result[tierKey] = normaliseTierData(tierValue, seasonKey);
     } else if (tierValue && typeof tierValue === 'object') {
@@ -279,7 +614,7 @@ function normaliseSeasonRecord(seasonValue, seasonKey) {
     }
   }
 
-  return result;
+  return alignTierKeys(result, seasonKey);
 }
 
 /**
@@ -314,14 +649,21 @@ export function createFootballData(initial) {
  *   promoted?: unknown;
  *   relegated?: unknown;
  *   metadata?: Record<string, unknown>;
- * }} [options]
+ *   source?: string | null;
+ * }} [options] - `source` defaults to `metadata.source` and picks the row extras kept.
  * @returns {TierData}
  */
 export function buildTierData(season, tableRows, options = {}) {
   const seasonNumber = Number.parseInt(String(season), 10);
   const safeSeason = Number.isFinite(seasonNumber) ? seasonNumber : 0;
+  const source = options.source ?? toStringValue(options.metadata?.source);
   const sanitizedRows = sanitizeRows(tableRows);
-  const normalizedTable = sanitizedRows.map((row) => normaliseLeagueTableEntry(row));
+  const normalizedTable = sanitizedRows.map((row) =>
+    normaliseLeagueTableEntry(row, {
+      season: Number.isFinite(seasonNumber) ? seasonNumber : null,
+      source,
+    })
+  );
 
   const promoted = normaliseOutcomeList(options.promoted, normalizedTable, 'wasPromoted');
   const relegated = normaliseOutcomeList(options.relegated, normalizedTable, 'wasRelegated');
@@ -341,7 +683,57 @@ export function buildTierData(season, tableRows, options = {}) {
       )
     );
   }
+  if ('provenance' in tierData) {
+    const provenance = normaliseProvenance(tierData.provenance);
+    if (provenance) tierData.provenance = provenance;
+    else delete tierData.provenance;
+  }
+
+  return tierData;
+}
+
+/**
+ * Build a tier made of parallel divisions (regional sections played at the same level).
+ * The tier's own table stays empty; each division keeps its table and outcome lists, and
+ * the tier's promoted/relegated lists default to the union across divisions.
+ * @param {string | number} season
+ * @param {Array<{
+ *   division: string;
+ *   section?: string | null;
+ *   table: Array<Partial<LeagueTableEntry> & Record<string, unknown>>;
+ *   promoted?: unknown;
+ *   relegated?: unknown;
+ *   metadata?: Record<string, unknown>;
+ * }>} divisions
+ * @param {{
+ *   promoted?: unknown;
+ *   relegated?: unknown;
+ *   metadata?: Record<string, unknown>;
+ *   source?: string | null;
+ * }} [options]
+ * @returns {TierData}
+ */
+export function buildParallelTierData(season, divisions, options = {}) {
+  const source = options.source ?? toStringValue(options.metadata?.source);
+  const divisionData = (Array.isArray(divisions) ? divisions : []).map((entry) =>
+    buildTierData(season, entry.table, {
+      promoted: entry.promoted,
+      relegated: entry.relegated,
+      source: toStringValue(entry.metadata?.source) ?? source,
+      metadata: {
+        ...entry.metadata,
+        division: entry.division,
+        section: entry.section ?? null,
+      },
+    })
+  );
 
+  const tierData = buildTierData(season, [], {
+    promoted: options.promoted ?? unionDivisionOutcomes(divisionData, 'promoted'),
+    relegated: options.relegated ?? unionDivisionOutcomes(divisionData, 'relegated'),
+    metadata: options.metadata,
+  });
+  tierData.divisions = divisionData;
   return tierData;
 }
 
@@ -373,7 +765,7 @@ export function upsertSeasonTier(dataset, seasonKey, tierKey, tierValue) {
   const seasonRecord = ensureSeason(dataset, key);
 
   if (Array.isArray(tierValue)) {
-    seasonRecord[tierKey] = tierValue.map((row) => normaliseLeagueTableEntry(row));
+    seasonRecord[tierKey] = tierValue.map((row) => normaliseLeagueTableEntry(row, { season: key }));
   } else if (tierValue && typeof tierValue === 'object') {
     seasonRecord[tierKey] = normaliseTierData(
       /** @type {Record<string, unknown>} */ (tierValue),
@@ -474,6 +866,10 @@ export default {
   createFootballData,
   normaliseLeagueTableEntry,
   buildTierData,
+  buildParallelTierData,
+  getTierDivisions,
+  isParallelTier,
+  tierLevel,
   upsertSeasonTier,
   setSeasonRecord,
   mergeFootballData,
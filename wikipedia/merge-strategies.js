@@ -0,0 +1,327 @@
+// @ts-check
+
+import { normaliseClubName } from '../shared/club-registry.js';
+import { expectedPoints, getLeagueRules } from '../shared/league-rules.js';
+import { normaliseProvenance, tierProvenance } from '../shared/provenance.js';
+import { getTierDivisions, tierLevel } from './generate-output-files.js';
+
+/** @typedef {import('./models/output-file').Provenance} Provenance */
+
+/**
+ * @typedef {Object} MergeContext
+ * @property {string} season - Season key.
+ * @property {string} tier - Tier key, e.g. "tier2".
+ * @property {any} existing - Tier already in the combined dataset.
+ * @property {any} incoming - Tier from the file being merged in.
+ * @property {MergeOptions} options
+ */
+
+/**
+ * @typedef {Object} MergeChoice
+ * @property {'existing' | 'incoming'} keep
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} MergeStrategy
+ * @property {string} name
+ * @property {string} description
+ * @property {(context: MergeContext) => MergeChoice | null} choose - `null` when the strategy
+ *   cannot tell the two tiers apart, leaving the choice to the next strategy.
+ */
+
+/**
+ * @typedef {Object} SourcePriority
+ * @property {number | null} [from] - First season the order applies to, inclusive.
+ * @property {number | null} [to] - Last season, inclusive.
+ * @property {string[]} sources - Provenance sources or input file names, most trusted first.
+ */
+
+/**
+ * @typedef {Object} MergeOptions
+ * @property {string[]} strategies - Strategy names, tried in order.
+ * @property {SourcePriority[]} sourcePriority
+ * @property {string[]} fillFields - Row fields filled from the other tier when missing.
+ */
+
+/**
+ * @typedef {Object} MergeDecision
+ * @property {string} season
+ * @property {string} tier
+ * @property {'tier' | 'field'} kind
+ * @property {string} strategy - Strategy that decided, or "fill-fields" for field fills.
+ * @property {string | null} kept - Source label of the tier kept (or filled from).
+ * @property {string | null} dropped - Source label of the tier set aside.
+ * @property {string | null} team - Row a field was filled on.
+ * @property {string | null} field
+ * @property {string} reason
+ */
+
+export const DEFAULT_FILL_FIELDS = ['goalAverage', 'notes'];
+
+/**
+ * Source label for the report: the provenance source and the input file it came from.
+ * @param {any} tierValue
+ */
+export function describeSource(tierValue) {
+  const provenance = Array.isArray(tierValue)
+    ? normaliseProvenance(tierValue.find((row) => row?.provenance)?.provenance)
+    : tierProvenance(tierValue);
+  if (!provenance) return null;
+  return provenance.file ? `${provenance.source} (${provenance.file})` : provenance.source;
+}
+
+/**
+ * @param {any} tierValue
+ */
+function tierRows(tierValue) {
+  return getTierDivisions(tierValue).flatMap((division) =>
+    Array.isArray(division.table) ? division.table : []
+  );
+}
+
+/**
+ * @param {string} season
+ */
+function seasonNumber(season) {
+  const parsed = Number.parseInt(season, 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * @param {any} tierValue
+ * @param {string[]} sources
+ */
+function priorityIndex(tierValue, sources) {
+  const provenance = Array.isArray(tierValue)
+    ? normaliseProvenance(tierValue.find((row) => row?.provenance)?.provenance)
+    : tierProvenance(tierValue);
+  if (!provenance) return -1;
+  return sources.findIndex(
+    (source) => source === provenance.source || (provenance.file && source === provenance.file)
+  );
+}
+
+/** @type {MergeStrategy} */
+const sourcePriority = {
+  name: 'source-priority',
+  description: 'Keep the tier whose source ranks higher in the priority list for its era.',
+  choose({ season, existing, incoming, options }) {
+    const year = seasonNumber(season);
+    const era = options.sourcePriority.find(
+      (entry) =>
+        (entry.from == null || (year != null && year >= entry.from)) &&
+        (entry.to == null || (year != null && year <= entry.to))
+    );
+    if (!era) return null;
+
+    const rank = (/** @type {any} */ tier) => {
+      const index = priorityIndex(tier, era.sources);
+      return index === -1 ? Infinity : index;
+    };
+    const existingRank = rank(existing);
+    const incomingRank = rank(incoming);
+    if (existingRank === incomingRank) return null;
+    const keep = incomingRank < existingRank ? 'incoming' : 'existing';
+    const winner = keep === 'incoming' ? incoming : existing;
+    const span =
+      era.from == null && era.to == null ? 'all seasons' : `${era.from ?? '…'}–${era.to ?? '…'}`;
+    return {
+      keep,
+      reason: `${describeSource(winner) ?? 'unknown source'} ranks higher for ${span}`,
+    };
+  },
+};
+
+const COMPLETENESS_FIELDS = [
+  'played',
+  'won',
+  'drawn',
+  'lost',
+  'goalsFor',
+  'goalsAgainst',
+  'points',
+  'goalAverage',
+  'notes',
+];
+
+/**
+ * Rows, then filled-in row fields, in a tier.
+ * @param {any} tierValue
+ */
+function completeness(tierValue) {
+  const rows = tierRows(tierValue);
+  const fields = rows.reduce(
+    (total, row) =>
+      total +
+      COMPLETENESS_FIELDS.filter((field) => row?.[field] != null && row[field] !== '').length,
+    0
+  );
+  return { rows: rows.length, fields };
+}
+
+/** @type {MergeStrategy} */
+const mostComplete = {
+  name: 'most-complete',
+  description: 'Keep the tier with more rows, then more filled-in fields.',
+  choose({ existing, incoming }) {
+    const a = completeness(existing);
+    const b = completeness(incoming);
+    if (a.rows !== b.rows) {
+      return {
+        keep: b.rows > a.rows ? 'incoming' : 'existing',
+        reason: `${Math.max(a.rows, b.rows)} rows against ${Math.min(a.rows, b.rows)}`,
+      };
+    }
+    if (a.fields !== b.fields) {
+      return {
+        keep: b.fields > a.fields ? 'incoming' : 'existing',
+        reason: `${Math.max(a.fields, b.fields)} filled fields against ${Math.min(
+          a.fields,
+          b.fields
+        )}`,
+      };
+    }
+    return null;
+  },
+};
+
+/**
+ * Share of rows whose record adds up: games played, goal difference and points under the
+ * season's rules.
+ * @param {any} tierValue
+ * @param {string} season
+ * @param {string} tier
+ */
+function statPassRate(tierValue, season, tier) {
+  const rows = tierRows(tierValue);
+  if (!rows.length) return 0;
+  const year = seasonNumber(season);
+  const level = tierLevel(tier, tierValue, year);
+  const rules = year != null && level != null ? getLeagueRules(year, { tier: level }) : null;
+
+  const passing = rows.filter((row) => {
+    if (row.won + row.drawn + row.lost !== row.played) return false;
+    if (row.goalDifference != null && row.goalDifference !== row.goalsFor - row.goalsAgainst) {
+      return false;
+    }
+    const expected = rules ? expectedPoints(row, rules) : null;
+    return expected == null || expected === row.points;
+  });
+  return passing.length / rows.length;
+}
+
+/** @type {MergeStrategy} */
+const statChecks = {
+  name: 'stat-checks',
+  description: 'Keep the tier with more rows whose played, goal and points totals add up.',
+  choose({ season, tier, existing, incoming }) {
+    const a = statPassRate(existing, season, tier);
+    const b = statPassRate(incoming, season, tier);
+    if (a === b) return null;
+    const percent = (/** @type {number} */ rate) => `${Math.round(rate * 100)}%`;
+    return {
+      keep: b > a ? 'incoming' : 'existing',
+      reason: `${percent(Math.max(a, b))} of rows pass the stat checks against ${percent(
+        Math.min(a, b)
+      )}`,
+    };
+  },
+};
+
+/** @type {MergeStrategy} */
+const firstLoaded = {
+  name: 'first-loaded',
+  description: 'Keep whichever tier was loaded first.',
+  choose() {
+    return { keep: 'existing', reason: 'loaded first' };
+  },
+};
+
+/** @type {Record<string, MergeStrategy>} */
+export const MERGE_STRATEGIES = Object.fromEntries(
+  [sourcePriority, mostComplete, statChecks, firstLoaded].map((strategy) => [
+    strategy.name,
+    strategy,
+  ])
+);
+
+/**
+ * Fill in merge options, checking strategy names. `first-loaded` always ends the list so
+ * that every conflict is decided.
+ * @param {Partial<MergeOptions>} [options]
+ * @returns {MergeOptions}
+ */
+export function resolveMergeOptions(options = {}) {
+  const strategies = options.strategies?.length ? [...options.strategies] : ['first-loaded'];
+  const unknown = strategies.filter((name) => !MERGE_STRATEGIES[name]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown merge strateg${unknown.length === 1 ? 'y' : 'ies'}: ${unknown.join(
+        ', '
+      )} (expected ${Object.keys(MERGE_STRATEGIES).join(', ')})`
+    );
+  }
+  if (!strategies.includes('first-loaded')) strategies.push('first-loaded');
+  if (strategies.includes('source-priority') && !options.sourcePriority?.length) {
+    throw new Error('The source-priority strategy needs a sourcePriority list');
+  }
+
+  return {
+    strategies,
+    sourcePriority: options.sourcePriority ?? [],
+    fillFields: options.fillFields ?? [],
+  };
+}
+
+/**
+ * Decide between two tiers that both hold data, trying each strategy in turn.
+ * @param {MergeContext} context
+ * @returns {MergeChoice & { strategy: string }}
+ */
+export function chooseTier(context) {
+  for (const name of context.options.strategies) {
+    const choice = MERGE_STRATEGIES[name].choose(context);
+    if (choice) return { ...choice, strategy: name };
+  }
+  return { keep: 'existing', reason: 'loaded first', strategy: 'first-loaded' };
+}
+
+/**
+ * Fill missing fields of the kept tier's rows from the matching rows (same club) of the other
+ * tier, recording each fill in the row's `fieldProvenance`. Mutates `kept`.
+ * @param {any} kept
+ * @param {any} other
+ * @param {string[]} fields
+ * @returns {Array<{ team: string; field: string }>} The fields filled.
+ */
+export function fillMissingFields(kept, other, fields) {
+  if (!fields.length) return [];
+  const otherProvenance = Array.isArray(other) ? null : tierProvenance(other);
+  /** @type {Map<string, any>} */
+  const otherRows = new Map(
+    tierRows(other)
+      .filter((row) => row?.team)
+      .map((row) => [normaliseClubName(row.team, { dropSuffixes: true }), row])
+  );
+
+  /** @type {Array<{ team: string; field: string }>} */
+  const filled = [];
+  for (const row of tierRows(kept)) {
+    if (!row?.team) continue;
+    const source = otherRows.get(normaliseClubName(row.team, { dropSuffixes: true }));
+    if (!source) continue;
+    for (const field of fields) {
+      const missing = row[field] == null || row[field] === '';
+      const available = source[field] != null && source[field] !== '';
+      if (!missing || !available) continue;
+      row[field] = source[field];
+      const provenance = normaliseProvenance(source.provenance) ?? otherProvenance;
+      if (provenance) row.fieldProvenance = { ...row.fieldProvenance, [field]: provenance };
+      filled.push({ team: row.team, field });
+    }
+  }
+  return filled;
+}
+
+export default chooseTier;
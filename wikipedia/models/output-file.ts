@@ -2,6 +2,7 @@
 export interface LeagueTableEntry {
   pos: number;
   team: string;
+  clubId: string | null; // club_names.json registry id, null when the name is not registered
   played: number;
   won: number;
   drawn: number;
@@ -10,13 +11,85 @@ export interface LeagueTableEntry {
   goalsAgainst: number;
   goalDifference: number | null;
   goalAverage: number | null;
-  points: number;
+  points: number; // as published, after any adjustments
+  pointsDeducted: number | null; // total taken off, read from notes/footnotes; null when none
+  pointsAwarded: number | null; // total added, e.g. for an opponent's unfulfilled fixture
+  pointsAdjustments?: PointsAdjustment[];
+  home?: SplitRecord; // home matches only; present when the source breaks the record down
+  away?: SplitRecord;
+  extras?: RowExtras; // source-specific fields kept via the allow-list in ROW_EXTRA_FIELDS
   notes: string | null;
+  outcomes: RowOutcome[]; // structured reading of the notes and legend codes
   wasRelegated: boolean;
   wasPromoted: boolean;
   isExpansionTeam: boolean;
   wasReElected: boolean;
   wasReprieved: boolean;
+  provenance?: Provenance; // set when the row's source differs from its tier's, e.g. bare row arrays
+  fieldProvenance?: { [field: string]: Provenance }; // fields taken from another source
+}
+
+// ✅ Where a tier, row or field came from
+export interface Provenance {
+  source: string; // e.g. "wikipedia-season", "wikipedia-overview", "rsssf", "csv"
+  url: string | null; // page or file the data was read from
+  revisionId: number | null; // MediaWiki revision (oldid), when the source has one
+  fetchedAt: string | null; // ISO timestamp; null when revisionId pins the page
+  parser: string | null; // module that produced the data, e.g. "wikipedia/parse-season-pages"
+  parserVersion: string | null; // package version of that parser
+  file?: string; // output file the data was combined from
+}
+
+// ✅ A team's record in its home or away matches
+export interface SplitRecord {
+  played: number;
+  won: number;
+  drawn: number;
+  lost: number;
+  goalsFor: number;
+  goalsAgainst: number;
+}
+
+// ✅ A season outcome for a row: a title, a league movement or a European place
+export interface RowOutcome {
+  type:
+    | 'title'
+    | 'promotion'
+    | 'relegation'
+    | 'playoff'
+    | 'european'
+    | 're-election'
+    | 'expelled'
+    | 'resigned';
+  competition: string | null; // e.g. "Champions League", "Second Division", "promotion play-offs"
+  stage: string | null; // e.g. "group stage"; "winner" for play-offs; "not re-elected"
+}
+
+// ✅ Extra per-row fields a source carries beyond the canonical columns, as plain JSON
+export type RowExtraValue =
+  | string
+  | number
+  | boolean
+  | null
+  | RowExtraValue[]
+  | { [key: string]: RowExtraValue };
+
+export interface RowExtras {
+  [field: string]: RowExtraValue;
+}
+
+// ✅ A points deduction or award and why it was applied
+export interface PointsAdjustment {
+  type: 'deduction' | 'award';
+  points: number; // always positive
+  reason:
+    | 'administration'
+    | 'ineligible-player'
+    | 'financial-rules'
+    | 'fixture-not-fulfilled'
+    | 'misconduct'
+    | 'other';
+  text: string; // sentence the adjustment was read from
 }
 
 // ✅ A single tier for a given season (e.g., tier1 or tier2)
@@ -27,13 +100,108 @@ export interface TierData {
   promoted: string[];
   seasonSlug?: string | null;
   sourceUrl?: string | null;
+  revisionId?: number | null; // MediaWiki revision (oldid) the season page was parsed from
   tier?: string | null;
+  division?: string | null; // e.g. "Third Division North"
+  section?: string | null; // regional section within the tier, e.g. "North"
+  reElected?: string[];
+  divisions?: TierData[]; // parallel regional sections sharing this tier
   title?: string | null;
   seasonMetadata?: Record<string, unknown>;
+  playoffs?: PlayoffBlock; // promotion play-offs decided from this division
+  topScorers?: TopScorersBlock; // the division's leading goalscorers
+  testMatches?: TestMatchBlock; // seasonInfo only, 1892–93 to 1897–98
+  elections?: ElectionsBlock; // seasonInfo only
+  infobox?: SeasonInfobox; // seasonInfo only
+  titles?: TitleSummary[]; // seasonInfo only
+  provenance?: Provenance;
+}
+
+export interface TitleSummary {
+  tier: string; // e.g. "tier1"
+  level: number; // pyramid level the title was won at
+  competition: 'football-league' | 'premier-league' | 'non-league';
+  division: string | null; // regional division of a split tier
+  champions: string;
+  runnersUp: string | null;
+  decidedBy: 'points' | 'goalAverage' | 'goalDifference' | 'goalsFor' | 'playoff' | null;
+}
+
+export interface SeasonInfobox {
+  season: string;
+  relegated: string[];
+  newClubs: string[];
+  folded: string[];
+  resigned: string[];
+}
+
+export interface ElectionCandidate {
+  club: string;
+  league: string | null; // league the club applied from, when the ballot says
+  votes: number | null;
+  isMember: boolean; // already in the Football League, i.e. applying for re-election
+  outcome: 're-elected' | 'elected' | 'not-re-elected' | 'not-elected' | null;
+}
+
+export interface ElectionsBlock {
+  ballots: Array<{ title: string | null; candidates: ElectionCandidate[] }>;
+  elected: string[];
+  reElected: string[];
+  notReElected: string[];
+  newClubs: string[]; // from the season infobox
+  folded: string[];
+  resigned: string[];
+}
+
+export interface TestMatch {
+  home: string;
+  away: string;
+  homeGoals: number | null;
+  awayGoals: number | null;
+  venue: string | null;
+}
+
+export interface TestMatchBlock {
+  format: 'knockout' | 'mini-league';
+  matches: TestMatch[];
+  table: Array<Partial<LeagueTableEntry> & { pos: number; team: string }>; // mini-league only
+  promoted: string[]; // Second Division clubs that won a First Division place
+  relegated: string[]; // First Division clubs that lost theirs
+}
+
+export interface TopScorer {
+  rank: number; // shared by players level on goals
+  player: string;
+  club: string | null;
+  goals: number;
+}
+
+export interface TopScorersBlock {
+  title: string | null;
+  scorers: TopScorer[];
+}
+
+export interface PlayoffTie {
+  round: string; // "semi-final", "final", or the heading the tie was listed under
+  teams: [string, string];
+  legs: Array<[number | null, number | null]>; // in `teams` order; a third leg is a replay
+  aggregate: [number, number] | null;
+  penalties: [number, number] | null;
+  extraTime: boolean;
+  winner: string | null;
+}
+
+export interface PlayoffBlock {
+  title: string | null;
+  ties: PlayoffTie[];
+  participants: string[];
+  winner: string | null; // winner of the final, the club promoted through the play-offs
 }
 
 // ✅ A season's data, containing multiple tiers (tier1, tier2, etc.)
 export interface SeasonData {
+  // `tierN` is level N of the pyramid (tier1 is the Premier League from 1992–93), whatever the
+  // source counted from; `seasonInfo` holds the season summary.
   [tierKey: string]: TierData | LeagueTableEntry[];
   // Example: { tier1: TierData, tier2: LeagueTableEntry[] }
 }
@@ -0,0 +1,155 @@
+// @ts-check
+
+import { createHash } from 'node:crypto';
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+
+const INDEX_FILE_NAME = 'index.json';
+const OBJECTS_DIR_NAME = 'objects';
+const INDEX_VERSION = 1;
+
+/**
+ * @typedef {Object} CachedPage
+ * @property {string} slug
+ * @property {string} html
+ * @property {number | null} revisionId
+ * @property {string} fetchedAt
+ * @property {string | null} sourceUrl
+ * @property {string} hash
+ */
+
+/**
+ * @typedef {Object} CacheIndexEntry
+ * @property {string} hash
+ * @property {number | null} revisionId
+ * @property {string} fetchedAt
+ * @property {string | null} sourceUrl
+ */
+
+/**
+ * @typedef {Object} PageCache
+ * @property {string} cacheDir
+ * @property {boolean} offline
+ * @property {boolean} refresh
+ * @property {(slug: string) => CachedPage | null} read
+ * @property {(page: { slug: string; html: string; revisionId?: number | null; fetchedAt?: string; sourceUrl?: string | null }) => CachedPage} write
+ * @property {() => string[]} slugs
+ */
+
+/**
+ * @param {string} html
+ */
+export function hashHtml(html) {
+  return createHash('sha256').update(html, 'utf8').digest('hex');
+}
+
+/**
+ * @param {string} indexPath
+ * @returns {{ version: number; pages: Record<string, CacheIndexEntry> }}
+ */
+function readIndex(indexPath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (parsed && typeof parsed === 'object' && parsed.pages && typeof parsed.pages === 'object') {
+      return { version: INDEX_VERSION, pages: parsed.pages };
+    }
+  } catch (err) {
+    if (err && /** @type {{ code?: string }} */ (err).code !== 'ENOENT') {
+      console.warn(`⚠️ Ignoring unreadable page cache index at ${indexPath}`);
+    }
+  }
+  return { version: INDEX_VERSION, pages: {} };
+}
+
+/**
+ * Write to a temporary file first so an interrupted run never leaves a truncated index.
+ * @param {string} filePath
+ * @param {string} contents
+ */
+function writeFileAtomic(filePath, contents) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Create a content-addressed page cache rooted at `cacheDir`.
+ *
+ * HTML bodies are stored once per unique hash under `objects/`, while `index.json`
+ * maps each slug to the hash, revision id and fetch timestamp of its latest copy.
+ * @param {{ cacheDir: string; offline?: boolean; refresh?: boolean }} options
+ * @returns {PageCache}
+ */
+export function createPageCache({ cacheDir, offline = false, refresh = false }) {
+  if (!cacheDir) {
+    throw new TypeError('A cacheDir is required to create a page cache');
+  }
+  if (offline && refresh) {
+    throw new Error('Offline mode cannot be combined with refreshing the cache');
+  }
+
+  const root = path.resolve(cacheDir);
+  const indexPath = path.join(root, INDEX_FILE_NAME);
+  const index = readIndex(indexPath);
+
+  /** @param {string} hash */
+  const objectPath = (hash) => path.join(root, OBJECTS_DIR_NAME, hash.slice(0, 2), `${hash}.html`);
+
+  return {
+    cacheDir: root,
+    offline: Boolean(offline),
+    refresh: Boolean(refresh),
+
+    read(slug) {
+      const entry = index.pages[slug];
+      if (!entry) return null;
+
+      let html;
+      try {
+        html = fs.readFileSync(objectPath(entry.hash), 'utf8');
+      } catch (err) {
+        console.warn(`⚠️ Cached HTML for ${slug} is missing from ${root}`);
+        return null;
+      }
+
+      return {
+        slug,
+        html,
+        hash: entry.hash,
+        revisionId: entry.revisionId ?? null,
+        fetchedAt: entry.fetchedAt,
+        sourceUrl: entry.sourceUrl ?? null,
+      };
+    },
+
+    write({ slug, html, revisionId = null, fetchedAt, sourceUrl = null }) {
+      const hash = hashHtml(html);
+      const target = objectPath(hash);
+      if (!fs.existsSync(target)) {
+        writeFileAtomic(target, html);
+      }
+
+      /** @type {CacheIndexEntry} */
+      const entry = {
+        hash,
+        revisionId: revisionId ?? null,
+        fetchedAt: fetchedAt || new Date().toISOString(),
+        sourceUrl: sourceUrl ?? null,
+      };
+      index.pages[slug] = entry;
+      writeFileAtomic(indexPath, JSON.stringify(index, null, 2));
+
+      return { slug, html, ...entry };
+    },
+
+    slugs() {
+      return Object.keys(index.pages).sort();
+    },
+  };
+}
+
+export default {
+  createPageCache,
+  hashHtml,
+};
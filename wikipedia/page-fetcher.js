@@ -0,0 +1,133 @@
+// @ts-check
+
+import { createWikipediaPackageTransport } from './transports.js';
+import { buildWikiPageUrl } from './utils.js';
+
+/** @type {import('./transports.js').PageTransport | null} */
+let defaultTransport = null;
+
+/**
+ * @param {import('../shared/request-scheduler.js').RequestScheduler | null} [scheduler]
+ */
+function getDefaultTransport(scheduler) {
+  if (scheduler) {
+    return createWikipediaPackageTransport({ scheduler });
+  }
+  if (!defaultTransport) {
+    defaultTransport = createWikipediaPackageTransport();
+  }
+  return defaultTransport;
+}
+
+/**
+ * @typedef {Object} FetchOptions
+ * @property {import('./page-cache.js').PageCache | null} [cache]
+ * @property {import('./revision-lock.js').RevisionLock | null} [lock]
+ * @property {import('./transports.js').PageTransport | null} [transport]
+ * @property {import('../shared/request-scheduler.js').RequestScheduler | null} [scheduler] - Used by
+ *   the default transport; transports built by the caller carry their own.
+ * @property {number | null} [revisionId]
+ */
+
+/**
+ * Fetch a wiki page along with its revision metadata.
+ * When `options.cache` is supplied the on-disk copy is preferred, unless the cache
+ * is in refresh mode; offline caches never touch the transport.
+ * A pinned revision (`options.revisionId`, or the slug's entry in `options.lock`) is
+ * requested from the transport explicitly, and cached copies of any other revision are
+ * ignored. Unpinned slugs are recorded in the lock at whatever revision was served.
+ * @param {string} slug
+ * @param {FetchOptions} [options]
+ */
+export async function fetchPageForSlug(slug, options = {}) {
+  const cache = options.cache || null;
+  const lock = options.lock || null;
+  const transport = options.transport || getDefaultTransport(options.scheduler);
+  const pinnedRevision = options.revisionId ?? lock?.get(slug) ?? null;
+
+  if (lock?.frozen && pinnedRevision == null) {
+    throw new Error(`${slug} is not pinned in frozen lockfile ${lock.filePath}`);
+  }
+
+  /** @param {{ revisionId: number | null }} page */
+  const recordPin = (page) => {
+    if (!lock || pinnedRevision != null) return;
+    if (page.revisionId == null) {
+      console.warn(`⚠️ Unable to determine the revision of ${slug}; it was not pinned`);
+      return;
+    }
+    lock.set(slug, page.revisionId);
+  };
+
+  if (cache && !cache.refresh) {
+    const cached = cache.read(slug);
+    if (cached && (pinnedRevision == null || cached.revisionId === pinnedRevision)) {
+      const page = {
+        slug,
+        html: cached.html,
+        revisionId: cached.revisionId,
+        fetchedAt: cached.fetchedAt,
+        sourceUrl: cached.sourceUrl || buildWikiPageUrl(slug),
+        via: 'cache',
+        fromCache: true,
+        remote: false,
+      };
+      recordPin(page);
+      return page;
+    }
+  }
+
+  if (cache?.offline) {
+    const revisionLabel = pinnedRevision != null ? ` at revision ${pinnedRevision}` : '';
+    throw new Error(
+      `No cached copy of ${slug}${revisionLabel} in ${cache.cacheDir} (offline mode)`
+    );
+  }
+
+  const served = await transport.fetchPage(slug, { revisionId: pinnedRevision });
+  if (pinnedRevision != null && served.revisionId != null && served.revisionId !== pinnedRevision) {
+    throw new Error(
+      `Requested revision ${pinnedRevision} of ${slug} but ${transport.name} served ${served.revisionId}`
+    );
+  }
+
+  const page = {
+    slug,
+    html: served.html,
+    revisionId: served.revisionId ?? null,
+    fetchedAt: new Date().toISOString(),
+    sourceUrl: buildWikiPageUrl(served.title || slug),
+  };
+
+  if (transport.remote) {
+    const revisionLabel =
+      page.revisionId != null ? `revision ${page.revisionId}` : 'unknown revision';
+    console.log(`   🌐 ${slug} fetched via ${transport.name}/${served.via} (${revisionLabel})`);
+  }
+
+  if (cache) {
+    cache.write(page);
+  }
+  recordPin(page);
+
+  return {
+    ...page,
+    via: `${transport.name}/${served.via}`,
+    fromCache: false,
+    remote: transport.remote,
+  };
+}
+
+/**
+ * @param {string} slug
+ * @param {FetchOptions} [options]
+ */
+export async function fetchHtmlForSlug(slug, options) {
+  const page = await fetchPageForSlug(slug, options);
+  return page.html;
+}
+
+export default {
+  fetchPageForSlug,
+  fetchHtmlForSlug,
+};
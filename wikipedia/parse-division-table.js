@@ -1,13 +1,58 @@
 import * as cheerio from 'cheerio';
 import { isFirstDivision } from '../utils.js';
-import { cellText, isExpansionTeam, normalizeHeader, wasPromoted, wasRelegated } from './utils.js';
+import { applyPointsAdjustments } from '../shared/points-adjustments.js';
+import { addRowOutcomes, parseRowOutcomes, reconcileRowOutcomes } from '../shared/row-outcomes.js';
+import {
+  cellText,
+  isExpansionTeam,
+  normalizeHeader,
+  rowFootnotes,
+  wasPromoted,
+  wasRelegated,
+} from './utils.js';
 
 const DIVISION_HEADER_SLUGS = {
   first: ['#First_Division', '#Football_League_First_Division', '#First_Division_table'],
   second: ['#Second_Division', '#Football_League_Second_Division', '#Second_Division_table'],
+  third: ['#Third_Division', '#Football_League_Third_Division', '#Third_Division_table'],
+  thirdNorth: [
+    '#Third_Division_North',
+    '#Football_League_Third_Division_North',
+    '#Third_Division_North_table',
+  ],
+  thirdSouth: [
+    '#Third_Division_South',
+    '#Football_League_Third_Division_South',
+    '#Third_Division_South_table',
+  ],
+  fourth: ['#Fourth_Division', '#Football_League_Fourth_Division', '#Fourth_Division_table'],
 };
 
+const DIVISION_HEADLINES = {
+  first: 'first division',
+  second: 'second division',
+  third: 'third division',
+  thirdNorth: 'third division north',
+  thirdSouth: 'third division south',
+  fourth: 'fourth division',
+};
+
+const REGIONAL_HEADLINE = /\b(north|south)\b/;
+
+// Only the top two divisions existed before 1920, so only they may fall back to a
+// page's single generic table.
 const GENERIC_TABLE_FALLBACKS = ['#Final_league_table', '#League_table'];
+const DIVISIONS_WITH_GENERIC_FALLBACK = new Set(['first', 'second']);
+const NOTE_RE_REELECTED = /re-?elected/;
+const NOTE_RE_NOT_REELECTED = /not re-?elected|failed re-?election|unsuccessful re-?election/;
+
+/**
+ * @param {string | null} note
+ */
+function wasReElected(note) {
+  const n = String(note || '').toLowerCase();
+  return NOTE_RE_REELECTED.test(n) && !NOTE_RE_NOT_REELECTED.test(n);
+}
 
 function splitLegendCodes(raw) {
   return String(raw || '')
@@ -27,7 +72,7 @@ function parseLegendText(rawText) {
     .trim();
   if (!text) return null;
 
-  /** @type {Record<string, { promoted: boolean; relegated: boolean }>} */
+  /** @type {Record<string, { promoted: boolean; relegated: boolean; reElected: boolean; outcomes: import('../shared/row-outcomes.js').RowOutcome[] }>} */
   const legend = {};
   const regex = /\(([^)]+)\)\s*([^();]+)/g;
   let match;
@@ -35,16 +80,21 @@ function parseLegendText(rawText) {
     const codes = splitLegendCodes(match[1]);
     const descriptor = match[2].trim().toLowerCase();
     if (!codes.length) continue;
+    const outcomes = parseRowOutcomes(match[2]);
     for (const code of codes) {
       if (!legend[code]) {
-        legend[code] = { promoted: false, relegated: false };
+        legend[code] = { promoted: false, relegated: false, reElected: false, outcomes: [] };
       }
-      if (/promot/.test(descriptor) || /play-?off/.test(descriptor)) {
+      addRowOutcomes(legend[code], outcomes);
+      if (wasPromoted(descriptor)) {
         legend[code].promoted = true;
       }
       if (/relegat/.test(descriptor) || /demot/.test(descriptor)) {
         legend[code].relegated = true;
       }
+      if (wasReElected(descriptor)) {
+        legend[code].reElected = true;
+      }
     }
   }
 
@@ -83,6 +133,8 @@ function applyLegendStatuses($, teamCell, row, legendMap, division) {
     if (!entry) return;
     if (entry.promoted && !suppressPromotion) row.wasPromoted = true;
     if (entry.relegated) row.wasRelegated = true;
+    if (entry.reElected) row.wasReElected = true;
+    addRowOutcomes(row, entry.outcomes);
   });
 }
 
@@ -124,12 +176,20 @@ function findDivisionHeader($, division) {
     if (header.length) return header;
   }
 
-  const normalizedDivisionText = division === 'second' ? 'second division' : 'first division';
+  const normalizedDivisionText = DIVISION_HEADLINES[division] || DIVISION_HEADLINES.first;
+  const isRegional = REGIONAL_HEADLINE.test(normalizedDivisionText);
   const headlineMatch = $('span.mw-headline')
-    .filter((_, el) => $(el).text().trim().toLowerCase().includes(normalizedDivisionText))
+    .filter((_, el) => {
+      const text = $(el).text().trim().toLowerCase();
+      if (!text.includes(normalizedDivisionText)) return false;
+      // "Third Division" must not pick up the "Third Division North" section
+      return isRegional || !REGIONAL_HEADLINE.test(text);
+    })
     .first();
   if (headlineMatch.length) return headlineMatch;
 
+  if (!DIVISIONS_WITH_GENERIC_FALLBACK.has(division)) return null;
+
   for (const slug of GENERIC_TABLE_FALLBACKS) {
     const header = $(slug);
     if (header.length) return header;
@@ -140,6 +200,8 @@ function findDivisionHeader($, division) {
 
 /**
  * Parse a league division table from a Football League Wikipedia page.
+ * `division` is one of the keys of `DIVISION_HEADER_SLUGS` (`first`, `second`, `third`,
+ * `thirdNorth`, `thirdSouth`, `fourth`).
  */
 export function parseDivisionTable(html, division) {
   const $ = cheerio.load(html);
@@ -227,6 +289,9 @@ export function parseDivisionTable(html, division) {
         goalDifference: num(get('goalDifference')),
         goalAverage: num(get('goalAverage')),
         points: num(get('points')),
+        pointsDeducted: null,
+        pointsAwarded: null,
+        pointsAdjustments: [],
         notes: null,
         wasRelegated: null,
         wasPromoted: null,
@@ -242,11 +307,15 @@ export function parseDivisionTable(html, division) {
         notesIdx = headerMap.length - 1;
       }
 
+      // A notes cell spanning several rows describes their shared outcome, so only a row's
+      // own cell is read for points adjustments.
+      let ownNotes = null;
       if (notesIdx !== -1) {
         const rawNotesCell = $tr.find('td, th').get(notesIdx);
         if (rawNotesCell) {
           const text = cellText($, rawNotesCell) || null;
           row.notes = text?.length ? text : null;
+          ownNotes = row.notes;
 
           const rs = parseInt($(rawNotesCell).attr('rowspan') || '1', 10);
           if (!Number.isNaN(rs) && rs > 1) {
@@ -266,17 +335,19 @@ export function parseDivisionTable(html, division) {
       row.isExpansionTeam = isExpansionTeam(row.notes);
 
       // Extra explicit flags for clarity
-      row.wasReElected = String(row.notes || '')
-        .toLowerCase()
-        .includes('re-elected');
+      row.wasReElected = wasReElected(row.notes);
       row.wasReprieved = /repriv(?:ed|ed) from re-election/.test(
         String(row.notes || '').toLowerCase()
       );
 
+      applyPointsAdjustments(row, [ownNotes, ...rowFootnotes($, $tr)]);
+      row.outcomes = parseRowOutcomes(row.notes);
+
       const teamIdx = idxOf('team');
       if (teamIdx !== -1 && cellElements[teamIdx]) {
         applyLegendStatuses($, $(cellElements[teamIdx]), row, legendMap, division);
       }
+      row.outcomes = reconcileRowOutcomes(row.outcomes, row);
 
       if (row.team && row.pos != null) {
         results.push(row);
@@ -286,4 +357,6 @@ export function parseDivisionTable(html, division) {
   return results;
 }
 
+export const DIVISION_KEYS = Object.keys(DIVISION_HEADER_SLUGS);
+
 export default parseDivisionTable;
@@ -0,0 +1,202 @@
+import * as cheerio from 'cheerio';
+import { normaliseClubName, sameClub } from '../shared/club-registry.js';
+import { cellText, normalizeHeader } from './utils.js';
+
+const ELECTION_HEADING = /elect/i;
+
+/**
+ * @typedef {'re-elected' | 'elected' | 'not-re-elected' | 'not-elected'} ElectionOutcome
+ */
+
+/**
+ * @typedef {Object} ElectionCandidate
+ * @property {string} club
+ * @property {string | null} league - League the club applied from, when the ballot says.
+ * @property {number | null} votes
+ * @property {boolean} isMember - Already a Football League club, i.e. applying for re-election.
+ * @property {ElectionOutcome | null} outcome
+ */
+
+/**
+ * @typedef {Object} ElectionBallot
+ * @property {string | null} title - Heading or caption of the ballot table.
+ * @property {ElectionCandidate[]} candidates
+ */
+
+/**
+ * @typedef {Object} ElectionsBlock
+ * @property {ElectionBallot[]} ballots
+ * @property {string[]} elected - Clubs voted into the League.
+ * @property {string[]} reElected - League clubs that kept their place.
+ * @property {string[]} notReElected - League clubs voted out.
+ * @property {string[]} newClubs - Infobox "New clubs in League".
+ * @property {string[]} folded - Infobox "Folded".
+ * @property {string[]} resigned - Infobox "Resigned".
+ */
+
+/**
+ * @param {string} text
+ * @returns {boolean | null} Whether the result text reports success; `null` when it says neither.
+ */
+function readResult(text) {
+  const lowered = String(text || '').toLowerCase();
+  if (!lowered) return null;
+  if (/\b(?:not|failed|unsuccessful|rejected|lost)\b/.test(lowered)) return false;
+  if (/elected|admitted|success|retained/.test(lowered)) return true;
+  return null;
+}
+
+/**
+ * Read one ballot table. It needs a club column and a votes column; the result comes from a
+ * result/notes column when there is one, otherwise from the bold rows Wikipedia uses for the
+ * successful clubs.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ * @param {(club: string) => boolean} isLeagueClub
+ * @returns {ElectionCandidate[]}
+ */
+function parseBallotTable($, table, isLeagueClub) {
+  const rows = table.find('tr').toArray();
+  const headerIndex = rows.findIndex((tr) =>
+    $(tr)
+      .children('td, th')
+      .toArray()
+      .some((cell) => /votes?/i.test(cellText($, cell)))
+  );
+  if (headerIndex === -1) return [];
+
+  const headers = $(rows[headerIndex])
+    .children('td, th')
+    .map((_, cell) => normalizeHeader(cellText($, cell)))
+    .get();
+  const clubIndex = headers.findIndex(
+    (header) => header === 'team' || /^(?:club|applicant)/.test(header)
+  );
+  const votesIndex = headers.findIndex((header) => /^votes?$/.test(header));
+  const leagueIndex = headers.findIndex((header) => header === 'league' || header === 'division');
+  const resultIndex = headers.findIndex((header) =>
+    ['result', 'outcome', 'notes', 'status'].includes(header)
+  );
+  if (clubIndex === -1 || votesIndex === -1) return [];
+
+  const anyBold = rows.slice(headerIndex + 1).some((tr) => $(tr).find('b').length > 0);
+  const candidates = [];
+  for (const tr of rows.slice(headerIndex + 1)) {
+    const cells = $(tr).children('td, th').toArray();
+    const club = cells[clubIndex] ? cellText($, cells[clubIndex]) : '';
+    if (!club) continue;
+
+    const league = leagueIndex !== -1 && cells[leagueIndex] ? cellText($, cells[leagueIndex]) : '';
+    const votes = Number.parseInt(cells[votesIndex] ? cellText($, cells[votesIndex]) : '', 10);
+    const isMember = league ? /football league|division/i.test(league) : isLeagueClub(club);
+
+    let succeeded =
+      resultIndex !== -1 && cells[resultIndex] ? readResult(cellText($, cells[resultIndex])) : null;
+    if (succeeded == null && anyBold) succeeded = $(tr).find('b').length > 0;
+
+    /** @type {ElectionOutcome | null} */
+    let outcome = null;
+    if (succeeded != null) {
+      outcome = isMember
+        ? succeeded
+          ? 're-elected'
+          : 'not-re-elected'
+        : succeeded
+        ? 'elected'
+        : 'not-elected';
+    }
+
+    candidates.push({
+      club,
+      league: league || null,
+      votes: Number.isFinite(votes) ? votes : null,
+      isMember,
+      outcome,
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Collect the election ballots listed under "Election"/"Re-election" headings of a Football
+ * League season article. Clubs listed in `leagueClubs` (the season's tables) count as League
+ * members when the ballot does not say which league a club came from.
+ * @param {string} html
+ * @param {{ leagueClubs?: string[] }} [options]
+ * @returns {ElectionBallot[]}
+ */
+export function parseElections(html, { leagueClubs = [] } = {}) {
+  const $ = cheerio.load(html);
+  const isLeagueClub = (club) => leagueClubs.some((known) => sameClub(known, club));
+  /** @type {number | null} */
+  let sectionLevel = null;
+  /** @type {string | null} */
+  let heading = null;
+  /** @type {ElectionBallot[]} */
+  const ballots = [];
+
+  $('h2, h3, h4, h5, table').each((_, el) => {
+    const node = $(el);
+    if (/^h\d$/i.test(el.tagName)) {
+      const level = Number.parseInt(el.tagName.slice(1), 10);
+      const title = node
+        .text()
+        .replace(/\[edit\]/g, '')
+        .trim();
+      if (sectionLevel != null && level <= sectionLevel) sectionLevel = null;
+      if (sectionLevel == null && ELECTION_HEADING.test(title)) sectionLevel = level;
+      if (sectionLevel != null) heading = title;
+      return;
+    }
+    if (sectionLevel == null || node.hasClass('infobox')) return;
+
+    const candidates = parseBallotTable($, node, isLeagueClub);
+    if (!candidates.length) return;
+    const caption = cellText($, node.children('caption').first());
+    ballots.push({ title: caption || heading, candidates });
+  });
+
+  return ballots;
+}
+
+/**
+ * Combine the ballots with the infobox's membership lists into a season's `elections` block.
+ * Clubs keep the outcome of the last ballot they appear in (later rounds decide ties). When
+ * no ballot was found, the infobox's new clubs stand in as the elected list.
+ * @param {ElectionBallot[]} ballots
+ * @param {{ newClubs?: string[]; folded?: string[]; resigned?: string[] }} [infobox]
+ * @returns {ElectionsBlock | null}
+ */
+export function buildElectionsBlock(ballots, infobox = {}) {
+  const newClubs = infobox.newClubs ?? [];
+  const folded = infobox.folded ?? [];
+  const resigned = infobox.resigned ?? [];
+  if (!ballots.length && !newClubs.length && !folded.length && !resigned.length) return null;
+
+  /** @type {Map<string, ElectionCandidate>} */
+  const latest = new Map();
+  for (const ballot of ballots) {
+    for (const candidate of ballot.candidates) {
+      if (candidate.outcome) {
+        latest.set(normaliseClubName(candidate.club, { dropSuffixes: true }), candidate);
+      }
+    }
+  }
+  const withOutcome = (outcome) =>
+    Array.from(latest.values())
+      .filter((candidate) => candidate.outcome === outcome)
+      .map((candidate) => candidate.club);
+
+  const elected = withOutcome('elected');
+  return {
+    ballots,
+    elected: elected.length || ballots.length ? elected : [...newClubs],
+    reElected: withOutcome('re-elected'),
+    notReElected: withOutcome('not-re-elected'),
+    newClubs,
+    folded,
+    resigned,
+  };
+}
+
+export default parseElections;
@@ -1,6 +1,11 @@
 import * as cheerio from 'cheerio';
 import * as path from 'node:path';
+import { applyPointsAdjustments } from '../shared/points-adjustments.js';
+import { createProvenance } from '../shared/provenance.js';
+import { addRowOutcomes, parseRowOutcomes, reconcileRowOutcomes } from '../shared/row-outcomes.js';
+import { prefetchInOrder } from '../shared/request-scheduler.js';
 import {
+  buildParallelTierData,
   buildTierData,
   loadFootballData,
   saveFootballData,
@@ -8,13 +13,17 @@ import {
 } from './generate-output-files.js';
 import {
   cellText,
-  fetchHtmlForSlug,
   isExpansionTeam,
   normalizeHeader,
+  rowFootnotes,
   wait,
   wasPromoted,
   wasRelegated,
 } from './utils.js';
+import { fetchPageForSlug } from './page-fetcher.js';
+import { assignPlayoffs, parsePlayoffs } from './parse-playoffs.js';
+import { assignTopScorers, parseTopScorers } from './parse-top-scorers.js';
+import { buildSeasonTitles, checkSeasonTitles } from './season-titles.js';
 export { wait } from './utils.js';
 
 const LEAGUE_KEYWORDS = [
@@ -149,7 +158,7 @@ function parseLegendText(rawText) {
     .trim();
   if (!text) return null;
 
-  /** @type {Record<string, { promoted: boolean; relegated: boolean }>} */
+  /** @type {Record<string, { promoted: boolean; relegated: boolean; outcomes: import('../shared/row-outcomes.js').RowOutcome[] }>} */
   const legend = {};
   const regex = /\(([A-Za-z0-9+]+)\)\s*([^();]+)/g;
   let match;
@@ -158,9 +167,10 @@ function parseLegendText(rawText) {
     const descriptor = match[2].trim().toLowerCase();
     if (!code) continue;
     if (!legend[code]) {
-      legend[code] = { promoted: false, relegated: false };
+      legend[code] = { promoted: false, relegated: false, outcomes: [] };
     }
-    if (/promot/.test(descriptor) || /play-?off/.test(descriptor)) {
+    addRowOutcomes(legend[code], parseRowOutcomes(match[2]));
+    if (wasPromoted(descriptor)) {
       legend[code].promoted = true;
     }
     if (/relegat/.test(descriptor) || /demot/.test(descriptor)) {
@@ -241,6 +251,7 @@ function applyLegendStatuses($, teamCell, row, legendMap) {
     if (!entry) return;
     if (entry.promoted) row.wasPromoted = true;
     if (entry.relegated) row.wasRelegated = true;
+    addRowOutcomes(row, entry.outcomes);
   });
 }
 
@@ -306,6 +317,9 @@ function parseLeagueTable($, tableEl, { suppressPromotionFlags, legendMap }) {
         goalDifference: num(get('goalDifference')),
         goalAverage: num(get('goalAverage')),
         points: num(get('points')),
+        pointsDeducted: null,
+        pointsAwarded: null,
+        pointsAdjustments: [],
         notes: null,
         wasRelegated: null,
         wasPromoted: null,
@@ -319,11 +333,15 @@ function parseLeagueTable($, tableEl, { suppressPromotionFlags, legendMap }) {
         notesIdx = headerMap.length - 1;
       }
 
+      // A notes cell spanning several rows describes their shared outcome, so only a row's
+      // own cell is read for points adjustments.
+      let ownNotes = null;
       if (notesIdx !== -1) {
         const rawNotesCell = $tr.find('td, th').get(notesIdx);
         if (rawNotesCell) {
           const text = cellText($, rawNotesCell) || null;
           row.notes = text?.length ? text : null;
+          ownNotes = row.notes;
 
           const rowspan = parseInt($(rawNotesCell).attr('rowspan') || '1', 10);
           if (!Number.isNaN(rowspan) && rowspan > 1) {
@@ -347,10 +365,14 @@ function parseLeagueTable($, tableEl, { suppressPromotionFlags, legendMap }) {
         String(row.notes || '').toLowerCase()
       );
 
+      applyPointsAdjustments(row, [ownNotes, ...rowFootnotes($, $tr)]);
+      row.outcomes = parseRowOutcomes(row.notes);
+
       const teamIdx = idxOf('team');
       if (teamIdx !== -1 && cellElements[teamIdx]) {
         applyLegendStatuses($, $(cellElements[teamIdx]), row, legendMap);
       }
+      row.outcomes = reconcileRowOutcomes(row.outcomes, row);
 
       if (row.team && row.pos != null) {
         results.push(row);
@@ -510,27 +532,39 @@ export function parseOverviewLeagueTables(html) {
   return overview;
 }
 
-export async function fetchSeasonOverviewTables(seasonSlug) {
+export async function fetchSeasonOverviewTables(seasonSlug, fetchOptions = {}) {
   const pageUrl = `https://en.wikipedia.org/wiki/${seasonSlug}`;
-  let html;
+  let page;
 
   try {
-    html = await fetchHtmlForSlug(seasonSlug);
+    page = await fetchPageForSlug(seasonSlug, fetchOptions);
   } catch (err) {
     console.error(`❌ Failed to fetch page for ${seasonSlug} (${pageUrl}): ${err.message}`);
     return [];
   }
 
-  await wait(1000);
-
-  const leagueTables = parseOverviewLeagueTables(html);
+  const leagueTables = parseOverviewLeagueTables(page.html);
   if (!leagueTables.length) {
     console.warn(`⚠️ No league tables found on ${seasonSlug} (${pageUrl})`);
   } else {
     console.log(`   📊 Found ${leagueTables.length} league tables on ${seasonSlug}`);
   }
 
-  return leagueTables;
+  const playoffs = assignPlayoffs(
+    leagueTables.map((table) => ({ rows: table.rows, suppressPromotion: table.isTopFlight })),
+    parsePlayoffs(page.html)
+  );
+  const topScorers = assignTopScorers(leagueTables, parseTopScorers(page.html));
+
+  const revisionId = page.revisionId ?? null;
+  const fetchedAt = page.fetchedAt ?? null;
+  return leagueTables.map((table, index) => ({
+    ...table,
+    revisionId,
+    fetchedAt,
+    ...(playoffs[index] ? { playoffs: playoffs[index] } : {}),
+    ...(topScorers[index] ? { topScorers: topScorers[index] } : {}),
+  }));
 }
 
 export function buildSeasonOverviewSlug(year) {
@@ -639,6 +673,49 @@ function collectOutcomeTeams(tables, flag, options = {}) {
   return Array.from(teams);
 }
 
+const REGIONAL_SECTION_TITLE =
+  /^(.+?)\s*[-–—:(]?\s*\b(North|South|East|West|Central|Midlands)\b(?:\s+Section)?\)?$/i;
+
+/**
+ * Split "National League North" into its league ("National League") and section ("North").
+ * @param {string | null | undefined} title
+ */
+export function splitRegionalSectionTitle(title) {
+  const match = String(title || '')
+    .trim()
+    .match(REGIONAL_SECTION_TITLE);
+  if (!match) return null;
+  const league = match[1].trim();
+  if (!league) return null;
+  const section = match[2].charAt(0).toUpperCase() + match[2].slice(1).toLowerCase();
+  return { league, section };
+}
+
+/**
+ * Group consecutive tables that are regional sections of the same league (e.g. National
+ * League North and South) so they share one tier number.
+ * @param {Array<{ title?: string }>} tables
+ */
+function groupTablesIntoTiers(tables) {
+  const groups = [];
+  tables.forEach((table, index) => {
+    const regional = splitRegionalSectionTitle(table?.title);
+    const previous = groups[groups.length - 1];
+    const entry = { table, index, section: regional?.section ?? null };
+    if (
+      regional &&
+      previous?.league &&
+      previous.league.toLowerCase() === regional.league.toLowerCase() &&
+      !previous.entries.some((existing) => existing.section === regional.section)
+    ) {
+      previous.entries.push(entry);
+      return;
+    }
+    groups.push({ league: regional?.league ?? null, entries: [entry] });
+  });
+  return groups;
+}
+
 export function buildSeasonOverviewSeasonRecord({ seasonKey, seasonYear, seasonSlug, tables }) {
   const numericSeason = Number.isFinite(seasonYear)
     ? /** @type {number} */ (seasonYear)
@@ -654,32 +731,99 @@ export function buildSeasonOverviewSeasonRecord({ seasonKey, seasonYear, seasonS
       ? collectOutcomeTeams(tables, 'wasRelegated', { includeIndexes: [topFlightIndex] })
       : [];
 
+  const revisionId = tables.find((table) => table?.revisionId != null)?.revisionId ?? null;
+  const tierGroups = groupTablesIntoTiers(tables);
+  const seasonInfoMetadata = {
+    seasonSlug,
+    tableCount: tables.length,
+    tierCount: tierGroups.length,
+  };
+  if (revisionId != null) {
+    seasonInfoMetadata.revisionId = revisionId;
+  }
+
+  const buildProvenance = (table) =>
+    createProvenance({
+      source: 'wikipedia-overview',
+      url: seasonSlug ? `https://en.wikipedia.org/wiki/${seasonSlug}` : null,
+      revisionId: table?.revisionId ?? null,
+      fetchedAt: table?.fetchedAt ?? null,
+      parser: 'wikipedia/parse-ext-season-overview-pages',
+    });
+
   const seasonInfo = buildTierData(safeSeason, [], {
     promoted: promotedTeams,
     relegated: relegatedTeams,
-    metadata: {
-      seasonSlug,
-      tableCount: tables.length,
-    },
+    metadata: { ...seasonInfoMetadata, provenance: buildProvenance(tables[0]) },
   });
 
   const record = { seasonInfo };
 
-  tables.forEach((table, index) => {
-    const tierKey = `tier${index + 1}`;
-    record[tierKey] = buildTierData(safeSeason, table.rows, {
-      metadata: {
-        title: table.title,
-        seasonMetadata: {
-          leagueId: table.id || null,
-          tableIndex: table.tableIndex ?? index,
-          tableCount: tables.length,
-          seasonSlug,
+  const buildSeasonMetadata = (table, index) => {
+    const seasonMetadata = {
+      leagueId: table.id || null,
+      tableIndex: table.tableIndex ?? index,
+      tableCount: tables.length,
+      seasonSlug,
+    };
+    if (table.revisionId != null) {
+      seasonMetadata.revisionId = table.revisionId;
+    }
+    return seasonMetadata;
+  };
+
+  tierGroups.forEach((group, groupIndex) => {
+    const tierKey = `tier${groupIndex + 1}`;
+
+    if (group.entries.length === 1) {
+      const [{ table, index }] = group.entries;
+      record[tierKey] = buildTierData(safeSeason, table.rows, {
+        metadata: {
+          title: table.title,
+          seasonMetadata: buildSeasonMetadata(table, index),
+          provenance: buildProvenance(table),
+          ...(table.playoffs ? { playoffs: table.playoffs } : {}),
+          ...(table.topScorers ? { topScorers: table.topScorers } : {}),
         },
-      },
-    });
+      });
+      return;
+    }
+
+    const sections = group.entries.map((entry) => entry.section);
+    record[tierKey] = buildParallelTierData(
+      safeSeason,
+      group.entries.map(({ table, index, section }) => ({
+        division: table.title,
+        section,
+        table: table.rows,
+        metadata: {
+          title: table.title,
+          seasonMetadata: buildSeasonMetadata(table, index),
+          provenance: buildProvenance(table),
+          ...(table.playoffs ? { playoffs: table.playoffs } : {}),
+          ...(table.topScorers ? { topScorers: table.topScorers } : {}),
+        },
+      })),
+      {
+        metadata: {
+          title: `${group.league} (${sections.join('/')})`,
+          provenance: buildProvenance(group.entries[0].table),
+          seasonMetadata: {
+            tableIndexes: group.entries.map(({ table, index }) => table.tableIndex ?? index),
+            tableCount: tables.length,
+            seasonSlug,
+            ...(revisionId != null ? { revisionId } : {}),
+          },
+        },
+      }
+    );
   });
 
+  seasonInfo.titles = buildSeasonTitles(record, safeSeason);
+  for (const { message } of checkSeasonTitles(seasonInfo.titles, record, safeSeason)) {
+    console.warn(`⚠️  ${seasonKey} title summary: ${message}`);
+  }
+
   return record;
 }
 
@@ -689,11 +833,13 @@ export async function buildSeasonOverview(startYear, endYear, outputFile, option
   const updateOnly = Boolean(options.updateOnly);
   const forceUpdate = Boolean(options.forceUpdate);
   const ignoreWarYears = Boolean(options.ignoreWarYears);
+  const fetchOptions = options.fetchOptions || {};
   const fetchTables =
     typeof options.fetchSeasonOverviewTables === 'function'
       ? options.fetchSeasonOverviewTables
-      : fetchSeasonOverviewTables;
+      : (slug) => fetchSeasonOverviewTables(slug, fetchOptions);
 
+  const plannedSeasons = [];
   for (let year = startYear; year <= endYear; year++) {
     const seasonKey = String(year);
     const existingRecord = dataset.seasons?.[seasonKey];
@@ -707,10 +853,21 @@ export async function buildSeasonOverview(startYear, endYear, outputFile, option
       continue;
     }
 
-    const slug = buildSeasonOverviewSlug(year);
-    console.log(`\n📖 Fetching ${slug}...`);
+    plannedSeasons.push({ year, slug: buildSeasonOverviewSlug(year) });
+  }
+
+  const seasonTables = prefetchInOrder(
+    plannedSeasons,
+    ({ slug }) => {
+      console.log(`\n📖 Fetching ${slug}...`);
+      return fetchTables(slug);
+    },
+    fetchOptions.scheduler?.concurrency
+  );
 
-    const tables = await fetchTables(slug);
+  for await (const [{ year, slug }, tables] of seasonTables) {
+    const seasonKey = String(year);
+    const existingRecord = dataset.seasons?.[seasonKey];
     const hasTableData = tables.some((table) => table.rows && table.rows.length);
     if (forceUpdate && existingRecord && !hasTableData) {
       console.log(`⏭️ Skipping overwrite for ${seasonKey} (no tables returned)`);
@@ -733,10 +890,10 @@ export async function buildSeasonOverview(startYear, endYear, outputFile, option
   return dataset;
 }
 
-export async function buildSeasonOverviewForSlug(seasonSlug, outputFile) {
+export async function buildSeasonOverviewForSlug(seasonSlug, outputFile, options = {}) {
   const resolvedOutputFile = resolveOverviewOutputFile(outputFile);
   console.log(`\n📖 Fetching ${seasonSlug}...`);
-  const tables = await fetchSeasonOverviewTables(seasonSlug);
+  const tables = await fetchSeasonOverviewTables(seasonSlug, options.fetchOptions || {});
   const seasonKey = deriveSeasonKeyFromSlug(seasonSlug);
   const seasonYear = deriveSeasonYearFromSlug(seasonSlug);
   const dataset = loadFootballData(resolvedOutputFile);
@@ -761,4 +918,5 @@ export default {
   buildSeasonOverviewForSlug,
   buildSeasonOverviewSeasonRecord,
   parseOverviewLeagueTables,
+  splitRegionalSectionTitle,
 };
@@ -0,0 +1,411 @@
+import * as cheerio from 'cheerio';
+import { sameClub } from '../shared/club-registry.js';
+import { mergeRowOutcomes, reconcileRowOutcomes } from '../shared/row-outcomes.js';
+import { cellText } from './utils.js';
+
+const PLAYOFF_HEADING = /play-?offs?/i;
+const SCORE_CELL = /^(\d+)\s*(?:\((\d+)\))?\s*(?:p|pen|pens|aet|a\.e\.t\.)?\s*\*?$/i;
+const MATCH_SCORE = /(\d+)\s*[–—-]\s*(\d+)/;
+const PENALTY_SCORE = /(\d+)\s*[–—-]\s*(\d+)\s*(?:on\s+)?(?:p\b|pen|pens|penalties)/i;
+const EXTRA_TIME = /a\.?\s?e\.?\s?t|after extra time/i;
+
+/**
+ * @typedef {Object} PlayoffTie
+ * @property {string} round - `semi-final`, `final`, or the heading the tie was listed under.
+ * @property {[string, string]} teams
+ * @property {Array<[number | null, number | null]>} legs - Scores in `teams` order; a third
+ *   leg is a replay.
+ * @property {[number, number] | null} aggregate - Totals for two-legged ties.
+ * @property {[number, number] | null} penalties
+ * @property {boolean} extraTime
+ * @property {string | null} winner
+ */
+
+/**
+ * @typedef {Object} PlayoffBlock
+ * @property {string | null} title - Heading the play-offs were listed under.
+ * @property {PlayoffTie[]} ties
+ * @property {string[]} participants
+ * @property {string | null} winner - Winner of the final.
+ */
+
+/**
+ * @param {string | null | undefined} title
+ */
+function normaliseRound(title) {
+  const text = String(title || '')
+    .trim()
+    .toLowerCase();
+  if (/semi/.test(text)) return 'semi-final';
+  if (/final/.test(text)) return 'final';
+  return text || null;
+}
+
+/**
+ * Pick the winner of a tie from its aggregate (or only leg), penalties and, for replays, the
+ * last match.
+ * @param {Omit<PlayoffTie, 'winner'>} tie
+ * @param {string | null} [marked] - Winner highlighted in the source, used when scores tie.
+ */
+function decideTie(tie, marked = null) {
+  const [first, second] = tie.teams;
+  const deciding =
+    tie.legs.length > 2 ? tie.legs[tie.legs.length - 1] : tie.aggregate ?? tie.legs[0] ?? null;
+  if (deciding && deciding[0] != null && deciding[1] != null && deciding[0] !== deciding[1]) {
+    return deciding[0] > deciding[1] ? first : second;
+  }
+  if (tie.penalties && tie.penalties[0] !== tie.penalties[1]) {
+    return tie.penalties[0] > tie.penalties[1] ? first : second;
+  }
+  return marked;
+}
+
+/**
+ * Sum the legs of a two-legged tie.
+ * @param {Array<[number | null, number | null]>} legs
+ * @returns {[number, number] | null}
+ */
+function aggregateLegs(legs) {
+  const counted = legs.slice(0, 2);
+  if (counted.length < 2 || counted.some(([a, b]) => a == null || b == null)) return null;
+  return [
+    counted.reduce((sum, [a]) => sum + /** @type {number} */ (a), 0),
+    counted.reduce((sum, [, b]) => sum + /** @type {number} */ (b), 0),
+  ];
+}
+
+/**
+ * Place every cell of a table on its row/column grid, accounting for row and column spans.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ */
+function layoutTableCells($, table) {
+  /** @type {Array<Array<boolean>>} */
+  const occupied = [];
+  const cells = [];
+  const rows = table.find('tr').filter((_, tr) => $(tr).closest('table')[0] === table[0]);
+
+  rows.each((rowIndex, tr) => {
+    occupied[rowIndex] = occupied[rowIndex] || [];
+    let col = 0;
+    $(tr)
+      .children('td, th')
+      .each((_, cell) => {
+        while (occupied[rowIndex][col]) col += 1;
+        const rowspan = Number.parseInt($(cell).attr('rowspan') || '1', 10) || 1;
+        const colspan = Number.parseInt($(cell).attr('colspan') || '1', 10) || 1;
+        for (let r = 0; r < rowspan; r += 1) {
+          occupied[rowIndex + r] = occupied[rowIndex + r] || [];
+          for (let c = 0; c < colspan; c += 1) occupied[rowIndex + r][col + c] = true;
+        }
+        cells.push({ cell, row: rowIndex, col, colspan, text: cellText($, cell) });
+        col += colspan;
+      });
+  });
+
+  return cells;
+}
+
+/**
+ * Read a bracket template (`4TeamBracket` and its two-legged variants): round names come from
+ * the header row, each team cell is followed by its leg scores and, for two legs, the aggregate.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ * @returns {PlayoffTie[]}
+ */
+function parseBracketTable($, table) {
+  const cells = layoutTableCells($, table);
+  const headerRow = cells.find((entry) => /final/i.test(entry.text))?.row ?? 0;
+  const rounds = cells
+    .filter((entry) => entry.row === headerRow && entry.text)
+    .map((entry) => ({ from: entry.col, to: entry.col + entry.colspan - 1, name: entry.text }));
+
+  const teams = [];
+  for (const entry of cells) {
+    if (entry.row <= headerRow) continue;
+    if (!/[a-z]/i.test(entry.text) || SCORE_CELL.test(entry.text) || EXTRA_TIME.test(entry.text))
+      continue;
+    const scores = [];
+    let penalties = null;
+    for (const next of cells) {
+      if (next.row !== entry.row || next.col <= entry.col) continue;
+      const match = SCORE_CELL.exec(next.text);
+      if (!match) break;
+      scores.push(Number.parseInt(match[1], 10));
+      if (match[2] != null) penalties = Number.parseInt(match[2], 10);
+    }
+    const round = rounds.find((r) => entry.col >= r.from && entry.col <= r.to);
+    teams.push({
+      team: entry.text,
+      round: round?.name ?? null,
+      col: entry.col,
+      row: entry.row,
+      scores,
+      penalties,
+      marked: $(entry.cell).find('b').length > 0 || $(entry.cell).is('b'),
+    });
+  }
+
+  const columns = Array.from(new Set(teams.map((team) => team.col))).sort((a, b) => a - b);
+  const ties = [];
+  columns.forEach((col, index) => {
+    const inRound = teams.filter((team) => team.col === col).sort((a, b) => a.row - b.row);
+    for (let i = 0; i + 1 < inRound.length; i += 2) {
+      const [a, b] = [inRound[i], inRound[i + 1]];
+      const legCount = a.scores.length >= 3 ? a.scores.length - 1 : a.scores.length;
+      /** @type {Array<[number | null, number | null]>} */
+      const legs = Array.from({ length: legCount }, (_, leg) => [
+        a.scores[leg] ?? null,
+        b.scores[leg] ?? null,
+      ]);
+      const aggregate =
+        a.scores.length >= 3
+          ? /** @type {[number, number]} */ ([a.scores[legCount], b.scores[legCount]])
+          : legs.length === 2
+          ? aggregateLegs(legs)
+          : null;
+      const tie = {
+        round: normaliseRound(a.round) ?? (index === columns.length - 1 ? 'final' : 'semi-final'),
+        teams: /** @type {[string, string]} */ ([a.team, b.team]),
+        legs,
+        aggregate,
+        penalties:
+          a.penalties != null && b.penalties != null
+            ? /** @type {[number, number]} */ ([a.penalties, b.penalties])
+            : null,
+        extraTime: false,
+      };
+      const marked = a.marked !== b.marked ? (a.marked ? a.team : b.team) : null;
+      ties.push({ ...tie, winner: decideTie(tie, marked) });
+    }
+  });
+
+  return ties;
+}
+
+/**
+ * Read one match summary (`footballbox`).
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} box
+ */
+export function parseFootballBox($, box) {
+  const home = cellText($, box.find('.fhome').first());
+  const away = cellText($, box.find('.faway').first());
+  if (!home || !away) return null;
+
+  const scoreText = cellText($, box.find('.fscore').first());
+  const score = MATCH_SCORE.exec(scoreText);
+  const boxText = box.text().replace(/\s+/g, ' ');
+  const penaltiesHeading = boxText.search(/penalties/i);
+  const penalties =
+    PENALTY_SCORE.exec(scoreText) ||
+    (penaltiesHeading !== -1 ? MATCH_SCORE.exec(boxText.slice(penaltiesHeading)) : null);
+
+  return {
+    home,
+    away,
+    homeGoals: score ? Number.parseInt(score[1], 10) : null,
+    awayGoals: score ? Number.parseInt(score[2], 10) : null,
+    extraTime: EXTRA_TIME.test(scoreText),
+    penalties: penalties
+      ? [Number.parseInt(penalties[1], 10), Number.parseInt(penalties[2], 10)]
+      : null,
+  };
+}
+
+/**
+ * Group match summaries into ties: matches between the same two clubs in a round are legs
+ * (or a replay) of one tie.
+ * @param {Array<{ round: string | null; match: NonNullable<ReturnType<typeof parseFootballBox>> }>} entries
+ * @returns {PlayoffTie[]}
+ */
+function buildTiesFromMatches(entries) {
+  /** @type {Array<Omit<PlayoffTie, 'winner'>>} */
+  const ties = [];
+  for (const { round, match } of entries) {
+    const existing = ties.find(
+      (tie) =>
+        tie.round === round &&
+        tie.teams.some((team) => sameClub(team, match.home)) &&
+        tie.teams.some((team) => sameClub(team, match.away))
+    );
+    const tie = existing ?? {
+      round,
+      teams: /** @type {[string, string]} */ ([match.home, match.away]),
+      legs: [],
+      aggregate: null,
+      penalties: null,
+      extraTime: false,
+    };
+    const homeFirst = sameClub(tie.teams[0], match.home);
+    tie.legs.push(
+      homeFirst ? [match.homeGoals, match.awayGoals] : [match.awayGoals, match.homeGoals]
+    );
+    if (match.penalties) {
+      tie.penalties = homeFirst
+        ? /** @type {[number, number]} */ (match.penalties)
+        : [match.penalties[1], match.penalties[0]];
+    }
+    tie.extraTime = tie.extraTime || match.extraTime;
+    if (!existing) ties.push(tie);
+  }
+
+  // Without round headings, two semi-finals and a final are told apart by order.
+  const unlabelled = ties.filter((tie) => !tie.round);
+  unlabelled.forEach((tie, index) => {
+    tie.round = index === unlabelled.length - 1 ? 'final' : 'semi-final';
+  });
+
+  return ties.map((tie) => {
+    if (tie.legs.length >= 2) tie.aggregate = aggregateLegs(tie.legs);
+    return { ...tie, winner: decideTie(tie) };
+  });
+}
+
+/**
+ * @param {PlayoffTie[]} ties
+ */
+function summarisePlayoffs(ties) {
+  const participants = [];
+  for (const tie of ties) {
+    for (const team of tie.teams) {
+      if (!participants.some((known) => sameClub(known, team))) participants.push(team);
+    }
+  }
+  const finals = ties.filter((tie) => tie.round === 'final');
+  return { participants, winner: finals.length ? finals[finals.length - 1].winner : null };
+}
+
+/**
+ * Find the play-offs on a season or overview page. Sections are headings mentioning
+ * "play-off"; inside them either bracket tables or match summaries (with "Semi-finals" and
+ * "Final" sub-headings) are read. A bracket whose header names the semi-finals and final is
+ * read wherever it appears.
+ * @param {string} html
+ * @returns {PlayoffBlock[]}
+ */
+export function parsePlayoffs(html) {
+  const $ = cheerio.load(html);
+  /** @type {Array<{ level: number; title: string }>} */
+  const headings = [];
+  /** @type {Map<string, { title: string | null; bracketTies: PlayoffTie[]; matches: Array<{ round: string | null; match: NonNullable<ReturnType<typeof parseFootballBox>> }> }>} */
+  const sections = new Map();
+
+  const sectionFor = (title) => {
+    const key = title ?? '';
+    if (!sections.has(key)) sections.set(key, { title, bracketTies: [], matches: [] });
+    return /** @type {NonNullable<ReturnType<typeof sections.get>>} */ (sections.get(key));
+  };
+
+  const currentContext = () => {
+    const playoffIndex = headings.map((h) => PLAYOFF_HEADING.test(h.title)).lastIndexOf(true);
+    if (playoffIndex === -1) return { title: null, round: null };
+    const heading = headings[playoffIndex];
+    // "Play-offs" under "Second Division" becomes "Second Division play-offs".
+    const parent = headings[playoffIndex - 1];
+    const title =
+      /^play-?offs?$/i.test(heading.title) && parent ? `${parent.title} play-offs` : heading.title;
+    const roundHeading = headings.slice(playoffIndex + 1).reverse()[0];
+    return { title, round: roundHeading ? normaliseRound(roundHeading.title) : null };
+  };
+
+  $('h2, h3, h4, h5, table, div.footballbox').each((_, el) => {
+    const node = $(el);
+    if (/^h\d$/i.test(el.tagName)) {
+      const level = Number.parseInt(el.tagName.slice(1), 10);
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({
+        level,
+        title: node
+          .text()
+          .replace(/\[edit\]/g, '')
+          .trim(),
+      });
+      return;
+    }
+
+    if (node.is('div.footballbox')) {
+      const context = currentContext();
+      if (!context.title) return;
+      const match = parseFootballBox($, node);
+      if (match) sectionFor(context.title).matches.push({ round: context.round, match });
+      return;
+    }
+
+    if (node.closest('.footballbox').length || node.hasClass('infobox')) return;
+    const headerText = node
+      .find('tr')
+      .first()
+      .children()
+      .map((_, cell) => $(cell).text())
+      .get()
+      .join(' ');
+    if (!/semi-?finals?/i.test(headerText) || !/\bfinal\b/i.test(headerText)) return;
+    const context = currentContext();
+    const ties = parseBracketTable($, node);
+    if (ties.length) {
+      const title = context.title ?? headings[headings.length - 1]?.title ?? null;
+      sectionFor(title).bracketTies.push(...ties);
+    }
+  });
+
+  /** @type {PlayoffBlock[]} */
+  const blocks = [];
+  for (const section of sections.values()) {
+    // Match summaries carry the detail (extra time, penalties) when a page has both.
+    const ties = section.matches.length
+      ? buildTiesFromMatches(section.matches)
+      : section.bracketTies;
+    if (!ties.length) continue;
+    blocks.push({ title: section.title, ties, ...summarisePlayoffs(ties) });
+  }
+  return blocks;
+}
+
+/**
+ * Attach each play-off block to the league table holding most of its participants (the
+ * lower division when a higher-division club took part) and set the promotion flags of that
+ * table's participants from the final: only the winner goes up, whatever legend codes or
+ * notes said. Top-flight tables (`suppressPromotion`) are never flagged as promoted. Each
+ * participant also gets a `playoff` outcome, with stage "winner" for the winner.
+ * @param {Array<{ rows: Array<Record<string, any>>; suppressPromotion?: boolean }>} tables
+ * @param {PlayoffBlock[]} playoffs
+ * @returns {Array<PlayoffBlock | null>} The block attached to each table, in order.
+ */
+export function assignPlayoffs(tables, playoffs) {
+  /** @type {Array<PlayoffBlock | null>} */
+  const assigned = tables.map(() => null);
+
+  for (const block of playoffs) {
+    let bestIndex = -1;
+    let bestOverlap = 1;
+    tables.forEach((table, index) => {
+      const overlap = block.participants.filter((team) =>
+        table.rows.some((row) => row.team && sameClub(row.team, team))
+      ).length;
+      if (overlap > bestOverlap && !assigned[index]) {
+        bestIndex = index;
+        bestOverlap = overlap;
+      }
+    });
+    if (bestIndex === -1) continue;
+
+    const table = tables[bestIndex];
+    assigned[bestIndex] = block;
+    if (!block.winner) continue;
+    for (const row of table.rows) {
+      if (!row.team || !block.participants.some((team) => sameClub(team, row.team))) continue;
+      row.wasPromoted = !table.suppressPromotion && sameClub(row.team, block.winner);
+      const playoff = {
+        type: 'playoff',
+        competition: block.title,
+        stage: sameClub(row.team, block.winner) ? 'winner' : null,
+      };
+      row.outcomes = reconcileRowOutcomes(mergeRowOutcomes([playoff], row.outcomes || []), row);
+    }
+  }
+
+  return assigned;
+}
+
+export default parsePlayoffs;
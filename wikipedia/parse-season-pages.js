@@ -1,26 +1,78 @@
+import { sameClub } from '../shared/club-registry.js';
+import { getLeagueRules } from '../shared/league-rules.js';
+import { createProvenance } from '../shared/provenance.js';
+import { prefetchInOrder } from '../shared/request-scheduler.js';
 import {
+  buildParallelTierData,
   buildTierData,
   loadFootballData,
   saveFootballData,
   setSeasonRecord,
 } from './generate-output-files.js';
 import parseDivisionTable from './parse-division-table.js';
-import { fetchHtmlForSlug, wait } from './utils.js';
+import { buildElectionsBlock, parseElections } from './parse-elections.js';
+import { fetchPageForSlug } from './page-fetcher.js';
+import { assignPlayoffs, parsePlayoffs } from './parse-playoffs.js';
+import parseInfobox, { reconcileInfobox } from './parse-wiki-infobox.js';
+import { assignTopScorers, parseTopScorers } from './parse-top-scorers.js';
+import { buildSeasonTitles, checkSeasonTitles } from './season-titles.js';
+import {
+  applyTestMatchOutcomes,
+  parseTestMatches,
+  resolveTestMatches,
+} from './parse-test-matches.js';
 export { saveResults, wait } from './utils.js';
 
-export async function fetchSeasonTeams(seasonSlug) {
+// Football League divisions below the Second Division, by the season (start year) they ran.
+// Third Division North and South were parallel regional sections of the third tier.
+const LOWER_DIVISIONS = [
+  { key: 'third', name: 'Third Division', tier: 3, from: 1920, to: 1920 },
+  {
+    key: 'thirdNorth',
+    name: 'Third Division North',
+    section: 'North',
+    tier: 3,
+    from: 1921,
+    to: 1957,
+  },
+  {
+    key: 'thirdSouth',
+    name: 'Third Division South',
+    section: 'South',
+    tier: 3,
+    from: 1921,
+    to: 1957,
+  },
+  { key: 'third', name: 'Third Division', tier: 3, from: 1958, to: 1991 },
+  { key: 'fourth', name: 'Fourth Division', tier: 4, from: 1958, to: 1991 },
+];
+
+/**
+ * Lower divisions whose tables appear on the Football League article for a season.
+ * @param {number} year
+ */
+export function lowerDivisionsForSeason(year) {
+  if (!Number.isFinite(year)) return [];
+  return LOWER_DIVISIONS.filter((division) => year >= division.from && year <= division.to);
+}
+
+function seasonYearFromSlug(slug) {
+  const match = String(slug || '').match(/^(\d{4})/);
+  return match ? Number.parseInt(match[1], 10) : NaN;
+}
+
+export async function fetchSeasonTeams(seasonSlug, fetchOptions = {}) {
   const pageUrl = `https://en.wikipedia.org/wiki/${seasonSlug}`;
-  let html;
+  let page;
 
   try {
-    html = await fetchHtmlForSlug(seasonSlug);
+    page = await fetchPageForSlug(seasonSlug, fetchOptions);
   } catch (err) {
     console.error(`❌ Failed to fetch page for ${seasonSlug} (${pageUrl}): ${err.message}`);
     return { first: [], second: [] };
   }
 
-  await wait(1000);
-
+  const { html } = page;
   const firstDivTable = parseDivisionTable(html, 'first');
   if (!firstDivTable.length) {
     console.warn(`⚠️  Missing First Division table data on ${seasonSlug} (${pageUrl})`);
@@ -31,11 +83,109 @@ export async function fetchSeasonTeams(seasonSlug) {
     console.warn(`⚠️  Missing Second Division table data on ${seasonSlug} (${pageUrl})`);
   }
 
-  return { first: firstDivTable, second: secondDivTable };
+  const result = { first: firstDivTable, second: secondDivTable };
+  const seasonYear = seasonYearFromSlug(seasonSlug);
+  for (const division of lowerDivisionsForSeason(seasonYear)) {
+    const rows = parseDivisionTable(html, division.key);
+    if (!rows.length) {
+      console.warn(`⚠️  Missing ${division.name} table data on ${seasonSlug} (${pageUrl})`);
+    }
+    result[division.key] = rows;
+  }
+
+  // Play-off finals decide the last promotion place; attach each bracket to its division.
+  const divisionKeys = Object.keys(result);
+  const assigned = assignPlayoffs(
+    divisionKeys.map((key) => ({ rows: result[key], suppressPromotion: key === 'first' })),
+    parsePlayoffs(html)
+  );
+  result.playoffs = {};
+  divisionKeys.forEach((key, index) => {
+    if (assigned[index]) result.playoffs[key] = assigned[index];
+  });
+
+  const scorers = assignTopScorers(
+    divisionKeys.map((key) => ({ rows: result[key] })),
+    parseTopScorers(html)
+  );
+  result.topScorers = {};
+  divisionKeys.forEach((key, index) => {
+    if (scorers[index]) result.topScorers[key] = scorers[index];
+  });
+
+  // 1892–98: test matches between the First and Second Division decided who moved.
+  if (Number.isFinite(seasonYear) && getLeagueRules(seasonYear, { tier: 1 }).testMatches) {
+    const parsed = parseTestMatches(html);
+    if (parsed) {
+      const testMatches = resolveTestMatches(
+        parsed,
+        firstDivTable.map((row) => row.team),
+        secondDivTable.map((row) => row.team)
+      );
+      applyTestMatchOutcomes(testMatches, firstDivTable, secondDivTable);
+      result.testMatches = testMatches;
+    } else {
+      console.warn(`⚠️  Missing test match results on ${seasonSlug} (${pageUrl})`);
+    }
+  }
+
+  // Ballots for re-election and for admission, plus the infobox's membership changes.
+  const tables = [firstDivTable, secondDivTable].concat(
+    lowerDivisionsForSeason(seasonYear).map((division) => result[division.key] || [])
+  );
+  const infobox = await parseInfobox(html);
+  const elections = buildElectionsBlock(
+    parseElections(html, { leagueClubs: tables.flat().map((row) => row.team) }),
+    infobox
+  );
+  if (elections) {
+    for (const row of tables.flat()) {
+      if (elections.reElected.some((club) => sameClub(club, row.team))) row.wasReElected = true;
+    }
+    result.elections = elections;
+  }
+  if (infobox.season) result.infobox = infobox;
+
+  result.revisionId = page.revisionId ?? null;
+  result.fetchedAt = page.fetchedAt ?? null;
+  return result;
+}
+
+function buildSourceMetadata(slug, revisionId, fetchedAt = null) {
+  const sourceUrl = `https://en.wikipedia.org/wiki/${slug}`;
+  const metadata = { seasonSlug: slug, sourceUrl };
+  if (revisionId != null) {
+    metadata.revisionId = revisionId;
+  }
+  metadata.provenance = createProvenance({
+    source: 'wikipedia-season',
+    url: sourceUrl,
+    revisionId,
+    fetchedAt,
+    parser: 'wikipedia/parse-season-pages',
+  });
+  return metadata;
+}
+
+// Play-offs and top scorers found on the page for one division, keyed by division key.
+function divisionExtras(divisionKey, options) {
+  const extras = {};
+  const playoffs = options.playoffs?.[divisionKey];
+  const topScorers = options.topScorers?.[divisionKey];
+  if (playoffs) extras.playoffs = playoffs;
+  if (topScorers) extras.topScorers = topScorers;
+  return extras;
 }
 
-export function constructTier1SeasonResults(tier1SeasonTable, tier2SeasonTable, year, slug) {
+export function constructTier1SeasonResults(
+  tier1SeasonTable,
+  tier2SeasonTable,
+  year,
+  slug,
+  options = {}
+) {
   const pageUrl = `https://en.wikipedia.org/wiki/${slug}`;
+  const sourceMetadata = buildSourceMetadata(slug, options.revisionId ?? null, options.fetchedAt);
 
   const tier1RelegatedTeams = tier1SeasonTable
     .filter((team) => team.wasRelegated)
@@ -56,16 +206,87 @@ export function constructTier1SeasonResults(tier1SeasonTable, tier2SeasonTable,
 
   const tier1 = buildTierData(year, tier1SeasonTable, {
     promoted: tier2PromotedTeams,
-    metadata: { seasonSlug: slug, sourceUrl: pageUrl, tier: 'tier1' },
+    metadata: { ...sourceMetadata, tier: 'tier1', ...divisionExtras('first', options) },
   });
 
   const tier2 = buildTierData(year, tier2SeasonTable, {
-    metadata: { seasonSlug: slug, sourceUrl: pageUrl, tier: 'tier2' },
+    metadata: { ...sourceMetadata, tier: 'tier2', ...divisionExtras('second', options) },
   });
 
   return { tier1, tier2 };
 }
 
+function teamsWith(rows, flag) {
+  return rows.filter((row) => row[flag]).map((row) => row.team);
+}
+
+/**
+ * Build tier3/tier4 TierData from the lower division tables returned by `fetchSeasonTeams`.
+ * Regional sections share one tier as parallel divisions (see `buildParallelTierData`).
+ */
+export function constructLowerTierResults(divisionTables, year, slug, options = {}) {
+  const sourceMetadata = buildSourceMetadata(slug, options.revisionId ?? null, options.fetchedAt);
+  const pageUrl = `https://en.wikipedia.org/wiki/${slug}`;
+  const divisionsByTier = new Map();
+
+  for (const division of lowerDivisionsForSeason(year)) {
+    const rows = divisionTables?.[division.key];
+    if (!Array.isArray(rows) || !rows.length) continue;
+
+    const tierKey = `tier${division.tier}`;
+    const promoted = teamsWith(rows, 'wasPromoted');
+    const relegated = teamsWith(rows, 'wasRelegated');
+    const reElected = teamsWith(rows, 'wasReElected');
+    if (promoted.length) console.log(`     ⬆️ ${division.name} promoted: ${promoted.join(', ')}`);
+    if (relegated.length)
+      console.log(`     ⬇️ ${division.name} relegated: ${relegated.join(', ')}`);
+    if (reElected.length)
+      console.log(`     🗳️ ${division.name} re-elected: ${reElected.join(', ')}`);
+
+    if (!divisionsByTier.has(tierKey)) divisionsByTier.set(tierKey, []);
+    divisionsByTier.get(tierKey).push({
+      division: division.name,
+      section: division.section ?? null,
+      table: rows,
+      promoted,
+      relegated,
+      metadata: {
+        ...sourceMetadata,
+        tier: tierKey,
+        reElected,
+        ...divisionExtras(division.key, options),
+      },
+    });
+  }
+
+  const tiers = {};
+  for (const [tierKey, divisions] of divisionsByTier) {
+    if (divisions.length === 1 && !divisions[0].section) {
+      const [only] = divisions;
+      tiers[tierKey] = buildTierData(year, only.table, {
+        promoted: only.promoted,
+        relegated: only.relegated,
+        metadata: { ...only.metadata, division: only.division },
+      });
+      continue;
+    }
+
+    tiers[tierKey] = buildParallelTierData(year, divisions, {
+      metadata: {
+        ...sourceMetadata,
+        tier: tierKey,
+        reElected: divisions.flatMap((division) => division.metadata.reElected),
+      },
+    });
+  }
+
+  if (!Object.keys(tiers).length && lowerDivisionsForSeason(year).length) {
+    console.log(`   ℹ️  No lower division tables found for ${year} (${pageUrl})`);
+  }
+
+  return tiers;
+}
+
 const WWI_SUSPENSION_YEARS = new Set([1915, 1916, 1917, 1918, 1919]);
 const WWII_SUSPENSION_YEARS = new Set([1940, 1941, 1942, 1943, 1944, 1945, 1946]);
 
@@ -90,7 +311,9 @@ export async function buildPromotionRelegation(startYear, endYear, outputFile, o
   const updateOnly = Boolean(options.updateOnly);
   const forceUpdate = Boolean(options.forceUpdate);
   const ignoreWarYears = Boolean(options.ignoreWarYears);
+  const fetchOptions = options.fetchOptions || {};
 
+  const plannedSeasons = [];
   for (let year = startYear; year <= endYear; year++) {
     const existingRecord = dataset.seasons?.[String(year)];
     if (!forceUpdate && updateOnly && seasonHasTierData(existingRecord)) {
@@ -107,10 +330,21 @@ export async function buildPromotionRelegation(startYear, endYear, outputFile, o
     const slug = `${year}-${
       endYearEndingDigits === '00' ? String(year + 1) : endYearEndingDigits
     }_Football_League`;
+    plannedSeasons.push({ year, slug });
+  }
 
-    console.log(`\n📖 Fetching ${slug}...`);
-    const divisionResultTables = await fetchSeasonTeams(slug);
+  // Keep as many pages in flight as the scheduler allows; seasons are still saved in order.
+  const seasonPages = prefetchInOrder(
+    plannedSeasons,
+    ({ slug }) => {
+      console.log(`\n📖 Fetching ${slug}...`);
+      return fetchSeasonTeams(slug, fetchOptions);
+    },
+    fetchOptions.scheduler?.concurrency
+  );
 
+  for await (const [{ year, slug }, divisionResultTables] of seasonPages) {
+    const existingRecord = dataset.seasons?.[String(year)];
     const tier1 = divisionResultTables.first || [];
     const tier2 = divisionResultTables.second || [];
     const hasNewTierData = tier1.length + tier2.length > 0;
@@ -119,11 +353,19 @@ export async function buildPromotionRelegation(startYear, endYear, outputFile, o
       continue;
     }
 
+    const revisionId = divisionResultTables.revisionId ?? null;
+    const pageOptions = {
+      revisionId,
+      fetchedAt: divisionResultTables.fetchedAt ?? null,
+      playoffs: divisionResultTables.playoffs ?? {},
+      topScorers: divisionResultTables.topScorers ?? {},
+    };
     const { tier1: tier1Results, tier2: tier2Results } = constructTier1SeasonResults(
       tier1,
       tier2,
       year,
-      slug
+      slug,
+      pageOptions
     );
 
     const incomingPromoted = Array.isArray(tier1Results.promoted) ? [...tier1Results.promoted] : [];
@@ -132,7 +374,14 @@ export async function buildPromotionRelegation(startYear, endYear, outputFile, o
       seasonInfo: buildTierData(year, [], {
         promoted: incomingPromoted,
         relegated: tier1Results.relegated,
-        metadata: { seasonSlug: slug, sourceUrl: `https://en.wikipedia.org/wiki/${slug}` },
+        metadata: {
+          ...buildSourceMetadata(slug, revisionId, pageOptions.fetchedAt),
+          ...(divisionResultTables.testMatches
+            ? { testMatches: divisionResultTables.testMatches }
+            : {}),
+          ...(divisionResultTables.elections ? { elections: divisionResultTables.elections } : {}),
+          ...(divisionResultTables.infobox ? { infobox: divisionResultTables.infobox } : {}),
+        },
       }),
       tier1: tier1Results,
     };
@@ -141,7 +390,26 @@ export async function buildPromotionRelegation(startYear, endYear, outputFile, o
       seasonRecord.tier2 = tier2Results;
     }
 
+    Object.assign(
+      seasonRecord,
+      constructLowerTierResults(divisionResultTables, year, slug, pageOptions)
+    );
+
+    // Titles are summarised once the tiers are keyed by level, so each is read under the
+    // rules of the division it was played in.
     setSeasonRecord(dataset, year, seasonRecord);
+    const savedRecord = dataset.seasons[String(year)];
+    savedRecord.seasonInfo.titles = buildSeasonTitles(savedRecord, year);
+    for (const { message } of checkSeasonTitles(savedRecord.seasonInfo.titles, savedRecord, year)) {
+      console.warn(`   ⚠️  ${year} title summary: ${message}`);
+    }
+
+    if (divisionResultTables.infobox) {
+      for (const { message } of reconcileInfobox(divisionResultTables.infobox, savedRecord)) {
+        console.warn(`   ⚠️  ${year} infobox disagrees with the tables: ${message}`);
+      }
+    }
+
     saveFootballData(outputFile, dataset);
   }
 
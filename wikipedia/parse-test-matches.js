@@ -0,0 +1,245 @@
+import * as cheerio from 'cheerio';
+import { normaliseClubName, sameClub } from '../shared/club-registry.js';
+import { parseFootballBox } from './parse-playoffs.js';
+import { cellText, normalizeHeader } from './utils.js';
+
+const TEST_MATCH_HEADING = /test match/i;
+const SCORE_ONLY = /^(\d+)\s*[–—-]\s*(\d+)(?:\s*\(?a\.?e\.?t\.?\)?)?$/i;
+
+/**
+ * @typedef {Object} TestMatch
+ * @property {string} home
+ * @property {string} away
+ * @property {number | null} homeGoals
+ * @property {number | null} awayGoals
+ * @property {string | null} venue
+ */
+
+/**
+ * @typedef {Object} TestMatchStanding
+ * @property {number} pos
+ * @property {string} team
+ * @property {number | null} played
+ * @property {number | null} won
+ * @property {number | null} drawn
+ * @property {number | null} lost
+ * @property {number | null} goalsFor
+ * @property {number | null} goalsAgainst
+ * @property {number | null} points
+ */
+
+/**
+ * @typedef {Object} TestMatchBlock
+ * @property {'knockout' | 'mini-league'} format - One-off ties (replayed when drawn) up to
+ *   1894–95; a four-club mini-league from 1895–96.
+ * @property {TestMatch[]} matches
+ * @property {TestMatchStanding[]} table - Mini-league standings; empty for knockout ties.
+ * @property {string[]} promoted - Second Division clubs that won a First Division place.
+ * @property {string[]} relegated - First Division clubs that lost theirs.
+ */
+
+/**
+ * @param {string} text
+ */
+function toNumber(text) {
+  const parsed = Number.parseInt(String(text).replace(/[−–]/g, '-'), 10);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Read a results table: rows of `home | score | away [| venue]`.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ * @returns {TestMatch[]}
+ */
+function parseResultsTable($, table) {
+  const matches = [];
+  table.find('tr').each((_, tr) => {
+    const cells = $(tr)
+      .children('td, th')
+      .map((__, cell) => cellText($, cell))
+      .get();
+    const scoreIndex = cells.findIndex((text, index) => index > 0 && SCORE_ONLY.test(text));
+    if (scoreIndex === -1 || !cells[scoreIndex + 1]) return;
+    const score = /** @type {RegExpExecArray} */ (SCORE_ONLY.exec(cells[scoreIndex]));
+    matches.push({
+      home: cells[scoreIndex - 1],
+      away: cells[scoreIndex + 1],
+      homeGoals: toNumber(score[1]),
+      awayGoals: toNumber(score[2]),
+      venue: cells[scoreIndex + 2] || null,
+    });
+  });
+  return matches;
+}
+
+/**
+ * Read the mini-league standings table used from 1895–96.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ * @returns {TestMatchStanding[]}
+ */
+function parseStandingsTable($, table) {
+  const rows = table.find('tr').toArray();
+  const headers = $(rows[0])
+    .children('td, th')
+    .map((_, cell) => normalizeHeader(cellText($, cell)))
+    .get();
+  if (!headers.includes('team') || !headers.includes('points')) return [];
+
+  const standings = [];
+  for (const tr of rows.slice(1)) {
+    const cells = $(tr)
+      .children('td, th')
+      .map((_, cell) => cellText($, cell))
+      .get();
+    /** @type {Record<string, string>} */
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = cells[index] ?? '';
+    });
+    if (!values.team) continue;
+    standings.push({
+      pos: toNumber(values.pos) ?? standings.length + 1,
+      team: values.team,
+      played: toNumber(values.played),
+      won: toNumber(values.won),
+      drawn: toNumber(values.drawn),
+      lost: toNumber(values.lost),
+      goalsFor: toNumber(values.goalsFor),
+      goalsAgainst: toNumber(values.goalsAgainst),
+      points: toNumber(values.points),
+    });
+  }
+  return standings;
+}
+
+/**
+ * Collect the matches (and mini-league table, when there is one) listed under a "Test
+ * matches" heading of a Football League season article. Outcomes are left empty until
+ * `resolveTestMatches` knows which division each club came from.
+ * @param {string} html
+ * @returns {TestMatchBlock | null}
+ */
+export function parseTestMatches(html) {
+  const $ = cheerio.load(html);
+  /** @type {number | null} */
+  let sectionLevel = null;
+  /** @type {TestMatch[]} */
+  const matches = [];
+  /** @type {TestMatchStanding[]} */
+  let table = [];
+
+  $('h2, h3, h4, h5, table, div.footballbox').each((_, el) => {
+    const node = $(el);
+    if (/^h\d$/i.test(el.tagName)) {
+      const level = Number.parseInt(el.tagName.slice(1), 10);
+      if (TEST_MATCH_HEADING.test(node.text())) sectionLevel = level;
+      else if (sectionLevel != null && level <= sectionLevel) sectionLevel = null;
+      return;
+    }
+    if (sectionLevel == null) return;
+
+    if (node.is('div.footballbox')) {
+      const match = parseFootballBox($, node);
+      if (match) {
+        const { home, away, homeGoals, awayGoals } = match;
+        const venue = cellText($, node.find('.fright [itemprop="location"], .fright').first());
+        matches.push({ home, away, homeGoals, awayGoals, venue: venue || null });
+      }
+      return;
+    }
+
+    if (node.closest('.footballbox').length) return;
+    const standings = parseStandingsTable($, node);
+    if (standings.length) table = standings;
+    else matches.push(...parseResultsTable($, node));
+  });
+
+  if (!matches.length && !table.length) return null;
+  return {
+    format: table.length ? 'mini-league' : 'knockout',
+    matches,
+    table,
+    promoted: [],
+    relegated: [],
+  };
+}
+
+/**
+ * Work out who went up and down. In a knockout tie the last decisive match (after any
+ * replays) decides it; in the mini-league the top half of the table play in the First
+ * Division next season. Clubs are matched to their division by name.
+ * @param {TestMatchBlock} block
+ * @param {string[]} firstDivisionTeams
+ * @param {string[]} secondDivisionTeams
+ * @returns {TestMatchBlock}
+ */
+export function resolveTestMatches(block, firstDivisionTeams, secondDivisionTeams) {
+  const inFirst = (team) => firstDivisionTeams.some((known) => sameClub(known, team));
+  const inSecond = (team) => secondDivisionTeams.some((known) => sameClub(known, team));
+
+  /** @type {string[]} */
+  let winners = [];
+  /** @type {string[]} */
+  let losers = [];
+
+  if (block.format === 'mini-league') {
+    const ranked = [...block.table].sort((a, b) => a.pos - b.pos);
+    const places = ranked.filter((row) => inFirst(row.team)).length;
+    winners = ranked.slice(0, places).map((row) => row.team);
+    losers = ranked.slice(places).map((row) => row.team);
+  } else {
+    /** @type {Map<string, TestMatch>} */
+    const deciding = new Map();
+    for (const match of block.matches) {
+      if (match.homeGoals == null || match.awayGoals == null) continue;
+      if (match.homeGoals === match.awayGoals) continue;
+      const key = [match.home, match.away]
+        .map((team) => normaliseClubName(team, { dropSuffixes: true }))
+        .sort()
+        .join('|');
+      deciding.set(key, match);
+    }
+    for (const match of deciding.values()) {
+      const homeWon =
+        /** @type {number} */ (match.homeGoals) > /** @type {number} */ (match.awayGoals);
+      winners.push(homeWon ? match.home : match.away);
+      losers.push(homeWon ? match.away : match.home);
+    }
+  }
+
+  return {
+    ...block,
+    promoted: winners.filter((team) => inSecond(team)),
+    relegated: losers.filter((team) => inFirst(team)),
+  };
+}
+
+/**
+ * Set `wasPromoted`/`wasRelegated` on the clubs that played the test matches from the
+ * resolved outcome, replacing whatever the league tables' notes implied.
+ * @param {TestMatchBlock} block
+ * @param {Array<Record<string, any>>} firstDivisionRows
+ * @param {Array<Record<string, any>>} secondDivisionRows
+ */
+export function applyTestMatchOutcomes(block, firstDivisionRows, secondDivisionRows) {
+  const participants = [
+    ...block.matches.flatMap((match) => [match.home, match.away]),
+    ...block.table.map((row) => row.team),
+  ];
+  const played = (team) => participants.some((participant) => sameClub(participant, team));
+
+  for (const row of firstDivisionRows) {
+    if (row.team && played(row.team)) {
+      row.wasRelegated = block.relegated.some((team) => sameClub(team, row.team));
+    }
+  }
+  for (const row of secondDivisionRows) {
+    if (row.team && played(row.team)) {
+      row.wasPromoted = block.promoted.some((team) => sameClub(team, row.team));
+    }
+  }
+}
+
+export default parseTestMatches;
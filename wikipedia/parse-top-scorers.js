@@ -0,0 +1,155 @@
+import * as cheerio from 'cheerio';
+import { normaliseClubName } from '../shared/club-registry.js';
+import { cellText, normalizeHeader } from './utils.js';
+
+const TOP_SCORER_HEADING = /(?:top|leading)\s*(?:goal)?\s*scorers?|goalscorers/i;
+
+/**
+ * @typedef {Object} TopScorer
+ * @property {number} rank - Shared by players level on goals.
+ * @property {string} player
+ * @property {string | null} club
+ * @property {number} goals
+ */
+
+/**
+ * @typedef {Object} TopScorersBlock
+ * @property {string | null} title - Heading or caption the table was listed under.
+ * @property {TopScorer[]} scorers
+ */
+
+/**
+ * @param {string} club
+ */
+function clubKey(club) {
+  return normaliseClubName(club, { dropSuffixes: true });
+}
+
+/**
+ * Read one scorers table. Rank cells spanning several rows leave the following rows a cell
+ * short, so columns are read from the right when a row is shorter than the header.
+ * @param {cheerio.CheerioAPI} $
+ * @param {cheerio.Cheerio<any>} table
+ * @returns {TopScorer[]}
+ */
+function parseScorersTable($, table) {
+  const rows = table.find('tr').toArray();
+  if (!rows.length) return [];
+  const headers = $(rows[0])
+    .children('td, th')
+    .map((_, cell) => normalizeHeader(cellText($, cell)))
+    .get();
+  const playerIndex = headers.findIndex((header) => /^(?:player|name|scorer)/.test(header));
+  const clubIndex = headers.indexOf('team');
+  const goalsIndex = headers.findIndex((header) => /^(?:goals?|gls)$/.test(header));
+  const rankIndex = headers.findIndex((header) => header === 'pos' || header === 'rank');
+  if (playerIndex === -1 || goalsIndex === -1) return [];
+
+  const scorers = [];
+  let previousRank = 0;
+  for (const tr of rows.slice(1)) {
+    const cells = $(tr)
+      .children('td, th')
+      .map((_, cell) => cellText($, cell))
+      .get();
+    const offset = headers.length - cells.length;
+    const at = (index) => (index === -1 || index - offset < 0 ? '' : cells[index - offset] ?? '');
+    const player = at(playerIndex);
+    const goals = Number.parseInt(at(goalsIndex), 10);
+    if (!player || !Number.isFinite(goals)) continue;
+
+    const rankText = offset === 0 ? at(rankIndex).replace(/=$/, '') : '';
+    const rank = Number.parseInt(rankText, 10);
+    previousRank = Number.isFinite(rank)
+      ? rank
+      : scorers.length && scorers[scorers.length - 1].goals === goals
+      ? previousRank
+      : scorers.length + 1;
+    scorers.push({ rank: previousRank, player, club: at(clubIndex) || null, goals });
+  }
+  return scorers;
+}
+
+/**
+ * Find the top goalscorer tables on a season or overview page: any table under a "Top
+ * scorers"/"Leading goalscorers" heading with player and goals columns. Pages listing several
+ * divisions give one block per table.
+ * @param {string} html
+ * @returns {TopScorersBlock[]}
+ */
+export function parseTopScorers(html) {
+  const $ = cheerio.load(html);
+  /** @type {Array<{ level: number; title: string }>} */
+  const headings = [];
+  /** @type {TopScorersBlock[]} */
+  const blocks = [];
+
+  $('h2, h3, h4, h5, table').each((_, el) => {
+    const node = $(el);
+    if (/^h\d$/i.test(el.tagName)) {
+      const level = Number.parseInt(el.tagName.slice(1), 10);
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({
+        level,
+        title: node
+          .text()
+          .replace(/\[edit\]/g, '')
+          .trim(),
+      });
+      return;
+    }
+
+    const caption = cellText($, node.children('caption').first());
+    const inSection = headings.some((heading) => TOP_SCORER_HEADING.test(heading.title));
+    if (!inSection && !TOP_SCORER_HEADING.test(caption)) return;
+
+    const scorers = parseScorersTable($, node);
+    if (!scorers.length) return;
+    const sectionIndex = headings.map((h) => TOP_SCORER_HEADING.test(h.title)).lastIndexOf(true);
+    // "Top scorers" under "Second Division" becomes "Second Division top scorers".
+    const parent = sectionIndex > 0 ? headings[sectionIndex - 1].title : null;
+    const heading = headings[headings.length - 1]?.title ?? null;
+    const title =
+      caption ||
+      (sectionIndex === headings.length - 1 && parent
+        ? `${parent} ${heading?.toLowerCase()}`
+        : heading);
+    blocks.push({ title, scorers });
+  });
+
+  return blocks;
+}
+
+/**
+ * Attach each scorers block to the league table sharing most of its clubs. Blocks without
+ * clubs, or without at least two clubs in common with a table, are left unassigned.
+ * @param {Array<{ rows: Array<{ team?: string | null }> }>} tables
+ * @param {TopScorersBlock[]} blocks
+ * @returns {Array<TopScorersBlock | null>} The block attached to each table, in order.
+ */
+export function assignTopScorers(tables, blocks) {
+  /** @type {Array<TopScorersBlock | null>} */
+  const assigned = tables.map(() => null);
+  const tableClubs = tables.map(
+    (table) => new Set(table.rows.filter((row) => row.team).map((row) => clubKey(row.team)))
+  );
+
+  for (const block of blocks) {
+    const clubs = new Set(block.scorers.filter((s) => s.club).map((s) => clubKey(s.club)));
+    let bestIndex = -1;
+    let bestOverlap = 1;
+    tableClubs.forEach((known, index) => {
+      if (assigned[index]) return;
+      const overlap = Array.from(clubs).filter((club) => known.has(club)).length;
+      if (overlap > bestOverlap) {
+        bestIndex = index;
+        bestOverlap = overlap;
+      }
+    });
+    if (bestIndex !== -1) assigned[bestIndex] = block;
+  }
+
+  return assigned;
+}
+
+export default parseTopScorers;
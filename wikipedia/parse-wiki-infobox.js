@@ -1,4 +1,6 @@
 import * as cheerio from 'cheerio';
+import { normaliseClubName } from '../shared/club-registry.js';
+import { getTierDivisions } from './generate-output-files.js';
 
 /**
  * Parse season info from a Football League Wikipedia page.
@@ -80,4 +82,88 @@ async function parseInfobox(html) {
   return { season, relegated, newClubs, folded, resigned };
 }
 
+/**
+ * Clubs in `teams` missing from `others`, compared by normalised name.
+ * @param {string[]} teams
+ * @param {string[]} others
+ */
+function missingFrom(teams, others) {
+  const known = new Set(others.map((team) => normaliseClubName(team, { dropSuffixes: true })));
+  return teams.filter((team) => !known.has(normaliseClubName(team, { dropSuffixes: true })));
+}
+
+/**
+ * Compare a season's infobox with the outcomes read from its tables and ballots.
+ * - Every club the infobox lists as relegated should be relegated from one of the tiers, and
+ *   every club relegated from the lowest tier should be in the infobox (clubs leaving the
+ *   League), when the infobox lists any.
+ * - When ballots were parsed, the infobox's new clubs should be the clubs elected.
+ * @param {{ relegated?: string[]; newClubs?: string[] }} infobox
+ * @param {Record<string, any>} seasonRecord - `{ seasonInfo, tier1, tier2, ... }`
+ * @returns {Array<{ field: 'relegated' | 'newClubs'; source: 'infobox' | 'tables' | 'elections'; teams: string[]; message: string }>}
+ */
+export function reconcileInfobox(infobox, seasonRecord) {
+  const disagreements = [];
+  const tierKeys = Object.keys(seasonRecord || {})
+    .filter((key) => /^tier\d+$/.test(key))
+    .sort((a, b) => Number.parseInt(a.slice(4), 10) - Number.parseInt(b.slice(4), 10));
+  const relegatedFrom = (tierKey) =>
+    getTierDivisions(seasonRecord[tierKey]).flatMap((division) => [
+      ...(Array.isArray(division.relegated) ? division.relegated : []),
+      ...(Array.isArray(division.table) ? division.table : [])
+        .filter((row) => row.wasRelegated)
+        .map((row) => row.team),
+    ]);
+
+  const infoboxRelegated = infobox?.relegated ?? [];
+  if (infoboxRelegated.length && tierKeys.length) {
+    const onlyInInfobox = missingFrom(infoboxRelegated, tierKeys.flatMap(relegatedFrom));
+    if (onlyInInfobox.length) {
+      disagreements.push({
+        field: 'relegated',
+        source: 'infobox',
+        teams: onlyInInfobox,
+        message: `Infobox lists as relegated but no table does: ${onlyInInfobox.join(', ')}`,
+      });
+    }
+    const lowestTier = tierKeys[tierKeys.length - 1];
+    const onlyInTables = missingFrom(
+      Array.from(new Set(relegatedFrom(lowestTier))),
+      infoboxRelegated
+    );
+    if (onlyInTables.length) {
+      disagreements.push({
+        field: 'relegated',
+        source: 'tables',
+        teams: onlyInTables,
+        message: `Relegated from ${lowestTier} but missing from the infobox: ${onlyInTables.join(
+          ', '
+        )}`,
+      });
+    }
+  }
+
+  const elections = seasonRecord?.seasonInfo?.elections;
+  const newClubs = infobox?.newClubs ?? [];
+  if (elections?.ballots?.length) {
+    const notElected = missingFrom(newClubs, elections.elected ?? []);
+    const notNew = missingFrom(elections.elected ?? [], newClubs);
+    if (notElected.length || notNew.length) {
+      disagreements.push({
+        field: 'newClubs',
+        source: 'elections',
+        teams: [...notElected, ...notNew],
+        message: [
+          notElected.length ? `infobox new clubs not elected: ${notElected.join(', ')}` : null,
+          notNew.length ? `elected clubs missing from the infobox: ${notNew.join(', ')}` : null,
+        ]
+          .filter(Boolean)
+          .join('; '),
+      });
+    }
+  }
+
+  return disagreements;
+}
+
 export default parseInfobox;
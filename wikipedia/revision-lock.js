@@ -0,0 +1,104 @@
+// @ts-check
+
+import * as fs from 'node:fs';
+import * as path from 'node:path';
+
+const LOCK_VERSION = 1;
+
+/**
+ * @typedef {Object} RevisionLock
+ * @property {string} filePath
+ * @property {boolean} frozen
+ * @property {(slug: string) => number | null} get
+ * @property {(slug: string, revisionId: number) => void} set
+ * @property {() => Record<string, number>} entries
+ */
+
+/**
+ * @param {string} filePath
+ * @returns {Record<string, number>}
+ */
+function readLockEntries(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err && /** @type {{ code?: string }} */ (err).code === 'ENOENT') return {};
+    throw err;
+  }
+
+  const parsed = JSON.parse(raw);
+  const pages = parsed && typeof parsed === 'object' ? parsed.pages : null;
+  if (!pages || typeof pages !== 'object') {
+    throw new Error(`Revision lockfile ${filePath} is missing a "pages" map`);
+  }
+
+  /** @type {Record<string, number>} */
+  const entries = {};
+  for (const [slug, value] of Object.entries(pages)) {
+    const revisionId = Number.parseInt(String(value), 10);
+    if (Number.isFinite(revisionId) && revisionId > 0) {
+      entries[slug] = revisionId;
+    }
+  }
+  return entries;
+}
+
+/**
+ * @param {string} filePath
+ * @param {Record<string, number>} entries
+ */
+function writeLockEntries(filePath, entries) {
+  const pages = Object.fromEntries(
+    Object.keys(entries)
+      .sort()
+      .map((slug) => [slug, entries[slug]])
+  );
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify({ version: LOCK_VERSION, pages }, null, 2)}\n`);
+}
+
+/**
+ * Load (or start) a lockfile mapping wiki slugs to the revision (`oldid`) they were scraped at.
+ * New pins are written straight back to disk so interrupted runs keep what they recorded.
+ * A frozen lock never records new pins; callers should treat unpinned slugs as an error.
+ * @param {{ filePath: string; frozen?: boolean }} options
+ * @returns {RevisionLock}
+ */
+export function createRevisionLock({ filePath, frozen = false }) {
+  if (!filePath) {
+    throw new TypeError('A filePath is required to create a revision lock');
+  }
+
+  const resolved = path.resolve(filePath);
+  const entries = readLockEntries(resolved);
+  if (frozen && !fs.existsSync(resolved)) {
+    throw new Error(`Frozen revision lockfile not found: ${resolved}`);
+  }
+
+  return {
+    filePath: resolved,
+    frozen: Boolean(frozen),
+
+    get(slug) {
+      return entries[slug] ?? null;
+    },
+
+    set(slug, revisionId) {
+      if (frozen) {
+        throw new Error(`Cannot pin ${slug}: revision lockfile ${resolved} is frozen`);
+      }
+      if (entries[slug] === revisionId) return;
+      entries[slug] = revisionId;
+      writeLockEntries(resolved, entries);
+    },
+
+    entries() {
+      return { ...entries };
+    },
+  };
+}
+
+export default {
+  createRevisionLock,
+};
@@ -0,0 +1,145 @@
+// @ts-check
+
+import { sameClub } from '../shared/club-registry.js';
+import { compareByRules, decideTitle, getLeagueRules } from '../shared/league-rules.js';
+import { getTierDivisions, tierLevel } from './generate-output-files.js';
+
+/**
+ * @typedef {Object} TitleSummary
+ * @property {string} tier - Tier key, e.g. "tier1".
+ * @property {number} level - Level of the pyramid the tier was played at.
+ * @property {import('../shared/league-rules.js').Competition} competition - What the champions
+ *   won, e.g. `football-league` for the First Division from 1992–93.
+ * @property {string | null} division - Regional division of a split tier, otherwise `null`.
+ * @property {string} champions
+ * @property {string | null} runnersUp
+ * @property {import('../shared/league-rules.js').TitleDecider | null} decidedBy - What separated the
+ *   champions from the runners-up; `null` when the table cannot tell.
+ */
+
+/**
+ * The top two rows of a table by position; `null` when nobody is listed in first place.
+ * @param {Array<Record<string, any>>} table
+ */
+function topTwo(table) {
+  const ranked = table
+    .filter((row) => row && row.team && Number.isFinite(row.pos))
+    .sort((a, b) => a.pos - b.pos);
+  if (!ranked.length || ranked[0].pos !== 1) return null;
+  return { first: ranked[0], second: ranked[1] ?? null };
+}
+
+/**
+ * The tables of a season record with the rules each was played under, tier by tier.
+ * @param {Record<string, any>} seasonRecord
+ * @param {number} season
+ */
+function seasonTables(seasonRecord, season) {
+  const levels = Object.entries(seasonRecord || {})
+    .map(([tierKey, tierValue]) => ({ tierKey, level: tierLevel(tierKey, tierValue, season) }))
+    .filter(({ level }) => level != null)
+    .sort((a, b) => /** @type {number} */ (a.level) - /** @type {number} */ (b.level));
+
+  return levels.flatMap(({ tierKey, level }) => {
+    const rules = getLeagueRules(season, { tier: /** @type {number} */ (level) });
+    const divisions = getTierDivisions(seasonRecord[tierKey]);
+    return divisions.map((division) => ({
+      tier: tierKey,
+      division: divisions.length > 1 ? division.division ?? division.section ?? null : null,
+      table: division.table,
+      rules,
+    }));
+  });
+}
+
+/**
+ * @param {{ tier: string; division: string | null }} entry
+ */
+function tableLabel(entry) {
+  return entry.division ? `${entry.tier} ${entry.division}` : entry.tier;
+}
+
+/**
+ * Summarise who won each tier (and each division of a split tier) from the season's tables,
+ * using the rules in force that season to say whether points or a tiebreaker decided it.
+ * Tiers are read at the level their division name gives (see `tierLevel`), so the First
+ * Division from 1992–93 is summarised as a second-level Football League title.
+ * Tables without a first-placed row are skipped rather than guessed at, and `decidedBy` is
+ * left `null` when the rules would put the runners-up first.
+ * @param {Record<string, any>} seasonRecord
+ * @param {number} season
+ * @returns {TitleSummary[]}
+ */
+export function buildSeasonTitles(seasonRecord, season) {
+  /** @type {TitleSummary[]} */
+  const titles = [];
+  for (const { tier, division, table, rules } of seasonTables(seasonRecord, season)) {
+    const top = topTwo(table);
+    if (!top) continue;
+    const inOrder = !top.second || compareByRules(top.first, top.second, rules) <= 0;
+    titles.push({
+      tier,
+      level: rules.tier,
+      competition: rules.competition,
+      division,
+      champions: top.first.team,
+      runnersUp: top.second?.team ?? null,
+      decidedBy: top.second && inOrder ? decideTitle(top.first, top.second, rules) : null,
+    });
+  }
+  return titles;
+}
+
+/**
+ * Check a season's `seasonInfo.titles` against its tables: each summary must name the
+ * first- and second-placed clubs, and the rules must not rank the runners-up above the
+ * champions.
+ * @param {TitleSummary[] | null | undefined} titles
+ * @param {Record<string, any>} seasonRecord
+ * @param {number} season
+ * @returns {Array<{ tier: string; division: string | null; message: string }>}
+ */
+export function checkSeasonTitles(titles, seasonRecord, season) {
+  /** @type {Array<{ tier: string; division: string | null; message: string }>} */
+  const disagreements = [];
+
+  for (const { tier, division, table, rules } of seasonTables(seasonRecord, season)) {
+    const top = topTwo(table);
+    if (!top) continue;
+    const where = tableLabel({ tier, division });
+    /** @param {string} message */
+    const report = (message) => disagreements.push({ tier, division, message });
+
+    const summary = (titles || []).find(
+      (entry) => entry.tier === tier && (entry.division ?? null) === division
+    );
+    if (!summary) {
+      report(`No title summary for ${where} (champions ${top.first.team})`);
+    } else {
+      if (!sameClub(summary.champions, top.first.team)) {
+        report(
+          `${where} champions listed as ${summary.champions} but ${top.first.team} top the table`
+        );
+      }
+      if (top.second && (!summary.runnersUp || !sameClub(summary.runnersUp, top.second.team))) {
+        report(
+          `${where} runners-up listed as ${summary.runnersUp ?? 'nobody'} but ${
+            top.second.team
+          } finished second`
+        );
+      }
+    }
+
+    if (top.second && compareByRules(top.first, top.second, rules) > 0) {
+      report(
+        `${top.first.team} top ${where} but ${
+          top.second.team
+        } rank higher on points/${rules.tiebreakers.join('/')}`
+      );
+    }
+  }
+
+  return disagreements;
+}
+
+export default buildSeasonTitles;
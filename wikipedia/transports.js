@@ -0,0 +1,320 @@
+// @ts-check
+
+import * as fs from 'node:fs/promises';
+import * as path from 'node:path';
+import { getDefaultScheduler } from '../shared/request-scheduler.js';
+import { extractRevisionId, getWikipediaClient, wait, wikiRequestHeaders } from './utils.js';
+
+const WIKI_ORIGIN = 'https://en.wikipedia.org';
+const DEFAULT_MAXLAG_SECONDS = 5;
+const DEFAULT_MAXLAG_RETRIES = 3;
+
+/**
+ * @typedef {Object} TransportPage
+ * @property {string} html
+ * @property {number | null} revisionId
+ * @property {string} title - Title the page was served under (after redirects).
+ * @property {string} via - Which strategy inside the transport produced the HTML.
+ */
+
+/**
+ * @typedef {Object} PageTransport
+ * @property {string} name
+ * @property {boolean} remote - Whether fetches hit the network.
+ * @property {(slug: string, options?: { revisionId?: number | null }) => Promise<TransportPage>} fetchPage
+ */
+
+/**
+ * @param {unknown} value
+ */
+function toRevisionId(value) {
+  const revisionId = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(revisionId) && revisionId > 0 ? revisionId : null;
+}
+
+/**
+ * @param {string} title
+ */
+function titleToSlug(title) {
+  return String(title || '').replace(/ /g, '_');
+}
+
+/**
+ * @param {Response} res
+ * @param {number} fallbackSeconds
+ */
+function retryAfterMs(res, fallbackSeconds) {
+  const header = Number.parseFloat(res.headers.get('retry-after') || '');
+  const seconds = Number.isFinite(header) && header >= 0 ? header : fallbackSeconds;
+  return seconds * 1000;
+}
+
+/**
+ * @typedef {Object} TransportRequestOptions
+ * @property {typeof globalThis.fetch} [fetchImpl]
+ * @property {import('../shared/request-scheduler.js').RequestScheduler} [scheduler] - Spaces and
+ *   retries requests; defaults to the process-wide scheduler.
+ */
+
+/**
+ * @param {string} url
+ * @param {Required<TransportRequestOptions>} request
+ * @param {RequestInit} [init]
+ */
+async function fetchOk(url, { fetchImpl, scheduler }, init) {
+  const res = await scheduler.fetch(url, { headers: wikiRequestHeaders(), ...init }, fetchImpl);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res;
+}
+
+/**
+ * The original strategy: the `wikipedia` package, falling back to a raw article GET.
+ * Pinned revisions are fetched from `index.php?oldid=`.
+ * @param {TransportRequestOptions} [options]
+ * @returns {PageTransport}
+ */
+export function createWikipediaPackageTransport({
+  fetchImpl = globalThis.fetch,
+  scheduler = getDefaultScheduler(),
+} = {}) {
+  const request = { fetchImpl, scheduler };
+
+  return {
+    name: 'wikipedia',
+    remote: true,
+
+    async fetchPage(slug, { revisionId = null } = {}) {
+      if (revisionId != null) {
+        const url = `${WIKI_ORIGIN}/w/index.php?title=${encodeURIComponent(
+          slug
+        )}&oldid=${revisionId}`;
+        const html = await (await fetchOk(url, request)).text();
+        return {
+          html,
+          revisionId: extractRevisionId(html) ?? revisionId,
+          title: slug,
+          via: 'oldid',
+        };
+      }
+
+      const wikipedia = await getWikipediaClient();
+
+      // 1) try page().html()
+      try {
+        if (typeof wikipedia.page === 'function') {
+          const page = await scheduler.run(WIKI_ORIGIN, () => wikipedia.page(slug));
+          if (page && typeof page.html === 'function') {
+            const html = await scheduler.run(WIKI_ORIGIN, () => page.html());
+            return {
+              html,
+              revisionId: toRevisionId(page.lastrevid ?? page.revid) ?? extractRevisionId(html),
+              title: titleToSlug(page.title || slug),
+              via: 'page',
+            };
+          }
+        }
+      } catch (e) {
+        // continue to next fallback
+      }
+
+      // 2) try wikipedia.html(slug)
+      try {
+        if (typeof wikipedia.html === 'function') {
+          const html = await scheduler.run(WIKI_ORIGIN, () => wikipedia.html(slug));
+          return { html, revisionId: extractRevisionId(html), title: slug, via: 'html' };
+        }
+      } catch (e) {
+        // continue to next fallback
+      }
+
+      // 3) direct fetch of the article HTML
+      const url = `${WIKI_ORIGIN}/wiki/${encodeURIComponent(slug)}`;
+      const html = await (await fetchOk(url, request)).text();
+      return { html, revisionId: extractRevisionId(html), title: slug, via: 'wiki' };
+    },
+  };
+}
+
+/**
+ * MediaWiki `action=parse` API. Follows redirects, reports the served revision and
+ * backs off when the servers answer with a `maxlag` error.
+ * @param {{
+ *   apiUrl?: string;
+ *   maxlag?: number;
+ *   maxRetries?: number;
+ *   sleep?: (ms: number) => Promise<unknown>;
+ * } & TransportRequestOptions} [options]
+ * @returns {PageTransport}
+ */
+export function createActionApiTransport({
+  apiUrl = `${WIKI_ORIGIN}/w/api.php`,
+  maxlag = DEFAULT_MAXLAG_SECONDS,
+  maxRetries = DEFAULT_MAXLAG_RETRIES,
+  fetchImpl = globalThis.fetch,
+  scheduler = getDefaultScheduler(),
+  sleep = wait,
+} = {}) {
+  const request = { fetchImpl, scheduler };
+
+  return {
+    name: 'action',
+    remote: true,
+
+    async fetchPage(slug, { revisionId = null } = {}) {
+      const params = new URLSearchParams({
+        action: 'parse',
+        prop: 'text|revid',
+        redirects: '1',
+        format: 'json',
+        formatversion: '2',
+        maxlag: String(maxlag),
+      });
+      if (revisionId != null) {
+        params.set('oldid', String(revisionId));
+      } else {
+        params.set('page', slug);
+      }
+      const url = `${apiUrl}?${params.toString()}`;
+
+      for (let attempt = 0; ; attempt += 1) {
+        const res = await fetchOk(url, request);
+        const body = await res.json();
+
+        if (body?.error?.code === 'maxlag') {
+          if (attempt >= maxRetries) {
+            throw new Error(`Replication lag too high for ${slug}: ${body.error.info || 'maxlag'}`);
+          }
+          await sleep(retryAfterMs(res, maxlag));
+          continue;
+        }
+        if (body?.error) {
+          throw new Error(`MediaWiki API error for ${slug}: ${body.error.code} ${body.error.info}`);
+        }
+
+        const parsed = body?.parse;
+        if (!parsed || typeof parsed.text !== 'string') {
+          throw new Error(`MediaWiki API returned no HTML for ${slug}`);
+        }
+
+        const redirects = Array.isArray(parsed.redirects) ? parsed.redirects : [];
+        return {
+          html: parsed.text,
+          revisionId: toRevisionId(parsed.revid) ?? revisionId,
+          title: titleToSlug(parsed.title || redirects[redirects.length - 1]?.to || slug),
+          via: redirects.length ? 'parse+redirect' : 'parse',
+        };
+      }
+    },
+  };
+}
+
+/**
+ * Wikimedia REST `page/html` endpoint (Parsoid HTML). Redirects are followed by the
+ * server; the served revision comes from the ETag header.
+ * @param {{ restUrl?: string } & TransportRequestOptions} [options]
+ * @returns {PageTransport}
+ */
+export function createRestTransport({
+  restUrl = `${WIKI_ORIGIN}/api/rest_v1`,
+  fetchImpl = globalThis.fetch,
+  scheduler = getDefaultScheduler(),
+} = {}) {
+  const request = { fetchImpl, scheduler };
+
+  return {
+    name: 'rest',
+    remote: true,
+
+    async fetchPage(slug, { revisionId = null } = {}) {
+      const revisionPart = revisionId != null ? `/${revisionId}` : '';
+      const url = `${restUrl}/page/html/${encodeURIComponent(slug)}${revisionPart}`;
+      const res = await fetchOk(url, request);
+      const html = await res.text();
+
+      const etagMatch = String(res.headers.get('etag') || '').match(/^(?:W\/)?"?(\d+)\//);
+      const servedTitle = res.url ? decodeURIComponent(res.url.split('/page/html/')[1] || '') : '';
+
+      return {
+        html,
+        revisionId: toRevisionId(etagMatch?.[1]) ?? extractRevisionId(html) ?? revisionId,
+        title: titleToSlug(servedTitle.split('/')[0] || slug),
+        via: 'page/html',
+      };
+    },
+  };
+}
+
+/**
+ * Read `<slug>.html` files from a local directory, e.g. a saved set of pages or test
+ * fixtures. A pinned revision must match the revision embedded in the HTML, if any.
+ * @param {{ dir: string }} options
+ * @returns {PageTransport}
+ */
+export function createFileTransport({ dir }) {
+  if (!dir) {
+    throw new TypeError('The file transport requires a directory of HTML files');
+  }
+  const root = path.resolve(dir);
+
+  return {
+    name: 'file',
+    remote: false,
+
+    async fetchPage(slug, { revisionId = null } = {}) {
+      const candidates = [`${slug}.html`, `${encodeURIComponent(slug)}.html`];
+      for (const fileName of candidates) {
+        let html;
+        try {
+          html = await fs.readFile(path.join(root, fileName), 'utf8');
+        } catch (err) {
+          if (err && /** @type {{ code?: string }} */ (err).code === 'ENOENT') continue;
+          throw err;
+        }
+
+        const fileRevision = extractRevisionId(html);
+        if (revisionId != null && fileRevision != null && fileRevision !== revisionId) {
+          throw new Error(
+            `${fileName} holds revision ${fileRevision} but revision ${revisionId} was requested`
+          );
+        }
+        return { html, revisionId: fileRevision ?? revisionId, title: slug, via: fileName };
+      }
+
+      throw new Error(`No HTML file for ${slug} in ${root}`);
+    },
+  };
+}
+
+export const TRANSPORT_NAMES = ['wikipedia', 'action', 'rest', 'file'];
+
+/**
+ * Build a transport from its CLI name.
+ * @param {string} name
+ * @param {{ htmlDir?: string } & TransportRequestOptions} [options]
+ * @returns {PageTransport}
+ */
+export function createTransport(name, options = {}) {
+  switch (name) {
+    case 'wikipedia':
+      return createWikipediaPackageTransport(options);
+    case 'action':
+      return createActionApiTransport(options);
+    case 'rest':
+      return createRestTransport(options);
+    case 'file':
+      return createFileTransport({ dir: /** @type {string} */ (options.htmlDir) });
+    default:
+      throw new Error(
+        `Unknown transport "${name}" (expected one of ${TRANSPORT_NAMES.join(', ')})`
+      );
+  }
+}
+
+export default {
+  createWikipediaPackageTransport,
+  createActionApiTransport,
+  createRestTransport,
+  createFileTransport,
+  createTransport,
+  TRANSPORT_NAMES,
+};
@@ -1,9 +1,8 @@
 import * as fs from 'node:fs';
 import * as path from 'node:path';
+import { PLAYOFF_WON } from '../shared/row-outcomes.js';
 
-export function wait(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+export { wait } from '../utils.js';
 
 export function saveResults(results, outputFile) {
   fs.mkdirSync(path.dirname(outputFile), { recursive: true });
@@ -88,9 +87,12 @@ export function wasRelegated(note) {
 }
 
 export function wasPromoted(note) {
-  return String(note || '')
-    .toLowerCase()
-    .includes('promot');
+  const n = String(note || '').toLowerCase();
+  if (/play-?off/.test(n)) {
+    // Only the play-off winners go up; "Qualification for the promotion play-offs" does not.
+    return PLAYOFF_WON.test(n);
+  }
+  return n.includes('promot');
 }
 
 export function isExpansionTeam(note) {
@@ -112,42 +114,48 @@ export function cellText($, cell) {
     .trim();
 }
 
-// Robust HTML fetch for a wiki slug. Tries in order:
-// 1) wikipedia.page(slug).html()
-// 2) wikipedia.html(slug)
-// 3) direct GET of https://en.wikipedia.org/wiki/<encoded slug>
-export async function fetchHtmlForSlug(slug) {
-  const wikipedia = await getWikipediaClient();
-
-  // 1) try page().html()
-  try {
-    if (typeof wikipedia.page === 'function') {
-      const page = await wikipedia.page(slug);
-      if (page && typeof page.html === 'function') {
-        return await page.html();
-      }
-    }
-  } catch (e) {
-    // continue to next fallback
-  }
+// Text of the footnotes a table row cites (`<sup class="reference">` links into the page's
+// references list). `cellText` strips the markers, so this is the only route to them.
+export function rowFootnotes($, row) {
+  const texts = [];
+  $(row)
+    .find('sup.reference a[href^="#"]')
+    .each((_, link) => {
+      const id = String($(link).attr('href')).slice(1);
+      const target = $(`[id="${id.replace(/"/g, '\\"')}"]`).first();
+      if (!target.length) return;
+      const referenceText = target.find('.reference-text').first();
+      const text = (
+        referenceText.length
+          ? referenceText
+          : target.clone().find('.mw-cite-backlink').remove().end()
+      )
+        .text()
+        .replace(/\s+/g, ' ')
+        .trim();
+      if (text && !texts.includes(text)) texts.push(text);
+    });
+  return texts;
+}
 
-  // 2) try wikipedia.html(slug)
-  try {
-    if (typeof wikipedia.html === 'function') {
-      return await wikipedia.html(slug);
-    }
-  } catch (e) {
-    // continue to next fallback
-  }
+export function buildWikiPageUrl(slug) {
+  return `https://en.wikipedia.org/wiki/${slug}`;
+}
+
+// Pull the revision id out of rendered article HTML when the client did not report it.
+export function extractRevisionId(html) {
+  const text = String(html || '');
+  const match =
+    text.match(/"wgRevisionId"\s*:\s*(\d+)/) || text.match(/Special:Redirect\/revision\/(\d+)/);
+  if (!match) return null;
+  const revisionId = Number.parseInt(match[1], 10);
+  return Number.isFinite(revisionId) && revisionId > 0 ? revisionId : null;
+}
 
-  // 3) direct fetch of the article HTML
-  const url = `https://en.wikipedia.org/wiki/${encodeURIComponent(slug)}`;
-  const headers = {
+export function wikiRequestHeaders() {
+  return {
     'User-Agent':
       process.env.WIKIPEDIA_USER_AGENT ||
       'footy-data-kit (+https://github.com/dills122/footy-data-kit)',
   };
-  const res = await fetch(url, { headers });
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return await res.text();
 }